@@ -181,6 +181,32 @@ class ActivityLog {
             });
         });
 
+        eventBus.on('layer.upserted', ({ layerId, layerName, updated, added, missing, missingAction, sourceFile }) => {
+            this.log('layer', 'upserted', {
+                entityType: 'layer',
+                entityId: layerId,
+                entityName: layerName,
+                sourceFile: sourceFile,
+                updated: updated,
+                added: added,
+                missing: missing,
+                missingAction: missingAction
+            });
+        });
+
+        eventBus.on('layer.spatialJoined', ({ layerId, layerName, polygonLayerName, attributes, updated, unmatched, overlapping }) => {
+            this.log('layer', 'spatialJoined', {
+                entityType: 'layer',
+                entityId: layerId,
+                entityName: layerName,
+                polygonLayerName: polygonLayerName,
+                attributes: attributes,
+                updated: updated,
+                unmatched: unmatched,
+                overlapping: overlapping
+            });
+        });
+
         // Feature events
         eventBus.on('features.added', ({ layerId, count, layerName }) => {
             this.log('feature', 'created', {
@@ -209,6 +235,28 @@ class ActivityLog {
             });
         });
 
+        eventBus.on('feature.split', ({ layerId, layerName, featureId, featureName, newFeatureId }) => {
+            this.log('feature', 'split', {
+                entityType: 'feature',
+                entityId: featureId,
+                entityName: featureName,
+                layerId: layerId,
+                layerName: layerName,
+                newFeatureId: newFeatureId
+            });
+        });
+
+        eventBus.on('features.merged', ({ layerId, layerName, featureId, featureIds, featureNames }) => {
+            this.log('feature', 'merged', {
+                entityType: 'feature',
+                entityId: featureId,
+                layerId: layerId,
+                layerName: layerName,
+                featureIds: featureIds,
+                featureNames: featureNames
+            });
+        });
+
         // Group events
         eventBus.on('group.created', ({ groupId, groupName }) => {
             this.log('group', 'created', {
@@ -483,12 +531,15 @@ class ActivityLog {
             layer: {
                 created: `Created layer <strong>${name}</strong>`,
                 deleted: `Deleted layer <strong>${name}</strong>`,
-                renamed: `Renamed layer from <strong>${details.oldName}</strong> to <strong>${details.newName}</strong>`
+                renamed: `Renamed layer from <strong>${details.oldName}</strong> to <strong>${details.newName}</strong>`,
+                spatialJoined: `Joined ${(details.attributes || []).join(', ')} from <strong>${details.polygonLayerName}</strong> onto ${details.updated} point(s) in <strong>${name}</strong>`
             },
             feature: {
                 created: `Added ${details.count} feature(s) to <strong>${name}</strong>`,
                 deleted: `Deleted feature from <strong>${details.layerName}</strong>`,
-                updated: `Updated feature in <strong>${details.layerName}</strong>`
+                updated: `Updated feature in <strong>${details.layerName}</strong>`,
+                split: `Split <strong>${name}</strong> in <strong>${details.layerName}</strong> into two features`,
+                merged: `Merged ${(details.featureNames || []).join(', ')} into one feature in <strong>${details.layerName}</strong>`
             },
             group: {
                 created: `Created group <strong>${name}</strong>`,
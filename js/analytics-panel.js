@@ -100,7 +100,7 @@ class AnalyticsPanel {
                 layer.features.forEach(feature => {
                     if (feature.latitude !== undefined && feature.longitude !== undefined) {
                         totalPoints++;
-                    } else if (feature.wkt) {
+                    } else if (feature.wkt && !Utils.isMeasurementFeature(feature)) {
                         totalPolygons++;
                     }
                 });
@@ -109,7 +109,7 @@ class AnalyticsPanel {
             // Calculate total area for all polygon features in this group
             let totalArea = 0;
             layersWithPolygons.forEach(layer => {
-                totalArea += Utils.calculateTotalArea(layer.features);
+                totalArea += Utils.calculateTotalArea(this.getTerritoryFeatures(layer));
             });
 
             // Calculate point-in-polygon coverage for this group
@@ -154,7 +154,7 @@ class AnalyticsPanel {
             layer.features.forEach(feature => {
                 if (feature.latitude !== undefined && feature.longitude !== undefined) {
                     totalPoints++;
-                } else if (feature.wkt) {
+                } else if (feature.wkt && !Utils.isMeasurementFeature(feature)) {
                     totalPolygons++;
                 }
             });
@@ -163,7 +163,7 @@ class AnalyticsPanel {
         // Calculate total area for all polygon features
         let totalArea = 0;
         layersWithPolygons.forEach(layer => {
-            totalArea += Utils.calculateTotalArea(layer.features);
+            totalArea += Utils.calculateTotalArea(this.getTerritoryFeatures(layer));
         });
 
         // Calculate point-in-polygon coverage
@@ -211,14 +211,15 @@ class AnalyticsPanel {
 
             // Calculate area for polygon and mixed layers
             if (layer.type === 'polygon' || layer.type === 'mixed') {
-                area = Utils.calculateTotalArea(layer.features);
+                const territories = this.getTerritoryFeatures(layer);
+                area = Utils.calculateTotalArea(territories);
                 // Count only polygon features for average calculation
-                polygonCount = layer.features.filter(f => f.wkt).length;
+                polygonCount = territories.filter(f => f.wkt).length;
                 avgArea = polygonCount > 0 ? area / polygonCount : 0;
             }
 
             // Calculate property statistics
-            const propertyStats = this.calculatePropertyStats(layer.features);
+            const propertyStats = this.calculatePropertyStats(layer.features, layer.metadata?.schema);
 
             return {
                 id: layer.id,
@@ -251,8 +252,25 @@ class AnalyticsPanel {
         const revenueKeys = ['revenue', 'sales', 'amount', 'value', 'total'];
         let revenueKey = null;
 
-        // Find if any features have revenue data
+        // Prefer a typed column from an import schema: "revenue" first, then any currency column
+        const numericTypes = ['integer', 'decimal', 'currency'];
         for (const layer of layers) {
+            const schema = layer.metadata?.schema;
+            if (!schema) continue;
+
+            const foundKey = numericTypes.includes(schema.revenue)
+                ? 'revenue'
+                : Object.keys(schema).find(key => schema[key] === 'currency');
+            if (foundKey) {
+                revenueKey = foundKey;
+                metrics.hasRevenueData = true;
+                break;
+            }
+        }
+
+        // Otherwise find if any features have revenue data
+        for (const layer of layers) {
+            if (revenueKey) break;
             for (const feature of layer.features) {
                 if (feature.properties) {
                     const foundKey = Object.keys(feature.properties).find(key =>
@@ -277,8 +295,9 @@ class AnalyticsPanel {
             layers.forEach(layer => {
                 let layerRevenue = 0;
                 layer.features.forEach(feature => {
-                    if (feature.properties && feature.properties[revenueKey]) {
-                        const value = parseFloat(feature.properties[revenueKey]);
+                    const rawValue = this.getPropertyValue(feature, revenueKey);
+                    if (rawValue) {
+                        const value = parseFloat(rawValue);
                         if (!isNaN(value)) {
                             totalRevenue += value;
                             layerRevenue += value;
@@ -308,120 +327,68 @@ class AnalyticsPanel {
         return metrics;
     }
 
+    /**
+     * Get a layer's features without saved measurements (radius circles and distance lines)
+     * @param {Object} layer - Layer
+     * @returns {Array} Features
+     */
+    getTerritoryFeatures(layer) {
+        return layer.features.filter(feature => !Utils.isMeasurementFeature(feature));
+    }
+
     /**
      * Calculate which points fall within which polygon territories
+     * Uses the shared spatial index, so each point is only tested against
+     * the polygons whose bounding box contains it.
      * @param {Array} layers - All layers
      * @returns {Map} Map of polygon feature ID to array of points within it
      */
     calculatePointsInPolygons(layers) {
-        console.log('🔍 calculatePointsInPolygons: start');
-        console.log('   wellknown library available?', typeof wellknown !== 'undefined');
-        console.log('   google.maps.geometry available?', !!(google && google.maps && google.maps.geometry));
-
-        // Get all polygon features and all point features
         const polygonLayers = layers.filter(l => l.type === 'polygon' || l.type === 'mixed');
         const pointLayers = layers.filter(l => l.type === 'point' || l.type === 'mixed');
 
-        console.log('   Polygon layers:', polygonLayers.length, polygonLayers.map(l => l.name));
-        console.log('   Point layers:', pointLayers.length, pointLayers.map(l => l.name));
-
-        // Check if first polygon feature has geometry
-        if (polygonLayers.length > 0 && polygonLayers[0].features.length > 0) {
-            const sampleFeature = polygonLayers[0].features[0];
-            console.log('   Sample polygon feature:', {
-                id: sampleFeature.id,
-                hasGeometry: !!sampleFeature.geometry,
-                hasWkt: !!sampleFeature.wkt,
-                wktSample: sampleFeature.wkt ? sampleFeature.wkt.substring(0, 50) : null
-            });
-        }
-
         const pointsInPolygons = new Map();
 
-        // Collect all point features with their coordinates
-        const allPoints = [];
-        pointLayers.forEach(layer => {
-            layer.features.forEach(feature => {
-                if (feature.latitude !== undefined && feature.longitude !== undefined) {
-                    allPoints.push({
-                        lat: parseFloat(feature.latitude),
-                        lng: parseFloat(feature.longitude),
-                        feature: feature,
-                        layerName: layer.name
-                    });
-                }
+        // One entry per valid polygon, in layer order
+        const polygonIndexes = polygonLayers.map(layer => {
+            const index = spatialIndex.getTerritoryIndex(layer);
+            index.entries.forEach(entry => {
+                pointsInPolygons.set(`${layer.id}_${entry.feature.id}`, {
+                    polygonFeature: entry.feature,
+                    layerName: layer.name,
+                    points: [],
+                    area: Utils.calculatePolygonsArea(entry.polygons),
+                    density: 0
+                });
             });
+            return { layer, index };
         });
 
-        console.log('   Total points collected:', allPoints.length);
-
-        // For each polygon, check which points fall within it
-        let polygonCount = 0;
-        polygonLayers.forEach(layer => {
+        let pointCount = 0;
+        pointLayers.forEach(layer => {
             layer.features.forEach(feature => {
-                // Skip if not a polygon feature
-                if (!feature.wkt) {
-                    console.log('   ⚠️ Feature missing wkt:', feature.id, feature.name);
-                    return;
-                }
-
-                // Parse WKT to get polygon coordinates
-                const geometry = feature.geometry || this.parseFeatureGeometry(feature);
-                if (!geometry) {
-                    console.log('   ⚠️ Geometry is null for:', feature.id, feature.name);
-                    return;
-                }
-                if (!geometry.coordinates) {
-                    console.log('   ⚠️ Geometry missing coordinates for:', feature.id, feature.name, 'geometry:', geometry);
-                    return;
-                }
-
-                const polygonCoords = geometry.coordinates[0];
-                if (!polygonCoords || polygonCoords.length < 3) {
-                    console.log('   ⚠️ Invalid polygon coords for:', feature.id, feature.name);
-                    return;
-                }
-
-                polygonCount++;
+                const location = SpatialGeometry.getPoint(feature);
+                if (!location) return;
 
-                // Convert to Google Maps Polygon for containment checking
-                const polygonPath = polygonCoords.map(coord => ({
-                    lat: coord[1],
-                    lng: coord[0]
-                }));
+                pointCount++;
+                const point = { lat: location.lat, lng: location.lng, feature: feature, layerName: layer.name };
 
-                // Create a Google Maps Polygon object
-                const polygon = new google.maps.Polygon({ paths: polygonPath });
-
-                // Check each point
-                const pointsInThisPolygon = [];
-                allPoints.forEach(point => {
-                    const latLng = new google.maps.LatLng(point.lat, point.lng);
-                    if (google.maps.geometry.poly.containsLocation(latLng, polygon)) {
-                        pointsInThisPolygon.push(point);
-                    }
-                });
-
-                // Store results
-                const featureKey = `${layer.id}_${feature.id}`;
-                pointsInPolygons.set(featureKey, {
-                    polygonFeature: feature,
-                    layerName: layer.name,
-                    points: pointsInThisPolygon,
-                    area: Utils.calculatePolygonArea(feature),
-                    density: 0
+                polygonIndexes.forEach(({ layer: polygonLayer, index }) => {
+                    index.search(point.lat, point.lng).forEach(entry => {
+                        pointsInPolygons.get(`${polygonLayer.id}_${entry.feature.id}`).points.push(point);
+                    });
                 });
-
-                // Calculate density
-                const data = pointsInPolygons.get(featureKey);
-                if (data.area > 0) {
-                    data.density = (data.points.length / (data.area / 2589988.11)); // points per sq mi
-                }
             });
         });
 
-        console.log('   Processed polygons:', polygonCount);
-        console.log('   Total territories in map:', pointsInPolygons.size);
+        // Calculate density
+        pointsInPolygons.forEach(data => {
+            if (data.area > 0) {
+                data.density = (data.points.length / (data.area / 2589988.11)); // points per sq mi
+            }
+        });
+
+        console.log(`calculatePointsInPolygons: ${pointCount} points, ${pointsInPolygons.size} territories`);
 
         return pointsInPolygons;
     }
@@ -562,16 +529,26 @@ class AnalyticsPanel {
         return metrics;
     }
 
+    /**
+     * Read a property from a feature
+     * Imported features keep their properties at the top level; older ones nest them.
+     */
+    getPropertyValue(feature, key) {
+        return feature.properties ? feature.properties[key] : feature[key];
+    }
+
     /**
      * Calculate statistics for feature properties
+     * With a schema (layer.metadata.schema), only integer/decimal/currency columns
+     * get numeric stats, so IDs and ZIP codes are treated as categories.
      */
-    calculatePropertyStats(features) {
+    calculatePropertyStats(features, schema = null) {
         const stats = {};
 
         if (features.length === 0) return stats;
 
         // Get all property keys
-        const propertyKeys = new Set();
+        const propertyKeys = new Set(schema ? Object.keys(schema) : []);
         features.forEach(f => {
             if (f.properties) {
                 Object.keys(f.properties).forEach(key => propertyKeys.add(key));
@@ -581,13 +558,29 @@ class AnalyticsPanel {
         // Calculate stats for each numeric property
         propertyKeys.forEach(key => {
             const values = features
-                .map(f => f.properties?.[key])
+                .map(f => this.getPropertyValue(f, key))
                 .filter(v => v !== null && v !== undefined && v !== '');
 
             if (values.length === 0) return;
 
-            // Check if numeric
-            const numericValues = values.filter(v => !isNaN(parseFloat(v))).map(v => parseFloat(v));
+            const type = schema ? schema[key] : null;
+
+            if (type === 'date') {
+                const sortedDates = values.map(v => String(v)).sort();
+                stats[key] = {
+                    type: 'date',
+                    count: values.length,
+                    min: sortedDates[0],
+                    max: sortedDates[sortedDates.length - 1]
+                };
+                return;
+            }
+
+            // Check if numeric (the schema decides when there is one)
+            const isNumericType = type ? ['integer', 'decimal', 'currency'].includes(type) : true;
+            const numericValues = isNumericType
+                ? values.filter(v => !isNaN(parseFloat(v))).map(v => parseFloat(v))
+                : [];
 
             if (numericValues.length > 0) {
                 const sum = numericValues.reduce((a, b) => a + b, 0);
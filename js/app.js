@@ -13,10 +13,24 @@ let analyticsPanel; // v3.0: Analytics dashboard
 let distanceTool; // v3.0: Distance measurement
 let activityLog; // v3.0 Phase 3: Activity tracking
 let notificationCenter; // v3.0 Phase 3: Notification system
+let geocodeReviewPanel; // Low-confidence geocode review
+let topologyChecker; // Territory overlap and gap check
+let polygonSnapper; // Vertex / edge snapping while drawing and editing
 
 // Global state for UI interactions
 let currentLayerForActions = null;  // Currently selected layer for context menu actions
 let currentCSVData = null;          // Currently loaded CSV data for import workflow
+let currentExportTarget = null;     // Layer or group being exported ({ type, id })
+let currentUpsert = null;           // Pending upsert import ({ layerId, features, fileName, plan })
+let currentSpatialJoinPlan = null;  // Previewed spatial join (see LayerManager.planSpatialJoin)
+let currentDissolveLayerId = null;  // Polygon layer being dissolved by field
+let currentSplit = null;            // Polygon being split ({ layerId, featureId, line })
+let currentMergeLayerId = null;     // Layer whose polygons are being merged
+let currentBufferLayerId = null;    // Layer whose features are being buffered
+let currentMeasurementFeature = null; // Measurement feature awaiting a target layer
+let currentExcelImport = null;      // Multi-sheet workbook awaiting sheet selection
+let currentFieldMapping = null;     // Tabular import awaiting column mapping ({ parsed, sourceName, options, signature })
+let currentGeocodingJobId = null;   // Geocoding job shown in the progress dialog
 let realtimeListenerEnabled = false; // Firebase real-time sync status
 // allLayersGroupId is stored in stateManager.get('allLayersGroupId')
 
@@ -208,6 +222,7 @@ async function initializeApp() {
 
         // v3.0: Initialize distance measurement tool
         distanceTool = new DistanceTool(mapManager);
+        distanceTool.setOnSaveToLayer(showMeasurementLayerModal);
         console.log('Distance Tool initialized (v3.0)');
 
         // v3.0 Phase 3: Initialize activity log
@@ -220,6 +235,17 @@ async function initializeApp() {
         notificationCenter.initialize();
         console.log('Notification Center initialized (v3.0 Phase 3)');
 
+        geocodeReviewPanel = new GeocodeReviewPanel(layerManager, mapManager, stateManager);
+        geocodeReviewPanel.initialize();
+
+        topologyChecker = new TopologyChecker(layerManager, mapManager);
+        topologyChecker.initialize();
+
+        polygonSnapper = new PolygonSnapper(layerManager, mapManager);
+        polygonSnapper.initialize();
+        mapManager.setSnapper(polygonSnapper);
+        syncSnappingToggles();
+
         // Setup map callbacks for feature selection and drawing
         setupMapCallbacks();
 
@@ -257,6 +283,9 @@ async function initializeApp() {
         loadingManager.hide();
 
         toastManager.success('Application ready! Upload a CSV to get started.');
+
+        // Offer to continue geocoding jobs interrupted by a reload
+        resumeInterruptedGeocodingJobs();
     } catch (error) {
         console.error('Error initializing application:', error);
         loadingManager.hide();
@@ -318,6 +347,17 @@ function setupEventBusSubscriptions() {
         updateLayerList(layerManager.getAllLayers());
     });
 
+    // Upsert imports and their undo swap a layer's whole feature list
+    eventBus.on('layer.features.replaced', ({ layerId, count }) => {
+        console.log('Layer features replaced:', layerId, count);
+        const layer = layerManager.getLayer(layerId);
+        if (layer && layer.styleType && layer.styleProperty) {
+            applyPropertyBasedStyle(layer.id, layer.styleProperty, layer.styleType);
+        }
+        updateLayerList(layerManager.getAllLayers());
+        updateLayerGroupList();
+    });
+
     // Layer reordering event
     eventBus.on('layer.reordered', ({ layerId, direction }) => {
         console.log('Layer reordered:', layerId, direction);
@@ -544,6 +584,14 @@ function setupEventListeners() {
         modalManager.show('drawToolsModal');
         closeAllMenus();
     });
+    document.getElementById('showSpatialJoinBtn').addEventListener('click', () => {
+        showSpatialJoinModal();
+        closeAllMenus();
+    });
+    document.getElementById('showTopologyCheckBtn').addEventListener('click', () => {
+        topologyChecker.show();
+        closeAllMenus();
+    });
     document.getElementById('measureDistanceBtn').addEventListener('click', () => {
         if (distanceTool) {
             distanceTool.toggle();
@@ -558,6 +606,7 @@ function setupEventListeners() {
 
     // Menu Item Handlers - Settings Menu
     document.getElementById('showFilterBtn').addEventListener('click', () => {
+        updateFilterWithinSelect();
         modalManager.show('filterModal');
         closeAllMenus();
     });
@@ -574,6 +623,11 @@ function setupEventListeners() {
     });
 
     // v3.0: Distance Measurement Controls
+    document.getElementById('saveMeasurementBtn').addEventListener('click', () => {
+        if (distanceTool) {
+            distanceTool.saveToLayer();
+        }
+    });
     document.getElementById('clearMeasurementBtn').addEventListener('click', () => {
         if (distanceTool) {
             distanceTool.clearCurrent();
@@ -613,6 +667,117 @@ function setupEventListeners() {
     document.getElementById('csvFileInput').addEventListener('change', (e) => {
         document.getElementById('uploadBtn').disabled = e.target.files.length === 0;
     });
+    document.getElementById('updateExistingToggle').addEventListener('change', (e) => {
+        if (e.target.checked) {
+            populateUpdateTargetLayers();
+        }
+        document.getElementById('updateTargetGroup').style.display = e.target.checked ? 'block' : 'none';
+    });
+
+    // Field Mapping Modal
+    document.getElementById('mappingGeometryType').addEventListener('change', () => {
+        updateFieldMappingGeometryFields();
+        renderFieldMappingPreview();
+    });
+    document.querySelectorAll('#fieldMappingModal .mapping-select').forEach(select => {
+        select.addEventListener('change', renderFieldMappingPreview);
+    });
+    // Type selects are rebuilt for every file, so listen on the container
+    document.getElementById('fieldMappingTypes').addEventListener('change', renderFieldMappingPreview);
+    document.getElementById('confirmFieldMappingBtn').addEventListener('click', handleFieldMappingConfirm);
+    document.getElementById('cancelFieldMappingBtn').addEventListener('click', () => {
+        currentFieldMapping = null;
+        csvParser.releaseImportWorker();
+        modalManager.close('fieldMappingModal');
+    });
+    // Closing with the X, the backdrop or Escape drops the import like Cancel
+    eventBus.on('modal.closed', ({ modalId }) => {
+        if (modalId === 'fieldMappingModal' && currentFieldMapping) {
+            currentFieldMapping = null;
+            csvParser.releaseImportWorker();
+        }
+    });
+
+    // Excel Sheet Picker Modal
+    document.getElementById('sheetPickerGroupToggle').addEventListener('change', (e) => {
+        document.getElementById('sheetPickerGroupNameGroup').style.display = e.target.checked ? 'block' : 'none';
+    });
+    document.getElementById('confirmSheetPickerBtn').addEventListener('click', handleSheetPickerConfirm);
+    document.getElementById('cancelSheetPickerBtn').addEventListener('click', () => {
+        currentExcelImport = null;
+        modalManager.close('sheetPickerModal');
+    });
+
+    // Upsert Import Modal
+    document.getElementById('upsertKeyColumn').addEventListener('change', refreshUpsertSummary);
+    document.getElementById('upsertMissingAction').addEventListener('change', refreshUpsertSummary);
+    document.getElementById('confirmUpsertBtn').addEventListener('click', handleUpsertConfirm);
+    document.getElementById('cancelUpsertBtn').addEventListener('click', () => {
+        currentUpsert = null;
+        modalManager.close('upsertModal');
+    });
+
+    // Spatial Join Modal
+    document.getElementById('joinPointLayer').addEventListener('change', refreshSpatialJoinSummary);
+    document.getElementById('joinPolygonLayer').addEventListener('change', () => {
+        renderSpatialJoinAttributes();
+        refreshSpatialJoinSummary();
+    });
+    document.getElementById('joinAttributes').addEventListener('change', refreshSpatialJoinSummary);
+    document.getElementById('joinOverlapAction').addEventListener('change', refreshSpatialJoinSummary);
+    document.getElementById('joinUnmatchedAction').addEventListener('change', refreshSpatialJoinSummary);
+    document.getElementById('confirmSpatialJoinBtn').addEventListener('click', handleSpatialJoinConfirm);
+    document.getElementById('cancelSpatialJoinBtn').addEventListener('click', () => {
+        currentSpatialJoinPlan = null;
+        modalManager.close('spatialJoinModal');
+    });
+
+    // Split Modal
+    document.getElementById('splitAttributeMode').addEventListener('change', refreshSplitSummary);
+    document.getElementById('confirmSplitBtn').addEventListener('click', handleSplitConfirm);
+    document.getElementById('cancelSplitBtn').addEventListener('click', () => {
+        currentSplit = null;
+        modalManager.close('splitModal');
+    });
+
+    // Merge Modal
+    document.getElementById('mergeFilter').addEventListener('input', (e) => filterMergeList(e.target.value));
+    document.getElementById('mergeFeatureList').addEventListener('change', refreshMergeKeepSelect);
+    document.getElementById('confirmMergeBtn').addEventListener('click', handleMergeConfirm);
+    document.getElementById('cancelMergeBtn').addEventListener('click', () => {
+        currentMergeLayerId = null;
+        modalManager.close('mergeModal');
+    });
+
+    // Dissolve Modal
+    document.getElementById('dissolveField').addEventListener('change', refreshDissolveSummary);
+    document.getElementById('confirmDissolveBtn').addEventListener('click', handleDissolveConfirm);
+    document.getElementById('cancelDissolveBtn').addEventListener('click', () => {
+        currentDissolveLayerId = null;
+        modalManager.close('dissolveModal');
+    });
+
+    // Buffer Modal
+    ['bufferScope', 'bufferDistance', 'bufferUnits', 'bufferMode'].forEach(id => {
+        document.getElementById(id).addEventListener('input', refreshBufferSummary);
+    });
+    document.getElementById('bufferFilter').addEventListener('input', (e) => filterBufferList(e.target.value));
+    document.getElementById('bufferFeatureList').addEventListener('change', refreshBufferSummary);
+    document.getElementById('confirmBufferBtn').addEventListener('click', handleBufferConfirm);
+    document.getElementById('cancelBufferBtn').addEventListener('click', () => {
+        currentBufferLayerId = null;
+        modalManager.close('bufferModal');
+    });
+
+    // Save Measurement Modal
+    document.getElementById('measurementTargetLayer').addEventListener('change', (e) => {
+        document.getElementById('measurementNewLayerGroup').style.display = e.target.value ? 'none' : 'block';
+    });
+    document.getElementById('confirmMeasurementSaveBtn').addEventListener('click', handleMeasurementSaveConfirm);
+    document.getElementById('cancelMeasurementSaveBtn').addEventListener('click', () => {
+        currentMeasurementFeature = null;
+        modalManager.close('measurementLayerModal');
+    });
 
     // Address Search
     document.getElementById('searchBtn').addEventListener('click', handleAddressSearch);
@@ -767,6 +932,27 @@ function setupEventListeners() {
     document.getElementById('savePolygonEdit').addEventListener('click', savePolygonShapeEdit);
     document.getElementById('cancelPolygonEdit').addEventListener('click', cancelPolygonShapeEdit);
 
+    // Snapping toggles (Drawing Tools modal and polygon edit controls)
+    ['snapToggle', 'editSnapToggle'].forEach(id => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            polygonSnapper.setEnabled(e.target.checked);
+            syncSnappingToggles();
+        });
+    });
+    ['sharedVerticesToggle', 'editSharedVerticesToggle'].forEach(id => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            polygonSnapper.setSharedVertices(e.target.checked);
+            syncSnappingToggles();
+        });
+    });
+
+    // Point Move Controls
+    document.getElementById('finishPointEdit').addEventListener('click', finishPointMove);
+
+    // Split Line Controls
+    document.getElementById('finishSplitLine').addEventListener('click', () => mapManager.finishLineDraw());
+    document.getElementById('cancelSplitLine').addEventListener('click', cancelPolygonSplit);
+
     // Edit Modal
     document.getElementById('cancelEdit').addEventListener('click', () => modalManager.close('editModal'));
     document.getElementById('deleteFeature').addEventListener('click', handleDeleteFeature);
@@ -774,8 +960,29 @@ function setupEventListeners() {
 
     // Column Mapping Modal
     document.getElementById('columnMapForm').addEventListener('submit', handleColumnMapSubmit);
+    document.getElementById('geocodingProviderSelect').addEventListener('change', (e) => {
+        setWorkspaceGeocodingProvider(e.target.value);
+        updateOfflineLookupControls();
+    });
+    document.getElementById('loadOfflineLookupBtn').addEventListener('click', () => {
+        document.getElementById('offlineLookupInput').click();
+    });
+    document.getElementById('offlineLookupInput').addEventListener('change', handleOfflineLookupFile);
+    document.getElementById('shareGeocodeCacheToggle').addEventListener('change', (e) => {
+        setWorkspaceGeocodeCacheSharing(e.target.checked);
+    });
+    document.getElementById('clearGeocodeCacheBtn').addEventListener('click', handleClearGeocodeCache);
     document.getElementById('cancelMapping').addEventListener('click', () => modalManager.close('columnMapModal'));
 
+    // Geocoding Progress Modal
+    document.getElementById('pauseGeocodingBtn').addEventListener('click', handlePauseGeocoding);
+    document.getElementById('resumeGeocodingBtn').addEventListener('click', () => runGeocodingJob(currentGeocodingJobId));
+    document.getElementById('cancelGeocodingBtn').addEventListener('click', handleCancelGeocoding);
+    document.getElementById('closeGeocodingBtn').addEventListener('click', () => {
+        modalManager.close('geocodingModal');
+        toastManager.info('Geocoding job saved. You can resume it after reloading the app.');
+    });
+
     // Template Controls
     document.getElementById('saveTemplateBtn').addEventListener('click', handleSaveTemplate);
     document.getElementById('loadTemplateBtn').addEventListener('click', handleLoadTemplate);
@@ -793,6 +1000,10 @@ function setupEventListeners() {
         document.getElementById('opacityValue').textContent = e.target.value;
     });
 
+    // Export Modal
+    document.getElementById('confirmExportBtn').addEventListener('click', handleExportConfirm);
+    document.getElementById('cancelExportBtn').addEventListener('click', () => modalManager.close('exportModal'));
+
     // Layer Actions Menu
     document.querySelectorAll('.context-menu-item').forEach(item => {
         item.addEventListener('click', handleLayerAction);
@@ -874,6 +1085,12 @@ function setupEventListeners() {
         }
     });
 
+    document.getElementById('refreshReviewBtn').addEventListener('click', () => {
+        if (geocodeReviewPanel) {
+            geocodeReviewPanel.render();
+        }
+    });
+
     // v3.0: Notification Center Actions
     document.getElementById('notificationBtn').addEventListener('click', () => {
         const panel = document.getElementById('notificationPanel');
@@ -1095,6 +1312,7 @@ function updateLayerGroupList() {
                 <div class="layer-opacity-control">
                     <input type="range" class="group-opacity-slider" min="0" max="100" value="${groupOpacityPercent}" title="Group Opacity: ${groupOpacityPercent}%">
                 </div>
+                <button class="group-action-btn group-export-btn" title="Export Group">📥</button>
                 ${!isAllLayers ? `
                     <button class="group-action-btn group-rename-btn" title="Rename Group">✏️</button>
                     <button class="group-action-btn group-delete-btn" title="Delete Group">🗑️</button>
@@ -1138,6 +1356,12 @@ function updateLayerGroupList() {
             setGroupOpacity(group.id, newOpacity);
         });
 
+        // Export group button
+        groupItem.querySelector('.group-export-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showExportModal({ type: 'group', id: group.id });
+        });
+
         // Rename group button
         if (!isAllLayers) {
             const renameBtn = groupItem.querySelector('.group-rename-btn');
@@ -1458,6 +1682,11 @@ function switchTab(tabName) {
     if (tabName === 'activity' && activityLog) {
         activityLog.render();
     }
+
+    // Render geocode review if switching to review tab
+    if (tabName === 'review' && geocodeReviewPanel) {
+        geocodeReviewPanel.render();
+    }
 }
 
 /**
@@ -1686,6 +1915,156 @@ function handleDrawingComplete(drawingData) {
     layerManager.addFeaturesToLayer(targetLayerId, [feature], featureType);
 
     toastManager.success(`Feature "${name}" added to "${layer.name}"`);
+
+    // Look up the street, city, state, ZIP and county of the new point
+    if (featureType === 'point') {
+        fillAddressFromLocation(targetLayerId, featureId);
+    }
+}
+
+/**
+ * Fill a point's address fields from its location (reverse geocoding)
+ * @param {string} layerId - Layer ID
+ * @param {string} featureId - Feature ID
+ * @param {boolean} replace - Replace all address fields (moved points) instead of filling empty ones
+ */
+async function fillAddressFromLocation(layerId, featureId, replace = false) {
+    const findFeature = () => {
+        const layer = layerManager.getLayer(layerId);
+        return layer && layer.features.find(f => f.id === featureId);
+    };
+    const feature = findFeature();
+    if (!feature) return;
+
+    const { latitude, longitude } = feature;
+    const result = await geocodingService.reverseGeocode(latitude, longitude);
+
+    // The point may have been moved (or deleted) again while this lookup was running;
+    // the lookup for its new location fills the address instead
+    const current = findFeature();
+    if (!current || current.latitude !== latitude || current.longitude !== longitude) return;
+
+    if (!result.success) {
+        console.warn('Reverse geocoding failed:', result.error);
+        toastManager.warning(`Could not look up the address: ${result.error}`);
+        return;
+    }
+
+    const layer = layerManager.getLayer(layerId);
+    const fields = geocodingService.getAddressFields(layer.metadata && layer.metadata.columnMapping);
+    const properties = geocodingService.buildAddressProperties(result, fields, replace ? null : current);
+    if (Object.keys(properties).length === 0) return;
+
+    layerManager.updateFeature(layerId, featureId, properties);
+    if (result.formattedAddress) {
+        toastManager.info(`Address: ${result.formattedAddress}`);
+    }
+}
+
+/**
+ * Start moving a point by dragging its pin
+ * @param {string} layerId - Layer ID
+ * @param {Object} feature - Point feature
+ */
+function startPointMove(layerId, feature) {
+    if (mapManager.isEditingPolygon()) {
+        toastManager.warning('Already editing a polygon. Please save or cancel first.');
+        return;
+    }
+
+    mapManager.startPointEdit(
+        layerId,
+        feature.id,
+        { lat: parseFloat(feature.latitude), lng: parseFloat(feature.longitude) },
+        (lat, lng) => handlePointMoved(layerId, feature.id, lat, lng)
+    );
+
+    const controls = document.getElementById('pointEditControls');
+    controls.querySelector('.edit-label').textContent = `Moving: ${feature.name || feature.Name || 'Point'}`;
+    controls.style.display = 'flex';
+
+    toastManager.show('Drag the pin to the new location. Click Done when finished.', 'info');
+}
+
+/**
+ * Handle a point dropped at a new location
+ * @param {string} layerId - Layer ID
+ * @param {string} featureId - Feature ID
+ * @param {number} lat - New latitude
+ * @param {number} lng - New longitude
+ */
+function handlePointMoved(layerId, featureId, lat, lng) {
+    const layer = layerManager.getLayer(layerId);
+    const feature = layer && layer.features.find(f => f.id === featureId);
+    if (!feature) return;
+
+    // A geocoded point placed by hand is no longer the provider's match
+    const extraProperties = feature.geocodeConfidence !== undefined ? { geocodeLocationType: 'MANUAL' } : {};
+    layerManager.setFeatureLocation(layerId, featureId, lat, lng, extraProperties);
+
+    fillAddressFromLocation(layerId, featureId, true);
+}
+
+/**
+ * Finish moving a point
+ */
+function finishPointMove() {
+    mapManager.stopPointEdit();
+    document.getElementById('pointEditControls').style.display = 'none';
+}
+
+/**
+ * Fill empty address fields of a point layer from each point's location
+ * @param {string} layerId - Layer ID
+ */
+async function handleFillMissingAddresses(layerId) {
+    const layer = layerManager.getLayer(layerId);
+    if (!layer) return;
+
+    const fields = geocodingService.getAddressFields(layer.metadata && layer.metadata.columnMapping);
+    const points = layer.features.filter(f => f.latitude !== undefined && f.longitude !== undefined);
+    const missingCount = points.filter(f => geocodingService.hasMissingAddressFields(f, fields)).length;
+
+    if (points.length === 0) {
+        toastManager.warning('This layer has no points');
+        return;
+    }
+    if (missingCount === 0) {
+        toastManager.info('All points already have their address fields filled');
+        return;
+    }
+
+    const provider = geocodingService.getProvider();
+    if (!confirm(`Look up the address of ${missingCount} point(s) in "${layer.name}" with ${provider.name}?\nOnly empty address fields (${Object.values(fields).join(', ')}) are filled.`)) {
+        return;
+    }
+
+    loadingManager.show('Looking up addresses...');
+
+    try {
+        const updates = await geocodingService.fillMissingAddressFields(points, fields, (progress) => {
+            loadingManager.setProgress(
+                (progress.current / progress.total) * 100,
+                `Looking up addresses: ${progress.current} of ${progress.total}`
+            );
+        });
+
+        // Apply all updates at once so the layer is re-rendered (and saved) a single time
+        const updatesById = new Map(updates.map(update => [update.featureId, update.properties]));
+        const features = layer.features.map(f => updatesById.has(f.id) ? { ...f, ...updatesById.get(f.id) } : f);
+        if (updates.length > 0) {
+            layerManager.setLayerFeatures(layerId, features);
+        }
+
+        loadingManager.hideProgress();
+        loadingManager.hide();
+        toastManager.success(`Filled address fields for ${updates.length} of ${missingCount} point(s)`);
+    } catch (error) {
+        console.error('Error filling addresses:', error);
+        loadingManager.hideProgress();
+        loadingManager.hide();
+        toastManager.error('Error filling addresses: ' + error.message);
+    }
 }
 
 /**
@@ -1712,10 +2091,29 @@ async function handleCSVUpload() {
         return;
     }
 
+    // "Update existing layer" merges a single file into the chosen layer
+    const updateExisting = document.getElementById('updateExistingToggle').checked;
+    const upsertLayerId = updateExisting ? document.getElementById('updateTargetLayer').value : null;
+    if (updateExisting) {
+        if (!upsertLayerId) {
+            toastManager.warning('Please choose a layer to update');
+            return;
+        }
+        if (files.length > 1) {
+            toastManager.warning('Select a single file to update an existing layer');
+            return;
+        }
+
+        // Layer list goes stale once the modal closes; re-pick next time
+        document.getElementById('updateExistingToggle').checked = false;
+        document.getElementById('updateTargetGroup').style.display = 'none';
+    }
+
     modalManager.close('uploadModal');
 
     let successCount = 0;
     let errorCount = 0;
+    let cancelled = false;
 
     // Process each file
     for (let i = 0; i < files.length; i++) {
@@ -1724,11 +2122,64 @@ async function handleCSVUpload() {
 
         loadingManager.show(`Parsing ${file.name}${fileNum}...`);
 
+        // CSVs stop parsing when cancelled; other formats are discarded once parsed
+        const importController = new AbortController();
+        loadingManager.showCancel(() => importController.abort());
+
         try {
-            const parsed = await csvParser.parseFile(file);
+            let parsed = await csvParser.parseFile(file, {
+                signal: importController.signal,
+                onProgress: (progress) => {
+                    const phase = progress.phase === 'parsing' ? 'Parsing' : 'Processing';
+                    loadingManager.setProgress(
+                        progress.percent,
+                        `${phase} ${file.name}${fileNum}... ${Utils.formatNumber(progress.rowCount)} rows`
+                    );
+                }
+            });
+            loadingManager.hideCancel();
+            loadingManager.hideProgress();
             console.log(`File parsed: ${file.name}`, parsed);
 
+            // Workbooks with several sheets of data: let the user pick sheets
+            if (parsed.needsSheetSelection) {
+                if (files.length === 1) {
+                    loadingManager.hide();
+                    showSheetPickerModal(parsed, file.name, upsertLayerId);
+                    fileInput.value = '';
+                    document.getElementById('uploadBtn').disabled = true;
+                    return;
+                }
+
+                // Multi-file - import every sheet as its own layer
+                const sheetResult = importExcelSheets(parsed.workbook, parsed.sheets.map(sheet => sheet.name), file.name);
+                reportSheetImport(sheetResult, file.name);
+                if (sheetResult.imported > 0) {
+                    successCount++;
+                } else {
+                    errorCount++;
+                }
+                continue;
+            }
+
+            if (parsed.tabular) {
+                // Single CSV/Excel files go through the column mapping step
+                if (files.length === 1) {
+                    loadingManager.hide();
+                    showFieldMappingModal(parsed, file.name, { upsertLayerId });
+                    fileInput.value = '';
+                    document.getElementById('uploadBtn').disabled = true;
+                    return;
+                }
+
+                // Multi-file - reuse a saved mapping when the headers match one
+                parsed = applySavedFieldMapping(parsed);
+            }
+
             if (parsed.needsGeocoding) {
+                // Geocoding works from the rows on the main thread; the parse worker isn't needed
+                csvParser.releaseImportWorker();
+
                 // For multi-file uploads with geocoding needed, pause and ask user
                 if (files.length > 1) {
                     loadingManager.hide();
@@ -1749,6 +2200,7 @@ async function handleCSVUpload() {
                     loadingManager.hide();
                     currentCSVData = parsed;
                     currentCSVData.fileName = file.name;
+                    currentCSVData.upsertLayerId = upsertLayerId;
                     const detectedMapping = geocodingService.detectAddressColumns(parsed.originalColumns);
                     showColumnMapModal(parsed.originalColumns, detectedMapping);
                     fileInput.value = '';
@@ -1760,9 +2212,11 @@ async function handleCSVUpload() {
             // Validate data before creating layer
             loadingManager.show(`Validating ${file.name}${fileNum}...`);
 
-            // Get raw data from the parsed result
+            // Worker-parsed CSVs arrive with validation already done
             const rawData = parsed.rawData || parsed.features;
-            const validation = csvParser.validateData(rawData, parsed.columnMap, parsed.type);
+            const validation = parsed.validation || csvParser.validateData(rawData, parsed.columnMap, parsed.type);
+            validation.columnTypes = parsed.columnTypes || null;
+            validation.schema = parsed.schema || null;
 
             console.log(`Validation results for ${file.name}:`, validation);
 
@@ -1772,6 +2226,7 @@ async function handleCSVUpload() {
                 if (files.length === 1) {
                     // Single file - show validation modal and let user decide
                     loadingManager.hide();
+                    validation.upsertLayerId = upsertLayerId;
                     showValidationResults(validation, file.name);
                     fileInput.value = '';
                     document.getElementById('uploadBtn').disabled = true;
@@ -1788,13 +2243,23 @@ async function handleCSVUpload() {
                     parsed.features = csvParser.extractFeatures(
                         validation.validRows,
                         validation.columnMap,
-                        validation.dataType
+                        validation.dataType,
+                        validation.columnTypes
                     );
                 }
             }
 
+            // Merge into the chosen layer instead of creating a new one
+            if (upsertLayerId) {
+                loadingManager.hide();
+                showUpsertModal(upsertLayerId, parsed.features, file.name);
+                fileInput.value = '';
+                document.getElementById('uploadBtn').disabled = true;
+                return;
+            }
+
             // Auto-generate layer name from file name
-            const defaultName = file.name.replace(/\.(csv|xlsx|xls)$/i, '');
+            const defaultName = file.name.replace(/\.(csv|xlsx|xls|geojson|json|kml|kmz|zip)$/i, '');
             const layerName = files.length === 1
                 ? (prompt('Enter layer name:', defaultName) || defaultName)
                 : defaultName; // Auto-name for multi-file uploads
@@ -1809,9 +2274,15 @@ async function handleCSVUpload() {
             const layerId = layerManager.createLayer(layerName, parsed.features, parsed.type, {
                 sourceFile: file.name,
                 columnMap: parsed.columnMap,
+                schema: parsed.schema,
                 importDate: new Date().toISOString()
             });
 
+            // KML styles carry a color; use it instead of the next palette color
+            if (parsed.layerColor) {
+                applySingleColorStyle(layerId, parsed.layerColor);
+            }
+
             // Always add to "All Layers" group
             addLayerToGroup(layerId, stateManager.get('allLayersGroupId'));
 
@@ -1824,6 +2295,12 @@ async function handleCSVUpload() {
             successCount++;
             console.log(`Layer "${layerName}" created from ${file.name}`);
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log(`Import of ${file.name} cancelled`);
+                cancelled = true;
+                break;
+            }
+
             console.error(`Error parsing ${file.name}:`, error);
             errorCount++;
 
@@ -1843,10 +2320,16 @@ async function handleCSVUpload() {
         }
     }
 
+    // Files imported without the column mapping step don't need their parse worker
+    csvParser.releaseImportWorker();
     loadingManager.hide();
 
     // Show summary for multi-file uploads
-    if (files.length > 1) {
+    if (cancelled) {
+        toastManager.info(successCount > 0
+            ? `Import cancelled. ${successCount} file(s) imported before cancelling.`
+            : 'Import cancelled');
+    } else if (files.length > 1) {
         if (successCount > 0 && errorCount > 0) {
             toastManager.warning(`Imported ${successCount} file(s). ${errorCount} file(s) failed.`);
         } else if (successCount > 0) {
@@ -1864,120 +2347,1283 @@ async function handleCSVUpload() {
 }
 
 /**
- * Switch import tab
+ * Show the column mapping step for a CSV/Excel/pasted import
+ * A saved mapping for the same header signature is pre-applied.
+ * @param {Object} parsed - Parsed tabular data (see CSVParser.processData)
+ * @param {string} sourceName - File, sheet or paste name shown to the user
+ * @param {Object} options - Passed on to finishTabularImport ({ upsertLayerId, groupName, sourceFile, onLayerCreated })
  */
-function switchImportTab(tabName) {
-    // Update tab buttons
-    document.querySelectorAll('.import-tab').forEach(tab => {
-        if (tab.dataset.tab === tabName) {
-            tab.classList.add('active');
+function showFieldMappingModal(parsed, sourceName, options = {}) {
+    const columns = parsed.originalColumns.filter(col => col && String(col).trim() !== '');
+    const signature = csvParser.getHeaderSignature(columns);
+    const template = getFieldMappingTemplates()[signature];
+
+    let columnMap = parsed.columnMap;
+    let dataType = parsed.type;
+    let columnTypes = parsed.columnTypes || {};
+    if (template) {
+        columnMap = { ...parsed.columnMap, ...resolveFieldMappingTemplate(template, columns) };
+        dataType = template.dataType;
+        columnTypes = { ...columnTypes, ...resolveFieldMappingTypes(template, columns) };
+    }
+
+    currentFieldMapping = { parsed, sourceName, options, signature };
+
+    document.querySelectorAll('#fieldMappingModal .mapping-select').forEach(select => {
+        select.innerHTML = '<option value="">-- None --</option>' + columns
+            .map(col => `<option value="${Utils.escapeXml(col)}">${Utils.escapeXml(col)}</option>`)
+            .join('');
+        select.value = columnMap[select.dataset.role] || '';
+    });
+
+    document.getElementById('fieldMappingTypes').innerHTML = columns.map((col, index) => `
+        <div class="form-group">
+            <label for="columnType${index}" title="${Utils.escapeXml(col)}">${Utils.escapeXml(col)}</label>
+            <select id="columnType${index}" class="form-select column-type-select" data-column="${Utils.escapeXml(col)}">
+                ${csvParser.columnTypes.map(type => `
+                    <option value="${type}" ${columnTypes[col] === type ? 'selected' : ''}>${type.charAt(0).toUpperCase() + type.slice(1)}</option>
+                `).join('')}
+            </select>
+        </div>
+    `).join('');
+
+    document.getElementById('mappingGeometryType').value = dataType;
+    document.getElementById('mappingRememberToggle').checked = true;
+    document.getElementById('fieldMappingInfo').textContent =
+        `${sourceName}: ${Utils.formatNumber(parsed.rowCount)} rows, ${columns.length} columns. ` +
+        (parsed.importProfile ? `Recognized as a ${parsed.importProfile} export. ` : '') +
+        (template
+            ? 'A saved mapping for these columns was applied.'
+            : 'Check the detected columns and change any that are wrong.');
+
+    updateFieldMappingGeometryFields();
+    renderFieldMappingPreview();
+    modalManager.show('fieldMappingModal');
+}
+
+/**
+ * Show only the geometry column selects the chosen geometry needs
+ */
+function updateFieldMappingGeometryFields() {
+    const dataType = document.getElementById('mappingGeometryType').value;
+    document.getElementById('mappingWktGroup').style.display = dataType === 'polygon' ? 'block' : 'none';
+    document.getElementById('mappingLatitudeGroup').style.display = dataType === 'point' ? 'block' : 'none';
+    document.getElementById('mappingLongitudeGroup').style.display = dataType === 'point' ? 'block' : 'none';
+}
+
+/**
+ * Read the column mapping form
+ * Detected roles the form doesn't show (zip, county, etc.) are kept.
+ * @returns {Object} { columnMap, dataType, columnTypes }
+ */
+function readFieldMappingForm() {
+    const columnMap = { ...currentFieldMapping.parsed.columnMap };
+
+    document.querySelectorAll('#fieldMappingModal .mapping-select').forEach(select => {
+        if (select.value) {
+            columnMap[select.dataset.role] = select.value;
         } else {
-            tab.classList.remove('active');
+            delete columnMap[select.dataset.role];
         }
     });
 
-    // Update tab content
-    document.querySelectorAll('.import-tab-content').forEach(content => {
-        content.classList.remove('active');
+    const columnTypes = {};
+    document.querySelectorAll('#fieldMappingTypes .column-type-select').forEach(select => {
+        columnTypes[select.dataset.column] = select.value;
     });
 
-    if (tabName === 'file') {
-        document.getElementById('fileTab').classList.add('active');
-    } else if (tabName === 'paste') {
-        document.getElementById('pasteTab').classList.add('active');
-    }
+    return {
+        columnMap,
+        dataType: document.getElementById('mappingGeometryType').value,
+        columnTypes
+    };
 }
 
 /**
- * Handle paste import
+ * Show the first rows of the mapped columns
  */
-async function handlePasteImport() {
-    const pasteInput = document.getElementById('pasteInput');
-    const pastedData = pasteInput.value.trim();
+function renderFieldMappingPreview() {
+    if (!currentFieldMapping) return;
 
-    if (!pastedData) {
-        toastManager.warning('Please paste some data first');
+    const preview = document.getElementById('fieldMappingPreview');
+    const { columnMap, dataType, columnTypes } = readFieldMappingForm();
+    const geometryRoles = { polygon: ['wkt'], point: ['latitude', 'longitude'], address: [] }[dataType] || [];
+    const selects = Array.from(document.querySelectorAll('#fieldMappingModal .mapping-select'))
+        .filter(select => select.value && (geometryRoles.includes(select.dataset.role) || csvParser.attributeRoles.includes(select.dataset.role)));
+
+    if (selects.length === 0) {
+        preview.innerHTML = '<p class="empty-state">No columns mapped yet</p>';
         return;
     }
 
-    modalManager.close('uploadModal');
-    loadingManager.show('Parsing pasted data...');
-
-    try {
-        // Parse pasted data using PapaParse
-        const parsed = await new Promise((resolve, reject) => {
-            Papa.parse(pastedData, {
-                header: true,
-                skipEmptyLines: true,
-                dynamicTyping: true,
-                delimiter: '', // Auto-detect delimiter (tab or comma)
-                complete: (results) => {
-                    try {
-                        const processedData = csvParser.processData(results.data, results.meta.fields);
-                        resolve(processedData);
-                    } catch (error) {
-                        reject(error);
-                    }
-                },
-                error: (error) => {
-                    reject(error);
-                }
-            });
-        });
+    const sampleRows = currentFieldMapping.parsed.rawData.slice(0, 5);
+    const headers = selects.map(select => {
+        const label = document.querySelector(`label[for="${select.id}"]`).textContent.replace(':', '');
+        return `<th>${label}<br><small>${Utils.escapeXml(columnMap[select.dataset.role])}</small></th>`;
+    });
+    const rows = sampleRows.map(row => `
+        <tr>${selects.map(select => {
+            // Show values the way they will be stored
+            const column = columnMap[select.dataset.role];
+            const value = csvParser.convertValue(row[column], columnTypes[column] || 'string');
+            return `<td>${Utils.escapeXml(Utils.truncate(value === null || value === undefined ? '' : String(value), 40))}</td>`;
+        }).join('')}</tr>
+    `);
+
+    preview.innerHTML = `
+        <table>
+            <thead><tr>${headers.join('')}</tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+}
 
-        console.log('Pasted data parsed:', parsed);
+/**
+ * Apply the column mapping and continue the import
+ * A changed mapping is re-processed in the CSV worker that parsed the file when there is one.
+ */
+async function handleFieldMappingConfirm() {
+    if (!currentFieldMapping) return;
 
-        if (parsed.needsGeocoding) {
-            loadingManager.hide();
-            currentCSVData = parsed;
-            currentCSVData.fileName = 'Pasted Data';
-            const detectedMapping = geocodingService.detectAddressColumns(parsed.originalColumns);
-            showColumnMapModal(parsed.originalColumns, detectedMapping);
-            return;
-        }
+    const { parsed, sourceName, options, signature } = currentFieldMapping;
+    const { columnMap, dataType, columnTypes } = readFieldMappingForm();
 
-        // Validate data before creating layer
-        loadingManager.show('Validating pasted data...');
+    if (dataType === 'polygon' && !columnMap.wkt) {
+        toastManager.warning('Please select the WKT column');
+        return;
+    }
+    if (dataType === 'point' && (!columnMap.latitude || !columnMap.longitude)) {
+        toastManager.warning('Please select the Latitude and Longitude columns');
+        return;
+    }
 
-        const rawData = parsed.rawData || parsed.features;
-        const validation = csvParser.validateData(rawData, parsed.columnMap, parsed.type);
+    if (document.getElementById('mappingRememberToggle').checked) {
+        saveFieldMappingTemplate(signature, columnMap, dataType, columnTypes);
+    }
 
-        console.log('Validation results for pasted data:', validation);
+    currentFieldMapping = null;
+    modalManager.close('fieldMappingModal');
 
-        // If there are validation errors, show validation modal
-        if (validation.invalidCount > 0) {
+    // Keep the parsed result (and any worker validation) when nothing changed
+    let mapped = parsed;
+    const typesChanged = Object.entries(columnTypes)
+        .some(([column, type]) => (parsed.columnTypes || {})[column] !== type);
+    if (typesChanged || dataType !== parsed.type || JSON.stringify(columnMap) !== JSON.stringify(parsed.columnMap)) {
+        loadingManager.show(`Applying column mapping to ${sourceName}...`);
+        try {
+            mapped = await csvParser.reprocessData(parsed, columnMap, dataType, columnTypes, (progress) => {
+                loadingManager.setProgress(
+                    progress.percent,
+                    `Applying column mapping... ${Utils.formatNumber(progress.rowCount)} rows`
+                );
+            });
+        } catch (error) {
+            console.error('Error applying column mapping:', error);
+            toastManager.error('Error applying column mapping: ' + error.message);
+            csvParser.releaseImportWorker();
+            return;
+        } finally {
+            loadingManager.hideProgress();
             loadingManager.hide();
-            showValidationResults(validation, 'Pasted Data');
+        }
+    }
+
+    // The worker's rows aren't needed once the mapping is applied
+    csvParser.releaseImportWorker();
+
+    finishTabularImport(mapped, sourceName, options);
+}
+
+/**
+ * Finish a single tabular import once its columns are mapped
+ * Routes to geocoding, validation review, the layer update preview or layer creation.
+ * @param {Object} parsed - Parsed data (see CSVParser.processData)
+ * @param {string} sourceName - File, sheet or paste name shown to the user
+ * @param {Object} options - { upsertLayerId, groupName, sourceFile (layer source, defaults to sourceName),
+ *                            onLayerCreated: called with the new layer's ID }
+ */
+function finishTabularImport(parsed, sourceName, options = {}) {
+    const { upsertLayerId = null, groupName = null, sourceFile = sourceName, onLayerCreated = null } = options;
+
+    if (parsed.needsGeocoding) {
+        currentCSVData = parsed;
+        currentCSVData.fileName = sourceName;
+        currentCSVData.upsertLayerId = upsertLayerId;
+        const detectedMapping = geocodingService.detectAddressColumns(parsed.originalColumns);
+        showColumnMapModal(parsed.originalColumns, detectedMapping);
+        return;
+    }
+
+    // Worker-parsed CSVs arrive with validation already done
+    const validation = parsed.validation || csvParser.validateData(parsed.rawData, parsed.columnMap, parsed.type);
+    validation.columnTypes = parsed.columnTypes || null;
+    validation.schema = parsed.schema || null;
+    console.log(`Validation results for ${sourceName}:`, validation);
+
+    if (validation.invalidCount > 0) {
+        validation.upsertLayerId = upsertLayerId;
+        showValidationResults(validation, sourceName);
+        return;
+    }
+
+    if (upsertLayerId) {
+        showUpsertModal(upsertLayerId, parsed.features, sourceName);
+        return;
+    }
+
+    const defaultName = sourceName.replace(/\.(csv|xlsx|xls)$/i, '');
+    const layerName = prompt('Enter layer name:', defaultName);
+    if (!layerName) return;
+
+    const layerId = layerManager.createLayer(layerName, parsed.features, parsed.type, {
+        sourceFile: sourceFile,
+        columnMap: parsed.columnMap,
+        schema: parsed.schema,
+        importDate: new Date().toISOString()
+    });
+
+    // Always add to "All Layers" group
+    addLayerToGroup(layerId, stateManager.get('allLayersGroupId'));
+
+    if (groupName) {
+        addLayerToGroup(layerId, createLayerGroup(groupName));
+    } else {
+        // Also add to active group if one is selected (and it's not "All Layers")
+        const importActiveGroup = stateManager.get('activeGroup');
+        if (importActiveGroup && importActiveGroup !== stateManager.get('allLayersGroupId')) {
+            addLayerToGroup(layerId, importActiveGroup);
+        }
+    }
+
+    toastManager.success(`Layer "${layerName}" created with ${parsed.features.length} features`);
+    if (onLayerCreated) onLayerCreated(layerId);
+    updateColumnSelects();
+}
+
+/**
+ * Get saved column mapping templates, keyed by header signature
+ * @returns {Object} signature -> { columnMap, dataType, columnTypes, savedAt }
+ */
+function getFieldMappingTemplates() {
+    try {
+        const templates = localStorage.getItem('fieldMappingTemplates');
+        return templates ? JSON.parse(templates) : {};
+    } catch (error) {
+        console.error('Error loading field mapping templates:', error);
+        return {};
+    }
+}
+
+/**
+ * Save a column mapping for a header signature
+ * Columns are stored normalized so header case/punctuation changes still match.
+ * @param {string} signature - Header signature from csvParser.getHeaderSignature
+ * @param {Object} columnMap - Role -> column name
+ * @param {string} dataType - 'polygon', 'point' or 'address'
+ * @param {Object} columnTypes - Column name -> type
+ */
+function saveFieldMappingTemplate(signature, columnMap, dataType, columnTypes = {}) {
+    const normalizedMap = {};
+    Object.entries(columnMap).forEach(([role, column]) => {
+        normalizedMap[role] = csvParser.normalizeColumnName(column);
+    });
+
+    const normalizedTypes = {};
+    Object.entries(columnTypes).forEach(([column, type]) => {
+        normalizedTypes[csvParser.normalizeColumnName(column)] = type;
+    });
+
+    const templates = getFieldMappingTemplates();
+    templates[signature] = {
+        columnMap: normalizedMap,
+        dataType: dataType,
+        columnTypes: normalizedTypes,
+        savedAt: new Date().toISOString()
+    };
+
+    try {
+        localStorage.setItem('fieldMappingTemplates', JSON.stringify(templates));
+    } catch (error) {
+        console.error('Error saving field mapping template:', error);
+        toastManager.error('Error saving column mapping');
+    }
+}
+
+/**
+ * Turn a saved template's normalized columns back into this file's column names
+ * @param {Object} template - Saved template
+ * @param {Array} columns - Column names of the file being imported
+ * @returns {Object} Role -> column name
+ */
+function resolveFieldMappingTemplate(template, columns) {
+    const byNormalized = new Map(columns.map(col => [csvParser.normalizeColumnName(col), col]));
+    const columnMap = {};
+
+    Object.entries(template.columnMap).forEach(([role, normalized]) => {
+        if (byNormalized.has(normalized)) {
+            columnMap[role] = byNormalized.get(normalized);
+        }
+    });
+
+    return columnMap;
+}
+
+/**
+ * Turn a saved template's column types back into this file's column names
+ * Templates saved before column types existed have none.
+ * @param {Object} template - Saved template
+ * @param {Array} columns - Column names of the file being imported
+ * @returns {Object} Column name -> type
+ */
+function resolveFieldMappingTypes(template, columns) {
+    const savedTypes = template.columnTypes || {};
+    const columnTypes = {};
+
+    columns.forEach(col => {
+        const type = savedTypes[csvParser.normalizeColumnName(col)];
+        if (type) {
+            columnTypes[col] = type;
+        }
+    });
+
+    return columnTypes;
+}
+
+/**
+ * Re-extract features with a saved mapping when the headers match one
+ * Used by non-interactive imports (multi-file, multi-sheet).
+ * @param {Object} parsed - Parsed tabular data
+ * @returns {Object} Parsed data using the saved mapping, or the input unchanged
+ */
+function applySavedFieldMapping(parsed) {
+    if (!parsed.tabular) return parsed;
+
+    const columns = parsed.originalColumns.filter(col => col && String(col).trim() !== '');
+    const template = getFieldMappingTemplates()[csvParser.getHeaderSignature(columns)];
+    if (!template) return parsed;
+
+    const columnMap = { ...parsed.columnMap, ...resolveFieldMappingTemplate(template, columns) };
+    const columnTypes = { ...parsed.columnTypes, ...resolveFieldMappingTypes(template, columns) };
+    console.log('Applying saved column mapping:', columnMap);
+
+    const remapped = csvParser.processData(parsed.rawData, parsed.originalColumns, columnMap, template.dataType, columnTypes);
+    remapped.sheetName = parsed.sheetName;
+    return remapped;
+}
+
+/**
+ * Show the sheet picker for a workbook with several sheets of data
+ * @param {Object} parsed - Result of csvParser.parseExcelFile with needsSheetSelection
+ * @param {string} fileName - Workbook file name
+ * @param {string|null} upsertLayerId - Layer to update, when in "Update existing layer" mode
+ */
+function showSheetPickerModal(parsed, fileName, upsertLayerId = null) {
+    currentExcelImport = {
+        workbook: parsed.workbook,
+        sheets: parsed.sheets,
+        fileName: fileName,
+        upsertLayerId: upsertLayerId
+    };
+
+    const baseName = fileName.replace(/\.(xlsx|xls)$/i, '');
+    const targetLayer = upsertLayerId ? layerManager.getLayer(upsertLayerId) : null;
+
+    document.getElementById('sheetPickerInfo').textContent = targetLayer
+        ? `"${fileName}" has ${parsed.sheets.length} sheets. Choose the sheet to merge into "${targetLayer.name}":`
+        : `"${fileName}" has ${parsed.sheets.length} sheets. Choose the sheets to import:`;
+
+    // Updating a layer takes exactly one sheet
+    const inputType = upsertLayerId ? 'radio' : 'checkbox';
+    document.getElementById('sheetPickerList').innerHTML = parsed.sheets.map((sheet, index) => `
+        <label class="checkbox-label">
+            <input type="${inputType}" name="sheetPickerSheet" value="${Utils.escapeXml(sheet.name)}" ${!upsertLayerId || index === 0 ? 'checked' : ''}>
+            <span>${Utils.escapeXml(sheet.name)} (${Utils.formatNumber(sheet.rowCount)} rows)</span>
+        </label>
+    `).join('');
+
+    const groupToggle = document.getElementById('sheetPickerGroupToggle');
+    groupToggle.checked = true;
+    groupToggle.closest('.form-group').style.display = upsertLayerId ? 'none' : 'block';
+    document.getElementById('sheetPickerGroupNameGroup').style.display = upsertLayerId ? 'none' : 'block';
+    document.getElementById('sheetPickerGroupName').value = baseName;
+
+    modalManager.show('sheetPickerModal');
+}
+
+/**
+ * Import the sheets chosen in the sheet picker
+ */
+function handleSheetPickerConfirm() {
+    if (!currentExcelImport) return;
+
+    const selected = Array.from(document.querySelectorAll('#sheetPickerList input:checked'))
+        .map(input => input.value);
+
+    if (selected.length === 0) {
+        toastManager.warning('Please select at least one sheet');
+        return;
+    }
+
+    const { workbook, fileName, upsertLayerId } = currentExcelImport;
+    const createGroup = !upsertLayerId && document.getElementById('sheetPickerGroupToggle').checked;
+    const groupName = document.getElementById('sheetPickerGroupName').value.trim();
+
+    if (createGroup && !groupName) {
+        toastManager.warning('Please enter a group name');
+        return;
+    }
+
+    modalManager.close('sheetPickerModal');
+    currentExcelImport = null;
+
+    // A single sheet goes through the same column mapping step as a single file
+    if (selected.length === 1) {
+        const sheetName = selected[0];
+        const sourceName = `${fileName} - ${sheetName}`;
+
+        try {
+            const parsed = csvParser.parseExcelSheet(workbook, sheetName);
+            showFieldMappingModal(parsed, sourceName, {
+                upsertLayerId,
+                groupName: createGroup ? groupName : null
+            });
+        } catch (error) {
+            console.error(`Error parsing sheet "${sheetName}":`, error);
+            toastManager.error(`Error parsing ${sourceName}: ${error.message}`);
+        }
+        return;
+    }
+
+    loadingManager.show(`Importing ${selected.length} sheet(s) from ${fileName}...`);
+
+    try {
+        const result = importExcelSheets(workbook, selected, fileName, createGroup ? groupName : null);
+        reportSheetImport(result, fileName);
+
+        if (result.imported > 0) {
+            toastManager.success(createGroup
+                ? `Imported ${result.imported} sheet(s) into group "${groupName}"`
+                : `Imported ${result.imported} sheet(s) from ${fileName}`);
+            updateColumnSelects();
+        }
+    } finally {
+        loadingManager.hide();
+    }
+}
+
+/**
+ * Import workbook sheets as one layer each
+ * Every sheet gets its own column detection (or saved mapping) and validation;
+ * invalid rows are skipped and sheets that need geocoding are left out.
+ * @param {Object} workbook - SheetJS workbook
+ * @param {Array<string>} sheetNames - Sheets to import
+ * @param {string} fileName - Workbook file name
+ * @param {string|null} groupName - Create a group with this name for the new layers (optional)
+ * @returns {Object} { imported, skippedRows, failed: [sheet names], needsGeocoding: [sheet names] }
+ */
+function importExcelSheets(workbook, sheetNames, fileName, groupName = null) {
+    const baseName = fileName.replace(/\.(xlsx|xls)$/i, '');
+    const result = { imported: 0, skippedRows: 0, failed: [], needsGeocoding: [] };
+    let groupId = null;
+
+    sheetNames.forEach(sheetName => {
+        try {
+            const parsed = applySavedFieldMapping(csvParser.parseExcelSheet(workbook, sheetName));
+
+            if (parsed.needsGeocoding) {
+                result.needsGeocoding.push(sheetName);
+                return;
+            }
+
+            const validation = csvParser.validateData(parsed.rawData, parsed.columnMap, parsed.type);
+            let features = parsed.features;
+
+            if (validation.invalidCount > 0) {
+                if (validation.validCount === 0) {
+                    result.failed.push(sheetName);
+                    return;
+                }
+                console.log(`Skipping ${validation.invalidCount} invalid rows from sheet "${sheetName}"`);
+                features = csvParser.extractFeatures(validation.validRows, validation.columnMap, validation.dataType, parsed.columnTypes);
+                result.skippedRows += validation.invalidCount;
+            }
+
+            // Only create the group once a sheet has made it through
+            if (groupName && !groupId) {
+                groupId = createLayerGroup(groupName);
+            }
+
+            const layerName = groupId ? sheetName : `${baseName} - ${sheetName}`;
+            const layerId = layerManager.createLayer(layerName, features, parsed.type, {
+                sourceFile: fileName,
+                sourceSheet: sheetName,
+                columnMap: parsed.columnMap,
+                schema: parsed.schema,
+                importDate: new Date().toISOString(),
+                validatedRows: validation.validCount,
+                skippedRows: validation.invalidCount
+            });
+
+            // Always add to "All Layers" group
+            addLayerToGroup(layerId, stateManager.get('allLayersGroupId'));
+
+            if (groupId) {
+                addLayerToGroup(layerId, groupId);
+            } else {
+                // Also add to active group if one is selected (and it's not "All Layers")
+                const sheetActiveGroup = stateManager.get('activeGroup');
+                if (sheetActiveGroup && sheetActiveGroup !== stateManager.get('allLayersGroupId')) {
+                    addLayerToGroup(layerId, sheetActiveGroup);
+                }
+            }
+
+            result.imported++;
+            console.log(`Layer "${layerName}" created from sheet "${sheetName}" of ${fileName}`);
+        } catch (error) {
+            console.error(`Error parsing sheet "${sheetName}" of ${fileName}:`, error);
+            result.failed.push(sheetName);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Warn about sheets that were skipped during a workbook import
+ * @param {Object} result - Result of importExcelSheets
+ * @param {string} fileName - Workbook file name
+ */
+function reportSheetImport(result, fileName) {
+    if (result.skippedRows > 0) {
+        toastManager.warning(`${fileName}: ${result.skippedRows} invalid row(s) skipped`);
+    }
+    if (result.needsGeocoding.length > 0) {
+        toastManager.warning(
+            `${fileName}: sheet(s) ${result.needsGeocoding.join(', ')} contain addresses. Import them one at a time to geocode.`
+        );
+    }
+    if (result.failed.length > 0) {
+        toastManager.error(`${fileName}: could not import sheet(s) ${result.failed.join(', ')}`);
+    }
+}
+
+/**
+ * Fill the "Layer to update" select in the upload modal
+ */
+function populateUpdateTargetLayers() {
+    const select = document.getElementById('updateTargetLayer');
+    const layers = layerManager.getAllLayers();
+
+    select.innerHTML = layers.length > 0
+        ? layers.map(layer => `<option value="${layer.id}">${Utils.escapeXml(layer.name)} (${layer.features.length})</option>`).join('')
+        : '<option value="">No layers yet</option>';
+}
+
+/**
+ * Show the upsert preview for features about to be merged into a layer
+ * @param {string} layerId - Target layer ID
+ * @param {Array} features - Imported features
+ * @param {string} fileName - Source file name
+ */
+function showUpsertModal(layerId, features, fileName) {
+    const layer = layerManager.getLayer(layerId);
+    if (!layer) {
+        toastManager.error('The layer to update no longer exists');
+        return;
+    }
+
+    // Only properties present in both the file and the layer can be matched on
+    const skip = new Set(['id', 'wkt', 'latitude', 'longitude', 'layerId', 'missingFromImport']);
+    const layerColumns = new Set();
+    layer.features.forEach(f => Object.keys(f).forEach(key => layerColumns.add(key)));
+    const fileColumns = new Set();
+    features.forEach(f => Object.keys(f).forEach(key => fileColumns.add(key)));
+    const keyColumns = Array.from(fileColumns).filter(key => !skip.has(key) && layerColumns.has(key));
+
+    if (keyColumns.length === 0) {
+        toastManager.error(`"${fileName}" has no columns in common with layer "${layer.name}"`);
+        return;
+    }
+
+    currentUpsert = { layerId, features, fileName, plan: null };
+
+    const preferred = keyColumns.find(key => /^account(number|num|no|id)$/i.test(key))
+        || keyColumns.find(key => /^(id|key|customerid|accountid)$/i.test(key))
+        || keyColumns.find(key => /(id|number|code)$/i.test(key))
+        || keyColumns[0];
+
+    const keySelect = document.getElementById('upsertKeyColumn');
+    keySelect.innerHTML = keyColumns
+        .map(key => `<option value="${key}">${Utils.escapeXml(key)}</option>`)
+        .join('');
+    keySelect.value = preferred;
+
+    document.getElementById('upsertMissingAction').value = 'keep';
+    document.getElementById('upsertTargetInfo').textContent =
+        `Merge ${features.length} rows from "${fileName}" into layer "${layer.name}" (${layer.features.length} features)`;
+
+    refreshUpsertSummary();
+    modalManager.show('upsertModal');
+}
+
+/**
+ * Recompute the upsert plan for the selected key column and show its counts
+ */
+function refreshUpsertSummary() {
+    if (!currentUpsert) return;
+
+    const keyProperty = document.getElementById('upsertKeyColumn').value;
+    const missingAction = document.getElementById('upsertMissingAction').value;
+    const plan = layerManager.planUpsert(currentUpsert.layerId, currentUpsert.features, keyProperty);
+    currentUpsert.plan = plan;
+
+    if (!plan) return;
+
+    const missingLabel = { keep: 'Missing (kept)', flag: 'Missing (flagged)', remove: 'Missing (removed)' }[missingAction];
+    const notes = [];
+    if (plan.skippedNoKey > 0) {
+        notes.push(`${plan.skippedNoKey} row(s) have no ${Utils.escapeXml(keyProperty)} and will be skipped.`);
+    }
+    if (plan.duplicateKeys.length > 0) {
+        notes.push(`${plan.duplicateKeys.length} duplicate key(s) found; only the first layer feature and last file row are used.`);
+    }
+
+    document.getElementById('upsertSummary').innerHTML = `
+        <div class="validation-stats">
+            <div class="validation-stat">
+                <span class="validation-stat-value success">${plan.updates.length}</span>
+                <span class="validation-stat-label">Updated</span>
+            </div>
+            <div class="validation-stat">
+                <span class="validation-stat-value success">${plan.additions.length}</span>
+                <span class="validation-stat-label">Added</span>
+            </div>
+            <div class="validation-stat">
+                <span class="validation-stat-value">${plan.unchangedCount}</span>
+                <span class="validation-stat-label">Unchanged</span>
+            </div>
+            <div class="validation-stat">
+                <span class="validation-stat-value ${missingAction === 'remove' ? 'error' : 'warning'}">${plan.missing.length}</span>
+                <span class="validation-stat-label">${missingLabel}</span>
+            </div>
+        </div>
+        ${notes.map(note => `<p><small>${note}</small></p>`).join('')}
+    `;
+
+    document.getElementById('confirmUpsertBtn').disabled =
+        plan.updates.length === 0 && plan.additions.length === 0 &&
+        (plan.missing.length === 0 || missingAction === 'keep');
+}
+
+/**
+ * Apply the previewed upsert to the target layer
+ */
+function handleUpsertConfirm() {
+    if (!currentUpsert || !currentUpsert.plan) return;
+
+    const { layerId, plan, fileName } = currentUpsert;
+    const missingAction = document.getElementById('upsertMissingAction').value;
+
+    const command = new UpsertLayerCommand(layerManager, layerId, plan, missingAction, { sourceFile: fileName });
+    commandHistory.execute(command);
+
+    modalManager.close('upsertModal');
+    currentUpsert = null;
+
+    const missingText = missingAction === 'keep' ? '' : `, ${plan.missing.length} ${missingAction === 'flag' ? 'flagged' : 'removed'}`;
+    toastManager.success(`Layer updated: ${plan.updates.length} updated, ${plan.additions.length} added${missingText}`);
+    updateColumnSelects();
+}
+
+/**
+ * Show the spatial join dialog
+ */
+function showSpatialJoinModal() {
+    const layers = layerManager.getAllLayers();
+    const pointLayers = layers.filter(layer => layer.type === 'point' || layer.type === 'mixed');
+    const polygonLayers = layers.filter(layer => layer.type === 'polygon' || layer.type === 'mixed');
+
+    if (pointLayers.length === 0 || polygonLayers.length === 0) {
+        toastManager.warning('A spatial join needs a point layer and a polygon layer');
+        return;
+    }
+
+    const toOptions = list => list
+        .map(layer => `<option value="${layer.id}">${Utils.escapeXml(layer.name)} (${layer.features.length})</option>`)
+        .join('');
+
+    document.getElementById('joinPointLayer').innerHTML = toOptions(pointLayers);
+    document.getElementById('joinPolygonLayer').innerHTML = toOptions(polygonLayers);
+    document.getElementById('joinOverlapAction').value = 'first';
+    document.getElementById('joinUnmatchedAction').value = 'keep';
+
+    renderSpatialJoinAttributes();
+    refreshSpatialJoinSummary();
+    modalManager.show('spatialJoinModal');
+}
+
+/**
+ * List the selected polygon layer's columns as checkboxes
+ * Territory-like columns are checked by default.
+ */
+function renderSpatialJoinAttributes() {
+    const layer = layerManager.getLayer(document.getElementById('joinPolygonLayer').value);
+    const container = document.getElementById('joinAttributes');
+    if (!layer) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const columns = getLayerAttributeColumns(layer);
+    if (columns.length === 0) {
+        container.innerHTML = '<p><small>This layer has no attributes to copy.</small></p>';
+        return;
+    }
+
+    container.innerHTML = columns.map(column => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${Utils.escapeXml(column)}" ${/territory|bdm|region|zone/i.test(column) ? 'checked' : ''}>
+            <span>${Utils.escapeXml(column)}</span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Recompute the spatial join plan and show its counts and problem points
+ */
+function refreshSpatialJoinSummary() {
+    const pointLayerId = document.getElementById('joinPointLayer').value;
+    const polygonLayerId = document.getElementById('joinPolygonLayer').value;
+    const attributes = Array.from(document.querySelectorAll('#joinAttributes input:checked')).map(input => input.value);
+    const summary = document.getElementById('spatialJoinSummary');
+    const confirmBtn = document.getElementById('confirmSpatialJoinBtn');
+
+    currentSpatialJoinPlan = null;
+    confirmBtn.disabled = true;
+
+    if (pointLayerId === polygonLayerId) {
+        summary.innerHTML = '<p><small>Pick two different layers.</small></p>';
+        return;
+    }
+    if (attributes.length === 0) {
+        summary.innerHTML = '<p><small>Select at least one attribute to copy.</small></p>';
+        return;
+    }
+
+    const plan = layerManager.planSpatialJoin(pointLayerId, polygonLayerId, attributes, {
+        overlapAction: document.getElementById('joinOverlapAction').value,
+        unmatchedAction: document.getElementById('joinUnmatchedAction').value
+    });
+    if (!plan) return;
+
+    currentSpatialJoinPlan = plan;
+    confirmBtn.disabled = plan.updates.length === 0;
+
+    const featureName = feature => Utils.escapeXml(String(feature.name || feature.Name || feature.id));
+    const maxListed = 10;
+    const listProblems = (items, render) => items.length === 0 ? '' : `
+        <ul class="join-problem-list">
+            ${items.slice(0, maxListed).map(render).join('')}
+            ${items.length > maxListed ? `<li>…and ${items.length - maxListed} more</li>` : ''}
+        </ul>
+    `;
+
+    summary.innerHTML = `
+        <div class="validation-stats">
+            <div class="validation-stat">
+                <span class="validation-stat-value success">${plan.updates.length}</span>
+                <span class="validation-stat-label">Updated</span>
+            </div>
+            <div class="validation-stat">
+                <span class="validation-stat-value">${plan.unchangedCount}</span>
+                <span class="validation-stat-label">Unchanged</span>
+            </div>
+            <div class="validation-stat">
+                <span class="validation-stat-value ${plan.unmatched.length > 0 ? 'warning' : ''}">${plan.unmatched.length}</span>
+                <span class="validation-stat-label">In no territory</span>
+            </div>
+            <div class="validation-stat">
+                <span class="validation-stat-value ${plan.overlapping.length > 0 ? 'warning' : ''}">${plan.overlapping.length}</span>
+                <span class="validation-stat-label">In several</span>
+            </div>
+        </div>
+        ${plan.unmatched.length > 0 ? `<p><small>Outside every territory:</small></p>` : ''}
+        ${listProblems(plan.unmatched, feature => `<li>${featureName(feature)}</li>`)}
+        ${plan.overlapping.length > 0 ? `<p><small>In more than one territory:</small></p>` : ''}
+        ${listProblems(plan.overlapping, ({ feature, polygons }) => `
+            <li>${featureName(feature)} — ${polygons.map(featureName).join(', ')}</li>
+        `)}
+    `;
+}
+
+/**
+ * Apply the previewed spatial join as one undoable command
+ */
+function handleSpatialJoinConfirm() {
+    const plan = currentSpatialJoinPlan;
+    if (!plan) return;
+
+    commandHistory.execute(new SpatialJoinCommand(layerManager, plan));
+
+    modalManager.close('spatialJoinModal');
+    currentSpatialJoinPlan = null;
+
+    const problems = [];
+    if (plan.unmatched.length > 0) problems.push(`${plan.unmatched.length} in no territory`);
+    if (plan.overlapping.length > 0) problems.push(`${plan.overlapping.length} in several`);
+    toastManager.success(`Spatial join: ${plan.updates.length} point(s) updated${problems.length > 0 ? ` (${problems.join(', ')})` : ''}`);
+    updateColumnSelects();
+}
+
+/**
+ * Get a layer's attribute columns (everything but ID and geometry)
+ * @param {Object} layer - Layer
+ * @returns {Array} Column names
+ */
+function getLayerAttributeColumns(layer) {
+    const skip = new Set(['id', 'wkt', 'latitude', 'longitude', 'layerId', 'geometry']);
+    const columns = new Set();
+    layer.features.forEach(f => Object.keys(f).forEach(key => {
+        if (!skip.has(key)) columns.add(key);
+    }));
+    return Array.from(columns);
+}
+
+/**
+ * Get a layer's numeric attribute columns (ones that can be totalled or divided)
+ * Typed columns from an import schema win over sniffing values.
+ * @param {Object} layer - Layer
+ * @returns {Array} Column names
+ */
+function getLayerNumericColumns(layer) {
+    const schema = (layer.metadata && layer.metadata.schema) || {};
+    const numericTypes = ['integer', 'decimal', 'currency'];
+    return getLayerAttributeColumns(layer).filter(column => schema[column]
+        ? numericTypes.includes(schema[column])
+        : layer.features.some(f => !Utils.isEmpty(f[column])) &&
+          layer.features.every(f => Utils.isEmpty(f[column]) || !isNaN(Number(f[column]))));
+}
+
+/**
+ * Render numeric columns as checkboxes; revenue-like columns are checked
+ * @param {HTMLElement} container - Container element
+ * @param {Array} columns - Numeric columns
+ */
+function renderSumColumnCheckboxes(container, columns) {
+    container.innerHTML = columns.length === 0
+        ? '<p><small>This layer has no numeric columns.</small></p>'
+        : columns.map(column => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${Utils.escapeXml(column)}" ${/revenue|sales|amount/i.test(column) ? 'checked' : ''}>
+                <span>${Utils.escapeXml(column)}</span>
+            </label>
+        `).join('');
+}
+
+/**
+ * Show the dissolve dialog for a polygon layer
+ * @param {string} layerId - Layer ID
+ */
+function showDissolveModal(layerId) {
+    const layer = layerManager.getLayer(layerId);
+    if (!layer || (layer.type !== 'polygon' && layer.type !== 'mixed')) {
+        toastManager.warning('Dissolve works on polygon layers');
+        return;
+    }
+
+    const columns = getLayerAttributeColumns(layer);
+    if (columns.length === 0) {
+        toastManager.warning('This layer has no attributes to dissolve by');
+        return;
+    }
+
+    currentDissolveLayerId = layerId;
+
+    const numericColumns = getLayerNumericColumns(layer);
+
+    const fieldColumn = columns.find(column => /territory|region|district|zone/i.test(column)) || columns[0];
+    const idColumn = columns.find(column => /^(zip|zipcode|zip_code|postal|geoid|fips|code|id)$/i.test(column)) || '';
+    const toOptions = list => list.map(column => `<option value="${Utils.escapeXml(column)}">${Utils.escapeXml(column)}</option>`).join('');
+
+    document.getElementById('dissolveLayerInfo').textContent = `Layer "${layer.name}" (${layer.features.length} features)`;
+    document.getElementById('dissolveField').innerHTML = toOptions(columns);
+    document.getElementById('dissolveField').value = fieldColumn;
+    document.getElementById('dissolveIdColumn').innerHTML = `<option value="">Feature ID</option>${toOptions(columns)}`;
+    document.getElementById('dissolveIdColumn').value = idColumn;
+    renderSumColumnCheckboxes(document.getElementById('dissolveSumColumns'), numericColumns);
+
+    refreshDissolveSummary();
+    modalManager.show('dissolveModal');
+}
+
+/**
+ * Show how many features the chosen field will produce
+ */
+function refreshDissolveSummary() {
+    const layer = layerManager.getLayer(currentDissolveLayerId);
+    const field = document.getElementById('dissolveField').value;
+    if (!layer || !field) return;
+
+    // Saved measurements are left out of the dissolve
+    const features = layer.features.filter(f => !Utils.isMeasurementFeature(f));
+    const values = new Set();
+    let blankCount = 0;
+    features.forEach(f => {
+        if (Utils.isEmpty(f[field]) || String(f[field]).trim() === '') {
+            blankCount++;
+        } else {
+            values.add(String(f[field]).trim());
+        }
+    });
+
+    document.getElementById('dissolveLayerName').value = `${layer.name} by ${field}`;
+    document.getElementById('dissolveSummary').innerHTML = `
+        <p>${features.length - blankCount} polygon(s) will be merged into <strong>${values.size}</strong> feature(s).</p>
+        ${blankCount > 0 ? `<p><small>${blankCount} polygon(s) with no ${Utils.escapeXml(field)} will be left out.</small></p>` : ''}
+    `;
+    document.getElementById('confirmDissolveBtn').disabled = values.size === 0;
+}
+
+/**
+ * Dissolve the layer by the chosen field into a new layer
+ */
+async function handleDissolveConfirm() {
+    const layer = layerManager.getLayer(currentDissolveLayerId);
+    if (!layer) return;
+
+    if (!GeometryOps.isAvailable()) {
+        toastManager.error('Geometry library (Turf.js) failed to load');
+        return;
+    }
+
+    const field = document.getElementById('dissolveField').value;
+    const idColumn = document.getElementById('dissolveIdColumn').value || null;
+    const sumColumns = Array.from(document.querySelectorAll('#dissolveSumColumns input:checked')).map(input => input.value);
+    const layerName = document.getElementById('dissolveLayerName').value.trim() || `${layer.name} by ${field}`;
+
+    modalManager.close('dissolveModal');
+    currentDissolveLayerId = null;
+    loadingManager.show(`Dissolving by ${field}...`);
+
+    try {
+        const result = await layerManager.dissolveLayer(layer.id, field, {
+            sumColumns,
+            idColumn,
+            onProgress: fraction => loadingManager.setProgress(Math.round(fraction * 100), `Dissolving by ${field}...`)
+        });
+
+        const command = new CreateLayerCommand(layerManager, layerName, result.features, 'polygon', {
+            source: 'dissolve',
+            dissolvedFrom: layer.id,
+            dissolveField: field,
+            schema: result.schema,
+            createdAt: new Date().toISOString()
+        });
+        commandHistory.execute(command);
+
+        addLayerToActiveGroups(command.layerId);
+
+        if (result.unmerged.length > 0) {
+            toastManager.warning(`Created "${layerName}" with ${result.features.length} feature(s); ${result.unmerged.length} could not be merged because of invalid shapes`);
+        } else {
+            toastManager.success(`Created "${layerName}" with ${result.features.length} feature(s)`);
+        }
+    } catch (error) {
+        console.error('Error dissolving layer:', error);
+        toastManager.error('Error dissolving layer: ' + error.message);
+    } finally {
+        loadingManager.hide();
+    }
+}
+
+/**
+ * Show the buffer dialog for a point or polygon layer
+ * @param {string} layerId - Layer ID
+ */
+function showBufferModal(layerId) {
+    const layer = layerManager.getLayer(layerId);
+    if (!layer || layer.features.length === 0) {
+        toastManager.warning('This layer has no features to buffer');
+        return;
+    }
+
+    if (!GeometryOps.isAvailable()) {
+        toastManager.error('Geometry library (Turf.js) failed to load');
+        return;
+    }
+
+    currentBufferLayerId = layerId;
+    const selected = stateManager.get('currentEditingFeature');
+    const selectedId = selected && selected.layerId === layerId ? selected.id : null;
+
+    const pointLayers = layerManager.getAllLayers().filter(l => l.type === 'point' || l.type === 'mixed');
+    document.getElementById('bufferAccountLayer').innerHTML = '<option value="">All point layers</option>' +
+        pointLayers.map(l => `<option value="${Utils.escapeXml(l.id)}">${Utils.escapeXml(l.name)}</option>`).join('');
+
+    document.getElementById('bufferLayerInfo').textContent = `Layer "${layer.name}" (${layer.features.length} features)`;
+    document.getElementById('bufferScope').value = selectedId ? 'selected' : 'shown';
+    document.getElementById('bufferFilter').value = '';
+    document.getElementById('bufferFeatureList').innerHTML = layer.features.map(feature => {
+        const name = String(feature.name || feature.Name || feature.description || feature.Description || feature.id);
+        return `
+            <label class="checkbox-label merge-item" data-name="${Utils.escapeXml(name.toLowerCase())}">
+                <input type="checkbox" value="${Utils.escapeXml(feature.id)}" ${feature.id === selectedId ? 'checked' : ''}>
+                <span>${Utils.escapeXml(name)}</span>
+            </label>
+        `;
+    }).join('');
+    document.getElementById('bufferDistance').value = AppConfig.buffer.defaultDistance;
+    document.getElementById('bufferUnits').value = AppConfig.buffer.defaultUnits;
+    document.getElementById('bufferMode').value = 'separate';
+
+    refreshBufferSummary();
+    modalManager.show('bufferModal');
+}
+
+/**
+ * Show only the buffer list entries whose name contains the text
+ * @param {string} text - Filter text
+ */
+function filterBufferList(text) {
+    const needle = text.trim().toLowerCase();
+    document.querySelectorAll('#bufferFeatureList .merge-item').forEach(item => {
+        item.style.display = !needle || item.dataset.name.includes(needle) ? '' : 'none';
+    });
+}
+
+/**
+ * Get the IDs of the features the buffer dialog's scope covers
+ * @param {Object} layer - Layer
+ * @param {string} scope - 'shown', 'all' or 'selected' (the features checked in the list)
+ * @returns {Array} Feature IDs
+ */
+function getBufferFeatureIds(layer, scope) {
+    if (scope === 'selected') {
+        return Array.from(document.querySelectorAll('#bufferFeatureList input:checked')).map(input => input.value);
+    }
+    const features = scope === 'all' ? layer.features : layerManager.getFilteredFeatures(layer.id);
+    return features.map(feature => feature.id);
+}
+
+/**
+ * Show what the chosen buffer options will create
+ */
+function refreshBufferSummary() {
+    const layer = layerManager.getLayer(currentBufferLayerId);
+    if (!layer) return;
+
+    const scope = document.getElementById('bufferScope').value;
+    document.getElementById('bufferFeaturePicker').style.display = scope === 'selected' ? 'block' : 'none';
+
+    const count = getBufferFeatureIds(layer, scope).length;
+    const distance = parseFloat(document.getElementById('bufferDistance').value);
+    const unitLabel = document.getElementById('bufferUnits').value === 'kilometers' ? 'km' : 'mi';
+    const dissolve = document.getElementById('bufferMode').value === 'dissolve';
+    const valid = count > 0 && distance > 0;
+
+    if (valid) {
+        document.getElementById('bufferLayerName').value = `${layer.name} ${distance} ${unitLabel} buffer`;
+    }
+    document.getElementById('bufferSummary').textContent = count === 0
+        ? 'No features to buffer.'
+        : !(distance > 0)
+            ? 'Enter a distance greater than zero.'
+            : `${count} feature(s) will be buffered by ${distance} ${unitLabel} into ${dissolve ? 'one shape' : `${count} zone(s)`}.`;
+    document.getElementById('confirmBufferBtn').disabled = !valid;
+}
+
+/**
+ * Create the buffer layer
+ */
+async function handleBufferConfirm() {
+    const layer = layerManager.getLayer(currentBufferLayerId);
+    if (!layer) return;
+
+    const featureIds = getBufferFeatureIds(layer, document.getElementById('bufferScope').value);
+    const distance = parseFloat(document.getElementById('bufferDistance').value);
+    const units = document.getElementById('bufferUnits').value;
+    const dissolve = document.getElementById('bufferMode').value === 'dissolve';
+    const accountLayerId = document.getElementById('bufferAccountLayer').value;
+    const layerName = document.getElementById('bufferLayerName').value.trim() || `${layer.name} buffer`;
+    if (featureIds.length === 0 || !(distance > 0)) return;
+
+    modalManager.close('bufferModal');
+    currentBufferLayerId = null;
+    loadingManager.show('Creating buffers...');
+
+    try {
+        const result = await layerManager.bufferFeatures(layer.id, featureIds, {
+            distance,
+            units,
+            dissolve,
+            accountLayerIds: accountLayerId ? [accountLayerId] : null,
+            onProgress: fraction => loadingManager.setProgress(Math.round(fraction * 100), 'Creating buffers...')
+        });
+
+        if (result.features.length === 0) {
+            toastManager.warning('None of the features could be buffered');
             return;
         }
 
-        const layerName = prompt('Enter layer name:', 'Pasted Data');
-        if (!layerName) {
-            loadingManager.hide();
+        const command = new CreateLayerCommand(layerManager, layerName, result.features, 'polygon', {
+            source: 'buffer',
+            bufferedFrom: layer.id,
+            bufferDistance: distance,
+            bufferUnits: units,
+            schema: result.schema,
+            createdAt: new Date().toISOString()
+        });
+        commandHistory.execute(command);
+
+        addLayerToActiveGroups(command.layerId);
+
+        const problems = [];
+        if (result.skipped > 0) problems.push(`${result.skipped} feature(s) had no usable location or shape`);
+        if (result.unmerged.length > 0) problems.push('the buffers could not be dissolved because of invalid shapes');
+        if (problems.length > 0) {
+            toastManager.warning(`Created "${layerName}" with ${result.features.length} buffer(s); ${problems.join(' and ')}`);
+        } else {
+            toastManager.success(`Created "${layerName}" with ${result.features.length} buffer(s)`);
+        }
+    } catch (error) {
+        console.error('Error creating buffers:', error);
+        toastManager.error('Error creating buffers: ' + error.message);
+    } finally {
+        loadingManager.hide();
+    }
+}
+
+/**
+ * Show the dialog for saving a measurement to a layer
+ * @param {Object} feature - Feature from DistanceTool.measurementToFeature
+ */
+function showMeasurementLayerModal(feature) {
+    currentMeasurementFeature = feature;
+
+    const polygonLayers = layerManager.getAllLayers().filter(layer => layer.type === 'polygon');
+    const previous = polygonLayers.find(layer => layer.metadata && layer.metadata.source === 'measurement');
+    const select = document.getElementById('measurementTargetLayer');
+    select.innerHTML = '<option value="">New layer...</option>' +
+        polygonLayers.map(layer => `<option value="${Utils.escapeXml(layer.id)}">${Utils.escapeXml(layer.name)}</option>`).join('');
+    select.value = previous ? previous.id : '';
+
+    document.getElementById('measurementLayerInfo').textContent = feature.measurementType === 'radius'
+        ? 'The radius will be saved as a circle polygon.'
+        : 'The distance will be saved as a line.';
+    document.getElementById('measurementFeatureName').value = feature.name;
+    document.getElementById('measurementNewLayerGroup').style.display = select.value ? 'none' : 'block';
+    modalManager.show('measurementLayerModal');
+}
+
+/**
+ * Add the measurement feature to the chosen layer, or to a new one
+ */
+function handleMeasurementSaveConfirm() {
+    if (!currentMeasurementFeature) return;
+
+    const feature = {
+        ...currentMeasurementFeature,
+        name: document.getElementById('measurementFeatureName').value.trim() || currentMeasurementFeature.name
+    };
+    const targetLayerId = document.getElementById('measurementTargetLayer').value;
+
+    modalManager.close('measurementLayerModal');
+    currentMeasurementFeature = null;
+
+    if (targetLayerId) {
+        const layer = layerManager.getLayer(targetLayerId);
+        if (!layer) {
+            toastManager.error('Error: Target layer not found');
             return;
         }
+        layerManager.addFeaturesToLayer(targetLayerId, [feature], 'polygon');
+        toastManager.success(`"${feature.name}" added to "${layer.name}"`);
+        return;
+    }
 
-        const layerId = layerManager.createLayer(layerName, parsed.features, parsed.type, {
-            sourceFile: 'Pasted from clipboard',
-            columnMap: parsed.columnMap,
-            importDate: new Date().toISOString()
-        });
+    const layerName = document.getElementById('measurementNewLayerName').value.trim() || 'Measurements';
+    const command = new CreateLayerCommand(layerManager, layerName, [feature], 'polygon', {
+        source: 'measurement',
+        createdAt: new Date().toISOString()
+    });
+    commandHistory.execute(command);
 
-        // Always add to "All Layers" group
-        addLayerToGroup(layerId, stateManager.get('allLayersGroupId'));
+    addLayerToActiveGroups(command.layerId);
 
-        // Also add to active group if one is selected (and it's not "All Layers")
-        const pasteActiveGroup = stateManager.get('activeGroup');
-        if (pasteActiveGroup && pasteActiveGroup !== stateManager.get('allLayersGroupId')) {
-            addLayerToGroup(layerId, pasteActiveGroup);
+    toastManager.success(`"${feature.name}" saved to new layer "${layerName}"`);
+}
+
+/**
+ * Switch import tab
+ */
+function switchImportTab(tabName) {
+    // Update tab buttons
+    document.querySelectorAll('.import-tab').forEach(tab => {
+        if (tab.dataset.tab === tabName) {
+            tab.classList.add('active');
+        } else {
+            tab.classList.remove('active');
         }
+    });
 
-        loadingManager.hide();
-        toastManager.success(`Layer "${layerName}" created with ${parsed.features.length} features`);
+    // Update tab content
+    document.querySelectorAll('.import-tab-content').forEach(content => {
+        content.classList.remove('active');
+    });
+
+    if (tabName === 'file') {
+        document.getElementById('fileTab').classList.add('active');
+    } else if (tabName === 'paste') {
+        document.getElementById('pasteTab').classList.add('active');
+    }
+}
+
+/**
+ * Handle paste import
+ */
+async function handlePasteImport() {
+    const pasteInput = document.getElementById('pasteInput');
+    const pastedData = pasteInput.value.trim();
 
-        // Clear the textarea
-        pasteInput.value = '';
-        updateColumnSelects();
+    if (!pastedData) {
+        toastManager.warning('Please paste some data first');
+        return;
+    }
+
+    modalManager.close('uploadModal');
+    loadingManager.show('Parsing pasted data...');
+
+    try {
+        // Parse pasted data using PapaParse
+        const parsed = await new Promise((resolve, reject) => {
+            Papa.parse(pastedData, {
+                header: true,
+                skipEmptyLines: true,
+                dynamicTyping: false, // processData types each column
+                delimiter: '', // Auto-detect delimiter (tab or comma)
+                complete: (results) => {
+                    try {
+                        const processedData = csvParser.processData(results.data, results.meta.fields);
+                        resolve(processedData);
+                    } catch (error) {
+                        reject(error);
+                    }
+                },
+                error: (error) => {
+                    reject(error);
+                }
+            });
+        });
+
+        console.log('Pasted data parsed:', parsed);
+
+        loadingManager.hide();
+        showFieldMappingModal(parsed, 'Pasted Data', {
+            sourceFile: 'Pasted from clipboard',
+            onLayerCreated: () => {
+                pasteInput.value = '';
+            }
+        });
     } catch (error) {
         console.error('Error parsing pasted data:', error);
         loadingManager.hide();
@@ -2108,15 +3754,22 @@ function handleImportValidData(validation) {
         const features = csvParser.extractFeatures(
             validation.validRows,
             validation.columnMap,
-            validation.dataType
+            validation.dataType,
+            validation.columnTypes
         );
 
+        if (validation.upsertLayerId) {
+            showUpsertModal(validation.upsertLayerId, features, 'Validated Import');
+            return;
+        }
+
         // Create layer with valid data
         const layerName = prompt('Enter layer name:', 'Imported Data (validated)');
         if (layerName) {
             const layerId = layerManager.createLayer(layerName, features, validation.dataType, {
                 sourceFile: 'Validated Import',
                 columnMap: validation.columnMap,
+                schema: validation.schema,
                 importDate: new Date().toISOString(),
                 validatedRows: validation.validCount,
                 skippedRows: validation.invalidCount
@@ -2187,6 +3840,20 @@ function addLayerToGroup(layerId, groupId) {
     // EventBus will trigger updateLayerGroupList via subscription
 }
 
+/**
+ * Add a new layer to "All Layers" and to the active group, if one is selected
+ * @param {string} layerId - Layer ID
+ */
+function addLayerToActiveGroups(layerId) {
+    const allLayersGroupId = stateManager.get('allLayersGroupId');
+    addLayerToGroup(layerId, allLayersGroupId);
+
+    const activeGroup = stateManager.get('activeGroup');
+    if (activeGroup && activeGroup !== allLayersGroupId) {
+        addLayerToGroup(layerId, activeGroup);
+    }
+}
+
 /**
  * Show column mapping modal
  */
@@ -2216,9 +3883,144 @@ function showColumnMapModal(columns, detectedMapping) {
     // Update template dropdown
     updateTemplateSelect();
 
+    const providerSelect = document.getElementById('geocodingProviderSelect');
+    providerSelect.innerHTML = geocodingService.getProviders()
+        .map(provider => `<option value="${provider.id}">${Utils.escapeXml(provider.name)}</option>`)
+        .join('');
+    providerSelect.value = geocodingService.getProvider().id;
+    updateOfflineLookupControls();
+
+    document.getElementById('shareGeocodeCacheToggle').checked = !!geocodingService.cache.sharedStore;
+    updateGeocodeCacheStats();
+
     modalManager.show('columnMapModal');
 }
 
+/**
+ * Show the offline lookup table controls when the offline provider is active
+ */
+function updateOfflineLookupControls() {
+    const provider = geocodingService.getProvider('offline');
+    const active = geocodingService.getProvider() === provider;
+    document.getElementById('offlineLookupControls').style.display = active ? 'block' : 'none';
+    if (!active) return;
+
+    const status = document.getElementById('offlineLookupStatus');
+    if (provider.loadError) {
+        status.textContent = provider.loadError;
+    } else if (provider.table) {
+        status.textContent = `Lookup table: ${Utils.formatNumber(provider.table.size)} addresses`;
+    } else {
+        status.textContent = provider.lookupUrl
+            ? `Lookup table: ${provider.lookupUrl} (loaded on first use)`
+            : 'No lookup table loaded';
+    }
+}
+
+/**
+ * Load an offline lookup table from a JSON or CSV file (address, latitude, longitude columns)
+ * @param {Event} e - File input change event
+ */
+async function handleOfflineLookupFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const entries = file.name.toLowerCase().endsWith('.csv')
+            ? Papa.parse(text, { header: true, skipEmptyLines: true }).data
+            : JSON.parse(text);
+
+        const provider = geocodingService.getProvider('offline');
+        provider.setLookupTable(entries);
+        if (provider.table.size === 0) {
+            toastManager.warning('No rows with address, latitude and longitude found in ' + file.name);
+        } else {
+            toastManager.success(`Loaded ${Utils.formatNumber(provider.table.size)} addresses from ${file.name}`);
+        }
+    } catch (error) {
+        console.error('Error loading offline lookup table:', error);
+        toastManager.error('Error loading lookup table: ' + error.message);
+    }
+    updateOfflineLookupControls();
+}
+
+/**
+ * Show geocode cache size and hit rate in the address mapping dialog
+ */
+async function updateGeocodeCacheStats() {
+    const statsText = document.getElementById('geocodeCacheStats');
+    try {
+        const stats = await geocodingService.cache.getStats();
+        statsText.textContent = `Cache: ${Utils.formatNumber(stats.entries)} addresses, ` +
+            `${stats.hitRate}% hit rate (${Utils.formatNumber(stats.hits)} of ${Utils.formatNumber(stats.hits + stats.misses)} lookups)`;
+    } catch (error) {
+        console.error('Error reading geocode cache stats:', error);
+        statsText.textContent = 'Cache statistics unavailable';
+    }
+}
+
+/**
+ * Clear the local geocode cache
+ */
+async function handleClearGeocodeCache() {
+    if (!confirm('Clear all cached geocoding results on this device? Addresses will be geocoded again on the next import.')) {
+        return;
+    }
+
+    try {
+        await geocodingService.cache.clear();
+        toastManager.success('Geocode cache cleared');
+    } catch (error) {
+        console.error('Error clearing geocode cache:', error);
+        toastManager.error('Error clearing geocode cache: ' + error.message);
+    }
+    updateGeocodeCacheStats();
+}
+
+/**
+ * Turn sharing of the geocode cache through Firebase on or off for the current workspace
+ * @param {boolean} enabled - Share cached addresses with the team
+ */
+async function setWorkspaceGeocodeCacheSharing(enabled) {
+    geocodingService.cache.setSharedStore(enabled ? firebaseManager : null);
+
+    try {
+        await firebaseManager.saveProfileSettings({ shareGeocodeCache: enabled });
+        toastManager.success(enabled ? 'Geocode cache shared with the team' : 'Geocode cache sharing turned off');
+    } catch (error) {
+        toastManager.warning('Cache sharing changed, but could not be saved for this workspace');
+    }
+}
+
+/**
+ * Switch the geocoding provider and save it for the current workspace
+ * @param {string} providerId - Provider ID (see GeocodingService.getProviders)
+ */
+async function setWorkspaceGeocodingProvider(providerId) {
+    if (!geocodingService.setProvider(providerId)) {
+        toastManager.error('Unknown geocoding provider');
+        return;
+    }
+
+    try {
+        await firebaseManager.saveProfileSettings({ geocodingProvider: providerId });
+        toastManager.success(`Geocoding provider set to ${geocodingService.getProvider().name}`);
+    } catch (error) {
+        toastManager.warning('Geocoding provider changed, but could not be saved for this workspace');
+    }
+}
+
+/**
+ * Apply settings stored on a workspace (loaded with its layers)
+ * @param {Object} settings - Workspace settings
+ */
+function applyWorkspaceSettings(settings = {}) {
+    geocodingService.setProvider(settings.geocodingProvider || AppConfig.geocoding.defaultProvider);
+    geocodingService.cache.setSharedStore(settings.shareGeocodeCache ? firebaseManager : null);
+}
+
 /**
  * Handle column mapping form submission
  */
@@ -2244,56 +4046,204 @@ async function handleColumnMapSubmit(e) {
     }
 
     modalManager.close('columnMapModal');
-    modalManager.show('geocodingModal');
 
     try {
-        const geocodedFeatures = await geocodingService.geocodeBatch(
-            currentCSVData.rawData,
+        // Geocoded features keep the original column names, so type the rows as-is
+        const columnTypes = currentCSVData.columnTypes || {};
+        const job = await geocodingService.queue.createJob(
+            csvParser.typeRows(currentCSVData.rawData, columnTypes),
             columnMapping,
-            updateGeocodingProgress
+            {
+                fileName: currentCSVData.fileName,
+                upsertLayerId: currentCSVData.upsertLayerId || null,
+                columnMap: currentCSVData.columnMap || {},
+                columnTypes: columnTypes
+            }
         );
 
-        const stats = geocodingService.getStatistics(geocodedFeatures);
+        currentCSVData = null;
+        document.getElementById('csvFileInput').value = '';
+        document.getElementById('uploadBtn').disabled = true;
+
+        await runGeocodingJob(job.id);
+    } catch (error) {
+        console.error('Error geocoding:', error);
+        modalManager.close('geocodingModal');
+        toastManager.error('Error geocoding addresses: ' + error.message);
+    }
+}
+
+/**
+ * Run (or resume) a geocoding job in the progress dialog
+ * @param {string} jobId - Job ID (see GeocodingQueue)
+ */
+async function runGeocodingJob(jobId) {
+    currentGeocodingJobId = jobId;
+    modalManager.show('geocodingModal');
+    setGeocodingButtons('running');
+
+    try {
+        const result = await geocodingService.queue.run(jobId, updateGeocodingProgress);
+
+        if (result.status === 'completed') {
+            modalManager.close('geocodingModal');
+            currentGeocodingJobId = null;
+            await finishGeocodingJob(result.job);
+        } else if (result.status === 'paused') {
+            setGeocodingButtons('paused');
+            document.getElementById('geocodingStatus').textContent =
+                `Paused: ${result.job.successCount + result.job.errorCount} of ${result.job.rows.length}`;
+        } else if (result.status === 'cancelled') {
+            modalManager.close('geocodingModal');
+            currentGeocodingJobId = null;
+            toastManager.info('Geocoding job cancelled');
+        }
+    } catch (error) {
+        console.error('Error geocoding:', error);
+        modalManager.close('geocodingModal');
+        toastManager.error('Error geocoding addresses: ' + error.message);
+    }
+}
+
+/**
+ * Show the buttons that apply to the job's state
+ * @param {string} state - 'running' or 'paused'
+ */
+function setGeocodingButtons(state) {
+    const paused = state === 'paused';
+    document.getElementById('pauseGeocodingBtn').style.display = paused ? 'none' : '';
+    document.getElementById('pauseGeocodingBtn').disabled = false;
+    document.getElementById('resumeGeocodingBtn').style.display = paused ? '' : 'none';
+    document.getElementById('closeGeocodingBtn').style.display = paused ? '' : 'none';
+}
+
+/**
+ * Pause the geocoding job (requests in flight finish first)
+ */
+function handlePauseGeocoding() {
+    if (!currentGeocodingJobId) return;
+
+    document.getElementById('pauseGeocodingBtn').disabled = true;
+    document.getElementById('geocodingStatus').textContent = 'Pausing...';
+    geocodingService.queue.pause(currentGeocodingJobId);
+}
+
+/**
+ * Cancel the geocoding job and discard its results
+ */
+async function handleCancelGeocoding() {
+    if (!currentGeocodingJobId) return;
+    if (!confirm('Cancel this geocoding job? Addresses geocoded so far will be discarded.')) return;
+
+    const jobId = currentGeocodingJobId;
+    const running = geocodingService.queue.runners.has(jobId);
+    await geocodingService.queue.cancel(jobId);
+
+    // A running job reports the cancellation through runGeocodingJob
+    if (!running) {
         modalManager.close('geocodingModal');
+        currentGeocodingJobId = null;
+        toastManager.info('Geocoding job cancelled');
+    }
+}
+
+/**
+ * Turn a completed geocoding job into a layer (or a layer update)
+ * @param {Object} job - Completed job (see GeocodingQueue)
+ */
+async function finishGeocodingJob(job) {
+    const geocodedFeatures = job.results;
+    const columnTypes = job.meta.columnTypes || {};
+
+    // Also store mapped columns (name, owner, account number...) under the standard names
+    const schema = { ...columnTypes };
+    const roleColumns = job.meta.columnMap || {};
+    csvParser.attributeRoles.forEach(role => {
+        const column = roleColumns[role];
+        if (!column || column === role) return;
+        if (columnTypes[column]) schema[role] = columnTypes[column];
+        geocodedFeatures.forEach(feature => {
+            const value = feature[column];
+            if (feature[role] === undefined && value !== null && value !== undefined && value !== '') {
+                feature[role] = value;
+            }
+        });
+    });
+
+    const stats = geocodingService.getStatistics(geocodedFeatures);
+
+    // The results are handed over below; the job itself is no longer needed
+    await geocodingService.queue.deleteJob(job.id);
+
+    if (job.meta.upsertLayerId && layerManager.getLayer(job.meta.upsertLayerId)) {
+        const geocodedValid = geocodedFeatures.filter(f => f.latitude && f.longitude);
+        showUpsertModal(job.meta.upsertLayerId, geocodedValid, job.meta.fileName);
+        return;
+    }
+
+    const layerName = prompt(
+        `Geocoding complete! ${stats.successful} of ${stats.total} addresses geocoded.\nEnter layer name:`,
+        'Geocoded Locations'
+    );
+
+    if (!layerName) {
+        return;
+    }
 
-        const layerName = prompt(
-            `Geocoding complete! ${stats.successful} of ${stats.total} addresses geocoded.\nEnter layer name:`,
-            'Geocoded Locations'
-        );
+    // Rows that failed are kept on the layer so they can be placed from the review panel
+    const validFeatures = geocodedFeatures.filter(f => f.latitude && f.longitude);
+    const layerId = layerManager.createLayer(layerName, validFeatures, 'point', {
+        geocoded: true,
+        geocodingStats: stats,
+        geocodeFailures: geocodedFeatures.filter(f => !(f.latitude && f.longitude)),
+        columnMapping: job.columnMapping,
+        schema: schema,
+        importDate: new Date().toISOString()
+    });
 
-        if (!layerName) {
-            currentCSVData = null;
-            return;
-        }
+    // Always add to "All Layers" group
+    addLayerToGroup(layerId, stateManager.get('allLayersGroupId'));
 
-        const validFeatures = geocodedFeatures.filter(f => f.latitude && f.longitude);
-        const layerId = layerManager.createLayer(layerName, validFeatures, 'point', {
-            geocoded: true,
-            geocodingStats: stats,
-            columnMapping: columnMapping,
-            importDate: new Date().toISOString()
-        });
+    // Also add to active group if one is selected (and it's not "All Layers")
+    const geocodeActiveGroup = stateManager.get('activeGroup');
+    if (geocodeActiveGroup && geocodeActiveGroup !== stateManager.get('allLayersGroupId')) {
+        addLayerToGroup(layerId, geocodeActiveGroup);
+    }
 
-        // Always add to "All Layers" group
-        addLayerToGroup(layerId, stateManager.get('allLayersGroupId'));
+    toastManager.success(`Layer "${layerName}" created with ${validFeatures.length} geocoded locations`);
+    updateColumnSelects();
 
-        // Also add to active group if one is selected (and it's not "All Layers")
-        const geocodeActiveGroup = stateManager.get('activeGroup');
-        if (geocodeActiveGroup && geocodeActiveGroup !== stateManager.get('allLayersGroupId')) {
-            addLayerToGroup(layerId, geocodeActiveGroup);
-        }
+    const reviewCount = stats.failed + validFeatures.filter(f => geocodeReviewPanel.needsReview(f)).length;
+    if (reviewCount > 0) {
+        toastManager.info(`${reviewCount} address(es) failed or have low confidence. Check them in the Review tab.`);
+    }
+}
 
-        toastManager.success(`Layer "${layerName}" created with ${validFeatures.length} geocoded locations`);
-        updateColumnSelects();
+/**
+ * Offer to continue geocoding jobs left unfinished by a reload or a paused dialog
+ */
+async function resumeInterruptedGeocodingJobs() {
+    let jobs;
+    try {
+        jobs = await geocodingService.queue.getPendingJobs();
+    } catch (error) {
+        console.error('Error loading geocoding jobs:', error);
+        return;
+    }
 
-        currentCSVData = null;
-        document.getElementById('csvFileInput').value = '';
-        document.getElementById('uploadBtn').disabled = true;
+    for (const job of jobs) {
+        const done = job.results.filter(result => result).length;
+        const resume = confirm(
+            `Geocoding of "${job.name}" was interrupted (${done} of ${job.rows.length} addresses done).\n\n` +
+            'OK to resume, Cancel to discard it.'
+        );
 
-    } catch (error) {
-        console.error('Error geocoding:', error);
-        modalManager.close('geocodingModal');
-        toastManager.error('Error geocoding addresses: ' + error.message);
+        if (resume) {
+            // One job at a time; any others are offered again on the next load
+            await runGeocodingJob(job.id);
+            return;
+        }
+        await geocodingService.queue.cancel(job.id);
     }
 }
 
@@ -2308,8 +4258,11 @@ function updateGeocodingProgress(progress) {
     progressBar.style.width = progress.percentage + '%';
     progressBar.textContent = Math.round(progress.percentage) + '%';
 
+    if (progress.jobId && progress.jobId !== currentGeocodingJobId) return;
+
     statusText.textContent = `Geocoding: ${progress.current} of ${progress.total}`;
-    statsText.textContent = `Success: ${progress.successCount} | Failed: ${progress.errorCount}`;
+    statsText.textContent = `Success: ${progress.successCount} | Failed: ${progress.errorCount}` +
+        (progress.cacheHits ? ` | From cache: ${progress.cacheHits}` : '');
 }
 
 /**
@@ -2776,10 +4729,16 @@ function populateFeaturesList(container, layer) {
                            feature.description || feature.Description ||
                            `Feature ${index + 1}`;
 
-        // Add shape edit button only for polygon layers
-        const shapeEditBtn = layer.type === 'polygon' && feature.wkt
-            ? '<button class="feature-shape-btn" title="Edit polygon shape">🔷</button>'
-            : '';
+        // Add shape edit button only for polygon layers (lines can't be split), move button for points
+        let shapeEditBtn = '';
+        if (layer.type === 'polygon' && feature.wkt && /^\s*LINESTRING/i.test(feature.wkt)) {
+            shapeEditBtn = '<button class="feature-shape-btn" title="Edit line">🔷</button>';
+        } else if (layer.type === 'polygon' && feature.wkt) {
+            shapeEditBtn = '<button class="feature-shape-btn" title="Edit polygon shape">🔷</button>' +
+                '<button class="feature-split-btn" title="Split with a line">✂️</button>';
+        } else if (!feature.wkt && feature.latitude !== undefined && feature.longitude !== undefined) {
+            shapeEditBtn = '<button class="feature-point-btn" title="Move point">📍</button>';
+        }
 
         featureItem.innerHTML = `
             <input type="checkbox" class="feature-checkbox" ${!feature.hidden ? 'checked' : ''} title="Toggle visibility">
@@ -2814,6 +4773,24 @@ function populateFeaturesList(container, layer) {
             });
         }
 
+        // Split button (for polygons)
+        const splitBtn = featureItem.querySelector('.feature-split-btn');
+        if (splitBtn) {
+            splitBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                startPolygonSplit(layer.id, feature);
+            });
+        }
+
+        // Move point button
+        const pointBtn = featureItem.querySelector('.feature-point-btn');
+        if (pointBtn) {
+            pointBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                startPointMove(layer.id, feature);
+            });
+        }
+
         // Edit button
         featureItem.querySelector('.feature-edit-btn').addEventListener('click', (e) => {
             e.stopPropagation();
@@ -2956,8 +4933,23 @@ function handleLayerAction(e) {
             break;
 
         case 'export':
-            csvParser.exportToCSV(layer.features, `${layer.name}.csv`);
-            toastManager.success(`Layer "${layer.name}" exported`);
+            showExportModal({ type: 'layer', id: layerId });
+            break;
+
+        case 'fillAddresses':
+            handleFillMissingAddresses(layerId);
+            break;
+
+        case 'dissolve':
+            showDissolveModal(layerId);
+            break;
+
+        case 'merge':
+            showMergeModal(layerId);
+            break;
+
+        case 'buffer':
+            showBufferModal(layerId);
             break;
 
         case 'rename':
@@ -2980,6 +4972,140 @@ function handleLayerAction(e) {
     }
 }
 
+/**
+ * Show export modal for a layer or a group
+ * @param {Object} target - { type: 'layer'|'group', id }
+ */
+function showExportModal(target) {
+    currentExportTarget = target;
+
+    const layerIds = getExportLayerIds(target);
+    const name = getExportName(target);
+    const filteredCount = layerIds.filter(id => layerManager.activeFilters.has(id)).length;
+
+    const info = target.type === 'group'
+        ? `Group "${name}" (${layerIds.length} layer${layerIds.length === 1 ? '' : 's'})`
+        : `Layer "${name}"`;
+    document.getElementById('exportTargetInfo').textContent = filteredCount > 0
+        ? `${info} - ${filteredCount} filtered layer${filteredCount === 1 ? '' : 's'}`
+        : info;
+
+    document.getElementById('exportScope').value = filteredCount > 0 ? 'filtered' : 'all';
+    modalManager.show('exportModal');
+}
+
+/**
+ * Get the layer IDs covered by an export target
+ * @param {Object} target - { type: 'layer'|'group', id }
+ * @returns {Array<string>} Layer IDs
+ */
+function getExportLayerIds(target) {
+    if (target.type === 'layer') {
+        return [target.id];
+    }
+
+    if (target.id === stateManager.get('allLayersGroupId')) {
+        return layerManager.getAllLayers().map(layer => layer.id);
+    }
+
+    const group = layerManager.getLayerGroup(target.id);
+    return group ? (group.layerIds || []).filter(id => layerManager.getLayer(id)) : [];
+}
+
+/**
+ * Get display/file name for an export target
+ * @param {Object} target - { type: 'layer'|'group', id }
+ * @returns {string} Name
+ */
+function getExportName(target) {
+    const item = target.type === 'layer'
+        ? layerManager.getLayer(target.id)
+        : layerManager.getLayerGroup(target.id);
+    return item ? item.name : 'export';
+}
+
+/**
+ * Export the current layer/group in the selected format
+ */
+async function handleExportConfirm() {
+    if (!currentExportTarget) return;
+
+    const format = document.getElementById('exportFormat').value;
+    const scope = document.getElementById('exportScope').value;
+    const name = getExportName(currentExportTarget);
+    const isGroup = currentExportTarget.type === 'group';
+
+    const entries = getExportLayerIds(currentExportTarget).map(layerId => {
+        const layer = layerManager.getLayer(layerId);
+        return {
+            layerId,
+            layer,
+            features: scope === 'filtered' ? layerManager.getFilteredFeatures(layerId) : layer.features
+        };
+    });
+
+    const featureCount = entries.reduce((sum, entry) => sum + entry.features.length, 0);
+    if (featureCount === 0) {
+        toastManager.warning('No features to export');
+        return;
+    }
+
+    modalManager.close('exportModal');
+    loadingManager.show(`Exporting ${featureCount} features...`);
+
+    try {
+        switch (format) {
+            case 'geojson': {
+                // Tag features with their layer when exporting a whole group
+                const features = entries.flatMap(entry =>
+                    layerManager.exportLayerToGeoJSON(entry.layerId, entry.features).features.map(feature => {
+                        if (isGroup) feature.properties.layerName = entry.layer.name;
+                        return feature;
+                    })
+                );
+                const geojson = { type: 'FeatureCollection', name: name, features: features };
+                Utils.downloadFile(JSON.stringify(geojson), `${name}.geojson`, 'application/geo+json');
+                break;
+            }
+
+            case 'shapefile': {
+                const shapefileEntries = entries.map(entry => ({
+                    name: entry.layer.name,
+                    features: layerManager.exportLayerToGeoJSON(entry.layerId, entry.features).features
+                }));
+                const zipBlob = await new ShapefileWriter().writeZip(shapefileEntries);
+                Utils.downloadFile(zipBlob, `${name}.zip`, 'application/zip');
+                break;
+            }
+
+            case 'kml':
+                Utils.downloadFile(
+                    layerManager.exportLayersToKML(entries, name),
+                    `${name}.kml`,
+                    'application/vnd.google-earth.kml+xml'
+                );
+                break;
+
+            case 'csv': {
+                const rows = entries.flatMap(entry => entry.features.map(feature => ({
+                    ...feature,
+                    ...(isGroup ? { layerName: entry.layer.name } : {}),
+                    styleColor: layerManager.getFeatureColor(entry.layerId, feature)
+                })));
+                csvParser.exportToCSV(rows, `${name}.csv`);
+                break;
+            }
+        }
+
+        toastManager.success(`Exported ${featureCount} features from "${name}"`);
+    } catch (error) {
+        console.error('Error exporting:', error);
+        toastManager.error('Export failed: ' + error.message);
+    } finally {
+        loadingManager.hide();
+    }
+}
+
 /**
  * Show rename layer modal
  */
@@ -3908,6 +6034,13 @@ function handleEditFormSubmit(e) {
     // Get the feature ID from properties or the feature itself
     const featureId = currentEditingFeature.properties?.id || currentEditingFeature.id;
 
+    // Address columns mapped at import time that this edit changes
+    const layer = layerManager.getLayer(currentEditingFeature.layerId);
+    const previousFeature = layer && layer.features.find(f => f.id === featureId);
+    const changedAddressColumns = previousFeature && !previousFeature.wkt
+        ? geocodingService.getChangedAddressColumns(layer.metadata && layer.metadata.columnMapping, previousFeature, updatedProperties)
+        : [];
+
     layerManager.updateFeature(
         currentEditingFeature.layerId,
         featureId,
@@ -3925,6 +6058,60 @@ function handleEditFormSubmit(e) {
 
     modalManager.close('editModal');
     toastManager.success('Feature updated');
+
+    if (changedAddressColumns.length > 0) {
+        offerRegeocode(currentEditingFeature.layerId, featureId, changedAddressColumns);
+    }
+}
+
+/**
+ * Offer (or run, per AppConfig.geocoding.regeocodeOnEdit) a re-geocode after an address edit
+ * @param {string} layerId - Layer ID
+ * @param {string} featureId - Feature ID
+ * @param {Array} changedColumns - Address columns that changed
+ */
+async function offerRegeocode(layerId, featureId, changedColumns) {
+    const mode = AppConfig.geocoding.regeocodeOnEdit;
+    if (mode === 'off') return;
+
+    if (mode === 'ask' && !confirm(`The address changed (${changedColumns.join(', ')}).\nGeocode it again and move the marker?`)) {
+        return;
+    }
+
+    await regeocodeEditedFeature(layerId, featureId);
+}
+
+/**
+ * Geocode an edited feature again and move its marker
+ * @param {string} layerId - Layer ID
+ * @param {string} featureId - Feature ID
+ */
+async function regeocodeEditedFeature(layerId, featureId) {
+    const layer = layerManager.getLayer(layerId);
+    const feature = layer && layer.features.find(f => f.id === featureId);
+    if (!feature) return;
+
+    try {
+        const result = await geocodingService.regeocodeFeature(feature, layer.metadata.columnMapping);
+
+        if (!result.success) {
+            layerManager.updateFeature(layerId, featureId, { geocodeStatus: result.properties.geocodeStatus });
+            toastManager.warning(`Could not geocode the new address (${result.error}). The marker was not moved.`);
+            return;
+        }
+
+        // The new location has not been checked yet, so it goes back to the review list if low confidence
+        layerManager.setFeatureLocation(layerId, featureId, result.latitude, result.longitude, {
+            ...result.properties,
+            geocodeVerified: false
+        });
+
+        const confidence = typeof result.confidence === 'number' ? ` (confidence ${Math.round(result.confidence * 100)}%)` : '';
+        toastManager.success(`Marker moved to ${result.formattedAddress}${confidence}`);
+    } catch (error) {
+        console.error('Error re-geocoding feature:', error);
+        toastManager.error('Error geocoding the new address: ' + error.message);
+    }
 }
 
 /**
@@ -3960,23 +6147,55 @@ function handleDeleteFeature() {
 function handleApplyFilter() {
     const column = document.getElementById('filterColumn').value;
     const value = document.getElementById('filterValue').value;
+    const withinLayerId = document.getElementById('filterWithinLayer').value || null;
+    const hasValueFilter = column && value;
 
-    if (!column || !value) {
-        toastManager.warning('Please select a column and enter a filter value');
+    if (!hasValueFilter && !withinLayerId) {
+        toastManager.warning('Please select a column and enter a filter value, or pick a territory layer');
         return;
     }
 
     const layers = layerManager.getAllLayers();
     layers.forEach(layer => {
-        if (layer.visible) {
-            layerManager.applyFilter(layer.id, column, value);
+        if (!layer.visible) return;
+
+        // The territory layer itself is only filtered by value
+        if (layer.id === withinLayerId) {
+            if (hasValueFilter) layerManager.applyFilter(layer.id, column, value);
+            return;
         }
+
+        layerManager.applyFilter(layer.id, hasValueFilter ? column : null, hasValueFilter ? value : null, withinLayerId);
     });
 
-    toastManager.success(`Filter applied: ${column} contains "${value}"`);
+    const parts = [];
+    if (hasValueFilter) {
+        const isComparison = /^\s*(>=|<=|!=|>|<|=)/.test(value);
+        parts.push(isComparison ? `${column} ${value.trim()}` : `${column} contains "${value}"`);
+    }
+    if (withinLayerId) {
+        parts.push(`within ${layerManager.getLayer(withinLayerId).name}`);
+    }
+
+    toastManager.success(`Filter applied: ${parts.join(', ')}`);
     modalManager.close('filterModal');
 }
 
+/**
+ * Fill the filter's territory select with the polygon layers
+ */
+function updateFilterWithinSelect() {
+    const select = document.getElementById('filterWithinLayer');
+    const current = select.value;
+
+    const polygonLayers = layerManager.getAllLayers().filter(layer => layer.type === 'polygon' || layer.type === 'mixed');
+    select.innerHTML = '<option value="">Anywhere on the map</option>' + polygonLayers
+        .map(layer => `<option value="${layer.id}">Within ${Utils.escapeXml(layer.name)}</option>`)
+        .join('');
+
+    if (polygonLayers.some(layer => layer.id === current)) select.value = current;
+}
+
 /**
  * Handle clear filter
  */
@@ -3987,6 +6206,7 @@ function handleClearFilter() {
     });
 
     document.getElementById('filterValue').value = '';
+    document.getElementById('filterWithinLayer').value = '';
     toastManager.success('Filters cleared');
 }
 
@@ -4121,6 +6341,7 @@ async function handleLoadFromFirebase() {
 
     try {
         const result = await firebaseManager.loadAllLayers();
+        applyWorkspaceSettings(result.settings);
 
         if (result.layers && Object.keys(result.layers).length > 0) {
             // Store the timestamp of this data load to ignore stale real-time updates
@@ -4539,6 +6760,7 @@ async function switchProfile(profileId, showLoading = true) {
 
         // Load data for this profile from Firebase
         const result = await firebaseManager.loadAllLayers();
+        applyWorkspaceSettings(result.settings);
 
         if (result.layers && Object.keys(result.layers).length > 0) {
             // Store the timestamp of this data load to ignore stale real-time updates
@@ -5038,7 +7260,7 @@ function startPolygonShapeEdit(layerId, feature) {
         layerId,
         feature.id,
         feature.wkt,
-        (newWkt) => handlePolygonShapeSaved(layerId, feature.id, newWkt),
+        (newWkt, vertexMoves) => handlePolygonShapeSaved(layerId, feature.id, newWkt, vertexMoves),
         () => handlePolygonShapeCancelled()
     );
 
@@ -5060,10 +7282,19 @@ function startPolygonShapeEdit(layerId, feature) {
  * @param {string} layerId - Layer ID
  * @param {string} featureId - Feature ID
  * @param {string} newWkt - New WKT string
+ * @param {Array} vertexMoves - Vertices moved during the edit ({ from, to })
  */
-function handlePolygonShapeSaved(layerId, featureId, newWkt) {
-    // Update the feature with new WKT
-    layerManager.updateFeature(layerId, featureId, { wkt: newWkt });
+function handlePolygonShapeSaved(layerId, featureId, newWkt, vertexMoves = []) {
+    // Update the feature with new WKT; a saved distance measurement keeps its length current
+    const changes = { wkt: newWkt };
+    const edited = layerManager.getLayer(layerId)?.features.find(f => f.id === featureId);
+    if (edited && edited.measurementType === 'distance') {
+        const geometry = Utils.getFeatureGeometry({ wkt: newWkt });
+        if (geometry && geometry.type === 'LineString') {
+            Object.assign(changes, distanceTool.getLineProperties(geometry.coordinates));
+        }
+    }
+    layerManager.updateFeature(layerId, featureId, changes);
 
     // Re-render the layer to show updated polygon
     const layer = layerManager.getLayer(layerId);
@@ -5080,7 +7311,26 @@ function handlePolygonShapeSaved(layerId, featureId, newWkt) {
     document.getElementById('polygonEditControls').style.display = 'none';
     stateManager.set('editingPolygonInfo', null);
 
-    toastManager.success('Polygon shape updated');
+    // Keep borders shared with neighbouring territories together
+    const neighbourCount = polygonSnapper && polygonSnapper.sharedVertices
+        ? polygonSnapper.moveSharedVertices(vertexMoves, { layerId, featureId })
+        : 0;
+
+    toastManager.success(neighbourCount > 0
+        ? `Polygon shape updated along with ${neighbourCount} neighboring polygon(s)`
+        : 'Polygon shape updated');
+}
+
+/**
+ * Show the snapper's settings in every snapping checkbox
+ */
+function syncSnappingToggles() {
+    ['snapToggle', 'editSnapToggle'].forEach(id => {
+        document.getElementById(id).checked = polygonSnapper.enabled;
+    });
+    ['sharedVerticesToggle', 'editSharedVerticesToggle'].forEach(id => {
+        document.getElementById(id).checked = polygonSnapper.sharedVertices;
+    });
 }
 
 /**
@@ -5114,6 +7364,254 @@ function cancelPolygonShapeEdit() {
     mapManager.cancelPolygonEdit();
 }
 
+/**
+ * Re-apply a polygon layer's labels after its shapes changed
+ * @param {string} layerId - Layer ID
+ */
+function refreshPolygonLabels(layerId) {
+    const layer = layerManager.getLayer(layerId);
+    if (layer && layer.showLabels) {
+        mapManager.togglePolygonLabels(layerId, true, layer.features);
+    }
+}
+
+/**
+ * Start splitting a polygon: the user draws a cut line across it
+ * @param {string} layerId - Layer ID
+ * @param {Object} feature - Feature object with wkt property
+ */
+function startPolygonSplit(layerId, feature) {
+    if (!feature.wkt) {
+        toastManager.error('This feature does not have polygon data');
+        return;
+    }
+
+    if (mapManager.isEditingPolygon() || mapManager.isDrawingLine()) {
+        toastManager.warning('Already editing a polygon. Please save or cancel first.');
+        return;
+    }
+
+    if (!GeometryOps.isAvailable()) {
+        toastManager.error('Geometry library (Turf.js) failed to load');
+        return;
+    }
+
+    currentSplit = { layerId, featureId: feature.id, line: null };
+
+    mapManager.focusBounds(SpatialGeometry.getBounds(Utils.getPolygonCoordinates(Utils.getFeatureGeometry(feature))));
+    mapManager.startLineDraw(handleSplitLineDrawn);
+
+    const controls = document.getElementById('splitControls');
+    controls.querySelector('.edit-label').textContent = `Splitting: ${feature.name || feature.Name || 'Polygon'}`;
+    controls.style.display = 'flex';
+
+    toastManager.show('Click across the polygon to draw the cut line, double-click to finish.', 'info');
+}
+
+/**
+ * Stop drawing the cut line
+ */
+function cancelPolygonSplit() {
+    mapManager.stopLineDraw();
+    currentSplit = null;
+    document.getElementById('splitControls').style.display = 'none';
+}
+
+/**
+ * Handle the finished cut line: preview the split and ask how to copy attributes
+ * @param {Array|null} line - Cut line as [lng, lat] points, or null when fewer than 2 points were drawn
+ */
+function handleSplitLineDrawn(line) {
+    document.getElementById('splitControls').style.display = 'none';
+    if (!currentSplit) return;
+
+    if (!line) {
+        toastManager.warning('Draw at least two points across the polygon to split it.');
+        currentSplit = null;
+        return;
+    }
+
+    currentSplit.line = line;
+    document.getElementById('splitAttributeMode').value = 'copy';
+
+    if (!refreshSplitSummary()) {
+        toastManager.warning('The line doesn\'t cut the polygon in two. Please try again.');
+        currentSplit = null;
+        return;
+    }
+
+    modalManager.show('splitModal');
+}
+
+/**
+ * Plan the current split with the chosen attribute mode
+ * @returns {Object|null} Plan from LayerManager.planSplitFeature
+ */
+function planCurrentSplit() {
+    const layer = currentSplit && layerManager.getLayer(currentSplit.layerId);
+    if (!layer) return null;
+
+    try {
+        return layerManager.planSplitFeature(layer.id, currentSplit.featureId, currentSplit.line, {
+            attributeMode: document.getElementById('splitAttributeMode').value,
+            numericColumns: getLayerNumericColumns(layer)
+        });
+    } catch (error) {
+        console.error('Error splitting polygon:', error);
+        return null;
+    }
+}
+
+/**
+ * Show the areas of the two parts
+ * @returns {boolean} Whether the line splits the polygon
+ */
+function refreshSplitSummary() {
+    const plan = planCurrentSplit();
+    if (!plan) return false;
+
+    const modeNotes = {
+        copy: 'Both parts get all of the original attributes.',
+        proportional: 'Both parts get the original attributes; numeric columns are divided by area.',
+        larger: 'The larger part keeps the attributes; the smaller part starts empty.'
+    };
+
+    document.getElementById('splitSummary').innerHTML = `
+        <div class="validation-stats">
+            <div class="validation-stat">
+                <span class="validation-stat-value">${Utils.formatArea(plan.areas[0])}</span>
+                <span class="validation-stat-label">Larger part</span>
+            </div>
+            <div class="validation-stat">
+                <span class="validation-stat-value">${Utils.formatArea(plan.areas[1])}</span>
+                <span class="validation-stat-label">Smaller part</span>
+            </div>
+        </div>
+        <p><small>${modeNotes[plan.attributeMode]}</small></p>
+    `;
+    return true;
+}
+
+/**
+ * Apply the previewed split as one undoable command
+ */
+function handleSplitConfirm() {
+    const plan = planCurrentSplit();
+    if (!plan) {
+        toastManager.error('Could not split this polygon');
+        return;
+    }
+
+    commandHistory.execute(new SplitFeatureCommand(layerManager, plan));
+    refreshPolygonLabels(plan.layerId);
+
+    modalManager.close('splitModal');
+    currentSplit = null;
+    toastManager.success('Polygon split into two features');
+}
+
+/**
+ * Show the merge dialog for a polygon layer
+ * The feature selected on the map or in the list is checked.
+ * @param {string} layerId - Layer ID
+ */
+function showMergeModal(layerId) {
+    const layer = layerManager.getLayer(layerId);
+    const polygons = layer ? layer.features.filter(f => Utils.isPolygonFeature(f)) : [];
+    if (polygons.length < 2) {
+        toastManager.warning('Merging needs a layer with at least two polygons');
+        return;
+    }
+
+    if (!GeometryOps.isAvailable()) {
+        toastManager.error('Geometry library (Turf.js) failed to load');
+        return;
+    }
+
+    currentMergeLayerId = layerId;
+    const selected = stateManager.get('currentEditingFeature');
+    const selectedId = selected && selected.layerId === layerId ? selected.id : null;
+
+    document.getElementById('mergeLayerInfo').textContent = `Layer "${layer.name}"`;
+    document.getElementById('mergeFilter').value = '';
+    document.getElementById('mergeFeatureList').innerHTML = polygons.map(feature => {
+        const name = String(feature.name || feature.Name || feature.description || feature.Description || feature.id);
+        return `
+            <label class="checkbox-label merge-item" data-name="${Utils.escapeXml(name.toLowerCase())}">
+                <input type="checkbox" value="${Utils.escapeXml(feature.id)}" data-label="${Utils.escapeXml(name)}" ${feature.id === selectedId ? 'checked' : ''}>
+                <span>${Utils.escapeXml(name)}</span>
+            </label>
+        `;
+    }).join('');
+
+    renderSumColumnCheckboxes(document.getElementById('mergeSumColumns'), getLayerNumericColumns(layer));
+    refreshMergeKeepSelect();
+    modalManager.show('mergeModal');
+}
+
+/**
+ * Show only the merge list entries whose name contains the text
+ * @param {string} text - Filter text
+ */
+function filterMergeList(text) {
+    const needle = text.trim().toLowerCase();
+    document.querySelectorAll('#mergeFeatureList .merge-item').forEach(item => {
+        item.style.display = !needle || item.dataset.name.includes(needle) ? '' : 'none';
+    });
+}
+
+/**
+ * Offer the checked polygons as the one whose attributes are kept
+ */
+function refreshMergeKeepSelect() {
+    const checked = Array.from(document.querySelectorAll('#mergeFeatureList input:checked'));
+    const select = document.getElementById('mergeKeepFeature');
+    const previous = select.value;
+
+    select.innerHTML = checked
+        .map(input => `<option value="${Utils.escapeXml(input.value)}">${Utils.escapeXml(input.dataset.label)}</option>`)
+        .join('');
+    if (checked.some(input => input.value === previous)) select.value = previous;
+
+    document.getElementById('mergeSummary').textContent = checked.length < 2
+        ? 'Select at least two polygons to merge.'
+        : `${checked.length} polygons will be merged into one feature.`;
+    document.getElementById('confirmMergeBtn').disabled = checked.length < 2;
+}
+
+/**
+ * Merge the checked polygons as one undoable command
+ */
+function handleMergeConfirm() {
+    const layerId = currentMergeLayerId;
+    const featureIds = Array.from(document.querySelectorAll('#mergeFeatureList input:checked')).map(input => input.value);
+    const sumColumns = Array.from(document.querySelectorAll('#mergeSumColumns input:checked')).map(input => input.value);
+
+    let plan;
+    try {
+        plan = layerManager.planMergeFeatures(layerId, featureIds, {
+            keepFeatureId: document.getElementById('mergeKeepFeature').value,
+            sumColumns
+        });
+    } catch (error) {
+        console.error('Error merging polygons:', error);
+        toastManager.error('Error merging polygons: ' + error.message);
+        return;
+    }
+    if (!plan) return;
+
+    if (plan.partCount > 1 && !confirm(`The selected polygons don't touch, so the merged feature will have ${plan.partCount} separate parts. Merge anyway?`)) {
+        return;
+    }
+
+    commandHistory.execute(new MergeFeaturesCommand(layerManager, plan));
+    refreshPolygonLabels(layerId);
+
+    modalManager.close('mergeModal');
+    currentMergeLayerId = null;
+    toastManager.success(`Merged ${plan.featureIds.length} polygons into one feature`);
+}
+
 // Wait for both DOM and Google Maps to be ready
 let domReady = false;
 let mapsReady = false;
@@ -461,6 +461,133 @@ class RenameGroupCommand extends Command {
     }
 }
 
+/**
+ * Upsert Layer Command
+ * Merges imported features into an existing layer (see LayerManager.planUpsert)
+ */
+class UpsertLayerCommand extends Command {
+    constructor(layerManager, layerId, plan, missingAction, metadata = {}) {
+        super(`Update layer from import`);
+        this.layerManager = layerManager;
+        this.layerId = layerId;
+        this.plan = plan;
+        this.missingAction = missingAction;
+        this.metadata = metadata;
+        this.oldFeatures = null;
+        this.oldType = null;
+        this.oldMetadata = null;
+    }
+
+    execute() {
+        const layer = this.layerManager.getLayer(this.layerId);
+        if (layer) {
+            this.oldFeatures = JSON.parse(JSON.stringify(layer.features));
+            this.oldType = layer.type;
+            this.oldMetadata = JSON.parse(JSON.stringify(layer.metadata || {}));
+            this.description = `Update layer "${layer.name}" from import`;
+            this.layerManager.applyUpsert(this.layerId, this.plan, this.missingAction, this.metadata);
+        }
+    }
+
+    undo() {
+        const layer = this.layerManager.getLayer(this.layerId);
+        if (layer && this.oldFeatures) {
+            layer.metadata = this.oldMetadata;
+            this.layerManager.setLayerFeatures(this.layerId, this.oldFeatures, this.oldType);
+        }
+    }
+}
+
+/**
+ * Spatial Join Command
+ * Copies polygon attributes onto the points inside them (see LayerManager.planSpatialJoin)
+ */
+class SpatialJoinCommand extends Command {
+    constructor(layerManager, plan) {
+        super(`Spatial join`);
+        this.layerManager = layerManager;
+        this.plan = plan;
+        this.oldFeatures = null;
+        this.oldMetadata = null;
+    }
+
+    execute() {
+        const layer = this.layerManager.getLayer(this.plan.pointLayerId);
+        if (layer) {
+            this.oldFeatures = JSON.parse(JSON.stringify(layer.features));
+            this.oldMetadata = JSON.parse(JSON.stringify(layer.metadata || {}));
+            this.description = `Spatial join into "${layer.name}"`;
+            this.layerManager.applySpatialJoin(this.plan);
+        }
+    }
+
+    undo() {
+        const layer = this.layerManager.getLayer(this.plan.pointLayerId);
+        if (layer && this.oldFeatures) {
+            layer.metadata = this.oldMetadata;
+            this.layerManager.setLayerFeatures(this.plan.pointLayerId, this.oldFeatures, layer.type);
+        }
+    }
+}
+
+/**
+ * Split Feature Command
+ * Splits a polygon in two along a line (see LayerManager.planSplitFeature)
+ */
+class SplitFeatureCommand extends Command {
+    constructor(layerManager, plan) {
+        super(`Split feature`);
+        this.layerManager = layerManager;
+        this.plan = plan;
+        this.oldFeatures = null;
+    }
+
+    execute() {
+        const layer = this.layerManager.getLayer(this.plan.layerId);
+        if (layer) {
+            this.oldFeatures = JSON.parse(JSON.stringify(layer.features));
+            this.description = `Split feature in "${layer.name}"`;
+            this.layerManager.applySplitFeature(this.plan);
+        }
+    }
+
+    undo() {
+        const layer = this.layerManager.getLayer(this.plan.layerId);
+        if (layer && this.oldFeatures) {
+            this.layerManager.setLayerFeatures(this.plan.layerId, this.oldFeatures, layer.type);
+        }
+    }
+}
+
+/**
+ * Merge Features Command
+ * Combines polygons into one feature (see LayerManager.planMergeFeatures)
+ */
+class MergeFeaturesCommand extends Command {
+    constructor(layerManager, plan) {
+        super(`Merge features`);
+        this.layerManager = layerManager;
+        this.plan = plan;
+        this.oldFeatures = null;
+    }
+
+    execute() {
+        const layer = this.layerManager.getLayer(this.plan.layerId);
+        if (layer) {
+            this.oldFeatures = JSON.parse(JSON.stringify(layer.features));
+            this.description = `Merge ${this.plan.featureIds.length} features in "${layer.name}"`;
+            this.layerManager.applyMergeFeatures(this.plan);
+        }
+    }
+
+    undo() {
+        const layer = this.layerManager.getLayer(this.plan.layerId);
+        if (layer && this.oldFeatures) {
+            this.layerManager.setLayerFeatures(this.plan.layerId, this.oldFeatures, layer.type);
+        }
+    }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -474,6 +601,10 @@ if (typeof module !== 'undefined' && module.exports) {
         UpdateFeatureCommand,
         CreateGroupCommand,
         DeleteGroupCommand,
-        RenameGroupCommand
+        RenameGroupCommand,
+        UpsertLayerCommand,
+        SpatialJoinCommand,
+        SplitFeatureCommand,
+        MergeFeaturesCommand
     };
 }
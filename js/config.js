@@ -76,16 +76,53 @@ const AppConfig = {
             RANGE_INTERPOLATED: 0.8,
             GEOMETRIC_CENTER: 0.6,
             APPROXIMATE: 0.4
+        },
+        // Provider used until a workspace picks another (google, azure, nominatim, offline)
+        defaultProvider: 'google',
+        providers: {
+            azure: {
+                url: 'https://atlas.microsoft.com/search/address/json',
+                reverseUrl: 'https://atlas.microsoft.com/search/address/reverse/json',
+                subscriptionKey: '' // Azure Maps key; required for the Azure provider
+            },
+            nominatim: {
+                url: 'https://nominatim.openstreetmap.org/search',
+                reverseUrl: 'https://nominatim.openstreetmap.org/reverse',
+                delayMs: 1000 // Public Nominatim allows one request per second
+            },
+            offline: {
+                lookupUrl: 'geocode-lookup.json' // [{ address, latitude, longitude }, ...]
+            }
+        },
+        cache: {
+            dbName: 'salesMapperGeocodeCache', // IndexedDB database for GeocodeCache
+            statsSaveDelayMs: 2000 // Hit/miss counters are written at most this often during a job
+        },
+        queue: {
+            dbName: 'salesMapperGeocodeJobs', // IndexedDB database for GeocodingQueue jobs
+            concurrency: 4, // Requests in flight at once (still throttled to the provider's delayMs)
+            maxRetries: 3, // Retries for rate-limit, server and network errors
+            retryDelayMs: 1000, // First retry delay, doubled for each retry
+            saveIntervalMs: 2000 // How often a running job's progress is saved
+        },
+        regeocodeOnEdit: 'ask', // When a mapped address column is edited: 'ask', 'auto' or 'off'
+        reverse: {
+            // Properties filled by reverse geocoding on layers without an import column mapping
+            fieldNames: { street: 'street', city: 'city', state: 'state', zip: 'zipCode', county: 'county' }
+        },
+        review: {
+            defaultThreshold: 0.8, // Review panel lists geocodes with confidence below this
+            maxItems: 100 // Items rendered at once in the review panel
         }
     },
 
     // CSV Parser Settings
     csvParser: {
-        supportedExtensions: ['csv', 'xlsx', 'xls'],
+        supportedExtensions: ['csv', 'xlsx', 'xls', 'geojson', 'json', 'kml', 'kmz', 'zip'],
         supportedColumns: {
             wkt: ['wkt', 'geometry', 'shape', 'geom', 'polygon', 'the_geom'],
             latitude: ['latitude', 'lat', 'latitude_decimal'],
-            longitude: ['longitude', 'lon', 'lng', 'longitude_decimal'],
+            longitude: ['longitude', 'lon', 'lng', 'long', 'longitude_decimal'],
             name: ['name', 'title', 'label', 'account_name', 'business_name'],
             description: ['description', 'desc', 'notes', 'comments'],
             zipCode: ['zip', 'zipcode', 'zip_code', 'postal_code'],
@@ -95,7 +132,41 @@ const AppConfig = {
             bdm: ['bdm', 'manager', 'sales_rep', 'account_manager'],
             tier: ['tier', 'sales_tier', 'potential_tier', 'priority'],
             revenue: ['revenue', 'sales', 'annual_revenue']
-        }
+        },
+        // Built-in profiles for CRM exports (see Utils.matchImportProfile).
+        // Column names are listed as the CRM exports them; the first one present wins.
+        importProfiles: [
+            {
+                id: 'dynamics365',
+                name: 'Dynamics 365 Advanced Find',
+                columns: {
+                    street1: ['Address 1: Street 1'],
+                    street2: ['Address 1: Street 2'],
+                    city: ['Address 1: City'],
+                    state: ['Address 1: State/Province'],
+                    zip: ['Address 1: ZIP/Postal Code'],
+                    country: ['Address 1: Country/Region'],
+                    name: ['Account Name', 'Company Name', 'Full Name'],
+                    owner: ['Account Executive', 'Owner', 'Account Manager'],
+                    accountNumber: ['Account Number']
+                }
+            },
+            {
+                id: 'salesforce',
+                name: 'Salesforce Report',
+                columns: {
+                    street1: ['Billing Street', 'Billing Address Line 1', 'Shipping Street', 'Shipping Address Line 1', 'Mailing Street'],
+                    street2: ['Billing Address Line 2', 'Shipping Address Line 2', 'Mailing Address Line 2'],
+                    city: ['Billing City', 'Shipping City', 'Mailing City'],
+                    state: ['Billing State/Province', 'Billing State/Province (text only)', 'Shipping State/Province', 'Shipping State/Province (text only)', 'Mailing State/Province'],
+                    zip: ['Billing Zip/Postal Code', 'Shipping Zip/Postal Code', 'Mailing Zip/Postal Code'],
+                    country: ['Billing Country', 'Shipping Country', 'Mailing Country'],
+                    name: ['Account Name', 'Company / Account', 'Company', 'Full Name'],
+                    owner: ['Account Owner', 'Opportunity Owner', 'Lead Owner', 'Contact Owner', 'Owner Name'],
+                    accountNumber: ['Account Number', 'Account ID', 'Account Id']
+                }
+            }
+        ]
     },
 
     // Storage Settings
@@ -152,6 +223,36 @@ const AppConfig = {
         polygonFillOpacity: 0.35,
         vertexMarkerColor: '#FF0000',
         vertexMarkerScale: 4
+    },
+
+    // Snapping Settings (drawing and editing polygons)
+    snapping: {
+        enabled: true,
+        sharedVertices: false, // Move neighbouring territories' matching vertices with an edited one
+        tolerancePx: 10, // Snap distance on screen
+        vertexMatchDegrees: 1e-9, // Vertices this close count as shared
+        indicatorColor: '#e3008c'
+    },
+
+    // Spatial Index Settings
+    spatialIndex: {
+        nodeSize: 16, // Maximum children per R-tree node
+        pointsPerCell: 8 // Target points per grid cell
+    },
+
+    // Territory Overlap & Gap Check Settings
+    topology: {
+        minAreaSqMeters: 100, // Smaller overlaps and gaps are treated as rounding noise
+        maxListedAccounts: 25, // Accounts named per overlap or gap
+        overlapColor: '#d13438',
+        gapColor: '#ff8c00'
+    },
+
+    // Buffer Zone Settings
+    buffer: {
+        defaultDistance: 5,
+        defaultUnits: 'miles', // 'miles' or 'kilometers'
+        steps: 16 // Segments per quarter circle around points and corners
     }
 };
 
@@ -168,7 +269,11 @@ Object.freeze(AppConfig.geocoding);
 Object.freeze(AppConfig.csvParser);
 Object.freeze(AppConfig.storage);
 Object.freeze(AppConfig.ui);
+Object.freeze(AppConfig.spatialIndex);
+Object.freeze(AppConfig.topology);
+Object.freeze(AppConfig.buffer);
 Object.freeze(AppConfig.featureInfo);
 Object.freeze(AppConfig.layer);
 Object.freeze(AppConfig.validation);
 Object.freeze(AppConfig.drawing);
+Object.freeze(AppConfig.snapping);
@@ -0,0 +1,197 @@
+/**
+ * CSV Import Worker
+ * Streams large CSV files through PapaParse off the main thread, then runs
+ * column detection, typing and validation in chunks.
+ *
+ * Features are extracted here too, one chunk at a time, and posted back in
+ * batches ahead of the result. The rows are posted back once, with the result;
+ * valid rows and the rows behind validation errors are looked up in them on the
+ * main thread (CSVParser.restoreWorkerResult), so the data isn't structured-cloned twice.
+ * The worker keeps the rows afterwards so the column mapping step can
+ * re-process them here with another mapping ('process'); that result leaves
+ * the rows out.
+ *
+ * Messages in:  { type: 'parse', file }
+ *               { type: 'process', columnMap, dataType, columnTypes }
+ * Messages out: { type: 'progress', phase, percent, rowCount, totalRows }
+ *               { type: 'features', features } (one batch per chunk, before 'complete')
+ *               { type: 'complete', parsed }
+ *               { type: 'error', message }
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'config.js',
+    'utils.js',
+    'shapefile-parser.js',
+    'csv-parser.js'
+);
+
+const parser = new CSVParser();
+
+// Rows validated and turned into features per step between progress messages
+const PROCESS_CHUNK_SIZE = 10000;
+
+// Rows and headers of the parsed file, kept for 'process' messages
+let parsedRows = null;
+let parsedColumns = null;
+
+self.onmessage = (e) => {
+    const message = e.data || {};
+    if (message.type === 'parse') {
+        parseFile(message.file);
+    } else if (message.type === 'process') {
+        processParsedRows(message);
+    }
+};
+
+/**
+ * Post a progress update to the main thread
+ * @param {string} phase - 'parsing' or 'processing'
+ * @param {number} percent - Overall progress (0-100)
+ * @param {number} rowCount - Rows handled so far
+ * @param {number} totalRows - Total rows (when known)
+ */
+function postProgress(phase, percent, rowCount, totalRows = null) {
+    self.postMessage({ type: 'progress', phase, percent: Math.round(percent), rowCount, totalRows });
+}
+
+/**
+ * Stream-parse a CSV file
+ * Parsing accounts for the first 70% of progress, processing for the rest.
+ * @param {File} file - CSV file
+ */
+function parseFile(file) {
+    const rows = [];
+    let columns = null;
+
+    Papa.parse(file, {
+        header: true,
+        skipEmptyLines: true,
+        dynamicTyping: false,
+        chunkSize: 1024 * 1024,
+        chunk: (results) => {
+            if (!columns) {
+                columns = results.meta.fields || [];
+            }
+
+            // Push individually - spreading very large chunks can overflow the stack
+            for (let i = 0; i < results.data.length; i++) {
+                rows.push(results.data[i]);
+            }
+
+            const parsedFraction = file.size > 0 ? results.meta.cursor / file.size : 1;
+            postProgress('parsing', Math.min(parsedFraction, 1) * 70, rows.length);
+        },
+        complete: () => {
+            parsedRows = rows;
+            parsedColumns = columns || [];
+            try {
+                const parsed = processRows(parsedRows, parsedColumns);
+                self.postMessage({ type: 'complete', parsed });
+            } catch (error) {
+                self.postMessage({ type: 'error', message: error.message });
+            }
+        },
+        error: (error) => {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    });
+}
+
+/**
+ * Re-process the parsed rows with the mapping chosen in the column mapping step
+ * @param {Object} mapping - { columnMap, dataType, columnTypes }
+ */
+function processParsedRows(mapping) {
+    if (!parsedRows) {
+        self.postMessage({ type: 'error', message: 'No parsed rows to process' });
+        return;
+    }
+
+    try {
+        const parsed = processRows(parsedRows, parsedColumns, mapping);
+        self.postMessage({ type: 'complete', parsed });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+}
+
+/**
+ * Detect (or apply) the column mapping, then validate and extract features in chunks
+ * Features are posted in 'features' batches as each chunk is done, so the result
+ * leaves them out (features: null). Without a mapping (first pass) the result holds
+ * the rows; with one (column mapping step) it leaves out the rows the main thread already has.
+ * @param {Array} rows - Parsed rows
+ * @param {Array} columns - Column names
+ * @param {Object} mapping - { columnMap, dataType, columnTypes } to use instead of detecting them (optional)
+ * @returns {Object} Same shape as CSVParser.processData, plus a compact
+ *          validation ({ invalidRows: [{ rowNum, errors }] }) for CSVParser.restoreValidation
+ */
+function processRows(rows, columns, mapping = null) {
+    const columnMap = mapping ? mapping.columnMap : parser.detectColumnMappings(columns);
+    const dataType = mapping ? mapping.dataType : parser.detectDataType(columnMap, columns);
+
+    // Same column typing as CSVParser.processData
+    const columnTypes = mapping ? { ...mapping.columnTypes } : parser.inferColumnTypes(rows, columns);
+    if (columnMap.wkt) columnTypes[columnMap.wkt] = 'string';
+    if (columnMap.latitude) columnTypes[columnMap.latitude] = 'decimal';
+    if (columnMap.longitude) columnTypes[columnMap.longitude] = 'decimal';
+    const schema = parser.getPropertySchema(columnTypes, columnMap);
+
+    // Address data goes to the geocoding flow on the main thread
+    if (dataType === 'address') {
+        return {
+            features: null,
+            type: dataType,
+            columnMap: columnMap,
+            originalColumns: columns,
+            rowCount: rows.length,
+            rawData: mapping ? null : rows,
+            needsGeocoding: true,
+            tabular: true,
+            columnTypes: columnTypes,
+            schema: schema,
+            importProfile: parser.getImportProfileName(columns)
+        };
+    }
+
+    const validation = {
+        totalRows: rows.length,
+        invalidRows: [],
+        dataType: dataType,
+        columnMap: columnMap,
+        columnTypes: columnTypes
+    };
+    const progressStart = mapping ? 0 : 70;
+
+    for (let start = 0; start < rows.length; start += PROCESS_CHUNK_SIZE) {
+        const chunk = rows.slice(start, start + PROCESS_CHUNK_SIZE);
+
+        // Row numbers and errors only; the rows themselves are already on the main thread
+        const chunkValidation = parser.validateData(chunk, columnMap, dataType, start);
+        for (let invalidRow of chunkValidation.invalidRows) {
+            validation.invalidRows.push({ rowNum: invalidRow.rowNum, errors: invalidRow.errors });
+        }
+
+        self.postMessage({ type: 'features', features: parser.extractFeatures(chunk, columnMap, dataType, columnTypes) });
+
+        const processed = Math.min(start + PROCESS_CHUNK_SIZE, rows.length);
+        postProgress('processing', progressStart + (processed / rows.length) * (100 - progressStart), processed, rows.length);
+    }
+
+    return {
+        features: null,
+        type: dataType,
+        columnMap: columnMap,
+        originalColumns: columns,
+        rowCount: rows.length,
+        rawData: mapping ? null : rows,
+        needsGeocoding: false,
+        tabular: true,
+        columnTypes: columnTypes,
+        schema: schema,
+        importProfile: parser.getImportProfileName(columns),
+        validation: validation
+    };
+}
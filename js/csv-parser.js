@@ -10,7 +10,7 @@ class CSVParser {
             wkt: ['wkt', 'geometry', 'shape', 'geom', 'polygon', 'the_geom'],
             // Removed 'y' and 'x' to prevent false matches with "Account Type" etc.
             latitude: ['latitude', 'lat', 'latitude_decimal'],
-            longitude: ['longitude', 'lon', 'lng', 'longitude_decimal'],
+            longitude: ['longitude', 'lon', 'lng', 'long', 'longitude_decimal'],
 
             // Common attribute columns
             name: ['name', 'title', 'label', 'account_name', 'business_name'],
@@ -25,22 +25,277 @@ class CSVParser {
             tier: ['tier', 'sales_tier', 'potential_tier', 'priority'],
             revenue: ['revenue', 'sales', 'annual_revenue']
         };
+
+        // Roles the column mapping step lets the user assign besides geometry.
+        // Mapped columns are also copied to these property names so styling
+        // by tier/BDM and name labels work whatever the source header was.
+        this.attributeRoles = ['name', 'territory', 'bdm', 'tier', 'revenue', 'accountNumber'];
+
+        // CRM profile roles -> column map roles (the account owner is the BDM)
+        this.profileRoles = {
+            name: 'name',
+            owner: 'bdm',
+            accountNumber: 'accountNumber',
+            state: 'state',
+            zip: 'zipCode'
+        };
+
+        // Column types offered in the import preview (see inferColumnType)
+        this.columnTypes = ['string', 'integer', 'decimal', 'currency', 'date', 'boolean', 'zip'];
+
+        this.shapefileParser = new ShapefileParser();
+
+        // Worker script for off-main-thread CSV imports (relative to index.html)
+        this.workerUrl = 'js/csv-import-worker.js';
+
+        // Worker of the last CSV import, kept with its rows for the column mapping step
+        // ({ id, worker }; see reprocessData and releaseImportWorker)
+        this.importWorker = null;
     }
 
     /**
-     * Parse file (CSV or Excel)
-     * @param {File} file - CSV or Excel file
+     * Parse file (CSV, Excel, GeoJSON, KML/KMZ or zipped Shapefile)
+     * @param {File} file - CSV, Excel, GeoJSON, KML/KMZ or .zip file
+     * @param {Object} options - CSV streaming options ({ onProgress, signal })
      * @returns {Promise<Object>} Parsed data with features and metadata
      */
-    async parseFile(file) {
+    async parseFile(file, options = {}) {
         // Detect file type
         const fileExtension = file.name.split('.').pop().toLowerCase();
 
+        let parsed;
         if (fileExtension === 'xlsx' || fileExtension === 'xls') {
-            return this.parseExcelFile(file);
+            parsed = await this.parseExcelFile(file);
+        } else if (fileExtension === 'geojson' || fileExtension === 'json') {
+            parsed = await this.parseGeoJSONFile(file);
+        } else if (fileExtension === 'kml' || fileExtension === 'kmz') {
+            parsed = await this.parseKMLFile(file);
+        } else if (fileExtension === 'zip') {
+            parsed = await this.parseShapefileZip(file);
         } else {
-            return this.parseCSVFile(file);
+            parsed = await this.parseCSVFileInWorker(file, options);
+        }
+
+        // Only the CSV worker stops mid-parse; other formats finish and are discarded
+        if (options.signal && options.signal.aborted) {
+            throw this.createCancelError();
+        }
+        return parsed;
+    }
+
+    /**
+     * Parse CSV file in a Web Worker
+     * Parsing, column detection and validation run off the main thread and stream
+     * progress back. The worker stays alive with the rows afterwards so reprocessData
+     * can apply another column mapping there. Falls back to parseCSVFile when workers
+     * are unavailable (e.g. when the app is opened from file://).
+     * @param {File} file - CSV file
+     * @param {Object} options - { onProgress: Function, signal: AbortSignal }
+     * @returns {Promise<Object>} Parsed data with features, metadata and precomputed validation
+     */
+    parseCSVFileInWorker(file, options = {}) {
+        const { onProgress, signal } = options;
+        this.releaseImportWorker();
+
+        return new Promise((resolve, reject) => {
+            if (typeof Worker === 'undefined') {
+                resolve(this.parseCSVFile(file));
+                return;
+            }
+
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                console.warn('CSV worker unavailable, parsing on main thread:', error.message);
+                resolve(this.parseCSVFile(file));
+                return;
+            }
+
+            let started = false;
+            const features = [];
+
+            const cleanup = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', handleAbort);
+            };
+
+            const handleAbort = () => {
+                cleanup();
+                reject(this.createCancelError());
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    handleAbort();
+                    return;
+                }
+                signal.addEventListener('abort', handleAbort);
+            }
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                started = true;
+
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message);
+                } else if (message.type === 'features') {
+                    this.appendFeatures(features, message.features);
+                } else if (message.type === 'complete') {
+                    if (signal) signal.removeEventListener('abort', handleAbort);
+                    try {
+                        const parsed = this.restoreWorkerResult(message.parsed, features);
+                        parsed.workerId = Utils.generateId('csvworker');
+                        this.importWorker = { id: parsed.workerId, worker };
+                        resolve(parsed);
+                    } catch (error) {
+                        cleanup();
+                        reject(error);
+                    }
+                } else if (message.type === 'error') {
+                    cleanup();
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                cleanup();
+
+                if (!started) {
+                    // Worker script failed to load - parse on the main thread instead
+                    console.warn('CSV worker failed to start, parsing on main thread:', e.message);
+                    resolve(this.parseCSVFile(file));
+                } else {
+                    reject(new Error(e.message || 'CSV worker error'));
+                }
+            };
+
+            worker.postMessage({ type: 'parse', file: file });
+        });
+    }
+
+    /**
+     * Fill in what the import worker leaves out of its result
+     * The worker posts the rows once; valid rows and the rows behind each
+     * validation error are looked up in them here rather than cloned across.
+     * @param {Object} parsed - Worker result (features null, compact validation)
+     * @param {Array} features - Features collected from the worker's 'features' batches
+     * @returns {Object} Same shape as processData, plus the full validation
+     */
+    restoreWorkerResult(parsed, features) {
+        if (parsed.validation) {
+            parsed.validation = this.restoreValidation(parsed.rawData, parsed.validation);
+        }
+        if (!parsed.needsGeocoding) {
+            parsed.features = features;
         }
+        return parsed;
+    }
+
+    /**
+     * Add a batch of features posted by the import worker
+     * @param {Array} features - Features collected so far
+     * @param {Array} batch - Features of one chunk
+     */
+    appendFeatures(features, batch) {
+        // Push individually - spreading very large batches can overflow the stack
+        for (let i = 0; i < batch.length; i++) {
+            features.push(batch[i]);
+        }
+    }
+
+    /**
+     * Expand a compact validation ({ invalidRows: [{ rowNum, errors }] }) against its rows
+     * @param {Array} rows - Validated rows
+     * @param {Object} summary - Compact validation from the import worker
+     * @returns {Object} Same shape as validateData
+     */
+    restoreValidation(rows, summary) {
+        const invalidRows = summary.invalidRows.map(invalidRow => ({ ...invalidRow, data: rows[invalidRow.rowNum - 1] }));
+
+        // Usually every row is valid; only walk the rows when some have to be left out
+        let validRows = rows;
+        if (invalidRows.length > 0) {
+            const invalidIndexes = new Set(invalidRows.map(invalidRow => invalidRow.rowNum - 1));
+            validRows = rows.filter((row, index) => !invalidIndexes.has(index));
+        }
+
+        return {
+            ...summary,
+            validRows: validRows,
+            invalidRows: invalidRows,
+            validCount: validRows.length,
+            invalidCount: invalidRows.length,
+            errors: invalidRows.flatMap(invalidRow => invalidRow.errors.map(err => ({
+                rowNum: invalidRow.rowNum,
+                ...err,
+                data: invalidRow.data
+            })))
+        };
+    }
+
+    /**
+     * Apply another column mapping to parsed rows
+     * Runs in the import worker that parsed them while it is still alive, so the rows
+     * aren't posted to it again; otherwise (Excel, pasted data, no workers) on the main thread.
+     * @param {Object} parsed - Parsed data (see processData)
+     * @param {Object} columnMap - Column mappings
+     * @param {string} dataType - Data type
+     * @param {Object} columnTypes - Column -> type
+     * @param {Function} onProgress - Progress callback ({ phase, percent, rowCount, totalRows })
+     * @returns {Promise<Object>} Same shape as processData (worker results include validation)
+     */
+    async reprocessData(parsed, columnMap, dataType, columnTypes, onProgress = null) {
+        const importWorker = this.importWorker;
+        if (!importWorker || importWorker.id !== parsed.workerId) {
+            return this.processData(parsed.rawData, parsed.originalColumns, columnMap, dataType, columnTypes);
+        }
+
+        const features = [];
+        const result = await new Promise((resolve, reject) => {
+            importWorker.worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message);
+                } else if (message.type === 'features') {
+                    this.appendFeatures(features, message.features);
+                } else if (message.type === 'complete') {
+                    resolve(message.parsed);
+                } else if (message.type === 'error') {
+                    reject(new Error(message.message));
+                }
+            };
+            importWorker.worker.onerror = (e) => {
+                e.preventDefault();
+                reject(new Error(e.message || 'CSV worker error'));
+            };
+            importWorker.worker.postMessage({ type: 'process', columnMap, dataType, columnTypes });
+        });
+
+        result.rawData = parsed.rawData;
+        result.workerId = parsed.workerId;
+        return this.restoreWorkerResult(result, features);
+    }
+
+    /**
+     * Stop the worker of the last CSV import and free the rows it holds
+     */
+    releaseImportWorker() {
+        if (this.importWorker) {
+            this.importWorker.worker.terminate();
+            this.importWorker = null;
+        }
+    }
+
+    /**
+     * Create the error used to signal a user-cancelled import
+     * @returns {Error} Error with name 'AbortError'
+     */
+    createCancelError() {
+        const error = new Error('Import cancelled');
+        error.name = 'AbortError';
+        return error;
     }
 
     /**
@@ -53,7 +308,8 @@ class CSVParser {
             Papa.parse(file, {
                 header: true,
                 skipEmptyLines: true,
-                dynamicTyping: true,
+                // Values stay strings; processData types them per column (keeps ZIP leading zeros)
+                dynamicTyping: false,
                 complete: (results) => {
                     try {
                         const parsed = this.processData(results.data, results.meta.fields);
@@ -71,8 +327,11 @@ class CSVParser {
 
     /**
      * Parse Excel file
+     * Workbooks with more than one sheet of data are returned unprocessed
+     * so the user can choose sheets; each one is then run through parseExcelSheet.
      * @param {File} file - Excel file
-     * @returns {Promise<Object>} Parsed data with features and metadata
+     * @returns {Promise<Object>} Parsed data with features and metadata, or
+     *          { needsSheetSelection: true, workbook, sheets } for multi-sheet workbooks
      */
     async parseExcelFile(file) {
         return new Promise((resolve, reject) => {
@@ -83,25 +342,318 @@ class CSVParser {
                     const data = new Uint8Array(e.target.result);
                     const workbook = XLSX.read(data, { type: 'array' });
 
-                    // Get first sheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
+                    const sheets = this.getExcelSheets(workbook);
 
-                    // Convert to JSON (array of objects)
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-                        defval: null,
-                        raw: false
-                    });
+                    if (sheets.length > 1) {
+                        console.log(`Excel workbook has ${sheets.length} sheets with data`);
+                        resolve({
+                            needsSheetSelection: true,
+                            workbook: workbook,
+                            sheets: sheets
+                        });
+                        return;
+                    }
+
+                    // Single sheet (or nothing but empty sheets) - parse it directly
+                    const sheetName = sheets.length === 1 ? sheets[0].name : workbook.SheetNames[0];
+                    resolve(this.parseExcelSheet(workbook, sheetName));
+                } catch (error) {
+                    console.error('Error parsing Excel file:', error);
+                    reject(error);
+                }
+            };
+
+            reader.onerror = (error) => {
+                reject(error);
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * List the sheets of a workbook that contain data
+     * Row counts come from the sheet range, so they include blank trailing rows.
+     * @param {Object} workbook - SheetJS workbook
+     * @returns {Array<Object>} [{ name, rowCount }] excluding the header row
+     */
+    getExcelSheets(workbook) {
+        return workbook.SheetNames
+            .map(name => {
+                const worksheet = workbook.Sheets[name];
+                if (!worksheet || !worksheet['!ref']) {
+                    return { name, rowCount: 0 };
+                }
+                const range = XLSX.utils.decode_range(worksheet['!ref']);
+                return { name, rowCount: range.e.r - range.s.r };
+            })
+            .filter(sheet => sheet.rowCount > 0);
+    }
+
+    /**
+     * Parse a single worksheet
+     * Each sheet gets its own column detection, so sheets may differ in layout.
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} sheetName - Sheet to parse
+     * @returns {Object} Parsed data with features and metadata
+     */
+    parseExcelSheet(workbook, sheetName) {
+        const worksheet = workbook.Sheets[sheetName];
+        if (!worksheet) {
+            throw new Error(`Sheet "${sheetName}" not found in workbook`);
+        }
+
+        // Convert to JSON (array of objects)
+        const jsonData = XLSX.utils.sheet_to_json(worksheet, {
+            defval: null,
+            raw: false
+        });
+
+        // Get column names
+        const columns = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
+
+        console.log(`Parsed Excel sheet "${sheetName}": ${jsonData.length} rows, ${columns.length} columns`);
+
+        const parsed = this.processData(jsonData, columns);
+        parsed.sheetName = sheetName;
+        return parsed;
+    }
+
+    /**
+     * Parse KML or KMZ file
+     * KMZ archives are unzipped with JSZip and their main .kml document is parsed.
+     * @param {File} file - KML or KMZ file
+     * @returns {Promise<Object>} Parsed data with features and metadata
+     */
+    async parseKMLFile(file) {
+        const fileExtension = file.name.split('.').pop().toLowerCase();
+        let kmlText;
+
+        if (fileExtension === 'kmz') {
+            const zip = await JSZip.loadAsync(await file.arrayBuffer());
+            const kmlFiles = Object.keys(zip.files).filter(name => name.toLowerCase().endsWith('.kml'));
+
+            if (kmlFiles.length === 0) {
+                throw new Error(`No KML document found inside ${file.name}`);
+            }
+
+            // doc.kml is the conventional root document; fall back to the first KML found
+            const rootFile = kmlFiles.find(name => name.toLowerCase().endsWith('doc.kml')) || kmlFiles[0];
+            kmlText = await zip.file(rootFile).async('string');
+        } else {
+            kmlText = await file.text();
+        }
+
+        const parsed = this.processKML(kmlText);
+        console.log(`Parsed KML file: ${parsed.features.length} features, type ${parsed.type}`);
+        return parsed;
+    }
+
+    /**
+     * Parse zipped Shapefile (.shp/.dbf with optional .prj/.cpg)
+     * @param {File} file - Zip archive
+     * @returns {Promise<Object>} Parsed data with features and metadata
+     */
+    async parseShapefileZip(file) {
+        const geojson = await this.shapefileParser.parseZip(await file.arrayBuffer());
+        const parsed = this.processGeoJSON(geojson);
+        console.log(`Parsed Shapefile: ${parsed.features.length} features, type ${parsed.type}`);
+        return parsed;
+    }
+
+    /**
+     * Process KML text into layer features
+     * Placemark names, descriptions and ExtendedData become properties; style colors
+     * become a styleColor property and the most common one becomes the layer color.
+     * @param {string} kmlText - KML document
+     * @returns {Object} Processed data with features and metadata (same shape as processData)
+     */
+    processKML(kmlText) {
+        const doc = new DOMParser().parseFromString(kmlText, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid KML document: the file is not well-formed XML');
+        }
+
+        const styles = this.extractKMLStyles(doc);
+        const placemarks = Array.from(doc.getElementsByTagName('Placemark'));
+
+        if (placemarks.length === 0) {
+            throw new Error('No placemarks found in KML document');
+        }
+
+        const colorCounts = {};
+        const geoFeatures = placemarks.map(placemark => {
+            const properties = {};
+
+            const name = this.getKMLChildText(placemark, 'name');
+            if (name) properties.name = name;
+
+            const description = this.getKMLChildText(placemark, 'description');
+            if (description) properties.description = description;
+
+            // <Data name="..."><value>...</value></Data>
+            Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+                const key = data.getAttribute('name');
+                if (key) properties[key] = this.getKMLChildText(data, 'value');
+            });
+
+            // <SchemaData><SimpleData name="...">...</SimpleData></SchemaData>
+            Array.from(placemark.getElementsByTagName('SimpleData')).forEach(data => {
+                const key = data.getAttribute('name');
+                if (key) properties[key] = data.textContent.trim();
+            });
+
+            // Inline styles win over shared styles referenced by styleUrl
+            const inlineStyle = placemark.getElementsByTagName('Style')[0];
+            const styleUrl = this.getKMLChildText(placemark, 'styleUrl').replace(/^.*#/, '');
+            const color = inlineStyle
+                ? this.getKMLStyleColor(inlineStyle)
+                : styles[styleUrl] || null;
+
+            if (color) {
+                // Camel-cased to styleColor alongside the other attributes
+                properties.style_color = color;
+                colorCounts[color] = (colorCounts[color] || 0) + 1;
+            }
+
+            return {
+                type: 'Feature',
+                id: placemark.getAttribute('id') || undefined,
+                geometry: this.parseKMLGeometry(placemark),
+                properties: properties
+            };
+        });
+
+        const parsed = this.processGeoJSON({ type: 'FeatureCollection', features: geoFeatures });
+
+        const sortedColors = Object.entries(colorCounts).sort((a, b) => b[1] - a[1]);
+        parsed.layerColor = sortedColors.length > 0 ? sortedColors[0][0] : null;
+
+        return parsed;
+    }
+
+    /**
+     * Build a style id → hex color lookup from KML Style and StyleMap elements
+     * @param {Document} doc - KML document
+     * @returns {Object} Map of style id to hex color
+     */
+    extractKMLStyles(doc) {
+        const styles = {};
+
+        Array.from(doc.getElementsByTagName('Style')).forEach(style => {
+            const id = style.getAttribute('id');
+            const color = this.getKMLStyleColor(style);
+            if (id && color) styles[id] = color;
+        });
+
+        // StyleMaps point at a "normal" and a "highlight" style; use the normal one
+        Array.from(doc.getElementsByTagName('StyleMap')).forEach(styleMap => {
+            const id = styleMap.getAttribute('id');
+            const normalPair = Array.from(styleMap.getElementsByTagName('Pair'))
+                .find(pair => this.getKMLChildText(pair, 'key') === 'normal');
+            if (id && normalPair) {
+                const target = this.getKMLChildText(normalPair, 'styleUrl').replace(/^.*#/, '');
+                if (styles[target]) styles[id] = styles[target];
+            }
+        });
+
+        return styles;
+    }
+
+    /**
+     * Get the display color of a KML Style (polygon fill, then line, then icon)
+     * @param {Element} style - KML Style element
+     * @returns {string|null} Hex color
+     */
+    getKMLStyleColor(style) {
+        for (let styleTag of ['PolyStyle', 'LineStyle', 'IconStyle']) {
+            const element = style.getElementsByTagName(styleTag)[0];
+            if (element) {
+                const color = Utils.kmlColorToHex(this.getKMLChildText(element, 'color'));
+                if (color) return color;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Convert the geometry of a KML Placemark to a GeoJSON geometry
+     * Multiple polygons (e.g. in a MultiGeometry) become a MultiPolygon.
+     * @param {Element} placemark - KML Placemark element
+     * @returns {Object|null} GeoJSON geometry
+     */
+    parseKMLGeometry(placemark) {
+        const parseCoordinates = (element) => {
+            if (!element) return [];
+            return element.textContent.trim().split(/\s+/)
+                .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+                .filter(coord => coord.length === 2 && !isNaN(coord[0]) && !isNaN(coord[1]));
+        };
+
+        const polygons = Array.from(placemark.getElementsByTagName('Polygon')).map(polygon => {
+            const rings = [];
+            const outer = polygon.getElementsByTagName('outerBoundaryIs')[0];
+            if (outer) {
+                rings.push(parseCoordinates(outer.getElementsByTagName('coordinates')[0]));
+            }
+            Array.from(polygon.getElementsByTagName('innerBoundaryIs')).forEach(inner => {
+                rings.push(parseCoordinates(inner.getElementsByTagName('coordinates')[0]));
+            });
+            return rings.filter(ring => ring.length >= 4);
+        }).filter(rings => rings.length > 0);
+
+        if (polygons.length === 1) {
+            return { type: 'Polygon', coordinates: polygons[0] };
+        } else if (polygons.length > 1) {
+            return { type: 'MultiPolygon', coordinates: polygons };
+        }
+
+        const point = placemark.getElementsByTagName('Point')[0];
+        if (point) {
+            const coords = parseCoordinates(point.getElementsByTagName('coordinates')[0]);
+            if (coords.length > 0) {
+                return { type: 'Point', coordinates: coords[0] };
+            }
+        }
 
-                    // Get column names
-                    const columns = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
+        // LineStrings and other geometries are not supported as layer features
+        return null;
+    }
+
+    /**
+     * Get trimmed text of the first direct child element with the given tag
+     * @param {Element} element - Parent element
+     * @param {string} tagName - Child tag name
+     * @returns {string} Text content or empty string
+     */
+    getKMLChildText(element, tagName) {
+        const child = Array.from(element.children).find(el => el.localName === tagName);
+        return child ? child.textContent.trim() : '';
+    }
+
+    /**
+     * Parse GeoJSON file
+     * @param {File} file - GeoJSON file (.geojson or .json)
+     * @returns {Promise<Object>} Parsed data with features and metadata
+     */
+    async parseGeoJSONFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
 
-                    console.log(`Parsed Excel file: ${jsonData.length} rows, ${columns.length} columns`);
+            reader.onload = (e) => {
+                try {
+                    let geojson;
+                    try {
+                        geojson = JSON.parse(e.target.result);
+                    } catch (parseError) {
+                        throw new Error(`Invalid JSON in ${file.name}: ${parseError.message}`);
+                    }
 
-                    const parsed = this.processData(jsonData, columns);
+                    const parsed = this.processGeoJSON(geojson);
+                    console.log(`Parsed GeoJSON file: ${parsed.features.length} features, type ${parsed.type}`);
                     resolve(parsed);
                 } catch (error) {
-                    console.error('Error parsing Excel file:', error);
+                    console.error('Error parsing GeoJSON file:', error);
                     reject(error);
                 }
             };
@@ -110,24 +662,143 @@ class CSVParser {
                 reject(error);
             };
 
-            reader.readAsArrayBuffer(file);
+            reader.readAsText(file);
         });
     }
 
+    /**
+     * Process a parsed GeoJSON object into layer features
+     * Points become latitude/longitude features, Polygons and MultiPolygons become WKT features.
+     * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+     * @returns {Object} Processed data with features and metadata (same shape as processData)
+     */
+    processGeoJSON(geojson) {
+        let geoFeatures;
+
+        if (geojson && geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+            geoFeatures = geojson.features;
+        } else if (geojson && geojson.type === 'Feature') {
+            geoFeatures = [geojson];
+        } else if (geojson && geojson.type && geojson.coordinates) {
+            geoFeatures = [{ type: 'Feature', geometry: geojson, properties: {} }];
+        } else {
+            throw new Error('No GeoJSON features found. File must contain a FeatureCollection, Feature or geometry object.');
+        }
+
+        const features = [];
+        const columns = new Set();
+        let skippedCount = 0;
+
+        geoFeatures.forEach((geoFeature, index) => {
+            const geometry = geoFeature && geoFeature.geometry;
+            const properties = (geoFeature && geoFeature.properties) || {};
+
+            if (!geometry) {
+                skippedCount++;
+                return;
+            }
+
+            Object.keys(properties).forEach(key => columns.add(key));
+
+            const feature = {
+                id: geoFeature.id !== undefined && geoFeature.id !== null
+                    ? Utils.toSafeId(`feature_${geoFeature.id}`)
+                    : this.generateFeatureId(properties, index)
+            };
+
+            if (geometry.type === 'Point') {
+                const [longitude, latitude] = geometry.coordinates || [];
+                if (!this.validateCoordinates(latitude, longitude)) {
+                    skippedCount++;
+                    return;
+                }
+                feature.latitude = latitude;
+                feature.longitude = longitude;
+            } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+                feature.wkt = wellknown.stringify(geometry);
+            } else {
+                // LineStrings, MultiPoints and collections have no layer representation yet
+                skippedCount++;
+                return;
+            }
+
+            // Add all properties using the same camelCase convention as CSV columns
+            for (let [key, value] of Object.entries(properties)) {
+                if (value !== null && value !== undefined && value !== '') {
+                    const camelKey = Utils.toCamelCase(key);
+                    // Never let an attribute overwrite the geometry we just derived
+                    if (['id', 'wkt', 'latitude', 'longitude'].includes(camelKey)) continue;
+                    feature[camelKey] = typeof value === 'object' ? JSON.stringify(value) : value;
+                }
+            }
+
+            features.push(feature);
+        });
+
+        if (skippedCount > 0) {
+            console.warn(`Skipped ${skippedCount} GeoJSON features with missing or unsupported geometry`);
+        }
+
+        if (features.length === 0) {
+            throw new Error('No supported geometries found in file.\n' +
+                            'Supported geometry types: Point, Polygon, MultiPolygon');
+        }
+
+        // Pick the layer type the same way LayerManager.addFeaturesToLayer does
+        const hasPoints = features.some(f => f.latitude !== undefined && f.longitude !== undefined);
+        const hasPolygons = features.some(f => f.wkt !== undefined);
+        const dataType = hasPoints && hasPolygons ? 'mixed' : (hasPolygons ? 'polygon' : 'point');
+
+        const columnMap = this.detectColumnMappings(Array.from(columns));
+        if (hasPolygons) columnMap.wkt = 'wkt';
+        if (hasPoints) {
+            columnMap.latitude = 'latitude';
+            columnMap.longitude = 'longitude';
+        }
+
+        return {
+            features: features,
+            type: dataType,
+            columnMap: columnMap,
+            originalColumns: Array.from(columns),
+            rowCount: geoFeatures.length,
+            rawData: features, // Features already carry their geometry columns for validation
+            skippedCount: skippedCount,
+            needsGeocoding: false,
+            // Properties are already typed by the JSON, so only record what they are
+            schema: this.inferColumnTypes(features, Array.from(new Set(features.flatMap(f => Object.keys(f))))
+                .filter(key => !['id', 'wkt', 'latitude', 'longitude'].includes(key)))
+        };
+    }
+
     /**
      * Process parsed CSV data
      * @param {Array} data - Parsed CSV rows
      * @param {Array} columns - Column names
-     * @returns {Object} Processed data with features and metadata
+     * @param {Object} columnMap - Column mappings to use instead of detecting them (optional)
+     * @param {string} dataType - Data type to use instead of detecting it (optional)
+     * @param {Object} columnTypes - Column -> type to use instead of inferring them (optional)
+     * @returns {Object} Processed data with features, metadata, columnTypes and the feature schema
      */
-    processData(data, columns) {
+    processData(data, columns, columnMap = null, dataType = null, columnTypes = null) {
         // Detect column mappings
-        const columnMap = this.detectColumnMappings(columns);
-        console.log('CSV column mappings detected:', columnMap);
+        if (!columnMap) {
+            columnMap = this.detectColumnMappings(columns);
+            console.log('CSV column mappings detected:', columnMap);
+        }
 
         // Detect data type (polygon vs point vs address)
-        const dataType = this.detectDataType(columnMap, columns);
-        console.log('CSV data type detected:', dataType);
+        if (!dataType) {
+            dataType = this.detectDataType(columnMap, columns);
+            console.log('CSV data type detected:', dataType);
+        }
+
+        // Infer column types; geometry columns always keep their own types
+        columnTypes = { ...(columnTypes || this.inferColumnTypes(data, columns)) };
+        if (columnMap.wkt) columnTypes[columnMap.wkt] = 'string';
+        if (columnMap.latitude) columnTypes[columnMap.latitude] = 'decimal';
+        if (columnMap.longitude) columnTypes[columnMap.longitude] = 'decimal';
+        const schema = this.getPropertySchema(columnTypes, columnMap);
 
         // If address type, return raw data for geocoding
         if (dataType === 'address') {
@@ -139,12 +810,16 @@ class CSVParser {
                 originalColumns: columns,
                 rowCount: data.length,
                 rawData: data,
-                needsGeocoding: true
+                needsGeocoding: true,
+                tabular: true,
+                columnTypes: columnTypes,
+                schema: schema,
+                importProfile: this.getImportProfileName(columns)
             };
         }
 
         // Process features
-        const features = this.extractFeatures(data, columnMap, dataType);
+        const features = this.extractFeatures(data, columnMap, dataType, columnTypes);
         console.log(`Extracted ${features.length} features of type ${dataType}`);
 
         return {
@@ -154,10 +829,288 @@ class CSVParser {
             originalColumns: columns,
             rowCount: data.length,
             rawData: data, // Include raw data for validation
-            needsGeocoding: false
+            needsGeocoding: false,
+            tabular: true, // Rows + headers, so the column mapping step applies
+            columnTypes: columnTypes,
+            schema: schema,
+            importProfile: this.getImportProfileName(columns)
         };
     }
 
+    /**
+     * Name of the CRM import profile the headers match, if any
+     * @param {Array} columns - Column names
+     * @returns {string|null} Profile name (e.g. "Dynamics 365 Advanced Find")
+     */
+    getImportProfileName(columns) {
+        const profile = Utils.matchImportProfile(columns);
+        return profile ? profile.name : null;
+    }
+
+    /**
+     * Infer a type for every column
+     * @param {Array} data - Rows
+     * @param {Array} columns - Column names
+     * @returns {Object} Column name -> type (see this.columnTypes)
+     */
+    inferColumnTypes(data, columns) {
+        const columnTypes = {};
+        const sample = data.slice(0, 1000);
+
+        columns
+            .filter(col => col && String(col).trim() !== '')
+            .forEach(col => {
+                columnTypes[col] = this.inferColumnType(sample.map(row => row[col]), col);
+            });
+
+        return columnTypes;
+    }
+
+    /**
+     * Infer the type of one column from its values
+     * Every non-empty value has to fit the type, otherwise the column stays a string.
+     * Digit-only identifiers (account numbers, codes, values with leading zeros)
+     * stay strings so they aren't rounded or stripped.
+     * @param {Array} values - Sample values
+     * @param {string} column - Column name (used for ZIP, ID and currency hints)
+     * @returns {string} Column type
+     */
+    inferColumnType(values, column) {
+        const texts = values
+            .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+            .map(value => String(value).trim());
+
+        if (texts.length === 0) return 'string';
+
+        const words = this.tokenizeColumnName(column);
+        const lastWord = words[words.length - 1];
+        const isZipColumn = words.some(word => ['zip', 'zipcode', 'postal', 'postcode'].includes(word));
+        const isIdColumn = ['id', 'number', 'num', 'no', 'code', 'phone', 'fips', 'sku', 'acct'].includes(lastWord);
+        const isMoneyColumn = words.some(word => ['revenue', 'amount', 'price', 'cost', 'budget'].includes(word));
+
+        const integerPattern = /^[-+]?(\d+|\d{1,3}(,\d{3})+)$/;
+        const decimalPattern = /^[-+]?(\d+|\d{1,3}(,\d{3})+)?(\.\d+)?([eE][-+]?\d+)?$/;
+        const currencyPattern = /^\(?[-+]?\s*[$€£¥]?\s*[-+]?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?\s*[$€£¥]?\)?$/;
+        const zipPattern = /^(\d{3,5}(-\d{4})?|[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d)$/;
+        const booleanWords = ['true', 'false', 'yes', 'no', 'y', 'n', 't', 'f', '1', '0'];
+
+        const all = (test) => texts.every(test);
+
+        if (isZipColumn && all(text => zipPattern.test(text))) {
+            return 'zip';
+        }
+
+        if (all(text => booleanWords.includes(text.toLowerCase())) && texts.some(text => /[a-z]/i.test(text))) {
+            return 'boolean';
+        }
+
+        const hasLeadingZero = texts.some(text => /^[-+]?0\d/.test(text));
+
+        if (all(text => integerPattern.test(text))) {
+            const tooLong = texts.some(text => text.replace(/\D/g, '').length > 15);
+            if (isIdColumn || hasLeadingZero || tooLong) return 'string';
+            return isMoneyColumn ? 'currency' : 'integer';
+        }
+
+        if (all(text => decimalPattern.test(text) && /\d/.test(text))) {
+            if (hasLeadingZero && !texts.some(text => text.startsWith('0.'))) return 'string';
+            return isMoneyColumn ? 'currency' : 'decimal';
+        }
+
+        if (all(text => currencyPattern.test(text)) && texts.some(text => /[$€£¥]/.test(text))) {
+            return 'currency';
+        }
+
+        if (all(text => this.parseDateValue(text) !== null)) {
+            return 'date';
+        }
+
+        return 'string';
+    }
+
+    /**
+     * Convert a value to a column type
+     * Values that don't fit are returned unchanged.
+     * @param {*} value - Raw value
+     * @param {string} type - Column type
+     * @returns {*} Typed value (numbers, booleans, ISO date strings or strings)
+     */
+    convertValue(value, type) {
+        if (value === null || value === undefined || value === '') return value;
+
+        const text = String(value).trim();
+
+        switch (type) {
+            case 'integer': {
+                const number = Number(text.replace(/,/g, ''));
+                return Number.isFinite(number) ? Math.round(number) : value;
+            }
+            case 'decimal': {
+                const number = Number(text.replace(/,/g, ''));
+                return Number.isFinite(number) ? number : value;
+            }
+            case 'currency': {
+                const number = Number(text.replace(/[^0-9.]/g, ''));
+                if (!/\d/.test(text) || !Number.isFinite(number)) return value;
+                // Accounting format "(1,234.00)" and "-$5" are negative
+                return /^\(.*\)$/.test(text) || text.includes('-') ? -number : number;
+            }
+            case 'date':
+                return this.parseDateValue(text) || value;
+            case 'boolean': {
+                const lower = text.toLowerCase();
+                if (['true', 'yes', 'y', 't', '1'].includes(lower)) return true;
+                if (['false', 'no', 'n', 'f', '0'].includes(lower)) return false;
+                return value;
+            }
+            case 'zip':
+                // Restore leading zeros lost by spreadsheets (2134 -> 02134)
+                return /^\d{1,4}(-\d{4})?$/.test(text)
+                    ? text.replace(/^\d+/, digits => digits.padStart(5, '0'))
+                    : text.toUpperCase();
+            default:
+                return typeof value === 'string' ? value : String(value);
+        }
+    }
+
+    /**
+     * Parse a date in ISO (2024-01-15) or US (1/15/2024, 1/15/24) form
+     * @param {string} text - Date text
+     * @returns {string|null} ISO date (YYYY-MM-DD, or a full timestamp when a time is given), or null
+     */
+    parseDateValue(text) {
+        let year, month, day;
+
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})([T ]\d{1,2}:\d{2}.*)?$/);
+        if (match) {
+            if (match[4]) {
+                const timestamp = new Date(text.replace(' ', 'T'));
+                return isNaN(timestamp.getTime()) ? null : timestamp.toISOString();
+            }
+            [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+        } else {
+            match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+            if (!match) return null;
+
+            [month, day, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+            if (match[3].length === 2) {
+                year += year < 50 ? 2000 : 1900;
+            }
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Convert whole rows to their column types (keys unchanged)
+     * Used for geocoded imports, whose features keep the original column names.
+     * @param {Array} data - Rows
+     * @param {Object} columnTypes - Column -> type
+     * @returns {Array} Typed copies of the rows
+     */
+    typeRows(data, columnTypes) {
+        return data.map(row => {
+            const typed = { ...row };
+            for (let [column, type] of Object.entries(columnTypes)) {
+                if (column in typed) {
+                    typed[column] = this.convertValue(typed[column], type);
+                }
+            }
+            return typed;
+        });
+    }
+
+    /**
+     * Build the feature-level schema stored on layer metadata
+     * Keys are feature property names (camelCased columns, plus mapped role names).
+     * @param {Object} columnTypes - Column -> type
+     * @param {Object} columnMap - Column mappings
+     * @returns {Object} Property -> type
+     */
+    getPropertySchema(columnTypes, columnMap = {}) {
+        const schema = {};
+
+        for (let [column, type] of Object.entries(columnTypes)) {
+            schema[Utils.toCamelCase(column)] = type;
+        }
+
+        for (let role of this.attributeRoles) {
+            const column = columnMap[role];
+            if (column && columnTypes[column] && schema[role] === undefined) {
+                schema[role] = columnTypes[column];
+            }
+        }
+
+        return schema;
+    }
+
+    /**
+     * Build a signature for a set of headers
+     * Order, case and punctuation are ignored so re-exports of the same report match.
+     * @param {Array} columns - Column names
+     * @returns {string} Header signature
+     */
+    getHeaderSignature(columns) {
+        return columns
+            .filter(col => col && String(col).trim() !== '')
+            .map(col => this.normalizeColumnName(col))
+            .sort()
+            .join('|');
+    }
+
+    /**
+     * Normalize a column name for comparison ("Account Name" -> "account_name")
+     * @param {string} column - Column name
+     * @returns {string} Normalized name
+     */
+    normalizeColumnName(column) {
+        return this.tokenizeColumnName(column).join('_');
+    }
+
+    /**
+     * Split a column name into lowercase words
+     * Handles snake_case, kebab-case, spaces, camelCase and trailing digits.
+     * @param {string} column - Column name
+     * @returns {Array<string>} Words
+     */
+    tokenizeColumnName(column) {
+        return String(column)
+            .trim()
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/([a-zA-Z])([0-9])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word !== '');
+    }
+
+    /**
+     * Score how well a column name matches a known column name
+     * Whole words only, so "Platform" does not match "lat".
+     * @param {Array<string>} columnWords - Words from tokenizeColumnName
+     * @param {string} knownName - Known name from supportedColumns (snake_case)
+     * @returns {number} 2 for an exact match, 1 for a word match, 0 for none
+     */
+    scoreColumnMatch(columnWords, knownName) {
+        const knownWords = knownName.split('_');
+
+        if (columnWords.join('') === knownWords.join('')) {
+            return 2;
+        }
+
+        for (let i = 0; i + knownWords.length <= columnWords.length; i++) {
+            if (knownWords.every((word, j) => columnWords[i + j] === word)) {
+                return 1;
+            }
+        }
+
+        return 0;
+    }
+
     /**
      * Detect column mappings from CSV headers
      * @param {Array} columns - Column names
@@ -165,23 +1118,47 @@ class CSVParser {
      */
     detectColumnMappings(columns) {
         const mappings = {};
+        const usedColumns = new Set();
 
         // Filter out empty column names
-        const validColumns = columns.filter(col => col && col.trim() !== '');
-
-        // Normalize column names for comparison
-        const normalizedColumns = validColumns.map(col =>
-            col.toLowerCase().trim().replace(/[^a-z0-9]/g, '_')
-        );
+        const validColumns = columns.filter(col => col && String(col).trim() !== '');
+        const columnWords = validColumns.map(col => this.tokenizeColumnName(col));
+
+        // Known CRM exports (Dynamics, Salesforce) map their columns directly
+        const profile = Utils.matchImportProfile(validColumns);
+        if (profile) {
+            console.log(`Import profile detected: ${profile.name}`);
+            for (let [profileRole, role] of Object.entries(this.profileRoles)) {
+                const column = profile.mapping[profileRole];
+                if (column && !usedColumns.has(column)) {
+                    mappings[role] = column;
+                    usedColumns.add(column);
+                }
+            }
+        }
 
-        // Map each supported column type
+        // Map each supported column type; exact names beat word matches, and a
+        // column already claimed by an earlier type (e.g. "Sales Rep" as bdm)
+        // isn't reused for a later one (revenue's "sales")
         for (let [type, possibleNames] of Object.entries(this.supportedColumns)) {
-            const match = normalizedColumns.findIndex(col =>
-                possibleNames.some(name => col.includes(name.replace(/[^a-z0-9]/g, '_')))
-            );
+            if (mappings[type]) continue;
+
+            let bestIndex = -1;
+            let bestScore = 0;
 
-            if (match !== -1) {
-                mappings[type] = validColumns[match];
+            validColumns.forEach((col, index) => {
+                if (usedColumns.has(col)) return;
+
+                const score = Math.max(...possibleNames.map(name => this.scoreColumnMatch(columnWords[index], name)));
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestIndex = index;
+                }
+            });
+
+            if (bestIndex !== -1) {
+                mappings[type] = validColumns[bestIndex];
+                usedColumns.add(validColumns[bestIndex]);
             }
         }
 
@@ -241,9 +1218,10 @@ class CSVParser {
      * @param {Array} data - CSV rows
      * @param {Object} columnMap - Column mappings
      * @param {string} dataType - Data type
+     * @param {Object} columnTypes - Column -> type; values are converted when given (optional)
      * @returns {Array} Features array
      */
-    extractFeatures(data, columnMap, dataType) {
+    extractFeatures(data, columnMap, dataType, columnTypes = null) {
         return data.map((row, index) => {
             const feature = {
                 id: this.generateFeatureId(row, index)
@@ -253,8 +1231,8 @@ class CSVParser {
             if (dataType === 'polygon' && columnMap.wkt) {
                 feature.wkt = row[columnMap.wkt];
             } else if (dataType === 'point') {
-                feature.latitude = row[columnMap.latitude];
-                feature.longitude = row[columnMap.longitude];
+                feature.latitude = this.convertValue(row[columnMap.latitude], 'decimal');
+                feature.longitude = this.convertValue(row[columnMap.longitude], 'decimal');
             }
 
             // Add all other columns as properties
@@ -263,7 +1241,20 @@ class CSVParser {
                 if (value !== null && value !== undefined && value !== '') {
                     // Convert key to camelCase using Utils
                     const camelKey = Utils.toCamelCase(key);
-                    feature[camelKey] = value;
+                    feature[camelKey] = columnTypes && columnTypes[key]
+                        ? this.convertValue(value, columnTypes[key])
+                        : value;
+                }
+            }
+
+            // Copy mapped role columns to their standard property names
+            for (let role of this.attributeRoles) {
+                const column = columnMap[role];
+                if (column && feature[role] === undefined) {
+                    const value = row[column];
+                    if (value !== null && value !== undefined && value !== '') {
+                        feature[role] = feature[Utils.toCamelCase(column)];
+                    }
                 }
             }
 
@@ -272,6 +1263,8 @@ class CSVParser {
             // Filter out features without valid geometry
             if (dataType === 'polygon') {
                 return feature.wkt;
+            } else if (dataType === 'mixed') {
+                return feature.wkt || (feature.latitude && feature.longitude);
             } else {
                 return feature.latitude && feature.longitude;
             }
@@ -443,17 +1436,18 @@ class CSVParser {
      * Validate data rows and return validation results
      * @param {Array} data - Raw data rows
      * @param {Object} columnMap - Column mappings
-     * @param {string} dataType - Data type (polygon, point, address)
+     * @param {string} dataType - Data type (polygon, point, mixed, address)
+     * @param {number} rowOffset - Index of the first row when validating a chunk of a larger file
      * @returns {Object} Validation results with valid/invalid rows and errors
      */
-    validateData(data, columnMap, dataType) {
+    validateData(data, columnMap, dataType, rowOffset = 0) {
         const validRows = [];
         const invalidRows = [];
         const errors = [];
 
         data.forEach((row, index) => {
             const rowErrors = [];
-            const rowNum = index + 1; // 1-based for user display
+            const rowNum = rowOffset + index + 1; // 1-based for user display
 
             // Validate based on data type
             if (dataType === 'polygon') {
@@ -513,6 +1507,37 @@ class CSVParser {
                         });
                     }
                 }
+            } else if (dataType === 'mixed') {
+                // Mixed layers (e.g. GeoJSON) need either a WKT geometry or a coordinate pair
+                const hasWkt = columnMap.wkt && row[columnMap.wkt];
+                const hasCoordinates = columnMap.latitude && columnMap.longitude &&
+                    row[columnMap.latitude] !== undefined && row[columnMap.longitude] !== undefined;
+
+                if (hasWkt) {
+                    if (!this.validateWKT(row[columnMap.wkt])) {
+                        rowErrors.push({
+                            type: 'invalid_format',
+                            message: 'Invalid WKT format',
+                            field: columnMap.wkt,
+                            value: row[columnMap.wkt]
+                        });
+                    }
+                } else if (hasCoordinates) {
+                    if (!this.validateCoordinates(row[columnMap.latitude], row[columnMap.longitude])) {
+                        rowErrors.push({
+                            type: 'invalid_format',
+                            message: 'Invalid coordinates',
+                            field: `${columnMap.latitude}/${columnMap.longitude}`,
+                            value: `${row[columnMap.latitude]}, ${row[columnMap.longitude]}`
+                        });
+                    }
+                } else {
+                    rowErrors.push({
+                        type: 'missing_data',
+                        message: 'Missing geometry (WKT or latitude/longitude)',
+                        field: 'Geometry'
+                    });
+                }
             } else if (dataType === 'address') {
                 // For address data, validation happens during geocoding
                 // Just check that we have at least some address components
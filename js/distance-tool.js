@@ -15,6 +15,16 @@ class DistanceTool {
         this.circle = null;
         this.measurementListener = null;
         this.measurements = []; // Store all measurements
+        this.circleSegments = 64; // Vertices of a radius circle saved as a polygon
+        this.onSaveToLayer = null;
+    }
+
+    /**
+     * Set callback for saving a measurement as a layer feature
+     * @param {Function} callback - Called with the feature (see measurementToFeature)
+     */
+    setOnSaveToLayer(callback) {
+        this.onSaveToLayer = callback;
     }
 
     /**
@@ -280,6 +290,10 @@ class DistanceTool {
                         style="background: #0078d4; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; margin-right: 8px;">
                     Save
                 </button>
+                <button onclick="window.distanceTool.saveToLayer()"
+                        style="background: #107c10; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; margin-right: 8px;">
+                    Save to Layer
+                </button>
                 <button onclick="window.distanceTool.clearCurrent()"
                         style="background: #d13438; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer;">
                     Clear
@@ -409,6 +423,10 @@ class DistanceTool {
                         style="background: #0078d4; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; margin-right: 8px;">
                     Save
                 </button>
+                <button onclick="window.distanceTool.saveToLayer()"
+                        style="background: #107c10; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; margin-right: 8px;">
+                    Save to Layer
+                </button>
                 <button onclick="window.distanceTool.clearCurrent()"
                         style="background: #d13438; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer;">
                     Clear
@@ -492,6 +510,87 @@ class DistanceTool {
         }
     }
 
+    /**
+     * Save a measurement as a feature in a layer
+     * Hands the feature to the save-to-layer callback, which picks the layer.
+     * @param {string|null} measurementId - Measurement ID (default: the latest one)
+     */
+    saveToLayer(measurementId = null) {
+        const measurement = measurementId
+            ? this.measurements.find(m => m.id === measurementId)
+            : this.measurements[this.measurements.length - 1];
+
+        if (!measurement) {
+            if (window.toastManager) {
+                toastManager.warning('Measure a distance or radius first');
+            }
+            return;
+        }
+
+        if (this.onSaveToLayer) {
+            this.onSaveToLayer(this.measurementToFeature(measurement));
+        }
+    }
+
+    /**
+     * Convert a measurement to a layer feature
+     * A radius becomes a circle polygon, a distance a line.
+     * @param {Object} measurement - Saved measurement
+     * @returns {Object} Feature with wkt and the measured values
+     */
+    measurementToFeature(measurement) {
+        const feature = {
+            id: Utils.generateId('feature'),
+            measurementType: measurement.type,
+            source: 'measurement',
+            createdAt: new Date().toISOString()
+        };
+
+        if (measurement.type === 'radius') {
+            const center = new google.maps.LatLng(measurement.center.lat, measurement.center.lng);
+            const ring = [];
+            for (let i = 0; i < this.circleSegments; i++) {
+                const point = google.maps.geometry.spherical.computeOffset(center, measurement.radius.meters, i * 360 / this.circleSegments);
+                ring.push([point.lng(), point.lat()]);
+            }
+            ring.push(ring[0]);
+
+            return {
+                ...feature,
+                name: `Radius ${this.formatDistance(measurement.radius.miles, measurement.radius.km)}`,
+                radiusMiles: Number(measurement.radius.miles.toFixed(4)),
+                radiusKm: Number(measurement.radius.km.toFixed(4)),
+                centerLat: measurement.center.lat,
+                centerLng: measurement.center.lng,
+                wkt: wellknown.stringify({ type: 'Polygon', coordinates: [ring] })
+            };
+        }
+
+        const line = [
+            [measurement.point1.lng, measurement.point1.lat],
+            [measurement.point2.lng, measurement.point2.lat]
+        ];
+        return {
+            ...feature,
+            name: `Distance ${this.formatDistance(measurement.distance.miles, measurement.distance.km)}`,
+            ...this.getLineProperties(line),
+            wkt: wellknown.stringify({ type: 'LineString', coordinates: line })
+        };
+    }
+
+    /**
+     * Measure a line
+     * @param {Array} coordinates - [lng, lat] points
+     * @returns {Object} { distanceMiles, distanceKm }
+     */
+    getLineProperties(coordinates) {
+        const meters = google.maps.geometry.spherical.computeLength(coordinates.map(([lng, lat]) => ({ lat, lng })));
+        return {
+            distanceMiles: Number((meters / 1609.34).toFixed(4)),
+            distanceKm: Number((meters / 1000).toFixed(4))
+        };
+    }
+
     /**
      * Clear current measurement
      */
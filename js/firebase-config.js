@@ -17,6 +17,9 @@ class FirebaseManager {
         this.dataRef = this.db.ref('salesTerritoryData');
         this.layersRef = this.db.ref('layers');
         this.profilesRef = this.db.ref('salesTerritoryData/profiles');
+        // Shared geocode caches, one per profile, kept outside the profile node so
+        // cache writes don't reach the profile listener and profile loads don't download the cache
+        this.geocodeCachesRef = this.db.ref('geocodeCaches');
         this.currentProfileId = null;
     }
 
@@ -62,7 +65,8 @@ class FirebaseManager {
                 dataToSave.name = profileName;
             }
 
-            await profileRef.set(dataToSave);
+            // update() replaces these children but keeps workspace settings
+            await profileRef.update(dataToSave);
             console.log(`Data saved to Firebase for profile ${this.currentProfileId}`);
             eventBus.emit('firebase.saved', { timestamp, profileId: this.currentProfileId });
             return { success: true, timestamp };
@@ -93,11 +97,12 @@ class FirebaseManager {
                     success: true,
                     layers: data.layers,
                     lastUpdated: data.lastUpdated,
-                    profileName: data.name || null
+                    profileName: data.name || null,
+                    settings: data.settings || {}
                 };
             } else {
                 console.log('No data found in Firebase for this profile');
-                return { success: true, layers: {}, lastUpdated: null };
+                return { success: true, layers: {}, lastUpdated: null, settings: (data && data.settings) || {} };
             }
         } catch (error) {
             console.error('Error loading from Firebase:', error);
@@ -106,6 +111,55 @@ class FirebaseManager {
         }
     }
 
+    /**
+     * Save workspace settings (e.g. the geocoding provider) for the current profile
+     * @param {Object} settings - Settings to merge into the profile's settings
+     * @returns {Promise}
+     */
+    async saveProfileSettings(settings) {
+        try {
+            await this.getCurrentProfileRef().child('settings').update(settings);
+            console.log(`Settings saved for profile ${this.currentProfileId}:`, settings);
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving profile settings:', error);
+            eventBus.emit('firebase.error', { operation: 'saveSettings', error });
+            throw error;
+        }
+    }
+
+    /**
+     * Read an address from the current profile's shared geocode cache
+     * @param {string} key - Normalized address (see GeocodeCache.normalizeAddress)
+     * @returns {Promise<Object|null>} Cache entry
+     */
+    async getSharedGeocode(key) {
+        const snapshot = await this.getCurrentGeocodeCacheRef().child(key).once('value');
+        return snapshot.val();
+    }
+
+    /**
+     * Add an address to the current profile's shared geocode cache
+     * @param {string} key - Normalized address (see GeocodeCache.normalizeAddress)
+     * @param {Object} entry - Cache entry
+     * @returns {Promise}
+     */
+    async saveSharedGeocode(key, entry) {
+        await this.getCurrentGeocodeCacheRef().child(key).set(entry);
+    }
+
+    /**
+     * Get the current profile's shared geocode cache reference
+     * Each profile has its own cache so workspaces don't see each other's addresses.
+     * @returns {firebase.database.Reference}
+     */
+    getCurrentGeocodeCacheRef() {
+        if (!this.currentProfileId) {
+            throw new Error('No profile selected');
+        }
+        return this.geocodeCachesRef.child(this.currentProfileId);
+    }
+
     /**
      * Save a single layer to Firebase
      * @param {string} layerId - Layer ID
@@ -302,6 +356,7 @@ class FirebaseManager {
     async deleteProfile(profileId) {
         try {
             await this.profilesRef.child(profileId).remove();
+            await this.geocodeCachesRef.child(profileId).remove();
             console.log(`Profile ${profileId} deleted`);
 
             eventBus.emit('profile.deleted', { profileId });
@@ -0,0 +1,276 @@
+/**
+ * Geocode Cache
+ * Remembers geocoded addresses in IndexedDB so re-imports of the same
+ * account list don't call the geocoding provider again.
+ * Optionally shared with the team through Firebase.
+ */
+
+class GeocodeCache {
+    constructor() {
+        this.dbName = AppConfig.geocoding.cache.dbName;
+        this.storeName = 'geocodes';
+        this.statsKey = 'salesMapper_geocodeCacheStats';
+        this.dbPromise = null;
+
+        // Used when IndexedDB is unavailable (private browsing, file://)
+        this.memoryStore = new Map();
+
+        // Optional shared store ({ getSharedGeocode(key), saveSharedGeocode(key, entry) })
+        this.sharedStore = null;
+
+        this.stats = this.loadStats();
+        this.statsSaveTimer = null;
+
+        // Write counters still waiting on the timer before the page goes away
+        window.addEventListener('beforeunload', () => {
+            if (this.statsSaveTimer) this.saveStats();
+        });
+
+        // Street suffixes and directions, so "123 North Main Street" and "123 N Main St" share an entry
+        this.abbreviations = {
+            street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd',
+            lane: 'ln', court: 'ct', place: 'pl', parkway: 'pkwy', highway: 'hwy',
+            circle: 'cir', terrace: 'ter', suite: 'ste', apartment: 'apt',
+            north: 'n', south: 's', east: 'e', west: 'w'
+        };
+    }
+
+    /**
+     * Normalize an address into a cache key
+     * Lowercased, punctuation removed and common words abbreviated.
+     * Keys only contain [a-z0-9_], so they are also valid Firebase keys.
+     * @param {string} address - Full address string
+     * @returns {string} Cache key
+     */
+    normalizeAddress(address) {
+        return String(address || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(word => word)
+            .map(word => this.abbreviations[word] || word)
+            .join('_');
+    }
+
+    /**
+     * Open (once) the IndexedDB database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB unavailable, geocode cache is kept in memory only');
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening geocode cache:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} createRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Request result (undefined without IndexedDB)
+     */
+    async runRequest(mode, createRequest) {
+        const db = await this.openDatabase();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const request = createRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Look up an address
+     * Checks IndexedDB first, then the shared Firebase cache when enabled.
+     * Counts a hit or miss for the hit rate.
+     * @param {string} address - Full address string
+     * @returns {Promise<Object|null>} Cached entry
+     *   { key, address, latitude, longitude, confidence, locationType, formattedAddress, provider, cachedAt }
+     */
+    async get(address) {
+        const key = this.normalizeAddress(address);
+        if (!key) return null;
+
+        let entry = null;
+        try {
+            entry = (await this.runRequest('readonly', store => store.get(key))) || this.memoryStore.get(key) || null;
+
+            if (!entry && this.sharedStore) {
+                entry = await this.sharedStore.getSharedGeocode(key);
+                if (entry) {
+                    await this.storeLocally(entry);
+                }
+            }
+        } catch (error) {
+            console.error('Error reading geocode cache:', error);
+        }
+
+        this.recordLookup(!!entry);
+        return entry;
+    }
+
+    /**
+     * Store a successful geocode result
+     * @param {string} address - Address that was geocoded
+     * @param {Object} result - Provider result (see GeocodingProvider)
+     * @returns {Promise<void>}
+     */
+    async set(address, result) {
+        const key = this.normalizeAddress(address);
+        if (!key || !result || !result.success) return;
+
+        const entry = {
+            key: key,
+            address: address,
+            latitude: result.latitude,
+            longitude: result.longitude,
+            confidence: result.confidence,
+            locationType: result.matchType || null,
+            formattedAddress: result.formattedAddress || address,
+            provider: result.provider || null,
+            cachedAt: new Date().toISOString()
+        };
+
+        try {
+            await this.storeLocally(entry);
+            if (this.sharedStore) {
+                await this.sharedStore.saveSharedGeocode(key, entry);
+            }
+        } catch (error) {
+            console.error('Error writing geocode cache:', error);
+        }
+    }
+
+    /**
+     * Store an entry in IndexedDB (or memory)
+     * @param {Object} entry - Cache entry
+     * @returns {Promise<void>}
+     */
+    async storeLocally(entry) {
+        const db = await this.openDatabase();
+        if (db) {
+            await this.runRequest('readwrite', store => store.put(entry));
+        } else {
+            this.memoryStore.set(entry.key, entry);
+        }
+    }
+
+    /**
+     * Share entries through Firebase, or stop sharing
+     * @param {Object|null} sharedStore - Store with getSharedGeocode/saveSharedGeocode (e.g. firebaseManager)
+     */
+    setSharedStore(sharedStore) {
+        this.sharedStore = sharedStore || null;
+    }
+
+    /**
+     * Remove all local entries and reset the hit rate
+     * (the shared Firebase cache is left alone)
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memoryStore.clear();
+        await this.runRequest('readwrite', store => store.clear());
+        this.stats = { hits: 0, misses: 0 };
+        this.saveStats();
+        eventBus.emit('geocodeCache.cleared', {});
+    }
+
+    /**
+     * Count the cached addresses
+     * @returns {Promise<number>} Entry count
+     */
+    async count() {
+        const count = await this.runRequest('readonly', store => store.count());
+        return count !== undefined ? count : this.memoryStore.size;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<Object>} { entries, hits, misses, hitRate } (hitRate 0-100)
+     */
+    async getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            entries: await this.count(),
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) : 0
+        };
+    }
+
+    /**
+     * Count a lookup towards the hit rate
+     * @param {boolean} hit - Whether the address was cached
+     */
+    recordLookup(hit) {
+        if (hit) {
+            this.stats.hits++;
+        } else {
+            this.stats.misses++;
+        }
+        this.scheduleStatsSave();
+    }
+
+    /**
+     * Save the counters after a short delay, so a geocoding job with
+     * thousands of lookups writes localStorage a few times instead of per row
+     */
+    scheduleStatsSave() {
+        if (this.statsSaveTimer) return;
+        this.statsSaveTimer = setTimeout(() => this.saveStats(), AppConfig.geocoding.cache.statsSaveDelayMs);
+    }
+
+    /**
+     * Load hit/miss counters from localStorage
+     * @returns {Object} { hits, misses }
+     */
+    loadStats() {
+        try {
+            const saved = localStorage.getItem(this.statsKey);
+            if (saved) {
+                return JSON.parse(saved);
+            }
+        } catch (error) {
+            console.error('Error loading geocode cache stats:', error);
+        }
+        return { hits: 0, misses: 0 };
+    }
+
+    /**
+     * Save hit/miss counters to localStorage (cancels a scheduled save)
+     */
+    saveStats() {
+        clearTimeout(this.statsSaveTimer);
+        this.statsSaveTimer = null;
+        try {
+            localStorage.setItem(this.statsKey, JSON.stringify(this.stats));
+        } catch (error) {
+            console.error('Error saving geocode cache stats:', error);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeocodeCache;
+}
@@ -0,0 +1,332 @@
+/**
+ * Geocode Review Panel
+ * Lists geocoded points with low confidence and rows that failed geocoding,
+ * so they can be moved to the right spot and marked as verified.
+ */
+
+class GeocodeReviewPanel {
+    constructor(layerManager, mapManager, stateManager) {
+        this.layerManager = layerManager;
+        this.mapManager = mapManager;
+        this.stateManager = stateManager;
+        this.selectedLayerId = null; // null = all geocoded layers
+        this.threshold = AppConfig.geocoding.review.defaultThreshold;
+        this.maxItems = AppConfig.geocoding.review.maxItems;
+    }
+
+    /**
+     * Initialize review panel
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('Geocode Review Panel initialized');
+    }
+
+    /**
+     * Get layers created by geocoding
+     * @returns {Array} Layers
+     */
+    getGeocodedLayers() {
+        return this.layerManager.getAllLayers().filter(layer => layer.metadata && layer.metadata.geocoded);
+    }
+
+    /**
+     * Check whether a geocoded point still needs review
+     * @param {Object} feature - Feature
+     * @returns {boolean}
+     */
+    needsReview(feature) {
+        if (feature.geocodeVerified) return false;
+        if (feature.geocodeConfidence === undefined) return false; // Not geocoded (e.g. drawn later)
+
+        const confidence = parseFloat(feature.geocodeConfidence);
+        return isNaN(confidence) || confidence < this.threshold;
+    }
+
+    /**
+     * Collect the features to review
+     * Failed rows come first, then points by increasing confidence.
+     * @returns {Array} Items { layerId, layerName, feature, failed }
+     */
+    getReviewItems() {
+        let layers = this.getGeocodedLayers();
+        if (this.selectedLayerId) {
+            layers = layers.filter(layer => layer.id === this.selectedLayerId);
+        }
+
+        const items = [];
+        layers.forEach(layer => {
+            this.layerManager.getGeocodeFailures(layer.id).forEach(feature => {
+                items.push({ layerId: layer.id, layerName: layer.name, feature, failed: true });
+            });
+            layer.features.forEach(feature => {
+                if (this.needsReview(feature)) {
+                    items.push({ layerId: layer.id, layerName: layer.name, feature, failed: false });
+                }
+            });
+        });
+
+        return items.sort((a, b) => {
+            if (a.failed !== b.failed) return a.failed ? -1 : 1;
+            return (parseFloat(a.feature.geocodeConfidence) || 0) - (parseFloat(b.feature.geocodeConfidence) || 0);
+        });
+    }
+
+    /**
+     * Render the panel
+     */
+    render() {
+        const container = document.getElementById('geocodeReviewContent');
+        if (!container) {
+            console.error('Geocode review container not found');
+            return;
+        }
+
+        const layers = this.getGeocodedLayers();
+        if (this.selectedLayerId && !layers.some(layer => layer.id === this.selectedLayerId)) {
+            this.selectedLayerId = null;
+        }
+
+        if (layers.length === 0) {
+            container.innerHTML = `
+                <div class="analytics-empty-state">
+                    <p>No geocoded layers yet.</p>
+                    <p>Import a file with addresses to review its geocoding here.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const items = this.getReviewItems();
+        const failedCount = items.filter(item => item.failed).length;
+        const thresholds = Object.entries(AppConfig.geocoding.confidenceScores)
+            .sort((a, b) => b[1] - a[1]);
+
+        container.innerHTML = `
+            <div class="review-filters">
+                <select id="reviewLayerSelect" class="form-select">
+                    <option value="">All geocoded layers</option>
+                    ${layers.map(layer => `
+                        <option value="${layer.id}" ${layer.id === this.selectedLayerId ? 'selected' : ''}>${Utils.escapeXml(layer.name)}</option>
+                    `).join('')}
+                </select>
+                <select id="reviewThresholdSelect" class="form-select">
+                    ${thresholds.map(([matchType, score]) => `
+                        <option value="${score}" ${score === this.threshold ? 'selected' : ''}>Below ${Math.round(score * 100)}% (${matchType})</option>
+                    `).join('')}
+                    <option value="0" ${this.threshold === 0 ? 'selected' : ''}>Failed only</option>
+                </select>
+            </div>
+            <p class="review-summary">
+                ${items.length === 0
+                    ? 'Nothing to review.'
+                    : `${items.length} to review (${failedCount} failed)${items.length > this.maxItems ? `, showing the first ${this.maxItems}` : ''}`}
+            </p>
+            <div class="review-list">
+                ${items.slice(0, this.maxItems).map(item => this.renderItem(item)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one review item
+     * @param {Object} item - Item from getReviewItems
+     * @returns {string} HTML
+     */
+    renderItem(item) {
+        const feature = item.feature;
+        const name = feature.name || feature.Name || feature.originalAddress || 'Unnamed';
+        const confidence = parseFloat(feature.geocodeConfidence);
+        const editing = this.mapManager.isEditingPoint(feature.id);
+
+        let badge;
+        if (item.failed) {
+            badge = '<span class="review-confidence failed">Failed</span>';
+        } else if (feature.geocodeLocationType === 'MANUAL') {
+            badge = '<span class="review-confidence manual">Moved</span>';
+        } else {
+            const level = confidence >= 0.8 ? 'medium' : 'low';
+            badge = `<span class="review-confidence ${level}" title="${Utils.escapeXml(feature.geocodeLocationType || '')}">${isNaN(confidence) ? '?' : Math.round(confidence * 100) + '%'}</span>`;
+        }
+
+        const matched = item.failed
+            ? `<em>${Utils.escapeXml(feature.geocodeStatus || 'Not found')}</em>`
+            : Utils.escapeXml(feature.geocodeMatchedAddress || '');
+
+        return `
+            <div class="review-item ${item.failed ? 'failed' : ''} ${editing ? 'editing' : ''}" data-layer-id="${item.layerId}" data-feature-id="${feature.id}">
+                <div class="review-item-header">
+                    <span class="review-item-name">${Utils.escapeXml(String(name))}</span>
+                    ${badge}
+                </div>
+                ${this.selectedLayerId ? '' : `<div class="review-item-layer">${Utils.escapeXml(item.layerName)}</div>`}
+                <div class="review-item-address"><span class="review-label">Original</span>${Utils.escapeXml(feature.originalAddress || '')}</div>
+                <div class="review-item-address"><span class="review-label">Matched</span>${matched}</div>
+                <div class="review-item-coords">
+                    <input type="number" step="any" class="form-input review-lat" placeholder="Latitude" value="${item.failed ? '' : feature.latitude}">
+                    <input type="number" step="any" class="form-input review-lng" placeholder="Longitude" value="${item.failed ? '' : feature.longitude}">
+                    <button class="btn btn-secondary btn-small" data-action="apply" title="Move to these coordinates">Set</button>
+                </div>
+                <div class="review-item-actions">
+                    <button class="btn btn-secondary btn-small" data-action="locate" ${item.failed ? 'disabled' : ''}>Zoom To</button>
+                    <button class="btn btn-secondary btn-small" data-action="move">${editing ? 'Done' : (item.failed ? 'Place Pin' : 'Drag Pin')}</button>
+                    <button class="btn btn-primary btn-small" data-action="verify" ${item.failed ? 'disabled title="Place the point first"' : ''}>✓ Verified</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Find a review item's feature, whether placed or still failed
+     * @param {string} layerId - Layer ID
+     * @param {string} featureId - Feature ID
+     * @returns {Object|null} { feature, failed }
+     */
+    findFeature(layerId, featureId) {
+        const layer = this.layerManager.getLayer(layerId);
+        if (!layer) return null;
+
+        const feature = layer.features.find(f => f.id === featureId);
+        if (feature) return { feature, failed: false };
+
+        const failure = this.layerManager.getGeocodeFailures(layerId).find(f => f.id === featureId);
+        return failure ? { feature: failure, failed: true } : null;
+    }
+
+    /**
+     * Move a feature to corrected coordinates
+     * Rows that failed geocoding are added to the layer (hidden while their pin is out).
+     * @param {string} layerId - Layer ID
+     * @param {string} featureId - Feature ID
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     */
+    applyLocation(layerId, featureId, lat, lng) {
+        const found = this.findFeature(layerId, featureId);
+        if (!found) return;
+
+        const properties = { geocodeLocationType: 'MANUAL', geocodeStatus: 'Success' };
+        if (found.failed) {
+            this.layerManager.placeGeocodeFailure(layerId, featureId, lat, lng, properties);
+
+            // The pin went down before the row had a marker: hide the new marker until the edit
+            // ends, and move the pin along when the coordinates were typed in
+            if (this.mapManager.isEditingPoint(featureId)) {
+                this.mapManager.hideFeature(layerId, featureId);
+                this.mapManager.moveFeature(layerId, featureId, lat, lng);
+            }
+        } else {
+            this.layerManager.setFeatureLocation(layerId, featureId, lat, lng, properties);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Mark a feature's location as verified (it leaves the review list)
+     * @param {string} layerId - Layer ID
+     * @param {string} featureId - Feature ID
+     */
+    verify(layerId, featureId) {
+        if (this.mapManager.isEditingPoint(featureId)) {
+            this.mapManager.stopPointEdit();
+        }
+
+        this.layerManager.updateFeature(layerId, featureId, {
+            geocodeVerified: true,
+            geocodeVerifiedAt: new Date().toISOString()
+        });
+
+        eventBus.emit('geocode.verified', { layerId, featureId });
+        toastManager.success('Location marked as verified');
+        this.render();
+    }
+
+    /**
+     * Handle a click on an item button
+     * @param {string} action - Button action
+     * @param {HTMLElement} itemElement - Review item element
+     */
+    handleAction(action, itemElement) {
+        const layerId = itemElement.dataset.layerId;
+        const featureId = itemElement.dataset.featureId;
+        const found = this.findFeature(layerId, featureId);
+        if (!found) {
+            this.render();
+            return;
+        }
+
+        const feature = found.feature;
+
+        if (action === 'locate') {
+            this.mapManager.focusLocation(parseFloat(feature.latitude), parseFloat(feature.longitude));
+        } else if (action === 'move') {
+            if (this.mapManager.isEditingPoint(featureId)) {
+                this.mapManager.stopPointEdit();
+            } else {
+                const position = found.failed ? null : { lat: parseFloat(feature.latitude), lng: parseFloat(feature.longitude) };
+                this.mapManager.startPointEdit(layerId, featureId, position, (lat, lng) => {
+                    this.applyLocation(layerId, featureId, lat, lng);
+                });
+                toastManager.info(found.failed
+                    ? 'Drag the pin from the map center to the correct location'
+                    : 'Drag the pin to the correct location');
+            }
+            this.render();
+        } else if (action === 'apply') {
+            const lat = itemElement.querySelector('.review-lat').value;
+            const lng = itemElement.querySelector('.review-lng').value;
+            if (lat === '' || lng === '' || !Utils.isValidCoordinates(lat, lng)) {
+                toastManager.warning('Enter a latitude (-90 to 90) and longitude (-180 to 180)');
+                return;
+            }
+            this.applyLocation(layerId, featureId, parseFloat(lat), parseFloat(lng));
+            this.mapManager.focusLocation(parseFloat(lat), parseFloat(lng));
+        } else if (action === 'verify') {
+            this.verify(layerId, featureId);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const container = document.getElementById('geocodeReviewContent');
+        if (container) {
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const itemElement = button && button.closest('.review-item');
+                if (button && itemElement && !button.disabled) {
+                    this.handleAction(button.dataset.action, itemElement);
+                }
+            });
+
+            container.addEventListener('change', (e) => {
+                if (e.target.id === 'reviewLayerSelect') {
+                    this.selectedLayerId = e.target.value || null;
+                    this.render();
+                } else if (e.target.id === 'reviewThresholdSelect') {
+                    this.threshold = parseFloat(e.target.value);
+                    this.render();
+                }
+            });
+        }
+
+        // Refresh when geocoded layers change while the tab is open
+        if (window.eventBus) {
+            const refresh = () => {
+                if (this.stateManager.get('activeTab') === 'review') {
+                    this.render();
+                }
+            };
+            eventBus.on('layer.created', refresh);
+            eventBus.on('layer.deleted', refresh);
+            eventBus.on('feature.deleted', refresh);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeocodeReviewPanel;
+}
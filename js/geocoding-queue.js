@@ -0,0 +1,371 @@
+/**
+ * Geocoding Queue
+ * Runs batch geocoding as resumable jobs: several requests in flight,
+ * throttled to the provider's rate, retried with backoff, and saved to
+ * IndexedDB so a long job survives a reload and continues where it stopped.
+ */
+
+class GeocodingQueue {
+    constructor(geocodingService) {
+        this.geocodingService = geocodingService;
+        this.dbName = AppConfig.geocoding.queue.dbName;
+        this.storeName = 'jobs';
+        this.dbPromise = null;
+
+        this.concurrency = AppConfig.geocoding.queue.concurrency;
+        this.maxRetries = AppConfig.geocoding.queue.maxRetries;
+        this.retryDelayMs = AppConfig.geocoding.queue.retryDelayMs;
+        this.saveIntervalMs = AppConfig.geocoding.queue.saveIntervalMs;
+
+        // Jobs loaded in this session (jobId -> job) and the ones currently running
+        this.jobs = new Map();
+        this.runners = new Map();
+
+        // Earliest time the next provider request may start (shared by all workers)
+        this.nextRequestAt = 0;
+    }
+
+    /**
+     * Create a job
+     * @param {Array} rows - Rows to geocode
+     * @param {Object} columnMapping - Address column mapping (street1, street2, city, state, zip)
+     * @param {Object} meta - Anything the caller needs to finish the import (file name, target layer...)
+     * @param {Object} options - { persist: false to keep the job in memory only }
+     * @returns {Promise<Object>} Job
+     */
+    async createJob(rows, columnMapping, meta = {}, options = {}) {
+        const { persist = true } = options;
+
+        const job = {
+            id: Utils.generateId('geocodejob'),
+            name: meta.fileName || 'Geocoding job',
+            rows: rows,
+            columnMapping: columnMapping,
+            meta: meta,
+            results: new Array(rows.length).fill(null),
+            status: 'pending', // pending, running, paused, completed, cancelled
+            successCount: 0,
+            errorCount: 0,
+            cacheHits: 0,
+            persist: persist,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.jobs.set(job.id, job);
+        await this.saveJob(job);
+        return job;
+    }
+
+    /**
+     * Run (or resume) a job until it completes, is paused or is cancelled
+     * @param {string} jobId - Job ID
+     * @param {Function} onProgress - Progress callback (same shape as geocodeBatch progress)
+     * @returns {Promise<Object>} { status, job, features } (features only when completed)
+     */
+    async run(jobId, onProgress = null) {
+        if (this.runners.has(jobId)) {
+            const runner = this.runners.get(jobId);
+            runner.onProgress = onProgress || runner.onProgress;
+            return runner.promise;
+        }
+
+        const job = await this.getJob(jobId);
+        if (!job) {
+            throw new Error('Geocoding job not found');
+        }
+
+        const runner = { onProgress, lastSavedAt: Date.now(), promise: null };
+        this.runners.set(jobId, runner);
+
+        runner.promise = (async () => {
+            job.status = 'running';
+            eventBus.emit('geocoding.job.started', { jobId, name: job.name, total: job.rows.length });
+
+            const pending = [];
+            job.results.forEach((result, index) => {
+                if (!result) pending.push(index);
+            });
+
+            // Workers share one cursor; providers with a concurrency cap (Nominatim) get fewer workers
+            let cursor = 0;
+            const provider = this.geocodingService.getProvider();
+            const workerCount = Math.max(1, Math.min(this.concurrency, provider.maxConcurrency || this.concurrency, pending.length));
+
+            const worker = async () => {
+                while (job.status === 'running' && cursor < pending.length) {
+                    const index = pending[cursor++];
+                    job.results[index] = await this.geocodeRow(job, index);
+                    this.reportProgress(job, runner, index);
+
+                    if (Date.now() - runner.lastSavedAt >= this.saveIntervalMs) {
+                        runner.lastSavedAt = Date.now();
+                        await this.saveJob(job);
+                    }
+                }
+            };
+
+            try {
+                await Promise.all(Array.from({ length: workerCount }, worker));
+            } finally {
+                this.runners.delete(jobId);
+            }
+
+            if (job.status === 'running') {
+                job.status = 'completed';
+            }
+
+            if (job.status === 'cancelled') {
+                await this.deleteJob(jobId);
+            } else {
+                await this.saveJob(job);
+            }
+
+            eventBus.emit(`geocoding.job.${job.status}`, {
+                jobId,
+                name: job.name,
+                total: job.rows.length,
+                successCount: job.successCount,
+                errorCount: job.errorCount
+            });
+
+            return {
+                status: job.status,
+                job: job,
+                features: job.status === 'completed' ? job.results : null
+            };
+        })();
+
+        return runner.promise;
+    }
+
+    /**
+     * Geocode one row, retrying temporary failures (rate limits, server and network errors)
+     * @param {Object} job - Job
+     * @param {number} index - Row index
+     * @returns {Promise<Object>} Geocoded feature
+     */
+    async geocodeRow(job, index) {
+        const row = job.rows[index];
+        const address = this.geocodingService.buildRowAddress(row, job.columnMapping);
+
+        let geocoded;
+        try {
+            geocoded = await Utils.retryWithBackoff(async () => {
+                const result = await this.geocodingService.geocodeAddress(address, {
+                    beforeRequest: () => this.waitForRateLimit()
+                });
+                if (!result.success && result.retryable) {
+                    const error = new Error(result.error);
+                    error.result = result;
+                    throw error;
+                }
+                return result;
+            }, this.maxRetries, this.retryDelayMs);
+        } catch (error) {
+            geocoded = error.result || this.geocodingService.getProvider().failure(error.message);
+        }
+
+        if (geocoded.success) {
+            job.successCount++;
+        } else {
+            job.errorCount++;
+        }
+        if (geocoded.fromCache) {
+            job.cacheHits++;
+        }
+
+        return this.geocodingService.buildGeocodedFeature(row, address, geocoded);
+    }
+
+    /**
+     * Wait for the next request slot at the active provider's rate
+     * @returns {Promise<void>}
+     */
+    async waitForRateLimit() {
+        const interval = this.geocodingService.getProvider().delayMs;
+        const now = Date.now();
+        const startAt = Math.max(now, this.nextRequestAt);
+        this.nextRequestAt = startAt + interval;
+
+        if (startAt > now) {
+            await Utils.wait(startAt - now);
+        }
+    }
+
+    /**
+     * Send a progress update to the job's callback
+     * @param {Object} job - Job
+     * @param {Object} runner - Runner state
+     * @param {number} index - Row that just finished
+     */
+    reportProgress(job, runner, index) {
+        if (!runner.onProgress) return;
+
+        const done = job.successCount + job.errorCount;
+        runner.onProgress({
+            jobId: job.id,
+            current: done,
+            total: job.rows.length,
+            percentage: job.rows.length > 0 ? (done / job.rows.length) * 100 : 100,
+            successCount: job.successCount,
+            errorCount: job.errorCount,
+            cacheHits: job.cacheHits,
+            currentAddress: job.results[index] ? job.results[index].originalAddress : ''
+        });
+    }
+
+    /**
+     * Pause a running job; in-flight requests finish and the job is saved
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Run result once stopped
+     */
+    async pause(jobId) {
+        const job = this.jobs.get(jobId);
+        const runner = this.runners.get(jobId);
+        if (!job || !runner) return null;
+
+        job.status = 'paused';
+        return runner.promise;
+    }
+
+    /**
+     * Resume a paused or interrupted job
+     * @param {string} jobId - Job ID
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<Object>} Run result
+     */
+    resume(jobId, onProgress = null) {
+        return this.run(jobId, onProgress);
+    }
+
+    /**
+     * Cancel a job and discard its results
+     * @param {string} jobId - Job ID
+     * @returns {Promise<void>}
+     */
+    async cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        const runner = this.runners.get(jobId);
+
+        if (job && runner) {
+            job.status = 'cancelled';
+            await runner.promise;
+        } else {
+            await this.deleteJob(jobId);
+        }
+    }
+
+    /**
+     * Get a job from memory or IndexedDB
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Job
+     */
+    async getJob(jobId) {
+        if (this.jobs.has(jobId)) {
+            return this.jobs.get(jobId);
+        }
+
+        const job = await this.runRequest('readonly', store => store.get(jobId));
+        if (job) {
+            this.jobs.set(job.id, job);
+        }
+        return job || null;
+    }
+
+    /**
+     * Get saved jobs that haven't been finished (interrupted, paused or awaiting import)
+     * @returns {Promise<Array>} Jobs, newest first
+     */
+    async getPendingJobs() {
+        const saved = (await this.runRequest('readonly', store => store.getAll())) || [];
+        saved.forEach(job => {
+            if (!this.jobs.has(job.id)) this.jobs.set(job.id, job);
+        });
+
+        return saved
+            .map(job => this.jobs.get(job.id))
+            .filter(job => job.status !== 'cancelled' && !this.runners.has(job.id))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Save a job to IndexedDB
+     * @param {Object} job - Job
+     * @returns {Promise<void>}
+     */
+    async saveJob(job) {
+        job.updatedAt = new Date().toISOString();
+        if (!job.persist) return;
+
+        try {
+            await this.runRequest('readwrite', store => store.put(job));
+        } catch (error) {
+            console.error('Error saving geocoding job:', error);
+        }
+    }
+
+    /**
+     * Remove a job (after its layer was created, or when cancelled)
+     * @param {string} jobId - Job ID
+     * @returns {Promise<void>}
+     */
+    async deleteJob(jobId) {
+        this.jobs.delete(jobId);
+        try {
+            await this.runRequest('readwrite', store => store.delete(jobId));
+        } catch (error) {
+            console.error('Error deleting geocoding job:', error);
+        }
+    }
+
+    /**
+     * Open (once) the IndexedDB database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB unavailable, geocoding jobs will not survive a reload');
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening geocoding job store:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} createRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Request result (undefined without IndexedDB)
+     */
+    async runRequest(mode, createRequest) {
+        const db = await this.openDatabase();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const request = createRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeocodingQueue;
+}
@@ -1,14 +1,26 @@
 /**
  * Geocoding Service
- * Handles address geocoding using Google Maps Geocoding API
+ * Geocodes addresses through a registry of providers (Google, Azure Maps,
+ * Nominatim, offline lookup table) that all return the same result shape
  * Integrated with AppConfig and Utils
  */
 
-class GeocodingService {
-    constructor(apiKey = AppConfig.googleMapsApiKey) {
-        this.apiKey = apiKey;
-        this.geocodingUrl = 'https://maps.googleapis.com/maps/api/geocode/json';
-        this.delayMs = AppConfig.geocoding.delayMs;
+/**
+ * Base geocoding provider
+ * Providers implement geocode(address) and return:
+ * { success, latitude, longitude, confidence, formattedAddress, matchType, error, retryable }
+ * matchType uses the AppConfig.geocoding.confidenceScores keys
+ * (ROOFTOP, RANGE_INTERPOLATED, GEOMETRIC_CENTER, APPROXIMATE).
+ * Providers that support reverse geocoding also implement
+ * reverseGeocode(latitude, longitude) and return:
+ * { success, street, city, state, zip, county, formattedAddress, error }
+ */
+class GeocodingProvider {
+    constructor(id, name, options = {}) {
+        this.id = id;
+        this.name = name;
+        this.delayMs = options.delayMs !== undefined ? options.delayMs : AppConfig.geocoding.delayMs;
+        this.maxConcurrency = options.maxConcurrency || null; // Requests in flight at once (null = queue default)
         this.confidenceScores = AppConfig.geocoding.confidenceScores;
     }
 
@@ -17,74 +29,665 @@ class GeocodingService {
      * @param {string} address - Full address string
      * @returns {Promise<Object>} Geocoded result
      */
-    async geocodeAddress(address) {
-        if (!address || typeof address !== 'string') {
-            return {
-                success: false,
-                error: 'Invalid address',
-                latitude: null,
-                longitude: null,
-                confidence: null
-            };
-        }
+    async geocode(address) {
+        throw new Error(`${this.name} does not implement geocode()`);
+    }
+
+    /**
+     * Find the address at a location
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Promise<Object>} Address result
+     */
+    async reverseGeocode(latitude, longitude) {
+        return this.failure(`${this.name} does not support reverse geocoding`);
+    }
+
+    /**
+     * Build a successful reverse geocoding result
+     * @param {Object} components - { street, city, state, zip, county } (missing parts are left empty)
+     * @param {string} formattedAddress - Full address as the provider formats it
+     * @returns {Object} Address result
+     */
+    addressResult(components, formattedAddress) {
+        return {
+            success: true,
+            street: components.street || '',
+            city: components.city || '',
+            state: components.state || '',
+            zip: components.zip || '',
+            county: components.county || '',
+            formattedAddress: formattedAddress || '',
+            provider: this.id
+        };
+    }
+
+    /**
+     * Build a successful result
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {string} matchType - Match type (confidenceScores key)
+     * @param {string} formattedAddress - Address as the provider matched it
+     * @param {number} confidence - Confidence (defaults to the score for the match type)
+     * @returns {Object} Geocoded result
+     */
+    success(latitude, longitude, matchType, formattedAddress, confidence = null) {
+        return {
+            success: true,
+            latitude: latitude,
+            longitude: longitude,
+            confidence: confidence !== null ? confidence : (this.confidenceScores[matchType] || this.confidenceScores.default),
+            formattedAddress: formattedAddress,
+            matchType: matchType,
+            provider: this.id
+        };
+    }
+
+    /**
+     * Build a failed result
+     * @param {string} error - Error message
+     * @param {boolean} retryable - Temporary failure (rate limit, server or network error) worth retrying
+     * @returns {Object} Geocoded result
+     */
+    failure(error, retryable = false) {
+        return {
+            success: false,
+            error: error,
+            retryable: retryable,
+            latitude: null,
+            longitude: null,
+            confidence: null,
+            formattedAddress: null,
+            matchType: null,
+            provider: this.id
+        };
+    }
+
+    /**
+     * Build a failed result for an HTTP error response
+     * @param {Response} response - Fetch response
+     * @returns {Object} Geocoded result (retryable for 429 and 5xx)
+     */
+    httpFailure(response) {
+        return this.failure(`HTTP ${response.status}`, response.status === 429 || response.status >= 500);
+    }
+}
+
+/**
+ * Google Maps Geocoding REST API
+ */
+class GoogleGeocodingProvider extends GeocodingProvider {
+    constructor(apiKey = AppConfig.googleMapsApiKey) {
+        super('google', 'Google Maps');
+        this.apiKey = apiKey;
+        this.geocodingUrl = 'https://maps.googleapis.com/maps/api/geocode/json';
+    }
 
+    async geocode(address) {
         const params = new URLSearchParams({
             'key': this.apiKey,
             'address': address
         });
 
-        try {
-            const response = await fetch(`${this.geocodingUrl}?${params}`, {
-                method: 'GET'
-            });
+        const response = await fetch(`${this.geocodingUrl}?${params}`, {
+            method: 'GET'
+        });
 
-            if (!response.ok) {
-                return {
-                    success: false,
-                    error: `HTTP ${response.status}`,
-                    latitude: null,
-                    longitude: null,
-                    confidence: null
-                };
+        if (!response.ok) {
+            return this.httpFailure(response);
+        }
+
+        const data = await response.json();
+
+        if (data.status === 'OVER_QUERY_LIMIT' || data.status === 'UNKNOWN_ERROR') {
+            return this.failure(`Geocoding failed: ${data.status}`, true);
+        }
+
+        if (data.status === 'OK' && data.results && data.results.length > 0) {
+            const result = data.results[0];
+            const location = result.geometry.location;
+            return this.success(location.lat, location.lng, result.geometry.location_type, result.formatted_address || address);
+        }
+
+        return this.failure(data.status === 'ZERO_RESULTS' ? 'No results found' : `Geocoding failed: ${data.status}`);
+    }
+
+    async reverseGeocode(latitude, longitude) {
+        const params = new URLSearchParams({
+            'key': this.apiKey,
+            'latlng': `${latitude},${longitude}`
+        });
+
+        const response = await fetch(`${this.geocodingUrl}?${params}`, {
+            method: 'GET'
+        });
+
+        if (!response.ok) {
+            return this.httpFailure(response);
+        }
+
+        const data = await response.json();
+
+        if (data.status === 'OK' && data.results && data.results.length > 0) {
+            const result = data.results[0];
+            const component = (type, short = false) => {
+                const match = (result.address_components || []).find(c => c.types.includes(type));
+                return match ? (short ? match.short_name : match.long_name) : '';
+            };
+
+            return this.addressResult({
+                street: [component('street_number'), component('route')].filter(part => part).join(' '),
+                city: component('locality') || component('postal_town') || component('sublocality'),
+                state: component('administrative_area_level_1', true),
+                zip: component('postal_code'),
+                county: component('administrative_area_level_2')
+            }, result.formatted_address);
+        }
+
+        return this.failure(data.status === 'ZERO_RESULTS' ? 'No address found' : `Reverse geocoding failed: ${data.status}`,
+            data.status === 'OVER_QUERY_LIMIT' || data.status === 'UNKNOWN_ERROR');
+    }
+}
+
+/**
+ * Azure Maps Search Address API (same endpoint as azure_geocoder.py)
+ */
+class AzureMapsGeocodingProvider extends GeocodingProvider {
+    constructor(subscriptionKey = AppConfig.geocoding.providers.azure.subscriptionKey) {
+        super('azure', 'Azure Maps');
+        this.subscriptionKey = subscriptionKey;
+        this.geocodingUrl = AppConfig.geocoding.providers.azure.url;
+        this.reverseUrl = AppConfig.geocoding.providers.azure.reverseUrl;
+
+        // Azure result types -> common match types
+        this.matchTypes = {
+            'Point Address': 'ROOFTOP',
+            'Address Range': 'RANGE_INTERPOLATED',
+            'Street': 'GEOMETRIC_CENTER',
+            'Cross Street': 'GEOMETRIC_CENTER'
+        };
+    }
+
+    async geocode(address) {
+        if (!this.subscriptionKey) {
+            return this.failure('Azure Maps subscription key not configured');
+        }
+
+        const params = new URLSearchParams({
+            'api-version': '1.0',
+            'subscription-key': this.subscriptionKey,
+            'query': address,
+            'limit': '1'
+        });
+
+        const response = await fetch(`${this.geocodingUrl}?${params}`, {
+            method: 'GET'
+        });
+
+        if (!response.ok) {
+            return this.httpFailure(response);
+        }
+
+        const data = await response.json();
+
+        if (data.results && data.results.length > 0) {
+            const result = data.results[0];
+            const position = result.position || {};
+            const formattedAddress = (result.address && result.address.freeformAddress) || address;
+            return this.success(position.lat, position.lon, this.matchTypes[result.type] || 'APPROXIMATE', formattedAddress);
+        }
+
+        return this.failure('No results found');
+    }
+
+    async reverseGeocode(latitude, longitude) {
+        if (!this.subscriptionKey) {
+            return this.failure('Azure Maps subscription key not configured');
+        }
+
+        const params = new URLSearchParams({
+            'api-version': '1.0',
+            'subscription-key': this.subscriptionKey,
+            'query': `${latitude},${longitude}`
+        });
+
+        const response = await fetch(`${this.reverseUrl}?${params}`, {
+            method: 'GET'
+        });
+
+        if (!response.ok) {
+            return this.httpFailure(response);
+        }
+
+        const data = await response.json();
+
+        if (data.addresses && data.addresses.length > 0) {
+            const address = data.addresses[0].address || {};
+            return this.addressResult({
+                street: address.streetNameAndNumber || [address.streetNumber, address.streetName].filter(part => part).join(' '),
+                city: address.municipality,
+                state: address.countrySubdivision,
+                zip: address.postalCode,
+                county: address.countrySecondarySubdivision
+            }, address.freeformAddress);
+        }
+
+        return this.failure('No address found');
+    }
+}
+
+/**
+ * OpenStreetMap Nominatim (public usage policy allows one request per second)
+ */
+class NominatimGeocodingProvider extends GeocodingProvider {
+    constructor(url = AppConfig.geocoding.providers.nominatim.url) {
+        super('nominatim', 'OpenStreetMap Nominatim', {
+            delayMs: AppConfig.geocoding.providers.nominatim.delayMs,
+            maxConcurrency: 1
+        });
+        this.geocodingUrl = url;
+        this.reverseUrl = AppConfig.geocoding.providers.nominatim.reverseUrl;
+    }
+
+    async geocode(address) {
+        const params = new URLSearchParams({
+            'q': address,
+            'format': 'jsonv2',
+            'limit': '1'
+        });
+
+        const response = await fetch(`${this.geocodingUrl}?${params}`, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            return this.httpFailure(response);
+        }
+
+        const results = await response.json();
+
+        if (Array.isArray(results) && results.length > 0) {
+            const result = results[0];
+            let matchType = 'APPROXIMATE';
+            if (['building', 'house'].includes(result.addresstype) || result.type === 'house') {
+                matchType = 'ROOFTOP';
+            } else if (result.addresstype === 'road' || result.class === 'highway') {
+                matchType = 'GEOMETRIC_CENTER';
             }
+            return this.success(parseFloat(result.lat), parseFloat(result.lon), matchType, result.display_name || address);
+        }
 
-            const data = await response.json();
+        return this.failure('No results found');
+    }
 
-            if (data.status === 'OK' && data.results && data.results.length > 0) {
-                const result = data.results[0];
-                const location = result.geometry.location;
+    async reverseGeocode(latitude, longitude) {
+        const params = new URLSearchParams({
+            'lat': String(latitude),
+            'lon': String(longitude),
+            'format': 'jsonv2',
+            'addressdetails': '1'
+        });
 
-                // Calculate confidence score from config based on location_type
-                const locationType = result.geometry.location_type;
-                const confidence = this.confidenceScores[locationType] || this.confidenceScores.default;
+        const response = await fetch(`${this.reverseUrl}?${params}`, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        });
 
+        if (!response.ok) {
+            return this.httpFailure(response);
+        }
+
+        const result = await response.json();
+
+        if (result && result.address) {
+            const address = result.address;
+            return this.addressResult({
+                street: [address.house_number, address.road].filter(part => part).join(' '),
+                city: address.city || address.town || address.village || address.hamlet,
+                state: address.state,
+                zip: address.postcode,
+                county: address.county
+            }, result.display_name);
+        }
+
+        return this.failure(result && result.error ? result.error : 'No address found');
+    }
+}
+
+/**
+ * Offline lookup table
+ * Resolves addresses from a local table instead of the network, for offline
+ * work and for running the geocode flow in tests. The table is set with
+ * setLookupTable() or loaded from AppConfig.geocoding.providers.offline.lookupUrl.
+ */
+class OfflineGeocodingProvider extends GeocodingProvider {
+    constructor(entries = null) {
+        super('offline', 'Offline lookup table', { delayMs: 0 });
+        this.lookupUrl = AppConfig.geocoding.providers.offline.lookupUrl;
+        this.table = null;
+        this.loadError = null;
+        this.loadPromise = null;
+        if (entries) {
+            this.setLookupTable(entries);
+        }
+    }
+
+    /**
+     * Normalize an address for lookup ("123 Main St., Normal" -> "123 main st normal")
+     * @param {string} address - Address
+     * @returns {string} Lookup key
+     */
+    normalizeAddress(address) {
+        return String(address).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    /**
+     * Replace the lookup table
+     * @param {Array|Object} entries - Array of { address, latitude, longitude, matchType?, confidence? },
+     *                                 or an object of address -> { latitude, longitude, ... }
+     */
+    setLookupTable(entries) {
+        const rows = Array.isArray(entries)
+            ? entries
+            : Object.entries(entries).map(([address, entry]) => ({ address, ...entry }));
+
+        this.table = new Map();
+        this.loadError = null;
+        rows.forEach(row => {
+            if (row && row.address && Utils.isValidCoordinates(row.latitude, row.longitude)) {
+                this.table.set(this.normalizeAddress(row.address), row);
+            }
+        });
+        console.log(`Offline geocoding table loaded with ${this.table.size} addresses`);
+    }
+
+    /**
+     * Load the lookup table from lookupUrl (once)
+     * A failed load leaves an empty table and loadError set, so the file is
+     * fetched at most once however many rows are geocoded.
+     * @returns {Promise<void>}
+     */
+    loadLookupTable() {
+        if (this.table) return Promise.resolve();
+        if (this.loadPromise) return this.loadPromise;
+
+        this.loadPromise = (async () => {
+            try {
+                if (!this.lookupUrl) {
+                    throw new Error('No offline lookup table loaded');
+                }
+                const response = await fetch(this.lookupUrl);
+                if (!response.ok) {
+                    throw new Error(`Could not load offline lookup table (HTTP ${response.status})`);
+                }
+                const entries = await response.json();
+                // A table set with setLookupTable() while this was loading wins
+                if (!this.table) this.setLookupTable(entries);
+            } catch (error) {
+                console.error('Error loading offline geocoding table:', error);
+                if (!this.table) {
+                    this.table = new Map();
+                    this.loadError = error.message;
+                }
+            } finally {
+                this.loadPromise = null;
+            }
+        })();
+
+        return this.loadPromise;
+    }
+
+    async geocode(address) {
+        await this.loadLookupTable();
+        if (this.loadError) {
+            return this.failure(this.loadError);
+        }
+
+        const entry = this.table.get(this.normalizeAddress(address));
+        if (!entry) {
+            return this.failure('Address not in offline lookup table');
+        }
+
+        return this.success(
+            parseFloat(entry.latitude),
+            parseFloat(entry.longitude),
+            entry.matchType || 'ROOFTOP',
+            entry.formattedAddress || entry.address,
+            entry.confidence !== undefined ? entry.confidence : null
+        );
+    }
+}
+
+class GeocodingService {
+    constructor(apiKey = AppConfig.googleMapsApiKey) {
+        this.apiKey = apiKey;
+        this.delayMs = AppConfig.geocoding.delayMs;
+        this.confidenceScores = AppConfig.geocoding.confidenceScores;
+
+        // Provider registry; the active provider can be switched per workspace
+        this.providers = new Map();
+        this.registerProvider(new GoogleGeocodingProvider(apiKey));
+        this.registerProvider(new AzureMapsGeocodingProvider());
+        this.registerProvider(new NominatimGeocodingProvider());
+        this.registerProvider(new OfflineGeocodingProvider());
+        this.activeProviderId = AppConfig.geocoding.defaultProvider;
+
+        // Successful results are cached by normalized address and reused by any provider
+        this.cache = new GeocodeCache();
+
+        // Batch geocoding runs as resumable jobs
+        this.queue = new GeocodingQueue(this);
+    }
+
+    /**
+     * Register a geocoding provider (replaces one with the same id)
+     * @param {GeocodingProvider} provider - Provider instance
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.id, provider);
+    }
+
+    /**
+     * Get registered providers
+     * @returns {Array} Providers
+     */
+    getProviders() {
+        return Array.from(this.providers.values());
+    }
+
+    /**
+     * Get a provider, or the active one
+     * @param {string} providerId - Provider ID (optional)
+     * @returns {GeocodingProvider|null} Provider
+     */
+    getProvider(providerId = this.activeProviderId) {
+        return this.providers.get(providerId) || null;
+    }
+
+    /**
+     * Switch the active provider
+     * @param {string} providerId - Provider ID
+     * @returns {boolean} True if the provider exists
+     */
+    setProvider(providerId) {
+        if (!this.providers.has(providerId)) {
+            console.warn(`Unknown geocoding provider: ${providerId}`);
+            return false;
+        }
+
+        if (providerId !== this.activeProviderId) {
+            this.activeProviderId = providerId;
+            console.log(`Geocoding provider set to ${this.getProvider().name}`);
+            eventBus.emit('geocoding.provider.changed', { providerId, providerName: this.getProvider().name });
+        }
+        return true;
+    }
+
+    /**
+     * Geocode a single address, from the cache when possible, otherwise with the active provider
+     * @param {string} address - Full address string
+     * @param {Object} options - { useCache: false to always call the provider,
+     *                              beforeRequest: async function awaited before calling the provider (rate limiting) }
+     * @returns {Promise<Object>} Geocoded result (fromCache is true for cache hits)
+     */
+    async geocodeAddress(address, options = {}) {
+        const { useCache = true, beforeRequest = null } = options;
+        const provider = this.getProvider();
+
+        if (!address || typeof address !== 'string') {
+            return provider.failure('Invalid address');
+        }
+
+        if (useCache) {
+            const cached = await this.cache.get(address);
+            if (cached) {
                 return {
                     success: true,
-                    latitude: location.lat,
-                    longitude: location.lng,
-                    confidence: confidence,
-                    formattedAddress: result.formatted_address || address,
-                    locationType: locationType
+                    latitude: cached.latitude,
+                    longitude: cached.longitude,
+                    confidence: cached.confidence,
+                    formattedAddress: cached.formattedAddress,
+                    matchType: cached.locationType,
+                    provider: cached.provider,
+                    fromCache: true
                 };
             }
+        }
 
-            return {
-                success: false,
-                error: data.status === 'ZERO_RESULTS' ? 'No results found' : `Geocoding failed: ${data.status}`,
-                latitude: null,
-                longitude: null,
-                confidence: null
-            };
+        let result;
+        try {
+            if (beforeRequest) {
+                await beforeRequest();
+            }
+            result = await provider.geocode(address);
+        } catch (error) {
+            // Network errors (offline, timeouts) are worth retrying
+            return provider.failure(error.message, true);
+        }
+
+        if (result.success && useCache) {
+            await this.cache.set(address, result);
+        }
+        return result;
+    }
+
+    /**
+     * Find the address at a location with the active provider
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Promise<Object>} Address result (see GeocodingProvider)
+     */
+    async reverseGeocode(latitude, longitude) {
+        const provider = this.getProvider();
+
+        if (!Utils.isValidCoordinates(latitude, longitude)) {
+            return provider.failure('Invalid coordinates');
+        }
 
+        try {
+            return await provider.reverseGeocode(parseFloat(latitude), parseFloat(longitude));
         } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                latitude: null,
-                longitude: null,
-                confidence: null
-            };
+            return provider.failure(error.message, true);
+        }
+    }
+
+    /**
+     * Get the feature properties that hold address parts
+     * Layers geocoded from a file use the columns mapped at import time;
+     * other layers use AppConfig.geocoding.reverse.fieldNames.
+     * @param {Object} columnMapping - Import column mapping (street1, city, state, zip), optional
+     * @returns {Object} { street, city, state, zip, county } -> property name
+     */
+    getAddressFields(columnMapping = null) {
+        const defaults = AppConfig.geocoding.reverse.fieldNames;
+        const mapping = columnMapping || {};
+
+        return {
+            street: mapping.street1 || defaults.street,
+            city: mapping.city || defaults.city,
+            state: mapping.state || defaults.state,
+            zip: mapping.zip || defaults.zip,
+            county: defaults.county
+        };
+    }
+
+    /**
+     * Turn a reverse geocoding result into feature properties
+     * @param {Object} result - Address result
+     * @param {Object} fields - Property names (see getAddressFields)
+     * @param {Object} feature - Existing feature; when given, only its empty fields are filled.
+     *                           Without it every field is set, so a moved point loses its old address.
+     * @returns {Object} Properties to set (empty when nothing to fill)
+     */
+    buildAddressProperties(result, fields, feature = null) {
+        const properties = {};
+        if (!result || !result.success) return properties;
+
+        Object.entries(fields).forEach(([part, property]) => {
+            const value = result[part];
+            if (!feature) {
+                properties[property] = value || '';
+            } else if (value && Utils.isEmpty(feature[property])) {
+                properties[property] = value;
+            }
+        });
+
+        return properties;
+    }
+
+    /**
+     * Check whether a feature has any empty address field
+     * @param {Object} feature - Feature
+     * @param {Object} fields - Property names (see getAddressFields)
+     * @returns {boolean}
+     */
+    hasMissingAddressFields(feature, fields) {
+        return Object.values(fields).some(property => Utils.isEmpty(feature[property]));
+    }
+
+    /**
+     * Fill empty address fields of point features from their location
+     * @param {Array} features - Point features
+     * @param {Object} fields - Property names (see getAddressFields)
+     * @param {Function} progressCallback - Called with { current, total, filledCount, errorCount }
+     * @returns {Promise<Array>} Updates [{ featureId, properties }]
+     */
+    async fillMissingAddressFields(features, fields, progressCallback = null) {
+        const provider = this.getProvider();
+        const pending = features.filter(feature =>
+            Utils.isValidCoordinates(feature.latitude, feature.longitude) && this.hasMissingAddressFields(feature, fields)
+        );
+
+        const updates = [];
+        let errorCount = 0;
+
+        for (let i = 0; i < pending.length; i++) {
+            const feature = pending[i];
+            const result = await this.reverseGeocode(feature.latitude, feature.longitude);
+            const properties = this.buildAddressProperties(result, fields, feature);
+
+            if (!result.success) {
+                errorCount++;
+            } else if (Object.keys(properties).length > 0) {
+                updates.push({ featureId: feature.id, properties });
+            }
+
+            if (progressCallback) {
+                progressCallback({
+                    current: i + 1,
+                    total: pending.length,
+                    filledCount: updates.length,
+                    errorCount: errorCount
+                });
+            }
+
+            if (i < pending.length - 1) {
+                await this.delay(provider.delayMs);
+            }
         }
+
+        return updates;
     }
 
     /**
@@ -106,73 +709,96 @@ class GeocodingService {
 
     /**
      * Geocode multiple addresses with progress tracking
+     * Runs as an in-memory job on the queue; use this.queue directly for
+     * jobs that should survive a reload or be paused.
      * @param {Array} rows - Array of row objects with address components
      * @param {Object} columnMapping - Column mapping for address components
      * @param {Function} progressCallback - Callback for progress updates
      * @returns {Promise<Array>} Array of geocoded features
      */
     async geocodeBatch(rows, columnMapping, progressCallback) {
-        const results = [];
-        let successCount = 0;
-        let errorCount = 0;
-
-        for (let i = 0; i < rows.length; i++) {
-            const row = rows[i];
-
-            // Build address from row data
-            const addressComponents = {
-                street1: row[columnMapping.street1] || '',
-                street2: row[columnMapping.street2] || '',
-                city: row[columnMapping.city] || '',
-                state: row[columnMapping.state] || '',
-                zip: row[columnMapping.zip] || ''
-            };
+        const job = await this.queue.createJob(rows, columnMapping, {}, { persist: false });
+        const result = await this.queue.run(job.id, progressCallback);
+        await this.queue.deleteJob(job.id);
+        return result.job.results;
+    }
 
-            const address = this.buildAddress(addressComponents);
-
-            // Geocode address
-            const geocoded = await this.geocodeAddress(address);
-
-            // Create feature object
-            const feature = {
-                id: Utils.generateId('feature'),
-                ...row, // Include all original columns
-                originalAddress: address,
-                latitude: geocoded.latitude,
-                longitude: geocoded.longitude,
-                geocodeConfidence: geocoded.confidence,
-                geocodeLocationType: geocoded.locationType,
-                geocodeStatus: geocoded.success ? 'Success' : geocoded.error
-            };
+    /**
+     * Build a layer feature from a row and its geocode result
+     * @param {Object} row - Source row (all columns are kept)
+     * @param {string} address - Address that was geocoded
+     * @param {Object} geocoded - Geocoded result
+     * @returns {Object} Feature
+     */
+    buildGeocodedFeature(row, address, geocoded) {
+        return {
+            id: Utils.generateId('feature'),
+            ...row, // Include all original columns
+            latitude: geocoded.latitude,
+            longitude: geocoded.longitude,
+            ...this.buildGeocodeProperties(address, geocoded)
+        };
+    }
 
-            results.push(feature);
+    /**
+     * Build the geocode bookkeeping properties stored on a feature
+     * @param {string} address - Address that was geocoded
+     * @param {Object} geocoded - Geocoded result
+     * @returns {Object} originalAddress, geocodeMatchedAddress, geocodeConfidence, geocodeLocationType, geocodeProvider, geocodeStatus
+     */
+    buildGeocodeProperties(address, geocoded) {
+        return {
+            originalAddress: address,
+            geocodeMatchedAddress: geocoded.formattedAddress,
+            geocodeConfidence: geocoded.confidence,
+            geocodeLocationType: geocoded.matchType,
+            geocodeProvider: geocoded.provider,
+            geocodeStatus: geocoded.success ? 'Success' : geocoded.error
+        };
+    }
 
-            // Update counters
-            if (geocoded.success) {
-                successCount++;
-            } else {
-                errorCount++;
-            }
+    /**
+     * Build the address of a row from its mapped address columns
+     * @param {Object} row - Row or feature
+     * @param {Object} columnMapping - Column mapping (street1, street2, city, state, zip)
+     * @returns {string} Full address string
+     */
+    buildRowAddress(row, columnMapping) {
+        return this.buildAddress({
+            street1: row[columnMapping.street1] || '',
+            street2: row[columnMapping.street2] || '',
+            city: row[columnMapping.city] || '',
+            state: row[columnMapping.state] || '',
+            zip: row[columnMapping.zip] || ''
+        });
+    }
 
-            // Call progress callback
-            if (progressCallback) {
-                progressCallback({
-                    current: i + 1,
-                    total: rows.length,
-                    percentage: ((i + 1) / rows.length) * 100,
-                    successCount: successCount,
-                    errorCount: errorCount,
-                    currentAddress: address
-                });
-            }
+    /**
+     * Get the mapped address columns whose value changes in an edit
+     * @param {Object} columnMapping - Column mapping (street1, street2, city, state, zip)
+     * @param {Object} feature - Feature before the edit
+     * @param {Object} newProperties - Edited properties
+     * @returns {Array} Changed column names
+     */
+    getChangedAddressColumns(columnMapping, feature, newProperties) {
+        if (!columnMapping) return [];
 
-            // Delay between requests (except for last one)
-            if (i < rows.length - 1) {
-                await this.delay(this.delayMs);
-            }
-        }
+        const normalize = value => (value === null || value === undefined ? '' : String(value).trim());
+        return ['street1', 'street2', 'city', 'state', 'zip']
+            .map(part => columnMapping[part])
+            .filter(column => column && column in newProperties && normalize(feature[column]) !== normalize(newProperties[column]));
+    }
 
-        return results;
+    /**
+     * Geocode a feature again from its mapped address columns
+     * @param {Object} feature - Feature
+     * @param {Object} columnMapping - Column mapping (street1, street2, city, state, zip)
+     * @returns {Promise<Object>} Geocoded result plus properties (see buildGeocodeProperties)
+     */
+    async regeocodeFeature(feature, columnMapping) {
+        const address = this.buildRowAddress(feature, columnMapping);
+        const geocoded = await this.geocodeAddress(address);
+        return { ...geocoded, properties: this.buildGeocodeProperties(address, geocoded) };
     }
 
     /**
@@ -252,6 +878,20 @@ class GeocodingService {
         );
         if (zipMatch) mapping.zip = zipMatch.original;
 
+        // Known CRM exports (Dynamics "Address 1: ..." and Salesforce "Billing ..." columns)
+        // replace the pattern matches above, which can pick a second address block
+        const profile = Utils.matchImportProfile(columns);
+        if (profile) {
+            console.log(`Address columns from import profile: ${profile.name}`);
+            ['street1', 'street2', 'city', 'state', 'zip'].forEach(role => {
+                if (profile.mapping[role]) {
+                    mapping[role] = profile.mapping[role];
+                } else {
+                    delete mapping[role];
+                }
+            });
+        }
+
         return mapping;
     }
 
@@ -0,0 +1,161 @@
+/**
+ * Geometry Operations
+ * Polygon union, intersection, difference and buffers on the polygon arrays
+ * returned by Utils.getPolygonCoordinates, done with Turf.js, plus WKT output.
+ */
+
+const GeometryOps = {
+    /**
+     * Check that Turf.js loaded
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof turf !== 'undefined';
+    },
+
+    /**
+     * Run a Turf clipping operation on polygon sets
+     * Turf throws on invalid geometry (e.g. self-intersecting rings).
+     * @param {string} operation - 'intersect', 'union' or 'difference' (first minus the rest)
+     * @param {Array} polygonSets - Each an array of polygons from Utils.getPolygonCoordinates
+     * @returns {Object|null} GeoJSON geometry, or null when empty
+     */
+    clip(operation, polygonSets) {
+        const features = polygonSets
+            .filter(polygons => polygons.length > 0)
+            .map(polygons => turf.multiPolygon(polygons));
+        if (features.length === 0) return null;
+        if (features.length === 1 && operation !== 'intersect') return features[0].geometry;
+
+        const result = turf[operation](turf.featureCollection(features));
+        return result ? result.geometry : null;
+    },
+
+    /**
+     * Union polygon sets into one geometry
+     * @param {Array} polygonSets - Polygon sets
+     * @returns {Object|null} GeoJSON geometry
+     */
+    union(polygonSets) {
+        return this.clip('union', polygonSets);
+    },
+
+    /**
+     * Buffer a geometry by a distance
+     * @param {Object} geometry - GeoJSON Point, Polygon or MultiPolygon
+     * @param {number} distance - Buffer distance
+     * @param {string} units - 'miles' or 'kilometers'
+     * @returns {Array} Polygons of the buffer (empty when the geometry can't be buffered)
+     */
+    buffer(geometry, distance, units) {
+        const result = turf.buffer(turf.feature(geometry), distance, { units, steps: AppConfig.buffer.steps });
+        return result ? Utils.getPolygonCoordinates(result.geometry) : [];
+    },
+
+    /**
+     * Split polygons along a line drawn across them
+     * The line must cross the polygon boundary at least twice. It is then extended
+     * to a box around the polygons and closed along the box on one side; the
+     * polygons are clipped to either side of it.
+     * @param {Array} polygons - Array of polygons (arrays of rings)
+     * @param {Array} line - [lng, lat] points
+     * @returns {Array|null} [polygons on one side, polygons on the other], or null when the line doesn't cut through
+     */
+    splitByLine(polygons, line) {
+        // Double-clicks leave repeated points, which have no direction
+        const points = line.filter((point, i) => i === 0 || point[0] !== line[i - 1][0] || point[1] !== line[i - 1][1]);
+        if (points.length < 2 || polygons.length === 0) return null;
+
+        // Without this a line beside the polygon (or ending inside it) would still cut once extended
+        const crossings = turf.lineIntersect(turf.lineString(points), turf.multiPolygon(polygons));
+        if (crossings.features.length < 2) return null;
+
+        const bounds = SpatialGeometry.getBounds([...polygons, [points]]);
+        const margin = Math.max(bounds[2] - bounds[0], bounds[3] - bounds[1]);
+        const box = [bounds[0] - margin, bounds[1] - margin, bounds[2] + margin, bounds[3] + margin];
+
+        const start = this.extendToBox(points[1], points[0], box);
+        const end = this.extendToBox(points[points.length - 2], points[points.length - 1], box);
+        const side = [[start, ...points, end, ...this.getBoxCorners(end, start, box), start]];
+
+        const first = Utils.getPolygonCoordinates(this.clip('intersect', [polygons, [side]]));
+        const second = Utils.getPolygonCoordinates(this.clip('difference', [polygons, [side]]));
+        return first.length > 0 && second.length > 0 ? [first, second] : null;
+    },
+
+    /**
+     * Extend the segment from -> to until it reaches the edge of a box
+     * @param {Array} from - [x, y]
+     * @param {Array} to - [x, y], inside the box
+     * @param {Array} box - [minX, minY, maxX, maxY]
+     * @returns {Array} [x, y] on the box edge
+     */
+    extendToBox(from, to, box) {
+        const dx = to[0] - from[0];
+        const dy = to[1] - from[1];
+        const tx = dx > 0 ? (box[2] - to[0]) / dx : dx < 0 ? (box[0] - to[0]) / dx : Infinity;
+        const ty = dy > 0 ? (box[3] - to[1]) / dy : dy < 0 ? (box[1] - to[1]) / dy : Infinity;
+
+        // Snap the coordinate that reached the edge so it compares exactly in getBoxCorners
+        if (tx <= ty) {
+            return [dx > 0 ? box[2] : box[0], to[1] + tx * dy];
+        }
+        return [to[0] + ty * dx, dy > 0 ? box[3] : box[1]];
+    },
+
+    /**
+     * Get the box corners passed walking counter-clockwise along its edge between two edge points
+     * @param {Array} from - [x, y] on the box edge
+     * @param {Array} to - [x, y] on the box edge
+     * @param {Array} box - [minX, minY, maxX, maxY]
+     * @returns {Array} Corners in walking order
+     */
+    getBoxCorners(from, to, box) {
+        const [minX, minY, maxX, maxY] = box;
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const perimeter = 2 * (width + height);
+
+        // Distance along the edge counter-clockwise from the bottom-left corner
+        const position = ([x, y]) => {
+            if (y === minY) return x - minX;
+            if (x === maxX) return width + (y - minY);
+            if (y === maxY) return width + height + (maxX - x);
+            return 2 * width + height + (maxY - y);
+        };
+        const corners = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]];
+
+        const offset = position(from);
+        const length = (position(to) - offset + perimeter) % perimeter;
+        return corners
+            .map(corner => ({ corner, distance: (position(corner) - offset + perimeter) % perimeter }))
+            .filter(({ distance }) => distance > 0 && distance < length)
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ corner }) => corner);
+    },
+
+    /**
+     * Write polygons as a MULTIPOLYGON WKT string
+     * @param {Array} polygons - Array of polygons (arrays of rings)
+     * @returns {string} WKT
+     */
+    toMultiPolygonWkt(polygons) {
+        return wellknown.stringify({ type: 'MultiPolygon', coordinates: polygons });
+    },
+
+    /**
+     * Write polygons as WKT: POLYGON for one part, MULTIPOLYGON for several
+     * @param {Array} polygons - Array of polygons (arrays of rings)
+     * @returns {string} WKT
+     */
+    toWkt(polygons) {
+        return polygons.length === 1
+            ? wellknown.stringify({ type: 'Polygon', coordinates: polygons[0] })
+            : this.toMultiPolygonWkt(polygons);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeometryOps;
+}
@@ -431,6 +431,55 @@ class LayerManager {
         }
     }
 
+    /**
+     * Move a point feature
+     * @param {string} layerId - Layer ID
+     * @param {string} featureId - Feature ID
+     * @param {number} latitude - New latitude
+     * @param {number} longitude - New longitude
+     * @param {Object} extraProperties - Other properties to update with the move
+     */
+    setFeatureLocation(layerId, featureId, latitude, longitude, extraProperties = {}) {
+        this.updateFeature(layerId, featureId, { ...extraProperties, latitude, longitude });
+        this.mapManager.moveFeature(layerId, featureId, latitude, longitude);
+    }
+
+    /**
+     * Get the rows of a geocoded layer that could not be geocoded
+     * They are kept on layer.metadata.geocodeFailures until placed on the map.
+     * @param {string} layerId - Layer ID
+     * @returns {Array} Features without coordinates
+     */
+    getGeocodeFailures(layerId) {
+        const layer = this.layers.get(layerId);
+        return (layer && layer.metadata && layer.metadata.geocodeFailures) || [];
+    }
+
+    /**
+     * Place a row that failed geocoding, adding it to the layer as a point
+     * @param {string} layerId - Layer ID
+     * @param {string} featureId - Feature ID (from getGeocodeFailures)
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Object} extraProperties - Other properties to set on the feature
+     * @returns {Object|null} The placed feature
+     */
+    placeGeocodeFailure(layerId, featureId, latitude, longitude, extraProperties = {}) {
+        const layer = this.layers.get(layerId);
+        const failures = this.getGeocodeFailures(layerId);
+        const failure = failures.find(f => f.id === featureId);
+        if (!layer || !failure) return null;
+
+        layer.metadata = {
+            ...layer.metadata,
+            geocodeFailures: failures.filter(f => f.id !== featureId)
+        };
+
+        const feature = { ...failure, ...extraProperties, latitude, longitude };
+        this.addFeaturesToLayer(layerId, [feature]);
+        return feature;
+    }
+
     /**
      * Delete feature from a layer
      * @param {string} layerId - Layer ID
@@ -453,25 +502,641 @@ class LayerManager {
         eventBus.emit('feature.deleted', { layerId, featureId });
     }
 
+    /**
+     * Replace all features in a layer and re-render it
+     * Used by upsert imports and their undo.
+     * @param {string} layerId - Layer ID
+     * @param {Array} features - New feature list
+     * @param {string} type - Layer type to restore (optional, detected when omitted)
+     */
+    setLayerFeatures(layerId, features, type = null) {
+        const layers = this.layers;
+        const layer = layers.get(layerId);
+        if (!layer) return;
+
+        layer.features = features;
+
+        if (type) {
+            layer.type = type;
+        } else {
+            // Same rule as addFeaturesToLayer: a layer holding both geometry kinds becomes mixed
+            const hasPoints = features.some(f => f.latitude !== undefined && f.longitude !== undefined);
+            const hasPolygons = features.some(f => f.wkt !== undefined);
+            if (hasPoints && hasPolygons && layer.type !== 'mixed') {
+                layer.type = 'mixed';
+            }
+        }
+
+        layers.set(layerId, layer);
+        this.layers = layers;
+
+        // Keep any active filter applied
+        this.rerenderLayer(layerId, this.getFilteredFeatures(layerId));
+
+        eventBus.emit('layer.features.replaced', { layerId, count: features.length });
+    }
+
+    /**
+     * Plan an upsert of imported features into an existing layer
+     * Keys are compared trimmed and case-insensitive. Nothing is changed
+     * until the plan is passed to applyUpsert.
+     * @param {string} layerId - Target layer ID
+     * @param {Array} incomingFeatures - Features parsed from the import file
+     * @param {string} keyProperty - Feature property to match on (e.g. 'accountNumber')
+     * @returns {Object|null} { updates, additions, missing, unchangedCount, skippedNoKey, duplicateKeys }
+     */
+    planUpsert(layerId, incomingFeatures, keyProperty) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return null;
+
+        const normalizeKey = (value) => {
+            return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+        };
+
+        // Index existing features; the first feature wins when the layer has duplicate keys
+        const existingByKey = new Map();
+        const duplicateKeys = new Set();
+        layer.features.forEach(feature => {
+            const key = normalizeKey(feature[keyProperty]);
+            if (!key) return;
+            if (existingByKey.has(key)) {
+                duplicateKeys.add(key);
+                return;
+            }
+            existingByKey.set(key, feature);
+        });
+
+        // Later rows in the file win when it repeats a key
+        const incomingByKey = new Map();
+        let skippedNoKey = 0;
+        incomingFeatures.forEach(feature => {
+            const key = normalizeKey(feature[keyProperty]);
+            if (!key) {
+                skippedNoKey++;
+                return;
+            }
+            if (incomingByKey.has(key)) {
+                duplicateKeys.add(key);
+            }
+            incomingByKey.set(key, feature);
+        });
+
+        const updates = [];
+        const additions = [];
+        let unchangedCount = 0;
+
+        incomingByKey.forEach((incoming, key) => {
+            const existing = existingByKey.get(key);
+            if (!existing) {
+                additions.push(incoming);
+                return;
+            }
+
+            const changedFields = Object.keys(incoming).filter(field => {
+                if (field === 'id' || field === keyProperty) return false;
+                const oldValue = existing[field] ?? '';
+                const newValue = incoming[field] ?? '';
+                return String(oldValue) !== String(newValue);
+            });
+
+            // Re-appearing rows lose their missing flag
+            if (existing.missingFromImport) {
+                changedFields.push('missingFromImport');
+            }
+
+            if (changedFields.length > 0) {
+                updates.push({ existing, incoming, changedFields });
+            } else {
+                unchangedCount++;
+            }
+        });
+
+        const missing = [];
+        existingByKey.forEach((feature, key) => {
+            if (!incomingByKey.has(key)) {
+                missing.push(feature);
+            }
+        });
+
+        return {
+            keyProperty,
+            updates,
+            additions,
+            missing,
+            unchangedCount,
+            skippedNoKey,
+            duplicateKeys: Array.from(duplicateKeys)
+        };
+    }
+
+    /**
+     * Apply an upsert plan from planUpsert
+     * Matched features keep their ID and any fields the file doesn't have,
+     * so manual edits outside the imported columns survive.
+     * @param {string} layerId - Target layer ID
+     * @param {Object} plan - Plan from planUpsert
+     * @param {string} missingAction - 'keep', 'flag' or 'remove' for features not in the file
+     * @param {Object} metadata - Extra info recorded on layer.metadata.lastUpsert
+     */
+    applyUpsert(layerId, plan, missingAction = 'keep', metadata = {}) {
+        const layer = this.layers.get(layerId);
+        if (!layer || !plan) return;
+
+        const updatesById = new Map(plan.updates.map(update => [update.existing.id, update.incoming]));
+        const missingIds = new Set(plan.missing.map(feature => feature.id));
+        const features = [];
+
+        layer.features.forEach(feature => {
+            if (updatesById.has(feature.id)) {
+                const incoming = updatesById.get(feature.id);
+                const merged = { ...feature, ...incoming, id: feature.id };
+                delete merged.missingFromImport;
+
+                // Geometry kind can change between imports; drop the old one
+                if (incoming.wkt !== undefined) {
+                    delete merged.latitude;
+                    delete merged.longitude;
+                } else if (incoming.latitude !== undefined && incoming.longitude !== undefined) {
+                    delete merged.wkt;
+                }
+
+                features.push(merged);
+            } else if (missingIds.has(feature.id)) {
+                if (missingAction === 'flag') {
+                    features.push({ ...feature, missingFromImport: true });
+                } else if (missingAction !== 'remove') {
+                    features.push(feature);
+                }
+            } else {
+                features.push(feature);
+            }
+        });
+
+        plan.additions.forEach(feature => features.push(feature));
+
+        const summary = {
+            keyProperty: plan.keyProperty,
+            updated: plan.updates.length,
+            added: plan.additions.length,
+            missing: plan.missing.length,
+            missingAction: missingAction,
+            unchanged: plan.unchangedCount,
+            date: new Date().toISOString(),
+            ...metadata
+        };
+        layer.metadata = { ...layer.metadata, lastUpsert: summary };
+
+        this.setLayerFeatures(layerId, features);
+
+        eventBus.emit('layer.upserted', { layerId, layerName: layer.name, ...summary });
+    }
+
+    /**
+     * Plan a spatial join: copy attributes of the polygon containing each point onto the point
+     * Nothing is changed until the plan is passed to applySpatialJoin.
+     * @param {string} pointLayerId - Layer whose points receive the attributes
+     * @param {string} polygonLayerId - Layer whose polygons supply them
+     * @param {Array} attributes - Polygon properties to copy (e.g. ['Territory', 'BDM'])
+     * @param {Object} options - { overlapAction: 'first' or 'skip', unmatchedAction: 'keep' or 'clear' }
+     * @returns {Object|null} { updates, unchangedCount, unmatched, overlapping, ... }
+     */
+    planSpatialJoin(pointLayerId, polygonLayerId, attributes, options = {}) {
+        const { overlapAction = 'first', unmatchedAction = 'keep' } = options;
+        const pointLayer = this.layers.get(pointLayerId);
+        const polygonLayer = this.layers.get(polygonLayerId);
+        if (!pointLayer || !polygonLayer) return null;
+
+        const index = spatialIndex.getTerritoryIndex(polygonLayer);
+        const updates = [];
+        const unmatched = [];
+        const overlapping = [];
+        let unchangedCount = 0;
+
+        const addUpdate = (feature, properties) => {
+            const changed = attributes.some(attr => String(feature[attr] ?? '') !== String(properties[attr]));
+            if (changed) {
+                updates.push({ featureId: feature.id, properties });
+            } else {
+                unchangedCount++;
+            }
+        };
+
+        pointLayer.features.forEach(feature => {
+            const point = SpatialGeometry.getPoint(feature);
+            if (!point) return; // Polygons of a mixed layer aren't joined
+
+            const polygons = index.search(point.lat, point.lng).map(entry => entry.feature);
+
+            if (polygons.length === 0) {
+                unmatched.push(feature);
+                if (unmatchedAction === 'clear') {
+                    addUpdate(feature, Object.fromEntries(attributes.map(attr => [attr, ''])));
+                }
+                return;
+            }
+
+            if (polygons.length > 1) {
+                overlapping.push({ feature, polygons });
+                if (overlapAction === 'skip') return;
+            }
+
+            // Polygons are checked in layer order, so 'first' means the earliest in the layer
+            addUpdate(feature, Object.fromEntries(attributes.map(attr => [attr, polygons[0][attr] ?? ''])));
+        });
+
+        return {
+            pointLayerId,
+            polygonLayerId,
+            attributes,
+            overlapAction,
+            unmatchedAction,
+            updates,
+            unchangedCount,
+            unmatched,
+            overlapping
+        };
+    }
+
+    /**
+     * Apply a spatial join plan from planSpatialJoin
+     * Joined columns take their type from the polygon layer's schema.
+     * @param {Object} plan - Plan from planSpatialJoin
+     */
+    applySpatialJoin(plan) {
+        const layer = this.layers.get(plan.pointLayerId);
+        if (!layer || !plan) return;
+
+        const updatesById = new Map(plan.updates.map(update => [update.featureId, update.properties]));
+        const features = layer.features.map(feature => {
+            return updatesById.has(feature.id) ? { ...feature, ...updatesById.get(feature.id) } : feature;
+        });
+
+        const polygonLayer = this.layers.get(plan.polygonLayerId);
+        const polygonSchema = polygonLayer && polygonLayer.metadata && polygonLayer.metadata.schema;
+        const metadata = { ...layer.metadata };
+        if (polygonSchema) {
+            metadata.schema = { ...(metadata.schema || {}) };
+            plan.attributes.forEach(attr => {
+                if (polygonSchema[attr]) metadata.schema[attr] = polygonSchema[attr];
+            });
+        }
+
+        const summary = {
+            polygonLayerId: plan.polygonLayerId,
+            polygonLayerName: polygonLayer ? polygonLayer.name : '',
+            attributes: plan.attributes,
+            updated: plan.updates.length,
+            unmatched: plan.unmatched.length,
+            overlapping: plan.overlapping.length,
+            date: new Date().toISOString()
+        };
+        metadata.lastSpatialJoin = summary;
+        layer.metadata = metadata;
+
+        this.setLayerFeatures(plan.pointLayerId, features);
+
+        eventBus.emit('layer.spatialJoined', { layerId: layer.id, layerName: layer.name, ...summary });
+    }
+
+    /**
+     * Union the polygons that share a field value into one MultiPolygon feature per value
+     * Polygons with an empty value and saved measurements are left out. A group whose union fails
+     * (invalid geometry) keeps its polygons as separate parts.
+     * @param {string} layerId - Polygon layer ID
+     * @param {string} field - Column to dissolve by
+     * @param {Object} options - { sumColumns: columns to total, idColumn: column listed in sourceIds (default feature ID), onProgress }
+     * @returns {Promise<Object|null>} { features, schema, blankCount, unmerged }
+     */
+    async dissolveLayer(layerId, field, options = {}) {
+        const { sumColumns = [], idColumn = null, onProgress = null } = options;
+        const layer = this.layers.get(layerId);
+        if (!layer) return null;
+
+        const groups = new Map();
+        let blankCount = 0;
+
+        layer.features.forEach(feature => {
+            if (Utils.isMeasurementFeature(feature)) return; // Saved radius circles aren't territories
+
+            const polygons = Utils.getPolygonCoordinates(Utils.getFeatureGeometry(feature));
+            if (polygons.length === 0) return; // Points of a mixed layer
+
+            const value = feature[field];
+            if (Utils.isEmpty(value) || String(value).trim() === '') {
+                blankCount++;
+                return;
+            }
+
+            const key = String(value).trim();
+            if (!groups.has(key)) groups.set(key, { value, members: [] });
+            groups.get(key).members.push({ feature, polygons });
+        });
+
+        const features = [];
+        const unmerged = [];
+        let done = 0;
+
+        for (const [key, group] of groups) {
+            let polygons;
+            try {
+                polygons = Utils.getPolygonCoordinates(GeometryOps.union(group.members.map(member => member.polygons)));
+            } catch (error) {
+                console.warn(`Dissolve: union of "${key}" failed, keeping its polygons separate`, error);
+                polygons = group.members.flatMap(member => member.polygons);
+                unmerged.push(key);
+            }
+
+            const properties = {
+                id: Utils.generateId('feature'),
+                [field]: group.value,
+                featureCount: group.members.length
+            };
+            sumColumns.forEach(column => {
+                properties[column] = group.members.reduce((sum, member) => sum + Utils.parseNumber(member.feature[column]), 0);
+            });
+            properties.sourceIds = group.members
+                .map(member => String(idColumn ? member.feature[idColumn] ?? '' : member.feature.id))
+                .join(', ');
+            properties.wkt = GeometryOps.toMultiPolygonWkt(polygons);
+            features.push(properties);
+
+            // Unions of many ZIPs take a while; let the page repaint between groups
+            done++;
+            if (onProgress) onProgress(done / groups.size);
+            await Utils.wait(0);
+        }
+
+        const sourceSchema = (layer.metadata && layer.metadata.schema) || {};
+        const schema = { [field]: sourceSchema[field] || 'string', featureCount: 'integer', sourceIds: 'string' };
+        sumColumns.forEach(column => {
+            schema[column] = sourceSchema[column] === 'currency' ? 'currency' : 'decimal';
+        });
+
+        return { features, schema, blankCount, unmerged };
+    }
+
+    /**
+     * Build buffer polygons around features, for a new layer
+     * Each buffer gets the number of accounts (point features) inside it.
+     * @param {string} layerId - Layer ID
+     * @param {Array} featureIds - IDs of the points or polygons to buffer
+     * @param {Object} options - { distance, units: 'miles' or 'kilometers', dissolve: one shape for all buffers, accountLayerIds: point layers to count (default all), onProgress }
+     * @returns {Promise<Object|null>} { features, schema, skipped: features without a usable geometry, unmerged: buffers kept apart because their union failed }
+     */
+    async bufferFeatures(layerId, featureIds, options = {}) {
+        const { distance, units = 'miles', dissolve = false, accountLayerIds = null, onProgress = null } = options;
+        const layer = this.layers.get(layerId);
+        if (!layer) return null;
+
+        const ids = new Set(featureIds);
+        const buffers = [];
+        let skipped = 0;
+        let done = 0;
+
+        for (const feature of layer.features.filter(f => ids.has(f.id))) {
+            const point = feature.wkt ? null : SpatialGeometry.getPoint(feature);
+            const geometry = point ? { type: 'Point', coordinates: [point.lng, point.lat] } : Utils.getFeatureGeometry(feature);
+
+            let polygons = [];
+            if (geometry && ['Point', 'Polygon', 'MultiPolygon'].includes(geometry.type)) {
+                try {
+                    polygons = GeometryOps.buffer(geometry, distance, units);
+                } catch (error) {
+                    console.warn(`Buffer: feature ${feature.id} could not be buffered`, error);
+                }
+            }
+
+            if (polygons.length > 0) {
+                buffers.push({ feature, polygons });
+            } else {
+                skipped++;
+            }
+
+            // Buffering thousands of accounts takes a while; let the page repaint now and then
+            done++;
+            if (done % 100 === 0) {
+                if (onProgress) onProgress(done / ids.size * 0.8);
+                await Utils.wait(0);
+            }
+        }
+
+        const accountLayers = this.getAllLayers().filter(l => accountLayerIds
+            ? accountLayerIds.includes(l.id)
+            : l.type === 'point' || l.type === 'mixed');
+        const countAccounts = polygons => {
+            const bbox = SpatialGeometry.getBounds(polygons);
+            return accountLayers.reduce((count, accountLayer) => count + spatialIndex.getPointIndex(accountLayer).searchBounds(bbox)
+                .filter(entry => SpatialGeometry.pointInPolygons(entry.lng, entry.lat, polygons)).length, 0);
+        };
+
+        const bufferProperties = { bufferDistance: distance, bufferUnits: units };
+        const features = [];
+        const unmerged = [];
+
+        if (dissolve && buffers.length > 0) {
+            let polygons;
+            try {
+                polygons = Utils.getPolygonCoordinates(GeometryOps.union(buffers.map(buffer => buffer.polygons)));
+            } catch (error) {
+                console.warn('Buffer: union of the buffers failed, keeping them separate', error);
+                polygons = buffers.flatMap(buffer => buffer.polygons);
+                unmerged.push(...buffers.map(buffer => buffer.feature.id));
+            }
+
+            features.push({
+                id: Utils.generateId('feature'),
+                name: `${layer.name} ${distance} ${units === 'kilometers' ? 'km' : 'mi'} buffer`,
+                featureCount: buffers.length,
+                ...bufferProperties,
+                accountCount: countAccounts(polygons),
+                wkt: GeometryOps.toMultiPolygonWkt(polygons)
+            });
+        } else {
+            buffers.forEach(({ feature, polygons }) => {
+                const { id, wkt, latitude, longitude, geometry, ...attributes } = feature;
+                features.push({
+                    id: Utils.generateId('feature'),
+                    ...attributes,
+                    sourceId: id,
+                    ...bufferProperties,
+                    accountCount: countAccounts(polygons),
+                    wkt: GeometryOps.toWkt(polygons)
+                });
+            });
+        }
+        if (onProgress) onProgress(1);
+
+        const { latitude, longitude, ...sourceSchema } = (layer.metadata && layer.metadata.schema) || {};
+        const schema = dissolve
+            ? { name: 'string', featureCount: 'integer' }
+            : { ...sourceSchema, sourceId: 'string' };
+        Object.assign(schema, { bufferDistance: 'decimal', bufferUnits: 'string', accountCount: 'integer' });
+
+        return { features, schema, skipped, unmerged };
+    }
+
+    /**
+     * Plan splitting a polygon feature in two along a line
+     * The larger part keeps the feature's ID. Nothing is changed until the
+     * plan is passed to applySplitFeature.
+     * @param {string} layerId - Layer ID
+     * @param {string} featureId - Feature ID
+     * @param {Array} line - Cut line as [lng, lat] points
+     * @param {Object} options - { attributeMode: 'copy', 'proportional' or 'larger', numericColumns: columns divided by area in 'proportional' mode }
+     * @returns {Object|null} { layerId, featureId, parts, areas, attributeMode }, or null when the line doesn't cut the feature in two
+     */
+    planSplitFeature(layerId, featureId, line, options = {}) {
+        const { attributeMode = 'copy', numericColumns = [] } = options;
+        const layer = this.layers.get(layerId);
+        const feature = layer && layer.features.find(f => f.id === featureId);
+        if (!feature) return null;
+
+        const split = GeometryOps.splitByLine(Utils.getPolygonCoordinates(Utils.getFeatureGeometry(feature)), line);
+        if (!split) return null;
+
+        const pieces = split
+            .map(polygons => ({ polygons, area: Utils.calculatePolygonsArea(polygons) }))
+            .sort((a, b) => b.area - a.area);
+        const totalArea = pieces[0].area + pieces[1].area;
+
+        const { id, wkt, ...attributes } = feature;
+        const parts = pieces.map((piece, index) => {
+            let properties = { ...attributes };
+
+            if (attributeMode === 'larger' && index > 0) {
+                properties = Object.fromEntries(Object.keys(attributes).map(key => [key, '']));
+            } else if (attributeMode === 'proportional') {
+                const share = totalArea > 0 ? piece.area / totalArea : 0.5;
+                numericColumns.forEach(column => {
+                    if (Utils.isEmpty(attributes[column])) return;
+                    const value = Utils.parseNumber(attributes[column]) * share;
+                    properties[column] = this.getColumnType(layerId, column) === 'integer'
+                        ? Math.round(value)
+                        : Math.round(value * 100) / 100;
+                });
+            }
+
+            return {
+                id: index === 0 ? id : Utils.generateId('feature'),
+                ...properties,
+                wkt: GeometryOps.toWkt(piece.polygons)
+            };
+        });
+
+        return {
+            layerId,
+            featureId,
+            parts,
+            areas: pieces.map(piece => piece.area),
+            attributeMode
+        };
+    }
+
+    /**
+     * Apply a split plan from planSplitFeature
+     * @param {Object} plan - Plan from planSplitFeature
+     */
+    applySplitFeature(plan) {
+        const layer = this.layers.get(plan.layerId);
+        const index = layer ? layer.features.findIndex(f => f.id === plan.featureId) : -1;
+        if (index === -1) return;
+
+        const original = layer.features[index];
+        const features = [...layer.features];
+        features.splice(index, 1, ...plan.parts);
+        this.setLayerFeatures(plan.layerId, features);
+
+        eventBus.emit('feature.split', {
+            layerId: layer.id,
+            layerName: layer.name,
+            featureId: plan.featureId,
+            featureName: original.name || original.Name || plan.featureId,
+            newFeatureId: plan.parts[1].id,
+            attributeMode: plan.attributeMode
+        });
+    }
+
+    /**
+     * Plan merging polygon features into one
+     * The merged feature keeps the ID and attributes of keepFeatureId.
+     * @param {string} layerId - Layer ID
+     * @param {Array} featureIds - Features to merge (at least 2)
+     * @param {Object} options - { keepFeatureId (default the first), sumColumns: columns totalled over the merged features }
+     * @returns {Object|null} { layerId, featureIds, feature, partCount }
+     */
+    planMergeFeatures(layerId, featureIds, options = {}) {
+        const { keepFeatureId = featureIds[0], sumColumns = [] } = options;
+        const layer = this.layers.get(layerId);
+        if (!layer) return null;
+
+        const ids = new Set(featureIds);
+        const merging = layer.features.filter(f => ids.has(f.id) && Utils.isPolygonFeature(f));
+        const kept = merging.find(f => f.id === keepFeatureId);
+        if (merging.length < 2 || !kept) return null;
+
+        const polygons = Utils.getPolygonCoordinates(GeometryOps.union(
+            merging.map(f => Utils.getPolygonCoordinates(Utils.getFeatureGeometry(f)))
+        ));
+
+        const feature = { ...kept, wkt: GeometryOps.toWkt(polygons) };
+        sumColumns.forEach(column => {
+            feature[column] = merging.reduce((sum, f) => sum + Utils.parseNumber(f[column]), 0);
+        });
+
+        return {
+            layerId,
+            featureIds: merging.map(f => f.id),
+            featureNames: merging.map(f => f.name || f.Name || f.id),
+            feature,
+            partCount: polygons.length
+        };
+    }
+
+    /**
+     * Apply a merge plan from planMergeFeatures
+     * The merged feature takes the kept feature's place in the layer.
+     * @param {Object} plan - Plan from planMergeFeatures
+     */
+    applyMergeFeatures(plan) {
+        const layer = this.layers.get(plan.layerId);
+        if (!layer) return;
+
+        const ids = new Set(plan.featureIds);
+        const features = [];
+        layer.features.forEach(f => {
+            if (f.id === plan.feature.id) {
+                features.push(plan.feature);
+            } else if (!ids.has(f.id)) {
+                features.push(f);
+            }
+        });
+        this.setLayerFeatures(plan.layerId, features);
+
+        eventBus.emit('features.merged', {
+            layerId: layer.id,
+            layerName: layer.name,
+            featureId: plan.feature.id,
+            featureIds: plan.featureIds,
+            featureNames: plan.featureNames
+        });
+    }
+
     /**
      * Apply filter to a layer
      * @param {string} layerId - Layer ID
      * @param {string} column - Column to filter by
      * @param {string} value - Filter value
+     * @param {string} withinLayerId - Optional polygon layer; only points inside its polygons are kept
      */
-    applyFilter(layerId, column, value) {
+    applyFilter(layerId, column, value, withinLayerId = null) {
         const layer = this.layers.get(layerId);
         if (!layer) return;
 
         // Store filter
-        this.activeFilters.set(layerId, { column, value });
+        this.activeFilters.set(layerId, { column, value, withinLayerId });
 
         // Get filtered features
-        const filteredFeatures = layer.features.filter(feature => {
-            const featureValue = String(feature[column] || '').toLowerCase();
-            const filterValue = String(value).toLowerCase();
-            return featureValue.includes(filterValue);
-        });
+        const filteredFeatures = this.getFilteredFeatures(layerId);
 
         // Re-render layer with filtered features
         this.rerenderLayer(layerId, filteredFeatures);
@@ -505,22 +1170,19 @@ class LayerManager {
         // Store sort config
         this.activeSorts.set(layerId, { column, direction });
 
-        // Sort features
+        // Sort features by the column's schema type; empty values always go last
+        const type = this.getColumnType(layerId, column);
+        const isEmpty = (value) => value === null || value === undefined || value === '';
         const sortedFeatures = [...layer.features].sort((a, b) => {
-            let aVal = a[column];
-            let bVal = b[column];
+            const aVal = a[column];
+            const bVal = b[column];
 
-            // Handle numeric values
-            if (!isNaN(aVal) && !isNaN(bVal)) {
-                aVal = parseFloat(aVal);
-                bVal = parseFloat(bVal);
+            if (isEmpty(aVal) || isEmpty(bVal)) {
+                return isEmpty(aVal) - isEmpty(bVal);
             }
 
-            if (direction === 'asc') {
-                return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-            } else {
-                return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
-            }
+            const result = this.compareValues(aVal, bVal, type);
+            return direction === 'asc' ? result : -result;
         });
 
         // Update layer features order
@@ -636,6 +1298,348 @@ class LayerManager {
         return exported;
     }
 
+    /**
+     * Get the features currently shown for a layer (after any active filter)
+     * @param {string} layerId - Layer ID
+     * @returns {Array} Filtered features
+     */
+    getFilteredFeatures(layerId) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return [];
+
+        const filter = this.activeFilters.get(layerId);
+        if (!filter) return layer.features;
+
+        let features = layer.features;
+        if (filter.column) {
+            const type = this.getColumnType(layerId, filter.column);
+            features = features.filter(feature => this.matchesFilter(feature[filter.column], filter.value, type));
+        }
+
+        // Location filter applies to points only (measurements saved on the polygon layer don't count);
+        // it is ignored once the polygon layer is deleted
+        const withinLayer = filter.withinLayerId ? this.layers.get(filter.withinLayerId) : null;
+        if (withinLayer) {
+            const index = spatialIndex.getTerritoryIndex(withinLayer);
+            features = features.filter(feature => {
+                const point = SpatialGeometry.getPoint(feature);
+                return !point || index.search(point.lat, point.lng).length > 0;
+            });
+        }
+
+        return features;
+    }
+
+    /**
+     * Get a column's type from the layer schema (set on import)
+     * @param {string} layerId - Layer ID
+     * @param {string} column - Feature property name
+     * @returns {string|null} Column type, or null for layers without a schema
+     */
+    getColumnType(layerId, column) {
+        const layer = this.layers.get(layerId);
+        const schema = layer && layer.metadata && layer.metadata.schema;
+        return (schema && schema[column]) || null;
+    }
+
+    /**
+     * Compare two values of a column
+     * Numeric types compare as numbers, dates as ISO strings and text case-insensitively.
+     * Without a type, values that both look numeric compare as numbers.
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @param {string|null} type - Column type
+     * @returns {number} Negative, zero or positive
+     */
+    compareValues(a, b, type = null) {
+        const numeric = ['integer', 'decimal', 'currency'].includes(type) ||
+            (!type && !isNaN(a) && !isNaN(b));
+
+        if (numeric) {
+            const aNum = parseFloat(String(a).replace(/[^0-9.eE+-]/g, ''));
+            const bNum = parseFloat(String(b).replace(/[^0-9.eE+-]/g, ''));
+            if (!isNaN(aNum) && !isNaN(bNum)) {
+                return aNum - bNum;
+            }
+        }
+
+        if (type === 'boolean') {
+            return this.toBooleanValue(a) - this.toBooleanValue(b);
+        }
+
+        if (type === 'date') {
+            const aDate = this.toISODate(a);
+            const bDate = this.toISODate(b);
+            return aDate > bDate ? 1 : aDate < bDate ? -1 : 0;
+        }
+
+        return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+    }
+
+    /**
+     * Test a value against a filter
+     * Filters may start with a comparison operator (>, <, >=, <=, =, !=).
+     * Operators compare numbers and dates by value; plain text matches anywhere
+     * in the value (case-insensitive), and boolean columns match yes/no values.
+     * @param {*} featureValue - Feature property value
+     * @param {string} filterValue - Filter text entered by the user
+     * @param {string|null} type - Column type
+     * @returns {boolean} True if the feature passes the filter
+     */
+    matchesFilter(featureValue, filterValue, type = null) {
+        const text = String(filterValue).trim();
+        const match = text.match(/^(>=|<=|!=|>|<|=)\s*(.*)$/);
+        const isEmpty = featureValue === null || featureValue === undefined || featureValue === '';
+
+        if (type === 'boolean' && !match) {
+            if (isEmpty) return false;
+            return this.toBooleanValue(featureValue) === this.toBooleanValue(text);
+        }
+
+        if (!match) {
+            return String(isEmpty ? '' : featureValue).toLowerCase().includes(text.toLowerCase());
+        }
+
+        const [, operator, operand] = match;
+        if (isEmpty) return operator === '!=';
+
+        // Dates compare on the day when the filter is a plain date
+        let value = featureValue;
+        if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(this.toISODate(operand))) {
+            value = this.toISODate(featureValue).slice(0, 10);
+        }
+
+        const result = type === 'date'
+            ? this.compareValues(value, this.toISODate(operand), 'date')
+            : this.compareValues(value, operand, type);
+
+        switch (operator) {
+            case '>': return result > 0;
+            case '<': return result < 0;
+            case '>=': return result >= 0;
+            case '<=': return result <= 0;
+            case '!=': return result !== 0;
+            default: return result === 0;
+        }
+    }
+
+    /**
+     * Read a boolean column value (true/yes/y/t/1 are true)
+     * @param {*} value - Value
+     * @returns {boolean} Boolean value
+     */
+    toBooleanValue(value) {
+        if (typeof value === 'boolean') return value;
+        return ['true', 'yes', 'y', 't', '1'].includes(String(value).trim().toLowerCase());
+    }
+
+    /**
+     * Normalize a date value to an ISO string so dates sort and compare as text
+     * Accepts ISO dates/timestamps and US m/d/yyyy dates.
+     * @param {*} value - Date value
+     * @returns {string} ISO date or timestamp (the input as text if it isn't a date)
+     */
+    toISODate(value) {
+        const text = String(value).trim();
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text;
+
+        const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        if (match) {
+            let year = Number(match[3]);
+            if (match[3].length === 2) year += year < 50 ? 2000 : 1900;
+            return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Resolve a feature's display color the same way the map renders it
+     * (property color map first, then the layer color)
+     * @param {string} layerId - Layer ID
+     * @param {Object} feature - Feature
+     * @returns {string} Hex color
+     */
+    getFeatureColor(layerId, feature) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return AppConfig.colors.default;
+
+        if (layer.colorMap && layer.styleProperty) {
+            const value = feature[layer.styleProperty];
+            if (layer.colorMap[value]) return layer.colorMap[value];
+        }
+        return layer.color || AppConfig.colors.default;
+    }
+
+    /**
+     * Convert a layer feature to a GeoJSON feature
+     * Attributes become properties and the rendered color is kept as styleColor.
+     * @param {string} layerId - Layer ID
+     * @param {Object} feature - Feature
+     * @returns {Object|null} GeoJSON feature, or null if it has no exportable geometry
+     */
+    featureToGeoJSON(layerId, feature) {
+        let geometry = null;
+
+        if (feature.wkt) {
+            geometry = this.mapManager.parseWKT(feature.wkt);
+        } else if (feature.latitude !== undefined && feature.longitude !== undefined) {
+            geometry = {
+                type: 'Point',
+                coordinates: [parseFloat(feature.longitude), parseFloat(feature.latitude)]
+            };
+        }
+
+        if (!geometry) {
+            console.warn(`Skipping feature ${feature.id} with no exportable geometry`);
+            return null;
+        }
+
+        const properties = {};
+        for (let [key, value] of Object.entries(feature)) {
+            if (['wkt', 'latitude', 'longitude', 'layerId'].includes(key)) continue;
+            if (value === null || value === undefined) continue;
+            properties[key] = value;
+        }
+        properties.styleColor = this.getFeatureColor(layerId, feature);
+
+        return {
+            type: 'Feature',
+            id: feature.id,
+            geometry: geometry,
+            properties: properties
+        };
+    }
+
+    /**
+     * Export layer as a GeoJSON FeatureCollection
+     * @param {string} layerId - Layer ID
+     * @param {Array} features - Features to export (defaults to all layer features)
+     * @returns {Object|null} GeoJSON FeatureCollection
+     */
+    exportLayerToGeoJSON(layerId, features = null) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return null;
+
+        return {
+            type: 'FeatureCollection',
+            name: layer.name,
+            features: (features || layer.features)
+                .map(feature => this.featureToGeoJSON(layerId, feature))
+                .filter(f => f !== null)
+        };
+    }
+
+    /**
+     * Export layer as a KML document for Google Earth
+     * @param {string} layerId - Layer ID
+     * @param {Array} features - Features to export (defaults to all layer features)
+     * @returns {string|null} KML document
+     */
+    exportLayerToKML(layerId, features = null) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return null;
+
+        return this.exportLayersToKML([{ layerId, features: features || layer.features }], layer.name);
+    }
+
+    /**
+     * Export one or more layers into a single KML document
+     * Multiple layers are written as one Folder per layer.
+     * @param {Array<{layerId: string, features: Array}>} entries - Layers and the features to export
+     * @param {string} documentName - KML document name
+     * @returns {string} KML document
+     */
+    exportLayersToKML(entries, documentName) {
+        const styleIds = new Map();
+        const useFolders = entries.length > 1;
+
+        const getStyleId = (color, opacity) => {
+            const styleKey = `${color}|${opacity}`;
+            if (!styleIds.has(styleKey)) {
+                styleIds.set(styleKey, { id: `style${styleIds.size + 1}`, color, opacity });
+            }
+            return styleIds.get(styleKey).id;
+        };
+
+        const sections = entries.map(({ layerId, features }) => {
+            const layer = this.layers.get(layerId);
+            if (!layer) return '';
+
+            const opacity = layer.opacity !== undefined ? layer.opacity : 1.0;
+
+            const placemarks = features.map(feature => {
+                const geoJsonFeature = this.featureToGeoJSON(layerId, feature);
+                const geometryKml = geoJsonFeature ? this.geometryToKML(geoJsonFeature.geometry) : null;
+                if (!geometryKml) return null;
+
+                const { id, name, description, styleColor, ...attributes } = geoJsonFeature.properties;
+                const extendedData = Object.entries({ ...attributes, styleColor })
+                    .filter(([key, value]) => typeof value !== 'object')
+                    .map(([key, value]) => `<Data name="${Utils.escapeXml(key)}"><value>${Utils.escapeXml(value)}</value></Data>`)
+                    .join('');
+
+                return `<Placemark id="${Utils.escapeXml(feature.id)}">` +
+                    `<name>${Utils.escapeXml(name || feature.id)}</name>` +
+                    (description ? `<description>${Utils.escapeXml(description)}</description>` : '') +
+                    `<styleUrl>#${getStyleId(styleColor, opacity)}</styleUrl>` +
+                    `<ExtendedData>${extendedData}</ExtendedData>` +
+                    geometryKml +
+                    `</Placemark>`;
+            }).filter(p => p !== null).join('\n');
+
+            return useFolders
+                ? `<Folder><name>${Utils.escapeXml(layer.name)}</name>\n${placemarks}\n</Folder>`
+                : placemarks;
+        });
+
+        const styles = Array.from(styleIds.values()).map(({ id, color, opacity }) =>
+            `<Style id="${id}">` +
+            `<IconStyle><color>${Utils.hexToKmlColor(color)}</color></IconStyle>` +
+            `<LineStyle><color>${Utils.hexToKmlColor(color)}</color><width>${AppConfig.polygon.strokeWeight}</width></LineStyle>` +
+            `<PolyStyle><color>${Utils.hexToKmlColor(color, AppConfig.polygon.fillOpacity * opacity)}</color></PolyStyle>` +
+            `</Style>`
+        );
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+            '<Document>\n' +
+            `<name>${Utils.escapeXml(documentName)}</name>\n` +
+            styles.join('\n') + '\n' +
+            sections.join('\n') + '\n' +
+            '</Document>\n' +
+            '</kml>\n';
+    }
+
+    /**
+     * Convert a GeoJSON geometry to a KML geometry fragment
+     * @param {Object} geometry - GeoJSON geometry (Point, LineString, Polygon or MultiPolygon)
+     * @returns {string|null} KML geometry
+     */
+    geometryToKML(geometry) {
+        const ringToKML = (ring) => ring.map(coord => `${coord[0]},${coord[1]}`).join(' ');
+        const polygonToKML = (rings) =>
+            '<Polygon>' +
+            `<outerBoundaryIs><LinearRing><coordinates>${ringToKML(rings[0])}</coordinates></LinearRing></outerBoundaryIs>` +
+            rings.slice(1).map(ring =>
+                `<innerBoundaryIs><LinearRing><coordinates>${ringToKML(ring)}</coordinates></LinearRing></innerBoundaryIs>`
+            ).join('') +
+            '</Polygon>';
+
+        switch (geometry.type) {
+            case 'Point':
+                return `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]}</coordinates></Point>`;
+            case 'LineString':
+                return `<LineString><coordinates>${ringToKML(geometry.coordinates)}</coordinates></LineString>`;
+            case 'Polygon':
+                return polygonToKML(geometry.coordinates);
+            case 'MultiPolygon':
+                return `<MultiGeometry>${geometry.coordinates.map(polygonToKML).join('')}</MultiGeometry>`;
+            default:
+                return null;
+        }
+    }
+
     /**
      * Export all layers
      * @returns {Object} All layers data
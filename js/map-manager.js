@@ -18,6 +18,7 @@ class MapManager {
         this.isDrawing = false;
         this.ignoreFeatureClicks = false; // Flag to ignore feature clicks (e.g., when measure tool is active)
         this.onDrawComplete = null;
+        this.snapper = null; // Snaps drawn and edited vertices (PolygonSnapper)
         this.colorPalette = AppConfig.colors.primary; // Use AppConfig colors
         this.colorIndex = 0;
         this.infoWindow = null;
@@ -126,6 +127,9 @@ class MapManager {
             this.mapClickListener = this.map.addListener('click', (e) => {
                 this.handlePolygonClick(e.latLng);
             });
+            this.mapMoveListener = this.map.addListener('mousemove', (e) => {
+                if (this.snapper) this.snapper.showIndicator(e.latLng);
+            });
             console.log('Polygon drawing mode enabled - Click to add vertices, double-click to finish');
         }
     }
@@ -162,6 +166,8 @@ class MapManager {
      * Handle polygon drawing click
      */
     handlePolygonClick(latLng) {
+        latLng = this.snapLatLng(latLng);
+
         // Add vertex to path
         this.polygonPath.push(latLng);
 
@@ -258,6 +264,13 @@ class MapManager {
             google.maps.event.removeListener(this.mapClickListener);
             this.mapClickListener = null;
         }
+        if (this.mapMoveListener) {
+            google.maps.event.removeListener(this.mapMoveListener);
+            this.mapMoveListener = null;
+        }
+        if (this.snapper) {
+            this.snapper.hideIndicator();
+        }
 
         // Clean up temporary markers
         if (this.tempMarkers) {
@@ -306,6 +319,24 @@ class MapManager {
         this.onDrawComplete = callback;
     }
 
+    /**
+     * Set the snapper used while drawing and editing polygons
+     * @param {PolygonSnapper} snapper - Snapper
+     */
+    setSnapper(snapper) {
+        this.snapper = snapper;
+    }
+
+    /**
+     * Snap a position to nearby polygon vertices and edges
+     * @param {google.maps.LatLng} latLng - Position
+     * @param {Object|null} exclude - { layerId, featureId } to leave out
+     * @returns {google.maps.LatLng} Snapped (or unchanged) position
+     */
+    snapLatLng(latLng, exclude = null) {
+        return this.snapper ? this.snapper.snapLatLng(latLng, exclude) : latLng;
+    }
+
     /**
      * Search for address and navigate to it
      * @param {string} query - Search query
@@ -767,8 +798,13 @@ class MapManager {
             }
 
             if (featureType === 'polygon' && feature.wkt) {
-                // Parse WKT to GeoJSON
+                // Parse WKT to GeoJSON; holes must wind opposite to their outer ring to render as holes
                 geometry = this.parseWKT(feature.wkt);
+                if (geometry && geometry.type === 'Polygon') {
+                    geometry = { ...geometry, coordinates: SpatialGeometry.orientRings(geometry.coordinates) };
+                } else if (geometry && geometry.type === 'MultiPolygon') {
+                    geometry = { ...geometry, coordinates: geometry.coordinates.map(rings => SpatialGeometry.orientRings(rings)) };
+                }
             } else if (featureType === 'point' && feature.latitude && feature.longitude) {
                 // Create point geometry
                 geometry = {
@@ -1285,9 +1321,12 @@ class MapManager {
 
     /**
      * Start editing a polygon shape
+     * Each part of a MultiPolygon becomes its own editable polygon; holes are
+     * editable paths of their part. A LineString (e.g. a saved distance
+     * measurement) is edited as a polyline.
      * @param {string} layerId - Layer ID
      * @param {string} featureId - Feature ID
-     * @param {string} wkt - WKT string of the polygon
+     * @param {string} wkt - WKT string of the polygon, multipolygon or linestring
      * @param {Function} onSave - Callback when edit is saved
      * @param {Function} onCancel - Callback when edit is cancelled
      */
@@ -1298,23 +1337,20 @@ class MapManager {
             featureId,
             originalWkt: wkt,
             onSave,
-            onCancel
+            onCancel,
+            vertexMoves: []
         };
 
         // Parse WKT to GeoJSON to get coordinates
         const geoJson = this.parseWKT(wkt);
-        if (!geoJson || geoJson.type !== 'Polygon') {
+        const isLine = Boolean(geoJson && geoJson.type === 'LineString' && geoJson.coordinates.length >= 2);
+        const polygons = SpatialGeometry.getPolygons(geoJson);
+        if (polygons.length === 0 && !isLine) {
             console.error('Invalid polygon WKT');
+            this.editingPolygon = null;
             return false;
         }
 
-        // Convert GeoJSON coordinates to Google Maps LatLng
-        const coordinates = geoJson.coordinates[0]; // First ring (outer boundary)
-        const path = coordinates.map(coord => ({
-            lat: coord[1],
-            lng: coord[0]
-        }));
-
         // Get the layer to determine color
         const layer = this.layers.get(layerId);
         const color = layer?.color || AppConfig.colors.primary[0];
@@ -1322,68 +1358,179 @@ class MapManager {
         // Hide the original feature
         this.hideFeature(layerId, featureId);
 
-        // Create editable polygon
-        this.editablePolygon = new google.maps.Polygon({
-            paths: path,
-            strokeColor: color,
-            strokeOpacity: 1,
-            strokeWeight: 3,
-            fillColor: color,
-            fillOpacity: 0.35,
-            editable: true,
-            draggable: true,
-            map: this.map
+        const bounds = new google.maps.LatLngBounds();
+
+        if (isLine) {
+            this.editingPolygon.isLine = true;
+            const path = geoJson.coordinates.map(([lng, lat]) => {
+                bounds.extend({ lat, lng });
+                return { lat, lng };
+            });
+            this.editablePolygons = [new google.maps.Polyline({
+                path: path,
+                strokeColor: color,
+                strokeOpacity: 1,
+                strokeWeight: 4,
+                editable: true,
+                draggable: true,
+                map: this.map
+            })];
+
+            this.map.fitBounds(bounds, 50);
+            return true;
+        }
+
+        this.editablePolygons = polygons.map(rings => {
+            const paths = SpatialGeometry.orientRings(rings).map(ring => {
+                // Drop the closing point so the first vertex doesn't get two handles
+                const open = ring.slice(0, ring.length - 1);
+                return open.map(coord => {
+                    const point = { lat: coord[1], lng: coord[0] };
+                    bounds.extend(point);
+                    return point;
+                });
+            });
+
+            return new google.maps.Polygon({
+                paths: paths,
+                strokeColor: color,
+                strokeOpacity: 1,
+                strokeWeight: 3,
+                fillColor: color,
+                fillOpacity: 0.35,
+                editable: true,
+                draggable: true,
+                map: this.map
+            });
         });
 
+        this.editablePolygons.forEach(polygon => this.watchEditablePolygon(polygon));
+
         // Fit map to the polygon being edited
-        const bounds = new google.maps.LatLngBounds();
-        path.forEach(point => bounds.extend(point));
         this.map.fitBounds(bounds, 50);
 
         return true;
     }
 
+    /**
+     * Snap dragged vertices of an editable polygon and record every vertex move
+     * The moves let shared-vertex mode update neighbouring polygons on save.
+     * @param {google.maps.Polygon} polygon - Editable polygon
+     */
+    watchEditablePolygon(polygon) {
+        const { layerId, featureId } = this.editingPolygon;
+        const toCoord = latLng => [latLng.lng(), latLng.lat()];
+        let dragStart = null;
+        let adjusting = false;
+
+        const recordMove = (from, to) => {
+            const moves = this.editingPolygon.vertexMoves;
+            // A vertex dragged twice is one move from where it started
+            const earlier = moves.find(move => move.to[0] === from[0] && move.to[1] === from[1]);
+            if (earlier) {
+                earlier.to = to;
+            } else {
+                moves.push({ from, to });
+            }
+        };
+
+        polygon.getPaths().forEach(path => {
+            const onVertexChange = (index, previous) => {
+                if (adjusting || dragStart) return;
+
+                const vertex = path.getAt(index);
+                const snapped = this.snapLatLng(vertex, { layerId, featureId });
+                if (snapped !== vertex) {
+                    adjusting = true;
+                    path.setAt(index, snapped);
+                    adjusting = false;
+                }
+
+                if (previous) {
+                    recordMove(toCoord(previous), toCoord(path.getAt(index)));
+                }
+            };
+
+            google.maps.event.addListener(path, 'set_at', onVertexChange);
+            google.maps.event.addListener(path, 'insert_at', index => onVertexChange(index, null));
+        });
+
+        // Dragging the whole polygon moves every vertex; record them once at the end
+        polygon.addListener('dragstart', () => {
+            dragStart = polygon.getPaths().getArray().map(path => path.getArray().map(toCoord));
+        });
+        polygon.addListener('dragend', () => {
+            const start = dragStart;
+            dragStart = null;
+            if (!start) return;
+
+            polygon.getPaths().getArray().forEach((path, p) => {
+                path.getArray().forEach((latLng, i) => {
+                    if (start[p] && start[p][i]) recordMove(start[p][i], toCoord(latLng));
+                });
+            });
+        });
+    }
+
     /**
      * Save the edited polygon
-     * @returns {string} New WKT string
+     * The save callback also receives the vertex moves ({ from, to } as [lng, lat]).
+     * @returns {string} New WKT string (MULTIPOLYGON when the shape has several parts, LINESTRING for lines)
      */
     savePolygonEdit() {
-        if (!this.editablePolygon || !this.editingPolygon) {
+        if (!this.editablePolygons || !this.editingPolygon) {
             return null;
         }
 
-        // Get the edited path
-        const path = this.editablePolygon.getPath();
-        const coordinates = [];
-
-        path.forEach((latLng) => {
-            coordinates.push([latLng.lng(), latLng.lat()]);
-        });
-
-        // Close the polygon (first point = last point)
-        if (coordinates.length > 0) {
-            const first = coordinates[0];
-            const last = coordinates[coordinates.length - 1];
-            if (first[0] !== last[0] || first[1] !== last[1]) {
-                coordinates.push([first[0], first[1]]);
-            }
+        if (this.editingPolygon.isLine) {
+            const line = [];
+            this.editablePolygons[0].getPath().forEach(latLng => line.push([latLng.lng(), latLng.lat()]));
+            return this.finishPolygonEdit(wellknown.stringify({ type: 'LineString', coordinates: line }));
         }
 
+        // Read every path back as a closed ring (first point = last point)
+        const polygons = this.editablePolygons.map(polygon => {
+            const rings = [];
+            polygon.getPaths().forEach(path => {
+                const ring = [];
+                path.forEach(latLng => ring.push([latLng.lng(), latLng.lat()]));
+                if (ring.length < 3) return;
+
+                const first = ring[0];
+                const last = ring[ring.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    ring.push([first[0], first[1]]);
+                }
+                rings.push(ring);
+            });
+            return rings;
+        }).filter(rings => rings.length > 0);
+
         // Convert to WKT
-        const coordString = coordinates.map(c => `${c[0]} ${c[1]}`).join(', ');
-        const newWkt = `POLYGON((${coordString}))`;
+        const newWkt = wellknown.stringify(polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons });
+
+        return this.finishPolygonEdit(newWkt);
+    }
 
+    /**
+     * Remove the editable shapes and hand the new WKT to the save callback
+     * @param {string} newWkt - Edited shape
+     * @returns {string} The same WKT
+     */
+    finishPolygonEdit(newWkt) {
         // Clean up
-        const { layerId, featureId, onSave } = this.editingPolygon;
-        this.editablePolygon.setMap(null);
-        this.editablePolygon = null;
+        const { layerId, featureId, onSave, vertexMoves } = this.editingPolygon;
+        this.editablePolygons.forEach(polygon => polygon.setMap(null));
+        this.editablePolygons = null;
 
         // Show the original feature again (it will be updated with new WKT)
         this.showFeature(layerId, featureId);
 
         // Call the save callback
         if (onSave) {
-            onSave(newWkt);
+            onSave(newWkt, vertexMoves);
         }
 
         this.editingPolygon = null;
@@ -1394,15 +1541,15 @@ class MapManager {
      * Cancel polygon editing
      */
     cancelPolygonEdit() {
-        if (!this.editablePolygon || !this.editingPolygon) {
+        if (!this.editablePolygons || !this.editingPolygon) {
             return;
         }
 
         const { layerId, featureId, onCancel } = this.editingPolygon;
 
-        // Remove editable polygon
-        this.editablePolygon.setMap(null);
-        this.editablePolygon = null;
+        // Remove editable polygons
+        this.editablePolygons.forEach(polygon => polygon.setMap(null));
+        this.editablePolygons = null;
 
         // Show the original feature again
         this.showFeature(layerId, featureId);
@@ -1420,7 +1567,182 @@ class MapManager {
      * @returns {boolean}
      */
     isEditingPolygon() {
-        return this.editablePolygon !== null && this.editablePolygon !== undefined;
+        return Array.isArray(this.editablePolygons) && this.editablePolygons.length > 0;
+    }
+
+    /**
+     * Start drawing a line (e.g. a cut line for splitting a polygon)
+     * Click to add points, double-click to finish.
+     * @param {Function} onComplete - Called with the line as [lng, lat] points (null when too short)
+     */
+    startLineDraw(onComplete) {
+        this.stopLineDraw();
+
+        // Clicks must reach the map, not the polygons under the line
+        this.updateLayerClickability(false);
+        this.map.setOptions({ disableDoubleClickZoom: true });
+
+        const polyline = new google.maps.Polyline({
+            path: [],
+            strokeColor: AppConfig.colors.error,
+            strokeOpacity: 1,
+            strokeWeight: 3,
+            clickable: false,
+            map: this.map
+        });
+
+        this.lineDraw = {
+            polyline,
+            onComplete,
+            listeners: [
+                this.map.addListener('click', (e) => polyline.getPath().push(e.latLng)),
+                this.map.addListener('dblclick', () => this.finishLineDraw())
+            ]
+        };
+    }
+
+    /**
+     * Finish the line being drawn and pass it to the callback
+     * The callback gets null when fewer than 2 points were drawn, so callers can reset.
+     * @returns {Array|null} Line as [lng, lat] points, or null with fewer than 2 points
+     */
+    finishLineDraw() {
+        if (!this.lineDraw) return null;
+
+        const { polyline, onComplete } = this.lineDraw;
+        const line = [];
+        polyline.getPath().forEach(latLng => line.push([latLng.lng(), latLng.lat()]));
+        this.stopLineDraw();
+
+        const result = line.length >= 2 ? line : null;
+        if (onComplete) onComplete(result);
+        return result;
+    }
+
+    /**
+     * Stop drawing a line without finishing it
+     */
+    stopLineDraw() {
+        if (!this.lineDraw) return;
+
+        this.lineDraw.listeners.forEach(listener => google.maps.event.removeListener(listener));
+        this.lineDraw.polyline.setMap(null);
+        this.lineDraw = null;
+
+        this.map.setOptions({ disableDoubleClickZoom: false });
+        this.updateLayerClickability(true);
+    }
+
+    /**
+     * Check if currently drawing a line
+     * @returns {boolean}
+     */
+    isDrawingLine() {
+        return !!this.lineDraw;
+    }
+
+    /**
+     * Start moving a point with a draggable pin
+     * The feature's own marker is hidden until stopPointEdit.
+     * @param {string} layerId - Layer ID
+     * @param {string} featureId - Feature ID
+     * @param {Object|null} position - { lat, lng }, or null to drop the pin at the map center
+     * @param {Function} onMove - Called with (lat, lng) each time the pin is dropped
+     */
+    startPointEdit(layerId, featureId, position, onMove) {
+        this.stopPointEdit();
+
+        const start = position || { lat: this.map.getCenter().lat(), lng: this.map.getCenter().lng() };
+
+        this.editingPoint = { layerId, featureId };
+        this.hideFeature(layerId, featureId);
+
+        this.editablePoint = new google.maps.Marker({
+            position: start,
+            map: this.map,
+            draggable: true,
+            title: 'Drag to the correct location',
+            animation: google.maps.Animation.DROP
+        });
+
+        this.editablePoint.addListener('dragend', (e) => {
+            if (onMove) {
+                onMove(e.latLng.lat(), e.latLng.lng());
+            }
+        });
+
+        this.map.panTo(start);
+    }
+
+    /**
+     * Stop moving a point and show its marker again
+     */
+    stopPointEdit() {
+        if (!this.editablePoint || !this.editingPoint) {
+            return;
+        }
+
+        const { layerId, featureId } = this.editingPoint;
+        this.editablePoint.setMap(null);
+        this.editablePoint = null;
+        this.editingPoint = null;
+
+        this.showFeature(layerId, featureId);
+    }
+
+    /**
+     * Check if currently moving a point
+     * @param {string} featureId - Optional feature ID to check for
+     * @returns {boolean}
+     */
+    isEditingPoint(featureId = null) {
+        if (!this.editablePoint || !this.editingPoint) return false;
+        return !featureId || this.editingPoint.featureId === featureId;
+    }
+
+    /**
+     * Move a point feature's geometry and marker
+     * @param {string} layerId - Layer ID
+     * @param {string} featureId - Feature ID
+     * @param {number} lat - New latitude
+     * @param {number} lng - New longitude
+     */
+    moveFeature(layerId, featureId, lat, lng) {
+        const dataSource = this.dataSources.get(layerId);
+        if (!dataSource || !dataSource.dataLayer) return;
+
+        dataSource.dataLayer.forEach((feature) => {
+            if (feature.getId() === featureId) {
+                feature.setGeometry(new google.maps.Data.Point({ lat, lng }));
+            }
+        });
+
+        const layerInfo = this.layers.get(layerId);
+        if (layerInfo && layerInfo.markers) {
+            const marker = layerInfo.markers.find(m => m.feature?.getId() === featureId);
+            if (marker) {
+                marker.setPosition({ lat, lng });
+                if (layerInfo.clusterer && this.clusterManager) {
+                    this.clusterManager.refreshLayer(layerId);
+                }
+            }
+        }
+
+        // Keep the moving pin in sync when coordinates are typed in
+        if (this.isEditingPoint(featureId)) {
+            this.editablePoint.setPosition({ lat, lng });
+        }
+    }
+
+    /**
+     * Center the map on a location
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} zoom - Zoom level
+     */
+    focusLocation(lat, lng, zoom = 17) {
+        this.map.setCenter({ lat, lng });
+        this.map.setZoom(zoom);
     }
 
     /**
@@ -1562,10 +1884,10 @@ class MapManager {
 
             // Parse WKT to get polygon coordinates
             const geoJson = this.parseWKT(feature.wkt);
-            if (!geoJson || geoJson.type !== 'Polygon') return;
+            if (!geoJson) return;
 
-            // Calculate centroid of the polygon
-            const centroid = this.calculatePolygonCentroid(geoJson.coordinates[0]);
+            // Calculate centroid of the polygon (largest part of a MultiPolygon)
+            const centroid = this.calculatePolygonCentroid(geoJson);
             if (!centroid) return;
 
             // Create label marker at centroid
@@ -1597,26 +1919,93 @@ class MapManager {
 
     /**
      * Calculate the centroid of a polygon
-     * @param {Array} coordinates - Array of [lng, lat] coordinates
+     * Uses the largest part of a MultiPolygon and keeps the point inside the
+     * shape (outside any hole), so labels sit on the territory.
+     * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
      * @returns {Object} { lat, lng }
      */
-    calculatePolygonCentroid(coordinates) {
-        if (!coordinates || coordinates.length === 0) return null;
+    calculatePolygonCentroid(geometry) {
+        return SpatialGeometry.labelPoint(SpatialGeometry.getPolygons(geometry));
+    }
+
+    /**
+     * Show temporary highlight shapes above all layers (e.g. topology check results)
+     * Replaces any highlights already shown.
+     * @param {Array} features - GeoJSON features; properties.color sets the color and properties.label adds a label
+     * @param {boolean} fit - Fit the map to the highlights
+     */
+    showHighlights(features, fit = true) {
+        this.clearHighlights();
+        if (features.length === 0) return;
+
+        this.highlightLayer = new google.maps.Data({ map: this.map });
+        this.highlightLayer.addGeoJson({ type: 'FeatureCollection', features });
+        this.highlightLayer.setStyle(feature => ({
+            fillColor: feature.getProperty('color') || '#d13438',
+            fillOpacity: 0.55,
+            strokeColor: feature.getProperty('color') || '#d13438',
+            strokeWeight: 2,
+            clickable: false,
+            zIndex: 1000
+        }));
+
+        this.highlightLabels = [];
+        features.forEach(feature => {
+            if (!feature.properties || !feature.properties.label) return;
 
-        let sumLat = 0;
-        let sumLng = 0;
-        const n = coordinates.length;
+            const position = this.calculatePolygonCentroid(feature.geometry);
+            if (!position) return;
 
-        // Simple centroid calculation (average of all points)
-        coordinates.forEach(coord => {
-            sumLng += coord[0];
-            sumLat += coord[1];
+            this.highlightLabels.push(new google.maps.Marker({
+                position: position,
+                map: this.map,
+                icon: {
+                    path: google.maps.SymbolPath.CIRCLE,
+                    scale: 0,
+                    fillOpacity: 0,
+                    strokeOpacity: 0
+                },
+                label: {
+                    text: feature.properties.label,
+                    color: '#333333',
+                    fontSize: '11px',
+                    fontWeight: '600',
+                    className: 'polygon-label'
+                },
+                clickable: false,
+                zIndex: 1001
+            }));
         });
 
-        return {
-            lat: sumLat / n,
-            lng: sumLng / n
-        };
+        if (fit) {
+            this.fitMapToDataSource(this.highlightLayer);
+        }
+    }
+
+    /**
+     * Remove the highlight shapes
+     */
+    clearHighlights() {
+        if (this.highlightLayer) {
+            this.highlightLayer.setMap(null);
+            this.highlightLayer = null;
+        }
+        if (this.highlightLabels) {
+            this.highlightLabels.forEach(label => label.setMap(null));
+            this.highlightLabels = null;
+        }
+    }
+
+    /**
+     * Fit the map to a bounding box
+     * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]
+     */
+    focusBounds(bbox) {
+        const bounds = new google.maps.LatLngBounds(
+            { lat: bbox[1], lng: bbox[0] },
+            { lat: bbox[3], lng: bbox[2] }
+        );
+        this.map.fitBounds(bounds, 50);
     }
 
     /**
@@ -272,6 +272,14 @@ class PluginManager {
                 if (zoom) mapManager.map.setZoom(zoom);
             },
 
+            // Spatial queries (point layers within a radius, polygons containing a point)
+            findNearby: (lat, lng, radiusKm, limit = 0) => {
+                return spatialIndex.findNearby(stateManager.getAllLayers(), lat, lng, radiusKm, limit);
+            },
+            findContaining: (lat, lng) => {
+                return spatialIndex.findContaining(stateManager.getAllLayers(), lat, lng);
+            },
+
             // Event operations
             on: (event, callback) => eventBus.on(event, callback),
             emit: (event, data) => eventBus.emit(event, data),
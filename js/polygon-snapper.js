@@ -0,0 +1,253 @@
+/**
+ * Polygon Snapper
+ * Snaps vertices being drawn or dragged onto nearby polygon vertices and
+ * edges, and in shared-vertex mode moves the matching vertices of
+ * neighbouring territories along with an edited one.
+ */
+
+class PolygonSnapper {
+    constructor(layerManager, mapManager) {
+        this.layerManager = layerManager;
+        this.mapManager = mapManager;
+        this.enabled = AppConfig.snapping.enabled;
+        this.sharedVertices = AppConfig.snapping.sharedVertices;
+        this.tolerancePx = AppConfig.snapping.tolerancePx;
+        this.vertexMatchDegrees = AppConfig.snapping.vertexMatchDegrees;
+        this.storageKey = 'snappingSettings';
+        this.indicator = null;
+    }
+
+    /**
+     * Initialize snapper
+     */
+    initialize() {
+        this.loadSettings();
+        console.log('Polygon Snapper initialized');
+    }
+
+    /**
+     * Restore the snapping toggles from localStorage
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.enabled = saved.enabled !== false;
+                this.sharedVertices = saved.sharedVertices === true;
+            }
+        } catch (error) {
+            console.warn('Failed to restore snapping settings:', error);
+        }
+    }
+
+    /**
+     * Save the snapping toggles to localStorage
+     */
+    saveSettings() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            enabled: this.enabled,
+            sharedVertices: this.sharedVertices
+        }));
+    }
+
+    /**
+     * Turn snapping on or off
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.hideIndicator();
+        this.saveSettings();
+        eventBus.emit('snapping.changed', { enabled: this.enabled, sharedVertices: this.sharedVertices });
+    }
+
+    /**
+     * Turn shared-vertex editing on or off
+     * @param {boolean} enabled
+     */
+    setSharedVertices(enabled) {
+        this.sharedVertices = enabled;
+        this.saveSettings();
+        eventBus.emit('snapping.changed', { enabled: this.enabled, sharedVertices: this.sharedVertices });
+    }
+
+    /**
+     * Get the snapping tolerance in degrees at a latitude
+     * Web Mercator pixels cover fewer degrees of latitude away from the equator.
+     * @param {number} lat - Latitude
+     * @returns {Object} { lng, lat } tolerance in degrees
+     */
+    getTolerance(lat) {
+        const degreesPerPixel = 360 / (256 * Math.pow(2, this.mapManager.map.getZoom()));
+        return {
+            lng: this.tolerancePx * degreesPerPixel,
+            lat: this.tolerancePx * degreesPerPixel * Math.cos(lat * Math.PI / 180)
+        };
+    }
+
+    /**
+     * Find polygons of visible layers whose bounds intersect a box
+     * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]
+     * @param {Object|null} exclude - { layerId, featureId } to leave out (the feature being edited)
+     * @returns {Array} { layer, feature, polygons }
+     */
+    findPolygons(bbox, exclude = null) {
+        return this.layerManager.getAllLayers()
+            .filter(layer => layer.visible !== false && (layer.type === 'polygon' || layer.type === 'mixed'))
+            .flatMap(layer => spatialIndex.getPolygonIndex(layer).searchBounds(bbox)
+                .filter(entry => !exclude || layer.id !== exclude.layerId || entry.feature.id !== exclude.featureId)
+                .map(entry => ({ layer, feature: entry.feature, polygons: entry.polygons })));
+    }
+
+    /**
+     * Find the vertex or edge point to snap to
+     * Vertices win over edges; distances are measured in tolerance units so
+     * 1 is the pixel tolerance in every direction.
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object|null} exclude - { layerId, featureId } to leave out
+     * @returns {Object|null} { lat, lng, type: 'vertex' or 'edge' }
+     */
+    findSnap(lat, lng, exclude = null) {
+        const tolerance = this.getTolerance(lat);
+        const bbox = [lng - tolerance.lng, lat - tolerance.lat, lng + tolerance.lng, lat + tolerance.lat];
+        const toUnits = ([x, y]) => [(x - lng) / tolerance.lng, (y - lat) / tolerance.lat];
+
+        let vertex = null;
+        let edge = null;
+
+        this.findPolygons(bbox, exclude).forEach(({ polygons }) => {
+            polygons.forEach(rings => rings.forEach(ring => {
+                for (let i = 0; i < ring.length - 1; i++) {
+                    const [ax, ay] = toUnits(ring[i]);
+                    const [bx, by] = toUnits(ring[i + 1]);
+
+                    const vertexDistance = Math.hypot(ax, ay);
+                    if (vertexDistance <= 1 && (!vertex || vertexDistance < vertex.distance)) {
+                        vertex = { distance: vertexDistance, point: ring[i] };
+                    }
+
+                    // Closest point of the segment to the cursor (the origin in tolerance units)
+                    const dx = bx - ax;
+                    const dy = by - ay;
+                    const lengthSquared = dx * dx + dy * dy;
+                    if (lengthSquared === 0) continue;
+
+                    const t = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+                    const edgeDistance = Math.hypot(ax + t * dx, ay + t * dy);
+                    if (edgeDistance <= 1 && (!edge || edgeDistance < edge.distance)) {
+                        const [x1, y1] = ring[i];
+                        const [x2, y2] = ring[i + 1];
+                        edge = { distance: edgeDistance, point: [x1 + t * (x2 - x1), y1 + t * (y2 - y1)] };
+                    }
+                }
+            }));
+        });
+
+        if (vertex) return { lng: vertex.point[0], lat: vertex.point[1], type: 'vertex' };
+        if (edge) return { lng: edge.point[0], lat: edge.point[1], type: 'edge' };
+        return null;
+    }
+
+    /**
+     * Snap a map position
+     * @param {google.maps.LatLng} latLng - Position
+     * @param {Object|null} exclude - { layerId, featureId } to leave out
+     * @returns {google.maps.LatLng} Snapped position, or the same object when nothing is near
+     */
+    snapLatLng(latLng, exclude = null) {
+        if (!this.enabled) return latLng;
+
+        const snap = this.findSnap(latLng.lat(), latLng.lng(), exclude);
+        return snap ? new google.maps.LatLng(snap.lat, snap.lng) : latLng;
+    }
+
+    /**
+     * Show where the cursor would snap to
+     * @param {google.maps.LatLng} latLng - Cursor position
+     * @param {Object|null} exclude - { layerId, featureId } to leave out
+     */
+    showIndicator(latLng, exclude = null) {
+        const snap = this.enabled ? this.findSnap(latLng.lat(), latLng.lng(), exclude) : null;
+        if (!snap) {
+            this.hideIndicator();
+            return;
+        }
+
+        if (!this.indicator) {
+            this.indicator = new google.maps.Marker({
+                clickable: false,
+                zIndex: 1000,
+                icon: {
+                    path: google.maps.SymbolPath.CIRCLE,
+                    scale: 6,
+                    fillColor: AppConfig.snapping.indicatorColor,
+                    fillOpacity: 0.9,
+                    strokeColor: '#FFFFFF',
+                    strokeWeight: 2
+                }
+            });
+        }
+        this.indicator.setPosition({ lat: snap.lat, lng: snap.lng });
+        this.indicator.setMap(this.mapManager.map);
+    }
+
+    /**
+     * Hide the snap indicator
+     */
+    hideIndicator() {
+        if (this.indicator) {
+            this.indicator.setMap(null);
+        }
+    }
+
+    /**
+     * Move the vertices other polygons share with an edited polygon
+     * @param {Array} moves - { from: [lng, lat], to: [lng, lat] } for each vertex moved during the edit
+     * @param {Object} exclude - { layerId, featureId } of the edited polygon
+     * @returns {number} Number of neighbouring features changed
+     */
+    moveSharedVertices(moves, exclude) {
+        const epsilon = this.vertexMatchDegrees;
+        const matches = (a, b) => Math.abs(a[0] - b[0]) <= epsilon && Math.abs(a[1] - b[1]) <= epsilon;
+        const changed = new Map(); // "layerId/featureId" -> { layerId, featureId, polygons }
+
+        moves.forEach(({ from, to }) => {
+            if (matches(from, to)) return;
+
+            const bbox = [from[0] - epsilon, from[1] - epsilon, from[0] + epsilon, from[1] + epsilon];
+            this.findPolygons(bbox, exclude).forEach(({ layer, feature }) => {
+                const key = `${layer.id}/${feature.id}`;
+                if (!changed.has(key)) {
+                    // Copy the coordinates; the index's arrays are shared
+                    const polygons = Utils.getPolygonCoordinates(Utils.getFeatureGeometry(feature));
+                    changed.set(key, { layerId: layer.id, featureId: feature.id, polygons, moved: false });
+                }
+
+                const entry = changed.get(key);
+                entry.polygons.forEach(rings => rings.forEach(ring => ring.forEach((coord, i) => {
+                    if (matches(coord, from)) {
+                        ring[i] = [to[0], to[1]];
+                        entry.moved = true;
+                    }
+                })));
+            });
+        });
+
+        const updated = Array.from(changed.values()).filter(entry => entry.moved);
+        updated.forEach(({ layerId, featureId, polygons }) => {
+            this.layerManager.updateFeature(layerId, featureId, { wkt: GeometryOps.toWkt(polygons) });
+        });
+
+        new Set(updated.map(entry => entry.layerId)).forEach(layerId => {
+            this.layerManager.rerenderLayer(layerId, this.layerManager.getFilteredFeatures(layerId));
+        });
+
+        return updated.length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PolygonSnapper;
+}
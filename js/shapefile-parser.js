@@ -0,0 +1,371 @@
+/**
+ * Shapefile Parser
+ * Reads zipped ESRI Shapefiles (.shp/.dbf/.prj/.cpg) into GeoJSON features,
+ * reprojecting to WGS84 with proj4 when the .prj describes a projected system
+ */
+
+class ShapefileParser {
+    constructor() {
+        // SHP shape type codes (Z and M variants share the same 2D layout)
+        this.shapeTypes = {
+            point: [1, 11, 21],
+            polygon: [5, 15, 25]
+        };
+
+        // DBF text without a .cpg is ANSI; Esri tools read it as Windows Latin-1
+        this.defaultEncoding = 'windows-1252';
+    }
+
+    /**
+     * Parse a zipped shapefile
+     * @param {ArrayBuffer} buffer - Zip archive contents
+     * @returns {Promise<Object>} GeoJSON FeatureCollection in WGS84
+     */
+    async parseZip(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+
+        // Group archive entries by base name (ignoring folders and macOS metadata)
+        const shapefiles = {};
+        Object.keys(zip.files).forEach(path => {
+            if (zip.files[path].dir || path.includes('__MACOSX')) return;
+
+            const match = path.match(/^(.*)\.(shp|dbf|prj|cpg)$/i);
+            if (!match) return;
+
+            const baseName = match[1];
+            shapefiles[baseName] = shapefiles[baseName] || {};
+            shapefiles[baseName][match[2].toLowerCase()] = zip.files[path];
+        });
+
+        const baseNames = Object.keys(shapefiles).filter(name => shapefiles[name].shp);
+        if (baseNames.length === 0) {
+            throw new Error('No .shp file found in zip archive.\n' +
+                            'A zipped shapefile must contain at least .shp and .dbf files.');
+        }
+
+        const features = [];
+
+        for (let baseName of baseNames) {
+            const parts = shapefiles[baseName];
+            const layerName = baseName.split('/').pop();
+
+            const shpBuffer = await parts.shp.async('arraybuffer');
+            const dbfBuffer = parts.dbf ? await parts.dbf.async('arraybuffer') : null;
+            const prjText = parts.prj ? await parts.prj.async('string') : null;
+            const cpgText = parts.cpg ? (await parts.cpg.async('string')).trim() : '';
+            const encoding = cpgText || this.defaultEncoding;
+
+            const geometries = this.parseSHP(shpBuffer);
+            const records = dbfBuffer ? this.parseDBF(dbfBuffer, encoding) : [];
+            const transform = this.getTransform(prjText, geometries);
+
+            console.log(`Shapefile "${layerName}": ${geometries.length} shapes, ${records.length} records, ` +
+                        `${transform ? 'reprojecting from .prj' : 'geographic coordinates'}`);
+
+            geometries.forEach((geometry, index) => {
+                const properties = { ...(records[index] || {}) };
+
+                // Keep track of the source when one archive holds several shapefiles
+                if (baseNames.length > 1) {
+                    properties.sourceLayer = layerName;
+                }
+
+                features.push({
+                    type: 'Feature',
+                    geometry: geometry ? this.transformGeometry(geometry, transform) : null,
+                    properties: properties
+                });
+            });
+        }
+
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    /**
+     * Parse .shp geometry records
+     * @param {ArrayBuffer} buffer - .shp file contents
+     * @returns {Array} GeoJSON geometries (null for unsupported or empty shapes)
+     */
+    parseSHP(buffer) {
+        const view = new DataView(buffer);
+
+        if (view.getInt32(0, false) !== 9994) {
+            throw new Error('Invalid .shp file: unrecognized file header');
+        }
+
+        const fileLength = Math.min(view.getInt32(24, false) * 2, buffer.byteLength);
+        const geometries = [];
+        let offset = 100;
+
+        while (offset + 8 <= fileLength) {
+            const contentLength = view.getInt32(offset + 4, false) * 2;
+            const recordStart = offset + 8;
+            const shapeType = view.getInt32(recordStart, true);
+
+            if (this.shapeTypes.point.includes(shapeType)) {
+                geometries.push({
+                    type: 'Point',
+                    coordinates: [view.getFloat64(recordStart + 4, true), view.getFloat64(recordStart + 12, true)]
+                });
+            } else if (this.shapeTypes.polygon.includes(shapeType)) {
+                geometries.push(this.readPolygon(view, recordStart));
+            } else {
+                // Null shapes, polylines and multipoints have no layer representation
+                geometries.push(null);
+            }
+
+            offset = recordStart + contentLength;
+        }
+
+        return geometries;
+    }
+
+    /**
+     * Read a polygon record and group its rings into polygons with holes
+     * @param {DataView} view - .shp data view
+     * @param {number} start - Byte offset of the record content
+     * @returns {Object|null} GeoJSON Polygon or MultiPolygon
+     */
+    readPolygon(view, start) {
+        const numParts = view.getInt32(start + 36, true);
+        const numPoints = view.getInt32(start + 40, true);
+        const partsOffset = start + 44;
+        const pointsOffset = partsOffset + numParts * 4;
+
+        const rings = [];
+        for (let i = 0; i < numParts; i++) {
+            const from = view.getInt32(partsOffset + i * 4, true);
+            const to = i < numParts - 1 ? view.getInt32(partsOffset + (i + 1) * 4, true) : numPoints;
+            const ring = [];
+            for (let j = from; j < to; j++) {
+                ring.push([
+                    view.getFloat64(pointsOffset + j * 16, true),
+                    view.getFloat64(pointsOffset + j * 16 + 8, true)
+                ]);
+            }
+            if (ring.length >= 4) rings.push(ring);
+        }
+
+        if (rings.length === 0) return null;
+
+        // Shapefile outer rings are clockwise (negative signed area), holes are counter-clockwise
+        const polygons = [];
+        const holes = [];
+        rings.forEach(ring => {
+            if (this.ringSignedArea(ring) <= 0) {
+                polygons.push([ring]);
+            } else {
+                holes.push(ring);
+            }
+        });
+
+        holes.forEach(hole => {
+            const owner = polygons.find(polygon => this.pointInRing(hole[0], polygon[0]));
+            if (owner) {
+                owner.push(hole);
+            } else {
+                // Orphaned "hole" - treat it as its own outer ring
+                polygons.push([hole]);
+            }
+        });
+
+        return polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+    }
+
+    /**
+     * Signed area of a ring (shoelace formula, positive when counter-clockwise)
+     * @param {Array} ring - Array of [x, y]
+     * @returns {number} Signed area
+     */
+    ringSignedArea(ring) {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+        }
+        return area / 2;
+    }
+
+    /**
+     * Ray-casting point in ring test
+     * @param {Array} point - [x, y]
+     * @param {Array} ring - Array of [x, y]
+     * @returns {boolean} Whether the point is inside the ring
+     */
+    pointInRing(point, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if (((yi > point[1]) !== (yj > point[1])) &&
+                (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Parse .dbf attribute records
+     * @param {ArrayBuffer} buffer - .dbf file contents
+     * @param {string} [encoding] - Character encoding (from .cpg; windows-1252 when there is none)
+     * @returns {Array<Object>} Attribute records in shape order
+     */
+    parseDBF(buffer, encoding = this.defaultEncoding) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const decoder = this.getDecoder(encoding);
+
+        const numRecords = view.getUint32(4, true);
+        const headerLength = view.getUint16(8, true);
+        const recordLength = view.getUint16(10, true);
+
+        // Field descriptors are 32 bytes each, terminated by 0x0D
+        const fields = [];
+        let fieldOffset = 32;
+        while (fieldOffset < headerLength - 1 && bytes[fieldOffset] !== 0x0D) {
+            const nameBytes = bytes.subarray(fieldOffset, fieldOffset + 11);
+            const nameEnd = nameBytes.indexOf(0);
+            fields.push({
+                name: decoder.decode(nameBytes.subarray(0, nameEnd === -1 ? 11 : nameEnd)).trim(),
+                type: String.fromCharCode(bytes[fieldOffset + 11]),
+                length: bytes[fieldOffset + 16]
+            });
+            fieldOffset += 32;
+        }
+
+        const records = [];
+        for (let i = 0; i < numRecords; i++) {
+            const recordStart = headerLength + i * recordLength;
+            if (recordStart + recordLength > bytes.length) break;
+
+            const record = {};
+            let valueOffset = recordStart + 1; // Skip deletion flag
+
+            fields.forEach(field => {
+                const raw = decoder.decode(bytes.subarray(valueOffset, valueOffset + field.length)).trim();
+                record[field.name] = this.parseDBFValue(raw, field.type);
+                valueOffset += field.length;
+            });
+
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Convert a raw DBF field value to a JavaScript value
+     * @param {string} raw - Trimmed field text
+     * @param {string} type - DBF field type (C, N, F, L, D)
+     * @returns {*} Parsed value
+     */
+    parseDBFValue(raw, type) {
+        if (raw === '' || /^\*+$/.test(raw)) return null;
+
+        switch (type) {
+            case 'N':
+            case 'F': {
+                const number = parseFloat(raw);
+                return isNaN(number) ? null : number;
+            }
+            case 'L':
+                return /^[YyTt]$/.test(raw) ? true : (/^[NnFf]$/.test(raw) ? false : null);
+            case 'D':
+                return raw.length === 8 ? `${raw.substr(0, 4)}-${raw.substr(4, 2)}-${raw.substr(6, 2)}` : raw;
+            default:
+                return raw;
+        }
+    }
+
+    /**
+     * Create a text decoder for a .cpg encoding name
+     * @param {string} encoding - Encoding name or ANSI code page number
+     * @returns {TextDecoder} Decoder
+     */
+    getDecoder(encoding) {
+        const label = /^\d+$/.test(encoding) ? `windows-${encoding}` : encoding;
+        try {
+            return new TextDecoder(label);
+        } catch (error) {
+            console.warn(`Unknown shapefile encoding "${encoding}", falling back to ${this.defaultEncoding}`);
+            return new TextDecoder(this.defaultEncoding);
+        }
+    }
+
+    /**
+     * Build a coordinate transform from the .prj definition
+     * @param {string|null} prjText - Contents of the .prj file (ESRI WKT)
+     * @param {Array} geometries - Parsed geometries (used to sanity-check coordinates)
+     * @returns {Function|null} Transform from source [x, y] to [lng, lat], or null if already geographic
+     */
+    getTransform(prjText, geometries) {
+        if (!prjText || /^\s*GEOGCS/i.test(prjText)) {
+            // Geographic coordinates - make sure they actually look like degrees
+            const sample = geometries.find(g => g !== null);
+            if (sample) {
+                const [x, y] = this.firstCoordinate(sample);
+                if (Math.abs(x) > 180 || Math.abs(y) > 90) {
+                    throw new Error('Shapefile coordinates are projected but no .prj file was found.\n' +
+                                    'Include the .prj file in the zip so the data can be reprojected.');
+                }
+            }
+            return null;
+        }
+
+        if (typeof proj4 === 'undefined') {
+            throw new Error('Projection library (proj4) is not loaded; cannot reproject shapefile');
+        }
+
+        try {
+            const converter = proj4(prjText.trim(), 'WGS84');
+            return (coord) => converter.forward([coord[0], coord[1]]);
+        } catch (error) {
+            const projName = (prjText.match(/PROJCS\["([^"]+)"/) || [])[1] || 'unknown';
+            throw new Error(`Unsupported shapefile projection: ${projName}\n` +
+                            'Reproject the data to WGS84 (EPSG:4326) and try again.');
+        }
+    }
+
+    /**
+     * Apply a coordinate transform to a GeoJSON geometry
+     * @param {Object} geometry - Point, Polygon or MultiPolygon
+     * @param {Function|null} transform - Coordinate transform
+     * @returns {Object} Transformed geometry
+     */
+    transformGeometry(geometry, transform) {
+        if (!transform) return geometry;
+
+        const transformRings = (rings) => rings.map(ring => ring.map(transform));
+
+        switch (geometry.type) {
+            case 'Point':
+                return { type: 'Point', coordinates: transform(geometry.coordinates) };
+            case 'Polygon':
+                return { type: 'Polygon', coordinates: transformRings(geometry.coordinates) };
+            case 'MultiPolygon':
+                return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(transformRings) };
+            default:
+                return geometry;
+        }
+    }
+
+    /**
+     * Get the first coordinate of a geometry
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {Array} [x, y]
+     */
+    firstCoordinate(geometry) {
+        let coords = geometry.coordinates;
+        while (Array.isArray(coords[0])) {
+            coords = coords[0];
+        }
+        return coords;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShapefileParser;
+}
@@ -0,0 +1,367 @@
+/**
+ * Shapefile Writer
+ * Writes GeoJSON features as zipped ESRI Shapefiles (.shp/.shx/.dbf/.prj/.cpg) in WGS84
+ */
+
+class ShapefileWriter {
+    constructor() {
+        this.shapeTypeCodes = {
+            Point: 1,
+            PolyLine: 3,
+            Polygon: 5
+        };
+
+        // WGS84 geographic coordinate system in ESRI WKT
+        this.wgs84Prj = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+                        'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+    }
+
+    /**
+     * Write one or more shapefiles into a zip archive
+     * Each entry becomes its own shapefile; entries mixing points, lines (e.g. saved distance
+     * measurements) and polygons are split into "<name>_points", "<name>_lines" and
+     * "<name>_polygons" since a shapefile holds one shape type.
+     * @param {Array<{name: string, features: Array}>} entries - GeoJSON features grouped by output name
+     * @returns {Promise<Blob>} Zip archive
+     */
+    async writeZip(entries) {
+        const zip = new JSZip();
+        const usedNames = new Set();
+
+        entries.forEach(entry => {
+            const ofTypes = (...types) => entry.features.filter(f => f.geometry && types.includes(f.geometry.type));
+            const groups = [
+                { suffix: 'points', type: 'Point', features: ofTypes('Point') },
+                { suffix: 'lines', type: 'PolyLine', features: ofTypes('LineString', 'MultiLineString') },
+                { suffix: 'polygons', type: 'Polygon', features: ofTypes('Polygon', 'MultiPolygon') }
+            ].filter(group => group.features.length > 0);
+
+            const outputs = groups.map(group => ({
+                name: groups.length > 1 ? `${entry.name}_${group.suffix}` : entry.name,
+                type: group.type,
+                features: group.features
+            }));
+
+            outputs.forEach(output => {
+                let baseName = this.toFileName(output.name);
+                let suffix = 2;
+                while (usedNames.has(baseName.toLowerCase())) {
+                    baseName = `${this.toFileName(output.name)}_${suffix++}`;
+                }
+                usedNames.add(baseName.toLowerCase());
+
+                const { shp, shx } = this.writeSHP(output.features, output.type);
+                zip.file(`${baseName}.shp`, shp);
+                zip.file(`${baseName}.shx`, shx);
+                zip.file(`${baseName}.dbf`, this.writeDBF(output.features.map(f => f.properties || {})));
+                zip.file(`${baseName}.prj`, this.wgs84Prj);
+                zip.file(`${baseName}.cpg`, 'UTF-8');
+            });
+        });
+
+        if (Object.keys(zip.files).length === 0) {
+            throw new Error('No point, line or polygon features to export');
+        }
+
+        return zip.generateAsync({ type: 'blob' });
+    }
+
+    /**
+     * Write .shp and .shx buffers
+     * @param {Array} features - GeoJSON features of a single shape type
+     * @param {string} type - 'Point', 'PolyLine' or 'Polygon'
+     * @returns {{shp: ArrayBuffer, shx: ArrayBuffer}} File contents
+     */
+    writeSHP(features, type) {
+        const shapeType = this.shapeTypeCodes[type];
+        const records = features.map(feature => {
+            if (type === 'Point') return { points: [feature.geometry.coordinates], parts: [] };
+            return type === 'PolyLine' ? this.getLineParts(feature.geometry) : this.getPolygonParts(feature.geometry);
+        });
+
+        const contentLengths = records.map(record => type === 'Point'
+            ? 20
+            : 44 + record.parts.length * 4 + record.points.length * 16);
+
+        const shpLength = 100 + contentLengths.reduce((sum, length) => sum + 8 + length, 0);
+        const shxLength = 100 + records.length * 8;
+        const shp = new DataView(new ArrayBuffer(shpLength));
+        const shx = new DataView(new ArrayBuffer(shxLength));
+
+        const bbox = this.getBoundingBox(records.flatMap(record => record.points));
+        this.writeHeader(shp, shpLength, shapeType, bbox);
+        this.writeHeader(shx, shxLength, shapeType, bbox);
+
+        let offset = 100;
+        records.forEach((record, index) => {
+            const contentLength = contentLengths[index];
+
+            // Index entry: record offset and content length in 16-bit words
+            shx.setInt32(100 + index * 8, offset / 2, false);
+            shx.setInt32(100 + index * 8 + 4, contentLength / 2, false);
+
+            // Record header (record numbers are 1-based)
+            shp.setInt32(offset, index + 1, false);
+            shp.setInt32(offset + 4, contentLength / 2, false);
+
+            const start = offset + 8;
+            shp.setInt32(start, shapeType, true);
+
+            if (type === 'Point') {
+                shp.setFloat64(start + 4, record.points[0][0], true);
+                shp.setFloat64(start + 12, record.points[0][1], true);
+            } else {
+                // PolyLine and Polygon records share a layout
+                const recordBox = this.getBoundingBox(record.points);
+                [recordBox.xmin, recordBox.ymin, recordBox.xmax, recordBox.ymax].forEach((value, i) => {
+                    shp.setFloat64(start + 4 + i * 8, value, true);
+                });
+                shp.setInt32(start + 36, record.parts.length, true);
+                shp.setInt32(start + 40, record.points.length, true);
+                record.parts.forEach((part, i) => shp.setInt32(start + 44 + i * 4, part, true));
+
+                const pointsStart = start + 44 + record.parts.length * 4;
+                record.points.forEach((point, i) => {
+                    shp.setFloat64(pointsStart + i * 16, point[0], true);
+                    shp.setFloat64(pointsStart + i * 16 + 8, point[1], true);
+                });
+            }
+
+            offset = start + contentLength;
+        });
+
+        return { shp: shp.buffer, shx: shx.buffer };
+    }
+
+    /**
+     * Write the 100-byte main file header shared by .shp and .shx
+     * @param {DataView} view - Target buffer
+     * @param {number} byteLength - Total file length in bytes
+     * @param {number} shapeType - Shape type code
+     * @param {Object} bbox - Bounding box
+     */
+    writeHeader(view, byteLength, shapeType, bbox) {
+        view.setInt32(0, 9994, false);
+        view.setInt32(24, byteLength / 2, false);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, shapeType, true);
+        [bbox.xmin, bbox.ymin, bbox.xmax, bbox.ymax].forEach((value, i) => {
+            view.setFloat64(36 + i * 8, value, true);
+        });
+    }
+
+    /**
+     * Flatten a Polygon/MultiPolygon into shapefile parts
+     * Outer rings are written clockwise and holes counter-clockwise, as the format requires.
+     * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+     * @returns {{parts: Array<number>, points: Array}} Part start indexes and points
+     */
+    getPolygonParts(geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const parts = [];
+        const points = [];
+
+        polygons.forEach(rings => {
+            rings.forEach((ring, ringIndex) => {
+                const isHole = ringIndex > 0;
+                const isClockwise = this.ringSignedArea(ring) < 0;
+                const oriented = (isHole ? isClockwise : !isClockwise) ? [...ring].reverse() : ring;
+
+                parts.push(points.length);
+                points.push(...oriented);
+            });
+        });
+
+        return { parts, points };
+    }
+
+    /**
+     * Flatten a LineString/MultiLineString into shapefile parts
+     * @param {Object} geometry - GeoJSON LineString or MultiLineString
+     * @returns {{parts: Array<number>, points: Array}} Part start indexes and points
+     */
+    getLineParts(geometry) {
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+        const parts = [];
+        const points = [];
+
+        lines.forEach(line => {
+            parts.push(points.length);
+            points.push(...line);
+        });
+
+        return { parts, points };
+    }
+
+    /**
+     * Signed area of a ring (shoelace formula, positive when counter-clockwise)
+     * @param {Array} ring - Array of [x, y]
+     * @returns {number} Signed area
+     */
+    ringSignedArea(ring) {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+        }
+        return area / 2;
+    }
+
+    /**
+     * Get the bounding box of a list of points
+     * @param {Array} points - Array of [x, y]
+     * @returns {Object} { xmin, ymin, xmax, ymax }
+     */
+    getBoundingBox(points) {
+        if (points.length === 0) {
+            return { xmin: 0, ymin: 0, xmax: 0, ymax: 0 };
+        }
+
+        return points.reduce((box, [x, y]) => ({
+            xmin: Math.min(box.xmin, x),
+            ymin: Math.min(box.ymin, y),
+            xmax: Math.max(box.xmax, x),
+            ymax: Math.max(box.ymax, y)
+        }), { xmin: Infinity, ymin: Infinity, xmax: -Infinity, ymax: -Infinity });
+    }
+
+    /**
+     * Write a .dbf attribute table (UTF-8)
+     * Numeric columns become N fields; everything else is written as text.
+     * @param {Array<Object>} records - Attribute records
+     * @returns {ArrayBuffer} File contents
+     */
+    writeDBF(records) {
+        const encoder = new TextEncoder();
+        const fields = this.buildDBFFields(records, encoder);
+
+        const headerLength = 32 + fields.length * 32 + 1;
+        const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+        const buffer = new ArrayBuffer(headerLength + records.length * recordLength + 1);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // Header
+        const now = new Date();
+        view.setUint8(0, 0x03);
+        view.setUint8(1, now.getFullYear() - 1900);
+        view.setUint8(2, now.getMonth() + 1);
+        view.setUint8(3, now.getDate());
+        view.setUint32(4, records.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+
+        // Field descriptors
+        fields.forEach((field, i) => {
+            const fieldOffset = 32 + i * 32;
+            bytes.set(encoder.encode(field.dbfName), fieldOffset);
+            view.setUint8(fieldOffset + 11, field.type.charCodeAt(0));
+            view.setUint8(fieldOffset + 16, field.length);
+            view.setUint8(fieldOffset + 17, field.decimals);
+        });
+        view.setUint8(headerLength - 1, 0x0D);
+
+        // Records (space padded)
+        bytes.fill(0x20, headerLength, headerLength + records.length * recordLength);
+        records.forEach((record, i) => {
+            let valueOffset = headerLength + i * recordLength + 1;
+            fields.forEach(field => {
+                const encoded = this.encodeDBFValue(record[field.key], field, encoder);
+                const start = field.type === 'N' ? valueOffset + field.length - encoded.length : valueOffset;
+                bytes.set(encoded, start);
+                valueOffset += field.length;
+            });
+        });
+        view.setUint8(buffer.byteLength - 1, 0x1A);
+
+        return buffer;
+    }
+
+    /**
+     * Derive DBF field definitions from record values
+     * Field names are limited to 10 characters and made unique.
+     * @param {Array<Object>} records - Attribute records
+     * @param {TextEncoder} encoder - UTF-8 encoder
+     * @returns {Array<Object>} Field definitions
+     */
+    buildDBFFields(records, encoder) {
+        const keys = [];
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!keys.includes(key)) keys.push(key);
+            });
+        });
+
+        const usedNames = new Set();
+
+        return keys.map(key => {
+            const values = records.map(r => r[key]).filter(v => v !== null && v !== undefined && v !== '');
+            const isNumeric = values.length > 0 && values.every(v => typeof v === 'number' && isFinite(v));
+
+            let dbfName = key.replace(/[^A-Za-z0-9_]/g, '_').substring(0, 10) || 'FIELD';
+            let suffix = 1;
+            while (usedNames.has(dbfName.toUpperCase())) {
+                const tag = String(suffix++);
+                dbfName = dbfName.substring(0, 10 - tag.length) + tag;
+            }
+            usedNames.add(dbfName.toUpperCase());
+
+            if (isNumeric) {
+                const decimals = values.some(v => !Number.isInteger(v)) ? 8 : 0;
+                return { key, dbfName, type: 'N', length: 19, decimals };
+            }
+
+            const maxLength = values.reduce((max, v) => Math.max(max, encoder.encode(this.valueToText(v)).length), 1);
+            return { key, dbfName, type: 'C', length: Math.min(maxLength, 254), decimals: 0 };
+        });
+    }
+
+    /**
+     * Encode a single DBF value, truncated to the field length
+     * @param {*} value - Attribute value
+     * @param {Object} field - Field definition
+     * @param {TextEncoder} encoder - UTF-8 encoder
+     * @returns {Uint8Array} Encoded bytes
+     */
+    encodeDBFValue(value, field, encoder) {
+        if (value === null || value === undefined || value === '') {
+            return new Uint8Array(0);
+        }
+
+        if (field.type === 'N') {
+            const text = field.decimals > 0 ? Number(value).toFixed(field.decimals) : String(Math.round(value));
+            return encoder.encode(text.substring(0, field.length));
+        }
+
+        let encoded = encoder.encode(this.valueToText(value));
+        if (encoded.length > field.length) {
+            // Avoid cutting a multi-byte character in half
+            let end = field.length;
+            while (end > 0 && (encoded[end] & 0xC0) === 0x80) end--;
+            encoded = encoded.subarray(0, end);
+        }
+        return encoded;
+    }
+
+    /**
+     * Convert an attribute value to text for a character field
+     * @param {*} value - Attribute value
+     * @returns {string} Text
+     */
+    valueToText(value) {
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Make a safe shapefile base name
+     * @param {string} name - Layer name
+     * @returns {string} File name without extension
+     */
+    toFileName(name) {
+        return String(name || 'layer').replace(/[^A-Za-z0-9_\-]+/g, '_').replace(/^_+|_+$/g, '') || 'layer';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShapefileWriter;
+}
@@ -0,0 +1,613 @@
+/**
+ * Spatial Index
+ * Plain-JS geometry and indexes for point-in-polygon and proximity queries:
+ * an R-tree over polygon bounding boxes and a grid over points, so a query
+ * only looks at the few features near it instead of every feature.
+ * Coordinates are [lng, lat] as in GeoJSON.
+ */
+
+const SpatialGeometry = {
+    /**
+     * Get a feature's GeoJSON geometry (parsed from WKT if needed)
+     * @param {Object} feature - Feature
+     * @returns {Object|null} GeoJSON geometry
+     */
+    getGeometry(feature) {
+        return Utils.getFeatureGeometry(feature);
+    },
+
+    /**
+     * Get the polygons of a geometry as arrays of rings (outer ring first, then holes)
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {Array} Polygons (empty for non-polygon geometries)
+     */
+    getPolygons(geometry) {
+        return Utils.getPolygonCoordinates(geometry);
+    },
+
+    /**
+     * Get the bounding box of a set of polygons
+     * @param {Array} polygons - Polygons from getPolygons
+     * @returns {Array|null} [minLng, minLat, maxLng, maxLat]
+     */
+    getBounds(polygons) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        polygons.forEach(rings => {
+            rings[0].forEach(([x, y]) => {
+                if (x < minX) minX = x;
+                if (y < minY) minY = y;
+                if (x > maxX) maxX = x;
+                if (y > maxY) maxY = y;
+            });
+        });
+
+        return minX === Infinity ? null : [minX, minY, maxX, maxY];
+    },
+
+    /**
+     * Ray-casting test against one ring
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @param {Array} ring - Array of [lng, lat]
+     * @returns {boolean} True if the point is inside the ring
+     */
+    pointInRing(x, y, ring) {
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i][0], yi = ring[i][1];
+            const xj = ring[j][0], yj = ring[j][1];
+
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    },
+
+    /**
+     * Test a point against a polygon with holes
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @param {Array} rings - Outer ring followed by holes
+     * @returns {boolean} True if inside the outer ring and outside every hole
+     */
+    pointInPolygon(x, y, rings) {
+        if (!this.pointInRing(x, y, rings[0])) return false;
+
+        for (let i = 1; i < rings.length; i++) {
+            if (this.pointInRing(x, y, rings[i])) return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Test a point against any polygon of a geometry
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @param {Array} polygons - Polygons from getPolygons
+     * @returns {boolean}
+     */
+    pointInPolygons(x, y, polygons) {
+        return polygons.some(rings => this.pointInPolygon(x, y, rings));
+    },
+
+    /**
+     * Planar signed area of a ring in square degrees (positive when counter-clockwise)
+     * @param {Array} ring - Array of [lng, lat]
+     * @returns {number}
+     */
+    signedArea(ring) {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+        }
+        return area / 2;
+    },
+
+    /**
+     * Make holes wind opposite to their outer ring, as Google Maps expects to cut them out
+     * @param {Array} rings - Outer ring followed by holes
+     * @returns {Array} Rings (holes reversed where needed)
+     */
+    orientRings(rings) {
+        if (rings.length === 0) return rings;
+
+        const outerClockwise = this.signedArea(rings[0]) < 0;
+        return rings.map((ring, index) => {
+            if (index === 0) return ring;
+            return (this.signedArea(ring) < 0) === outerClockwise ? ring.slice().reverse() : ring;
+        });
+    },
+
+    /**
+     * Area-weighted centroid of a polygon with holes
+     * @param {Array} rings - Outer ring followed by holes
+     * @returns {Object|null} { lat, lng, area } (area in square degrees)
+     */
+    polygonCentroid(rings) {
+        let totalArea = 0, sumX = 0, sumY = 0;
+
+        rings.forEach((ring, index) => {
+            const signed = this.signedArea(ring);
+            if (signed === 0) return;
+
+            let cx = 0, cy = 0;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const cross = (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+                cx += (ring[j][0] + ring[i][0]) * cross;
+                cy += (ring[j][1] + ring[i][1]) * cross;
+            }
+
+            // Holes count negatively whatever their winding
+            const area = Math.abs(signed) * (index === 0 ? 1 : -1);
+            totalArea += area;
+            sumX += (cx / (6 * signed)) * area;
+            sumY += (cy / (6 * signed)) * area;
+        });
+
+        if (totalArea <= 0) return null;
+        return { lng: sumX / totalArea, lat: sumY / totalArea, area: totalArea };
+    },
+
+    /**
+     * Find a point for a label: the centroid of the largest part, or, when that
+     * falls outside the shape (crescents, holes), the middle of the widest
+     * horizontal span through it
+     * @param {Array} polygons - Polygons from getPolygons
+     * @returns {Object|null} { lat, lng }
+     */
+    labelPoint(polygons) {
+        let best = null;
+        polygons.forEach(rings => {
+            const centroid = this.polygonCentroid(rings);
+            if (centroid && (!best || centroid.area > best.centroid.area)) {
+                best = { rings, centroid };
+            }
+        });
+
+        if (!best) {
+            // Degenerate shapes: fall back to the average of the outer ring's vertices
+            const ring = polygons[0] && polygons[0][0];
+            if (!ring || ring.length === 0) return null;
+            return {
+                lng: ring.reduce((sum, coord) => sum + coord[0], 0) / ring.length,
+                lat: ring.reduce((sum, coord) => sum + coord[1], 0) / ring.length
+            };
+        }
+
+        const { rings, centroid } = best;
+        if (this.pointInPolygon(centroid.lng, centroid.lat, rings)) {
+            return { lat: centroid.lat, lng: centroid.lng };
+        }
+
+        // Crossings of the centroid's latitude with every ring; inside spans alternate
+        const y = centroid.lat;
+        const crossings = [];
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > y) !== (yj > y)) {
+                    crossings.push(xi + (y - yi) * (xj - xi) / (yj - yi));
+                }
+            }
+        });
+        crossings.sort((a, b) => a - b);
+
+        let widest = null;
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            if (!widest || crossings[i + 1] - crossings[i] > widest[1] - widest[0]) {
+                widest = [crossings[i], crossings[i + 1]];
+            }
+        }
+
+        return widest
+            ? { lat: y, lng: (widest[0] + widest[1]) / 2 }
+            : { lat: centroid.lat, lng: centroid.lng };
+    },
+
+    /**
+     * Get a point feature's coordinates
+     * @param {Object} feature - Feature
+     * @returns {Object|null} { lat, lng }
+     */
+    getPoint(feature) {
+        if (feature.latitude === undefined || feature.longitude === undefined) return null;
+
+        const lat = parseFloat(feature.latitude);
+        const lng = parseFloat(feature.longitude);
+        return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+    }
+};
+
+/**
+ * Static R-tree over polygon bounding boxes, bulk-loaded with
+ * Sort-Tile-Recursive packing. Rebuild it when the polygons change.
+ */
+class PolygonIndex {
+    constructor(nodeSize = 16) {
+        this.nodeSize = nodeSize;
+        this.entries = [];
+        this.root = null;
+    }
+
+    /**
+     * Build an index from features; features without polygon geometry are skipped
+     * @param {Array} features - Features
+     * @param {number} nodeSize - Maximum children per node
+     * @returns {PolygonIndex}
+     */
+    static fromFeatures(features, nodeSize) {
+        const entries = [];
+
+        features.forEach(feature => {
+            const polygons = SpatialGeometry.getPolygons(SpatialGeometry.getGeometry(feature));
+            const bbox = SpatialGeometry.getBounds(polygons);
+            if (bbox) {
+                entries.push({ bbox, polygons, feature });
+            }
+        });
+
+        return PolygonIndex.fromEntries(entries, nodeSize);
+    }
+
+    /**
+     * Build an index from prepared entries
+     * @param {Array} entries - Objects with a bbox (and whatever else callers need back)
+     * @param {number} nodeSize - Maximum children per node
+     * @returns {PolygonIndex}
+     */
+    static fromEntries(entries, nodeSize) {
+        const index = new PolygonIndex(nodeSize);
+        index.entries = entries;
+        index.root = entries.length > 0 ? index.pack(entries.slice(), true) : null;
+        return index;
+    }
+
+    /**
+     * Pack nodes into parents level by level until one root remains
+     * @param {Array} nodes - Entries or nodes with a bbox
+     * @param {boolean} leaf - Whether nodes are entries
+     * @returns {Object} Root node { bbox, children, leaf }
+     */
+    pack(nodes, leaf) {
+        const size = this.nodeSize;
+        if (nodes.length <= size) {
+            return this.createNode(nodes, leaf);
+        }
+
+        const centerX = node => (node.bbox[0] + node.bbox[2]) / 2;
+        const centerY = node => (node.bbox[1] + node.bbox[3]) / 2;
+
+        // Cut into vertical slices by x, then group each slice by y
+        const sliceSize = Math.ceil(Math.sqrt(Math.ceil(nodes.length / size))) * size;
+        nodes.sort((a, b) => centerX(a) - centerX(b));
+
+        const parents = [];
+        for (let i = 0; i < nodes.length; i += sliceSize) {
+            const slice = nodes.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+            for (let j = 0; j < slice.length; j += size) {
+                parents.push(this.createNode(slice.slice(j, j + size), leaf));
+            }
+        }
+
+        return this.pack(parents, false);
+    }
+
+    /**
+     * Create a node covering its children
+     * @param {Array} children - Entries or nodes
+     * @param {boolean} leaf - Whether children are entries
+     * @returns {Object} Node
+     */
+    createNode(children, leaf) {
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        children.forEach(child => {
+            bbox[0] = Math.min(bbox[0], child.bbox[0]);
+            bbox[1] = Math.min(bbox[1], child.bbox[1]);
+            bbox[2] = Math.max(bbox[2], child.bbox[2]);
+            bbox[3] = Math.max(bbox[3], child.bbox[3]);
+        });
+        return { bbox, children, leaf };
+    }
+
+    /**
+     * Find entries whose bounding box intersects a box
+     * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]
+     * @returns {Array} Entries { bbox, polygons, feature }
+     */
+    searchBounds(bbox) {
+        const results = [];
+        if (!this.root) return results;
+
+        const intersects = box => box[0] <= bbox[2] && box[2] >= bbox[0] && box[1] <= bbox[3] && box[3] >= bbox[1];
+        const stack = [this.root];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!intersects(node.bbox)) continue;
+
+            if (node.leaf) {
+                node.children.forEach(entry => {
+                    if (intersects(entry.bbox)) results.push(entry);
+                });
+            } else {
+                stack.push(...node.children);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Find entries whose polygons contain a point
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Array} Entries { bbox, polygons, feature }
+     */
+    search(lat, lng) {
+        return this.searchBounds([lng, lat, lng, lat])
+            .filter(entry => SpatialGeometry.pointInPolygons(lng, lat, entry.polygons));
+    }
+}
+
+/**
+ * Uniform grid over points for radius and bounding-box queries
+ */
+class PointIndex {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = [];
+    }
+
+    /**
+     * Build an index from features; features without coordinates are skipped
+     * The cell size is chosen so that a cell holds a handful of points on average.
+     * @param {Array} features - Features
+     * @param {number} pointsPerCell - Target points per cell
+     * @returns {PointIndex}
+     */
+    static fromFeatures(features, pointsPerCell = 8) {
+        const entries = [];
+        features.forEach(feature => {
+            const point = SpatialGeometry.getPoint(feature);
+            if (point) entries.push({ lat: point.lat, lng: point.lng, feature });
+        });
+
+        let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
+        entries.forEach(({ lat, lng }) => {
+            minLat = Math.min(minLat, lat);
+            maxLat = Math.max(maxLat, lat);
+            minLng = Math.min(minLng, lng);
+            maxLng = Math.max(maxLng, lng);
+        });
+
+        const area = entries.length > 0 ? (maxLat - minLat) * (maxLng - minLng) : 0;
+        const cellSize = area > 0
+            ? Math.max(0.001, Math.sqrt(area * pointsPerCell / entries.length))
+            : 1;
+
+        const index = new PointIndex(cellSize);
+        entries.forEach(entry => index.insert(entry));
+        return index;
+    }
+
+    /**
+     * Get the grid key of a cell
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @returns {string}
+     */
+    cellKey(col, row) {
+        return `${col}:${row}`;
+    }
+
+    /**
+     * Add an entry
+     * @param {Object} entry - { lat, lng, feature }
+     */
+    insert(entry) {
+        const key = this.cellKey(Math.floor(entry.lng / this.cellSize), Math.floor(entry.lat / this.cellSize));
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push(entry);
+        this.entries.push(entry);
+    }
+
+    /**
+     * Find entries inside a box
+     * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]
+     * @returns {Array} Entries { lat, lng, feature }
+     */
+    searchBounds(bbox) {
+        const [minLng, minLat, maxLng, maxLat] = bbox;
+        const inBox = entry => entry.lng >= minLng && entry.lng <= maxLng && entry.lat >= minLat && entry.lat <= maxLat;
+
+        const minCol = Math.floor(minLng / this.cellSize);
+        const maxCol = Math.floor(maxLng / this.cellSize);
+        const minRow = Math.floor(minLat / this.cellSize);
+        const maxRow = Math.floor(maxLat / this.cellSize);
+
+        // A box covering more cells than exist is cheaper to answer by scanning the occupied cells
+        if ((maxCol - minCol + 1) * (maxRow - minRow + 1) > this.cells.size) {
+            return this.entries.filter(inBox);
+        }
+
+        const results = [];
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const cell = this.cells.get(this.cellKey(col, row));
+                if (cell) {
+                    cell.forEach(entry => {
+                        if (inBox(entry)) results.push(entry);
+                    });
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Find entries within a distance, nearest first
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} radiusKm - Radius in kilometers
+     * @returns {Array} Entries with a distance property (km)
+     */
+    searchRadius(lat, lng, radiusKm) {
+        const dLat = radiusKm / 111.32;
+        const dLng = radiusKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+        return this.searchBounds([lng - dLng, lat - dLat, lng + dLng, lat + dLat])
+            .map(entry => ({ ...entry, distance: Utils.calculateDistance(lat, lng, entry.lat, entry.lng) }))
+            .filter(entry => entry.distance <= radiusKm)
+            .sort((a, b) => a.distance - b.distance);
+    }
+}
+
+/**
+ * Per-layer cache of indexes, rebuilt when a layer's features change
+ */
+class SpatialIndexCache {
+    constructor() {
+        this.indexes = new Map(); // `${kind}:${layerId}` -> { features, count, index }
+        this.listening = false;
+    }
+
+    /**
+     * Drop a layer's indexes on feature and layer events
+     */
+    listen() {
+        if (this.listening || typeof eventBus === 'undefined') return;
+        this.listening = true;
+
+        const invalidate = (data) => {
+            if (!data) return;
+            this.invalidate(data.layerId);
+            this.invalidate(data.sourceLayerId);
+            this.invalidate(data.targetLayerId);
+        };
+
+        ['feature.updated', 'feature.deleted', 'feature.restored', 'feature.moved',
+            'features.added', 'layer.features.replaced', 'layer.deleted'].forEach(event => {
+            eventBus.on(event, invalidate);
+        });
+        eventBus.on('layers.cleared', () => this.indexes.clear());
+    }
+
+    /**
+     * Forget the indexes of a layer
+     * @param {string} layerId - Layer ID
+     */
+    invalidate(layerId) {
+        if (!layerId) return;
+        this.indexes.delete(`points:${layerId}`);
+        this.indexes.delete(`polygons:${layerId}`);
+        this.indexes.delete(`territories:${layerId}`);
+    }
+
+    /**
+     * Get or build an index for a layer
+     * A replaced or resized features array also counts as a change.
+     * @param {string} kind - 'points', 'polygons' or 'territories'
+     * @param {Object} layer - Layer
+     * @param {Function} build - (features) => index
+     * @returns {PolygonIndex|PointIndex}
+     */
+    get(kind, layer, build) {
+        this.listen();
+
+        const key = `${kind}:${layer.id}`;
+        const cached = this.indexes.get(key);
+        if (cached && cached.features === layer.features && cached.count === layer.features.length) {
+            return cached.index;
+        }
+
+        const index = build(layer.features);
+        this.indexes.set(key, { features: layer.features, count: layer.features.length, index });
+        return index;
+    }
+
+    /**
+     * Get the polygon index of a layer
+     * @param {Object} layer - Layer
+     * @returns {PolygonIndex}
+     */
+    getPolygonIndex(layer) {
+        return this.get('polygons', layer, features => PolygonIndex.fromFeatures(features, AppConfig.spatialIndex.nodeSize));
+    }
+
+    /**
+     * Get the polygon index of a layer without saved measurements
+     * Used where polygons stand for territories (analytics, topology check, spatial join).
+     * @param {Object} layer - Layer
+     * @returns {PolygonIndex}
+     */
+    getTerritoryIndex(layer) {
+        return this.get('territories', layer, features => PolygonIndex.fromFeatures(
+            features.filter(feature => !Utils.isMeasurementFeature(feature)),
+            AppConfig.spatialIndex.nodeSize
+        ));
+    }
+
+    /**
+     * Get the point index of a layer
+     * @param {Object} layer - Layer
+     * @returns {PointIndex}
+     */
+    getPointIndex(layer) {
+        return this.get('points', layer, features => PointIndex.fromFeatures(features, AppConfig.spatialIndex.pointsPerCell));
+    }
+
+    /**
+     * Find point features within a distance across layers
+     * @param {Array} layers - Layers to search
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} radiusKm - Radius in kilometers
+     * @param {number} limit - Maximum results (0 = no limit)
+     * @returns {Array} { feature, layerId, layerName, lat, lng, distance }, nearest first
+     */
+    findNearby(layers, lat, lng, radiusKm, limit = 0) {
+        const results = [];
+        layers.forEach(layer => {
+            this.getPointIndex(layer).searchRadius(lat, lng, radiusKm).forEach(entry => {
+                results.push({ ...entry, layerId: layer.id, layerName: layer.name });
+            });
+        });
+
+        results.sort((a, b) => a.distance - b.distance);
+        return limit > 0 ? results.slice(0, limit) : results;
+    }
+
+    /**
+     * Find polygon features containing a point across layers
+     * @param {Array} layers - Layers to search
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Array} { feature, layerId, layerName }
+     */
+    findContaining(layers, lat, lng) {
+        const results = [];
+        layers.forEach(layer => {
+            this.getPolygonIndex(layer).search(lat, lng).forEach(entry => {
+                results.push({ feature: entry.feature, layerId: layer.id, layerName: layer.name });
+            });
+        });
+        return results;
+    }
+}
+
+// Shared instance
+const spatialIndex = new SpatialIndexCache();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialGeometry, PolygonIndex, PointIndex, SpatialIndexCache, spatialIndex };
+}
@@ -0,0 +1,460 @@
+/**
+ * Topology Checker
+ * Finds territories that overlap each other and gaps no territory covers,
+ * highlights them on the map and lists the accounts inside each one.
+ */
+
+class TopologyChecker {
+    constructor(layerManager, mapManager) {
+        this.layerManager = layerManager;
+        this.mapManager = mapManager;
+        this.minArea = AppConfig.topology.minAreaSqMeters;
+        this.maxListedAccounts = AppConfig.topology.maxListedAccounts;
+        this.result = null;
+        this.clipErrors = 0;
+    }
+
+    /**
+     * Initialize topology checker
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('Topology Checker initialized');
+    }
+
+    /**
+     * Get the polygon layers of a layer or group
+     * @param {string} sourceId - Layer or group ID
+     * @returns {Array} Layers
+     */
+    getPolygonLayers(sourceId) {
+        const group = this.layerManager.getLayerGroup(sourceId);
+        const layers = group
+            ? group.layerIds.map(layerId => this.layerManager.getLayer(layerId))
+            : [this.layerManager.getLayer(sourceId)];
+
+        return layers.filter(layer => layer && (layer.type === 'polygon' || layer.type === 'mixed'));
+    }
+
+    /**
+     * Collect the polygon features of layers (saved measurements are left out)
+     * @param {Array} layers - Layers
+     * @returns {Array} Territories { layer, feature, bbox, polygons, order }
+     */
+    getTerritories(layers) {
+        const territories = [];
+        layers.forEach(layer => {
+            spatialIndex.getTerritoryIndex(layer).entries.forEach(entry => {
+                territories.push({
+                    layer,
+                    feature: entry.feature,
+                    bbox: entry.bbox,
+                    polygons: entry.polygons,
+                    order: territories.length
+                });
+            });
+        });
+        return territories;
+    }
+
+    /**
+     * Run a clipping operation, counting and skipping invalid geometries
+     * @param {string} operation - 'intersect', 'union' or 'difference' (first minus the rest)
+     * @param {Array} polygonSets - Each an array of polygons from getPolygonCoordinates
+     * @returns {Object|null} GeoJSON geometry, or null when empty or invalid
+     */
+    clip(operation, polygonSets) {
+        try {
+            return GeometryOps.clip(operation, polygonSets);
+        } catch (error) {
+            this.clipErrors++;
+            console.warn(`Topology check: ${operation} failed`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Find pairs of territories that overlap
+     * Only pairs whose bounding boxes intersect are clipped.
+     * @param {Array} territories - From getTerritories
+     * @param {Function} onProgress - Called with a fraction (0-1)
+     * @returns {Promise<Array>} Issues
+     */
+    async findOverlaps(territories, onProgress = null) {
+        const index = PolygonIndex.fromEntries(territories, AppConfig.spatialIndex.nodeSize);
+        const overlaps = [];
+
+        for (let i = 0; i < territories.length; i++) {
+            const a = territories[i];
+            index.searchBounds(a.bbox)
+                .filter(b => b.order > i)
+                .forEach(b => {
+                    const geometry = this.clip('intersect', [a.polygons, b.polygons]);
+                    const issue = geometry && this.createIssue('overlap', geometry, [a, b]);
+                    if (issue) overlaps.push(issue);
+                });
+
+            // Let the page repaint on big layers
+            if (i % 25 === 24) {
+                if (onProgress) onProgress(i / territories.length);
+                await Utils.wait(0);
+            }
+        }
+
+        return overlaps;
+    }
+
+    /**
+     * Find areas inside the boundary that no territory covers
+     * Without boundary layers only holes enclosed by the territories count.
+     * @param {Array} territories - From getTerritories
+     * @param {Array} boundaryLayers - Polygon layers outlining the area that should be covered
+     * @returns {Array} Issues, one per separate gap
+     */
+    findGaps(territories, boundaryLayers = []) {
+        const covered = this.clip('union', territories.map(territory => territory.polygons));
+        if (!covered) return [];
+
+        let gapPolygons;
+        if (boundaryLayers.length > 0) {
+            const boundary = this.clip('union', this.getTerritories(boundaryLayers).map(territory => territory.polygons));
+            const gaps = boundary && this.clip('difference', [
+                Utils.getPolygonCoordinates(boundary),
+                Utils.getPolygonCoordinates(covered)
+            ]);
+            gapPolygons = Utils.getPolygonCoordinates(gaps);
+        } else {
+            gapPolygons = Utils.getPolygonCoordinates(covered)
+                .flatMap(rings => rings.slice(1).map(hole => [hole]));
+        }
+
+        return gapPolygons
+            .map(rings => this.createIssue('gap', { type: 'Polygon', coordinates: rings }, []))
+            .filter(issue => issue !== null);
+    }
+
+    /**
+     * Build an overlap or gap entry, or null when it is too small to matter
+     * @param {string} type - 'overlap' or 'gap'
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {Array} territories - Territories involved
+     * @returns {Object|null} Issue
+     */
+    createIssue(type, geometry, territories) {
+        const polygons = Utils.getPolygonCoordinates(geometry);
+        const area = Utils.calculatePolygonsArea(polygons);
+        if (polygons.length === 0 || area < this.minArea) return null;
+
+        return {
+            type,
+            geometry,
+            polygons,
+            bbox: SpatialGeometry.getBounds(polygons),
+            area,
+            territories: territories.map(territory => ({
+                layerId: territory.layer.id,
+                layerName: territory.layer.name,
+                featureId: territory.feature.id,
+                name: this.getFeatureName(territory.feature)
+            })),
+            accounts: []
+        };
+    }
+
+    /**
+     * Find the point features inside an overlap or gap
+     * @param {Object} issue - Issue
+     * @returns {Array} { layerId, layerName, feature }
+     */
+    findAccounts(issue) {
+        const pointLayers = this.layerManager.getAllLayers()
+            .filter(layer => layer.type === 'point' || layer.type === 'mixed');
+
+        return pointLayers.flatMap(layer => {
+            return spatialIndex.getPointIndex(layer).searchBounds(issue.bbox)
+                .filter(entry => SpatialGeometry.pointInPolygons(entry.lng, entry.lat, issue.polygons))
+                .map(entry => ({ layerId: layer.id, layerName: layer.name, feature: entry.feature }));
+        });
+    }
+
+    /**
+     * Check a layer or group
+     * @param {string} sourceId - Layer or group ID
+     * @param {string|null} boundaryId - Layer or group outlining the area to cover (null = territories' outer edge)
+     * @param {Function} onProgress - Called with a fraction (0-1)
+     * @returns {Promise<Object>} { overlaps, gaps, territoryCount, clipErrors }
+     */
+    async run(sourceId, boundaryId = null, onProgress = null) {
+        this.clipErrors = 0;
+
+        const territories = this.getTerritories(this.getPolygonLayers(sourceId));
+        const overlaps = await this.findOverlaps(territories, fraction => {
+            if (onProgress) onProgress(fraction * 0.8);
+        });
+
+        if (onProgress) onProgress(0.8);
+        await Utils.wait(0);
+
+        const boundaryLayers = boundaryId ? this.getPolygonLayers(boundaryId) : [];
+        const gaps = this.findGaps(territories, boundaryLayers);
+
+        [...overlaps, ...gaps].forEach(issue => {
+            issue.accounts = this.findAccounts(issue);
+        });
+        overlaps.sort((a, b) => b.area - a.area);
+        gaps.sort((a, b) => b.area - a.area);
+
+        this.result = {
+            sourceId,
+            boundaryId,
+            territoryCount: territories.length,
+            overlaps,
+            gaps,
+            clipErrors: this.clipErrors,
+            date: new Date().toISOString()
+        };
+
+        eventBus.emit('topology.checked', {
+            sourceId,
+            overlaps: overlaps.length,
+            gaps: gaps.length
+        });
+
+        return this.result;
+    }
+
+    /**
+     * Get a display name for a feature
+     * @param {Object} feature - Feature
+     * @returns {string}
+     */
+    getFeatureName(feature) {
+        return String(feature.name || feature.Name || feature.Territory || feature.territory || feature.id);
+    }
+
+    /**
+     * Get all issues of the last check in display order
+     * @returns {Array} Issues
+     */
+    getIssues() {
+        return this.result ? [...this.result.overlaps, ...this.result.gaps] : [];
+    }
+
+    /**
+     * Show the last check's overlaps and gaps on the map
+     */
+    showHighlights() {
+        const features = this.getIssues().map(issue => ({
+            type: 'Feature',
+            geometry: issue.geometry,
+            properties: {
+                color: issue.type === 'overlap' ? AppConfig.topology.overlapColor : AppConfig.topology.gapColor,
+                label: Utils.formatArea(issue.area)
+            }
+        }));
+
+        this.mapManager.showHighlights(features);
+
+        const controls = document.getElementById('topologyControls');
+        if (controls) {
+            controls.querySelector('.edit-label').textContent =
+                `${this.result.overlaps.length} overlap(s), ${this.result.gaps.length} gap(s)`;
+            controls.style.display = features.length > 0 ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Remove the highlights and forget the last check
+     */
+    clear() {
+        this.mapManager.clearHighlights();
+        this.result = null;
+
+        const controls = document.getElementById('topologyControls');
+        if (controls) controls.style.display = 'none';
+
+        this.renderResults();
+    }
+
+    /**
+     * Open the dialog
+     */
+    show() {
+        const layers = this.layerManager.getAllLayers().filter(layer => layer.type === 'polygon' || layer.type === 'mixed');
+        const groups = this.layerManager.getAllLayerGroups().filter(group => this.getPolygonLayers(group.id).length > 0);
+
+        if (layers.length === 0) {
+            toastManager.warning('Add a polygon layer to check its territories');
+            return;
+        }
+
+        const options = (prefix) => [
+            ...groups.map(group => `<option value="${group.id}">${prefix}group "${Utils.escapeXml(group.name)}"</option>`),
+            ...layers.map(layer => `<option value="${layer.id}">${prefix}${Utils.escapeXml(layer.name)}</option>`)
+        ].join('');
+
+        const sourceSelect = document.getElementById('topologySource');
+        const boundarySelect = document.getElementById('topologyBoundary');
+        const source = sourceSelect.value;
+        const boundary = boundarySelect.value;
+
+        sourceSelect.innerHTML = options('');
+        boundarySelect.innerHTML = `<option value="">Only holes enclosed by the territories</option>${options('Within ')}`;
+
+        if (sourceSelect.querySelector(`option[value="${source}"]`)) sourceSelect.value = source;
+        if (boundarySelect.querySelector(`option[value="${boundary}"]`)) boundarySelect.value = boundary;
+
+        this.renderResults();
+        modalManager.show('topologyModal');
+    }
+
+    /**
+     * Run the check chosen in the dialog
+     */
+    async handleRun() {
+        const sourceId = document.getElementById('topologySource').value;
+        const boundaryId = document.getElementById('topologyBoundary').value || null;
+        if (!sourceId) return;
+
+        if (!GeometryOps.isAvailable()) {
+            toastManager.error('Geometry library (Turf.js) failed to load');
+            return;
+        }
+
+        loadingManager.show('Checking territories...');
+        try {
+            const result = await this.run(sourceId, boundaryId, fraction => {
+                loadingManager.setProgress(Math.round(fraction * 100), 'Checking territories...');
+            });
+
+            this.renderResults();
+            this.showHighlights();
+
+            if (result.overlaps.length === 0 && result.gaps.length === 0) {
+                toastManager.success(`No overlaps or gaps in ${result.territoryCount} territories`);
+            } else {
+                toastManager.warning(`Found ${result.overlaps.length} overlap(s) and ${result.gaps.length} gap(s)`);
+            }
+        } catch (error) {
+            console.error('Error checking territories:', error);
+            toastManager.error('Error checking territories: ' + error.message);
+        } finally {
+            loadingManager.hide();
+        }
+    }
+
+    /**
+     * Render the last check's results in the dialog
+     */
+    renderResults() {
+        const container = document.getElementById('topologyResults');
+        if (!container) return;
+
+        if (!this.result) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const issues = this.getIssues();
+        const accountCount = issues.reduce((sum, issue) => sum + issue.accounts.length, 0);
+
+        container.innerHTML = `
+            <div class="validation-stats">
+                <div class="validation-stat">
+                    <span class="validation-stat-value">${this.result.territoryCount}</span>
+                    <span class="validation-stat-label">Territories</span>
+                </div>
+                <div class="validation-stat">
+                    <span class="validation-stat-value ${this.result.overlaps.length > 0 ? 'error' : 'success'}">${this.result.overlaps.length}</span>
+                    <span class="validation-stat-label">Overlaps</span>
+                </div>
+                <div class="validation-stat">
+                    <span class="validation-stat-value ${this.result.gaps.length > 0 ? 'warning' : 'success'}">${this.result.gaps.length}</span>
+                    <span class="validation-stat-label">Gaps</span>
+                </div>
+                <div class="validation-stat">
+                    <span class="validation-stat-value">${accountCount}</span>
+                    <span class="validation-stat-label">Accounts affected</span>
+                </div>
+            </div>
+            ${this.result.clipErrors > 0 ? `<p><small>${this.result.clipErrors} shape(s) could not be compared because their geometry is invalid.</small></p>` : ''}
+            <div class="topology-list">
+                ${issues.map((issue, index) => this.renderIssue(issue, index)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one overlap or gap
+     * @param {Object} issue - Issue
+     * @param {number} index - Position in getIssues()
+     * @returns {string} HTML
+     */
+    renderIssue(issue, index) {
+        const title = issue.type === 'overlap'
+            ? issue.territories.map(territory => Utils.escapeXml(territory.name)).join(' ↔ ')
+            : 'Not covered by any territory';
+        const listed = issue.accounts.slice(0, this.maxListedAccounts)
+            .map(account => Utils.escapeXml(this.getFeatureName(account.feature)));
+        const more = issue.accounts.length - listed.length;
+
+        return `
+            <div class="topology-item ${issue.type}" data-index="${index}">
+                <div class="topology-item-header">
+                    <span class="topology-badge ${issue.type}">${issue.type === 'overlap' ? 'Overlap' : 'Gap'}</span>
+                    <span class="topology-item-title">${title}</span>
+                    <span class="topology-item-area">${Utils.formatArea(issue.area)}</span>
+                </div>
+                <div class="topology-item-accounts">
+                    ${issue.accounts.length === 0
+                        ? 'No accounts inside'
+                        : `${issue.accounts.length} account(s): ${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''}`}
+                </div>
+                <button class="btn btn-secondary btn-small" data-action="zoom">Zoom To</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const runBtn = document.getElementById('runTopologyCheckBtn');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.handleRun());
+        }
+
+        const closeBtn = document.getElementById('closeTopologyBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => modalManager.close('topologyModal'));
+        }
+
+        const resultsBtn = document.getElementById('showTopologyResultsBtn');
+        if (resultsBtn) {
+            resultsBtn.addEventListener('click', () => this.show());
+        }
+
+        const clearBtn = document.getElementById('clearTopologyBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.clear());
+        }
+
+        const container = document.getElementById('topologyResults');
+        if (container) {
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action="zoom"]');
+                const item = button && button.closest('.topology-item');
+                const issue = item && this.getIssues()[parseInt(item.dataset.index, 10)];
+                if (issue) {
+                    modalManager.close('topologyModal');
+                    this.mapManager.focusBounds(issue.bbox);
+                }
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TopologyChecker;
+}
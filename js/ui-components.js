@@ -59,8 +59,14 @@ class ModalManager {
     close(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
+            const wasOpen = modal.classList.contains('show');
             modal.classList.remove('show');
             this.modals.delete(modalId);
+
+            // Lets dialogs clean up however they were closed (button, X, backdrop or Escape)
+            if (wasOpen) {
+                eventBus.emit('modal.closed', { modalId });
+            }
         }
     }
 
@@ -263,6 +269,67 @@ class LoadingManager {
     hide() {
         if (this.overlay) {
             this.overlay.classList.remove('show');
+            this.hideProgress();
+            this.hideCancel();
+        }
+    }
+
+    /**
+     * Show a progress bar under the loading message
+     * @param {number} percent - Progress (0-100)
+     * @param {string} message - Optional message update
+     */
+    setProgress(percent, message = null) {
+        if (!this.overlay) return;
+
+        const progressEl = this.overlay.querySelector('.loading-progress');
+        if (progressEl) {
+            progressEl.style.display = 'block';
+            progressEl.querySelector('.progress-fill').style.width = `${Utils.clamp(percent, 0, 100)}%`;
+        }
+
+        if (message) {
+            const messageEl = this.overlay.querySelector('p');
+            if (messageEl) {
+                messageEl.textContent = message;
+            }
+        }
+    }
+
+    /**
+     * Hide and reset the progress bar
+     */
+    hideProgress() {
+        const progressEl = this.overlay && this.overlay.querySelector('.loading-progress');
+        if (progressEl) {
+            progressEl.style.display = 'none';
+            progressEl.querySelector('.progress-fill').style.width = '0%';
+        }
+    }
+
+    /**
+     * Show a cancel button on the overlay
+     * @param {Function} onCancel - Called when the user clicks cancel
+     */
+    showCancel(onCancel) {
+        const cancelBtn = this.overlay && this.overlay.querySelector('.loading-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.style.display = 'inline-block';
+            cancelBtn.onclick = () => {
+                this.hideCancel();
+                onCancel();
+            };
+        }
+    }
+
+    /**
+     * Hide the cancel button
+     */
+    hideCancel() {
+        const cancelBtn = this.overlay && this.overlay.querySelector('.loading-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.style.display = 'none';
+            cancelBtn.onclick = null;
         }
     }
 
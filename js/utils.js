@@ -26,6 +26,37 @@ const Utils = {
             .replace(/[^a-zA-Z0-9]+(.)/g, (match, chr) => chr.toUpperCase());
     },
 
+    /**
+     * Match column headers against the built-in CRM import profiles
+     * A profile matches when its street and city columns are present.
+     * @param {Array} columns - Column names
+     * @param {Array} profiles - Profiles (defaults to AppConfig.csvParser.importProfiles)
+     * @returns {Object|null} { id, name, mapping } where mapping is role -> column name
+     */
+    matchImportProfile(columns, profiles = AppConfig.csvParser.importProfiles) {
+        const normalize = (col) => String(col).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const byNormalized = new Map();
+        columns
+            .filter(col => col && String(col).trim() !== '')
+            .forEach(col => {
+                if (!byNormalized.has(normalize(col))) byNormalized.set(normalize(col), col);
+            });
+
+        for (let profile of profiles) {
+            const mapping = {};
+            for (let [role, names] of Object.entries(profile.columns)) {
+                const found = names.find(name => byNormalized.has(normalize(name)));
+                if (found) mapping[role] = byNormalized.get(normalize(found));
+            }
+
+            if (mapping.street1 && mapping.city) {
+                return { id: profile.id, name: profile.name, mapping };
+            }
+        }
+
+        return null;
+    },
+
     /**
      * Convert string to safe ID format
      * @param {string} str - String to convert
@@ -418,6 +449,47 @@ const Utils = {
         return str.charAt(0).toUpperCase() + str.slice(1);
     },
 
+    /**
+     * Escape special characters for XML/HTML output
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    escapeXml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    },
+
+    /**
+     * Convert a KML color (aabbggrr) to a CSS hex color (#rrggbb)
+     * @param {string} kmlColor - KML color string
+     * @returns {string|null} Hex color or null if invalid
+     */
+    kmlColorToHex(kmlColor) {
+        const value = (kmlColor || '').trim().replace(/^#/, '');
+        if (!/^[0-9a-f]{8}$/i.test(value)) return null;
+        return `#${value.substr(6, 2)}${value.substr(4, 2)}${value.substr(2, 2)}`.toLowerCase();
+    },
+
+    /**
+     * Convert a CSS hex color (#rrggbb) to a KML color (aabbggrr)
+     * @param {string} hexColor - Hex color
+     * @param {number} opacity - Opacity from 0 to 1
+     * @returns {string} KML color string
+     */
+    hexToKmlColor(hexColor, opacity = 1) {
+        let hex = (hexColor || AppConfig.colors.default).replace(/^#/, '');
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        const alpha = Math.round(this.clamp(opacity, 0, 1) * 255).toString(16).padStart(2, '0');
+        return `${alpha}${hex.substr(4, 2)}${hex.substr(2, 2)}${hex.substr(0, 2)}`.toLowerCase();
+    },
+
     /**
      * Format number with commas
      * @param {number} num - Number to format
@@ -448,34 +520,103 @@ const Utils = {
     },
 
     /**
-     * v3.0: Calculate area of a polygon using Google Maps Geometry library
-     * @param {Object} feature - GeoJSON feature with polygon geometry
-     * @returns {number} Area in square meters
+     * Get a feature's GeoJSON geometry, parsing its WKT if needed
+     * @param {Object} feature - Feature with geometry or wkt
+     * @returns {Object|null} GeoJSON geometry
      */
-    calculatePolygonArea(feature) {
-        if (!feature || !feature.geometry || !feature.geometry.coordinates) {
-            return 0;
+    getFeatureGeometry(feature) {
+        if (!feature) return null;
+        if (feature.geometry) return feature.geometry;
+        if (!feature.wkt || typeof wellknown === 'undefined') return null;
+
+        try {
+            return wellknown.parse(feature.wkt);
+        } catch (error) {
+            console.error('Error parsing WKT:', error);
+            return null;
         }
+    },
 
-        const coordinates = feature.geometry.coordinates;
-        if (!coordinates || coordinates.length === 0) {
-            return 0;
+    /**
+     * Check whether a feature is a measurement saved from the distance tool
+     * Saved radius circles and distance lines are reference shapes, not territories.
+     * @param {Object} feature - Feature
+     * @returns {boolean}
+     */
+    isMeasurementFeature(feature) {
+        return !!feature && feature.source === 'measurement' && !!feature.measurementType;
+    },
+
+    /**
+     * Check whether a feature has polygon geometry (not a point or a saved measurement line)
+     * @param {Object} feature - Feature
+     * @returns {boolean}
+     */
+    isPolygonFeature(feature) {
+        return this.getPolygonCoordinates(this.getFeatureGeometry(feature)).length > 0;
+    },
+
+    /**
+     * Get the polygons of a geometry, each as an array of rings (outer ring first, then holes)
+     * @param {Object} geometry - GeoJSON Polygon, MultiPolygon or GeometryCollection
+     * @returns {Array} Polygons (empty for other geometry types)
+     */
+    getPolygonCoordinates(geometry) {
+        if (!geometry) return [];
+
+        let polygons = [];
+        if (geometry.type === 'Polygon') {
+            polygons = [geometry.coordinates];
+        } else if (geometry.type === 'MultiPolygon') {
+            polygons = geometry.coordinates;
+        } else if (geometry.type === 'GeometryCollection') {
+            return (geometry.geometries || []).flatMap(part => this.getPolygonCoordinates(part));
         }
 
-        // Use Google Maps Geometry library if available
+        return (polygons || []).filter(rings => rings && rings[0] && rings[0].length >= 3);
+    },
+
+    /**
+     * v3.0: Calculate area of a polygon feature
+     * MultiPolygons add up their parts; holes are subtracted.
+     * @param {Object} feature - Feature with GeoJSON geometry or WKT
+     * @returns {number} Area in square meters
+     */
+    calculatePolygonArea(feature) {
+        return this.calculatePolygonsArea(this.getPolygonCoordinates(this.getFeatureGeometry(feature)));
+    },
+
+    /**
+     * Calculate the area of polygons from getPolygonCoordinates
+     * @param {Array} polygons - Polygons as arrays of rings
+     * @returns {number} Area in square meters
+     */
+    calculatePolygonsArea(polygons) {
+        return polygons.reduce((total, rings) => {
+            const holes = rings.slice(1).reduce((sum, ring) => sum + this.calculateRingArea(ring), 0);
+            return total + Math.max(0, this.calculateRingArea(rings[0]) - holes);
+        }, 0);
+    },
+
+    /**
+     * Calculate the area enclosed by one ring
+     * Uses the Google Maps Geometry library when available.
+     * @param {Array} ring - Array of [lng, lat] coordinates
+     * @returns {number} Area in square meters
+     */
+    calculateRingArea(ring) {
+        if (!ring || ring.length < 3) return 0;
+
         if (typeof google !== 'undefined' && google.maps && google.maps.geometry) {
-            // Convert coordinates to LatLng array
-            const path = coordinates[0].map(coord => ({
+            const path = ring.map(coord => ({
                 lat: coord[1],
                 lng: coord[0]
             }));
-
-            // Calculate area using Google Maps computeArea
             return google.maps.geometry.spherical.computeArea(path);
         }
 
         // Fallback: Simple spherical area calculation
-        return this.sphericalPolygonArea(coordinates[0]);
+        return this.sphericalPolygonArea(ring);
     },
 
     /**
@@ -542,12 +683,8 @@ const Utils = {
             return 0;
         }
 
-        return features.reduce((total, feature) => {
-            if (feature.geometry && feature.geometry.type === 'Polygon') {
-                return total + this.calculatePolygonArea(feature);
-            }
-            return total;
-        }, 0);
+        // Points and lines have no polygons and add nothing
+        return features.reduce((total, feature) => total + this.calculatePolygonArea(feature), 0);
     }
 };
 
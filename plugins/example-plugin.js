@@ -62,21 +62,13 @@ const NearbySearchPlugin = {
         this.api.showLoading('Searching nearby locations...');
 
         try {
-            // Get all locations
-            const allLocations = await this.api.call('getLocations', {});
-
-            // Calculate distances and filter
-            const nearby = allLocations
-                .map(location => ({
-                    ...location,
-                    distance: this.api.utils.calculateDistance(
-                        lat, lng,
-                        location.latitude, location.longitude
-                    )
-                }))
-                .filter(loc => loc.distance <= this.config.searchRadius)
-                .sort((a, b) => a.distance - b.distance)
-                .slice(0, this.config.maxResults);
+            // Query the spatial index instead of measuring every location
+            const nearby = this.api.findNearby(lat, lng, this.config.searchRadius, this.config.maxResults)
+                .map(result => ({
+                    ...result.feature,
+                    layerName: result.layerName,
+                    distance: result.distance
+                }));
 
             this.api.hideLoading();
 
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// The worker's importScripts() is covered by loading the same scripts first.
+// Messages it posts are recorded and handed to the fake Worker below.
+const posted = [];
+const fakeWorker = {
+    onmessage: null,
+    terminated: false,
+    postMessage: message => self.onmessage({ data: structuredClone(message) }),
+    terminate() {
+        this.terminated = true;
+    }
+};
+const scripts = loadScripts(['config.js', 'utils.js', 'shapefile-parser.js', 'csv-parser.js', 'csv-import-worker.js'], {
+    importScripts: () => {},
+    self: {
+        postMessage: message => {
+            posted.push(message);
+            if (fakeWorker.onmessage) fakeWorker.onmessage({ data: structuredClone(message) });
+        }
+    }
+});
+const CSVParser = scripts.get('CSVParser');
+const processRows = scripts.get('processRows');
+const parser = new CSVParser();
+
+const columns = ['Name', 'Latitude', 'Longitude', 'Revenue'];
+const rows = [
+    { Name: 'Chicago', Latitude: '41.88', Longitude: '-87.63', Revenue: '$1,200' },
+    { Name: 'Nowhere', Latitude: '', Longitude: '-87.63', Revenue: '$5' },
+    { Name: 'Peoria', Latitude: '40.69', Longitude: '-89.59', Revenue: '$300' },
+    { Name: 'Bad', Latitude: '140', Longitude: '-89.59', Revenue: '' }
+];
+const withoutIds = features => features.map(({ id, ...feature }) => feature);
+
+/**
+ * Run the worker's processing step and collect the feature batches it posts
+ */
+function runProcessRows(rows, columns) {
+    posted.length = 0;
+    const parsed = structuredClone(processRows(rows, columns));
+    const features = posted
+        .filter(message => message.type === 'features')
+        .flatMap(message => structuredClone(message.features));
+    return { parsed, features };
+}
+
+test('worker result carries the rows once and no derived copies', () => {
+    posted.length = 0;
+    const parsed = processRows(rows, columns);
+
+    assert.equal(parsed.features, null);
+    assert.equal(posted.filter(message => message.type === 'features').length, 1); // One batch per chunk
+    assert.equal(parsed.rawData, rows);
+    assert.equal(parsed.validation.validRows, undefined);
+    assert.deepEqual(parsed.validation.invalidRows.map(invalidRow => invalidRow.rowNum), [2, 4]);
+    parsed.validation.invalidRows.forEach(invalidRow => assert.equal(invalidRow.data, undefined));
+    assert.ok(posted.some(message => message.type === 'progress' && message.phase === 'processing'));
+});
+
+test('restored worker result matches parsing on the main thread', () => {
+    const { parsed, features } = runProcessRows(rows, columns);
+    const restored = parser.restoreWorkerResult(parsed, features);
+    const expected = parser.processData(rows, columns);
+    const expectedValidation = parser.validateData(rows, expected.columnMap, expected.type);
+
+    assert.deepEqual(withoutIds(restored.features), withoutIds(expected.features));
+    assert.deepEqual(restored.validation.validRows, expectedValidation.validRows);
+    assert.deepEqual(restored.validation.invalidRows, expectedValidation.invalidRows);
+    assert.deepEqual(restored.validation.errors, expectedValidation.errors);
+    assert.equal(restored.validation.validCount, 2);
+    assert.equal(restored.validation.invalidCount, 2);
+    assert.equal(restored.validation.invalidRows[0].data, restored.rawData[1]);
+});
+
+test('a cancelled import is discarded once a non-CSV file finishes parsing', async () => {
+    globalThis.FileReader = class {
+        readAsText(blob) {
+            blob.text().then(result => this.onload({ target: { result } }), this.onerror);
+        }
+    };
+
+    const controller = new AbortController();
+    const geojson = { type: 'FeatureCollection', features: [{ type: 'Feature', properties: { name: 'A' }, geometry: { type: 'Point', coordinates: [-88, 40] } }] };
+    const file = new File([JSON.stringify(geojson)], 'accounts.geojson');
+    controller.abort();
+
+    await assert.rejects(parser.parseFile(file, { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('a new column mapping is applied in the worker that parsed the rows', async () => {
+    // As if the worker had just parsed the file
+    const parsedRows = scripts.get(`parsedRows = ${JSON.stringify(rows)}`);
+    scripts.get(`parsedColumns = ${JSON.stringify(columns)}`);
+    const { parsed: workerResult, features } = runProcessRows(parsedRows, columns);
+    const parsed = parser.restoreWorkerResult(workerResult, features);
+    parsed.workerId = 'csvworker_test';
+    parser.importWorker = { id: parsed.workerId, worker: fakeWorker };
+
+    // Revenue mapped as text instead of currency
+    const columnTypes = { ...parsed.columnTypes, Revenue: 'string' };
+    posted.length = 0;
+    const remapped = await parser.reprocessData(parsed, parsed.columnMap, parsed.type, columnTypes);
+
+    const complete = posted.find(message => message.type === 'complete');
+    assert.equal(complete.parsed.rawData, null); // The rows stay on the main thread
+    assert.equal(complete.parsed.features, null); // Features came in batches
+    assert.equal(remapped.rawData, parsed.rawData);
+    const expected = parser.processData(rows, columns, parsed.columnMap, parsed.type, columnTypes);
+    assert.deepEqual(withoutIds(remapped.features), withoutIds(expected.features));
+    assert.equal(remapped.features[0].revenue, '$1,200');
+    assert.equal(remapped.validation.invalidCount, 2);
+
+    parser.releaseImportWorker();
+    assert.equal(fakeWorker.terminated, true);
+    assert.equal(parser.importWorker, null);
+});
+
+test('rows from a released worker are re-processed on the main thread', async () => {
+    const parsed = parser.processData(rows, columns);
+    parsed.workerId = 'csvworker_gone';
+
+    const remapped = await parser.reprocessData(parsed, parsed.columnMap, parsed.type, { ...parsed.columnTypes, Revenue: 'string' });
+    assert.equal(parsed.features[0].revenue, 1200);
+    assert.equal(remapped.features[0].revenue, '$1,200');
+});
+
+test('valid rows are the parsed rows themselves when nothing is invalid', () => {
+    const validOnly = [rows[0], rows[2]];
+    const { parsed, features } = runProcessRows(validOnly, columns);
+    const restored = parser.restoreWorkerResult(parsed, features);
+
+    assert.equal(restored.validation.validRows, restored.rawData);
+    assert.equal(restored.validation.invalidCount, 0);
+    assert.equal(restored.features.length, 2);
+});
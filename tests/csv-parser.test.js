@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(['config.js', 'utils.js', 'shapefile-parser.js', 'csv-parser.js']);
+const CSVParser = scripts.get('CSVParser');
+const parser = new CSVParser();
+
+test('sample data is detected as points with typed columns', () => {
+    const csv = fs.readFileSync(path.join(__dirname, '..', 'sample-data.csv'), 'utf8');
+    const parsed = Papa.parse(csv, { header: true, skipEmptyLines: true });
+    const result = parser.processData(parsed.data, parsed.meta.fields);
+
+    assert.equal(result.type, 'point');
+    assert.equal(result.columnMap.latitude, 'Latitude');
+    assert.equal(result.columnMap.longitude, 'Longitude');
+    assert.equal(result.features.length, parsed.data.length);
+    assert.equal(result.columnTypes.Revenue, 'currency');
+
+    const first = result.features[0];
+    assert.equal(first.latitude, 40.7128);
+    assert.equal(first.longitude, -74.006);
+    assert.equal(first.name, 'New York Office');
+    assert.equal(first.revenue, 500000);
+});
+
+test('address columns without coordinates need geocoding', () => {
+    const columns = ['Account Name', 'Street', 'City', 'State', 'Zip Code'];
+    const result = parser.processData([{ 'Account Name': 'Acme', Street: '1 Main St', City: 'Boston', State: 'MA', 'Zip Code': '02134' }], columns);
+
+    assert.equal(result.type, 'address');
+    assert.equal(result.needsGeocoding, true);
+    assert.equal(result.features, null);
+    assert.equal(result.rawData.length, 1);
+});
+
+test('polygon rows are read from a WKT column', () => {
+    const result = parser.processData([{ WKT: 'POLYGON((0 0,1 0,1 1,0 1,0 0))', Name: 'A' }], ['WKT', 'Name']);
+    assert.equal(result.type, 'polygon');
+    assert.equal(result.features[0].wkt, 'POLYGON((0 0,1 0,1 1,0 1,0 0))');
+    assert.equal(parser.validateWKT('POLYGON((0 0,1 0,1 1,0 1,0 0))'), true);
+    assert.equal(parser.validateWKT('not wkt'), false);
+});
+
+test('column types are inferred from values', () => {
+    assert.equal(parser.inferColumnType(['$1,200.50', '$3.00'], 'Revenue'), 'currency');
+    assert.equal(parser.inferColumnType(['02134', '10001'], 'Zip'), 'zip');
+    assert.equal(parser.inferColumnType(['1', '2'], 'Count'), 'integer');
+    assert.equal(parser.inferColumnType(['2024-01-05', '2024-02-01'], 'Opened'), 'date');
+    assert.equal(parser.convertValue('$1,200.50', 'currency'), 1200.5);
+    assert.equal(parser.convertValue('yes', 'boolean'), true);
+});
+
+test('semicolon-delimited content is detected', () => {
+    assert.equal(parser.detectDelimiter('a;b;c\n1;2;3'), ';');
+});
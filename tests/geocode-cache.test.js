@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(['config.js', 'utils.js', 'geocode-cache.js']);
+const GeocodeCache = scripts.get('GeocodeCache');
+const AppConfig = scripts.get('AppConfig');
+AppConfig.geocoding.cache.statsSaveDelayMs = 20;
+
+/**
+ * Count localStorage writes of one key
+ */
+function countWrites(key) {
+    const writes = [];
+    const setItem = localStorage.setItem.bind(localStorage);
+    localStorage.setItem = (name, value) => {
+        if (name === key) writes.push(JSON.parse(value));
+        setItem(name, value);
+    };
+    return writes;
+}
+
+test('lookups during a job are saved in one write', async () => {
+    const cache = new GeocodeCache();
+    const writes = countWrites(cache.statsKey);
+
+    await cache.set('1 Main St, Normal, IL', { success: true, latitude: 40.5, longitude: -89 });
+    await cache.get('1 Main Street, Normal, IL');
+    await cache.get('2 Oak Ave, Peoria, IL');
+    await cache.get('1 Main St, Normal, IL');
+    assert.equal(writes.length, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(writes, [{ hits: 2, misses: 1 }]);
+    assert.deepEqual(await cache.getStats(), { entries: 1, hits: 2, misses: 1, hitRate: 67 });
+});
+
+test('clearing saves the reset counters right away', async () => {
+    const cache = new GeocodeCache();
+    await cache.get('3 Lost Rd, Gone, IL');
+    const writes = countWrites(cache.statsKey);
+
+    await cache.clear();
+    assert.deepEqual(writes, [{ hits: 0, misses: 0 }]);
+    assert.equal(cache.statsSaveTimer, null);
+});
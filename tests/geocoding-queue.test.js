@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const scripts = loadScripts([
+    'config.js', 'utils.js', 'geocode-cache.js', 'geocoding-queue.js', 'geocoding-service.js'
+]);
+const GeocodingService = scripts.get('GeocodingService');
+const GeocodingProvider = scripts.get('GeocodingProvider');
+
+/**
+ * Provider answering from a fixed list, failing each address a set number of times first
+ */
+class StubProvider extends GeocodingProvider {
+    constructor(locations, failuresBeforeSuccess = 0) {
+        super('stub', 'Stub', { delayMs: 0 });
+        this.locations = locations;
+        this.failuresBeforeSuccess = failuresBeforeSuccess;
+        this.calls = new Map();
+    }
+
+    async geocode(address) {
+        const calls = (this.calls.get(address) || 0) + 1;
+        this.calls.set(address, calls);
+        if (calls <= this.failuresBeforeSuccess) {
+            return this.failure('HTTP 503', true);
+        }
+
+        const location = this.locations[address];
+        return location
+            ? this.success(location[0], location[1], 'ROOFTOP', address)
+            : this.failure('No results found');
+    }
+}
+
+const columnMapping = { street1: 'Street', city: 'City', state: 'State', zip: 'Zip' };
+const rows = [
+    { Name: 'Acme', Street: '1 Main St', City: 'Normal', State: 'IL', Zip: '61761' },
+    { Name: 'Globex', Street: '2 Oak Ave', City: 'Peoria', State: 'IL', Zip: '61602' },
+    { Name: 'Nowhere', Street: '3 Lost Rd', City: 'Gone', State: 'IL', Zip: '00000' }
+];
+
+function createService(provider) {
+    const service = new GeocodingService('test-key');
+    service.registerProvider(provider);
+    service.setProvider(provider.id);
+    service.queue.retryDelayMs = 1;
+    return service;
+}
+
+function locationsFor(service) {
+    return {
+        [service.buildRowAddress(rows[0], columnMapping)]: [40.51, -88.99],
+        [service.buildRowAddress(rows[1], columnMapping)]: [40.69, -89.59]
+    };
+}
+
+test('geocodeBatch keeps row order and reports progress', async () => {
+    const provider = new StubProvider({});
+    const service = createService(provider);
+    provider.locations = locationsFor(service);
+
+    const progress = [];
+    const features = await service.geocodeBatch(rows, columnMapping, update => progress.push(update.current));
+
+    assert.deepEqual(features.map(f => f.Name), ['Acme', 'Globex', 'Nowhere']);
+    assert.equal(features[0].latitude, 40.51);
+    assert.equal(features[1].longitude, -89.59);
+    assert.equal(features[2].latitude, null);
+    assert.equal(features[2].geocodeStatus, 'No results found');
+    assert.equal(progress.length, 3);
+    assert.equal(Math.max(...progress), 3);
+});
+
+test('temporary failures are retried', async () => {
+    const provider = new StubProvider({}, 2);
+    const service = createService(provider);
+    provider.locations = locationsFor(service);
+
+    const features = await service.geocodeBatch(rows.slice(0, 1), columnMapping);
+    assert.equal(features[0].geocodeStatus, 'Success');
+    assert.equal(provider.calls.get(features[0].originalAddress), 3);
+});
+
+test('a second batch is answered from the cache', async () => {
+    const provider = new StubProvider({});
+    const service = createService(provider);
+    provider.locations = locationsFor(service);
+
+    await service.geocodeBatch(rows, columnMapping);
+    const callsAfterFirst = [...provider.calls.values()].reduce((sum, n) => sum + n, 0);
+
+    const job = await service.queue.createJob(rows, columnMapping, {}, { persist: false });
+    const result = await service.queue.run(job.id);
+    const callsAfterSecond = [...provider.calls.values()].reduce((sum, n) => sum + n, 0);
+
+    assert.equal(result.status, 'completed');
+    assert.equal(result.job.cacheHits, 2);
+    assert.equal(callsAfterSecond - callsAfterFirst, 1); // Only the address that failed
+});
+
+test('a cancelled job stops and is not completed', async () => {
+    const provider = new StubProvider({});
+    const service = createService(provider);
+    provider.locations = locationsFor(service);
+    service.queue.concurrency = 1;
+
+    const job = await service.queue.createJob(rows, columnMapping, {}, { persist: false });
+    const run = service.queue.run(job.id, () => service.queue.cancel(job.id));
+    const result = await run;
+
+    assert.equal(result.status, 'cancelled');
+    assert.equal(result.features, null);
+    assert.ok(result.job.successCount + result.job.errorCount < rows.length);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// fetch stub answering the lookup URL; each test sets the response
+let lookupResponse = null;
+let fetchCount = 0;
+async function fetchStub(url) {
+    fetchCount++;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return lookupResponse(url);
+}
+
+const scripts = loadScripts([
+    'config.js', 'utils.js', 'geocode-cache.js', 'geocoding-queue.js', 'geocoding-service.js'
+], { fetch: fetchStub });
+const GeocodingService = scripts.get('GeocodingService');
+
+const sampleTable = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'geocode-lookup.json'), 'utf8'));
+const columnMapping = { street1: 'Address 1: Street 1', city: 'Address 1: City', zip: 'Address 1: ZIP/Postal Code' };
+const rows = [
+    { 'Account Name': 'A. Barr Simpson', 'Address 1: Street 1': '2140 W. College Ave', 'Address 1: City': 'Normal', 'Address 1: ZIP/Postal Code': '61761' },
+    { 'Account Name': 'Advanced Technology Recycling', 'Address 1: Street 1': '902 N Hazel St', 'Address 1: City': 'Pontiac', 'Address 1: ZIP/Postal Code': '61764' },
+    { 'Account Name': 'Unknown', 'Address 1: Street 1': '1 Nowhere Ln', 'Address 1: City': 'Normal', 'Address 1: ZIP/Postal Code': '61761' }
+];
+
+function createOfflineService() {
+    fetchCount = 0;
+    const service = new GeocodingService('test-key');
+    service.setProvider('offline');
+    return service;
+}
+
+test('geocodeBatch geocodes through the offline table loaded from lookupUrl', async () => {
+    lookupResponse = () => ({ ok: true, status: 200, json: async () => sampleTable });
+    const service = createOfflineService();
+
+    const features = await service.geocodeBatch(rows, columnMapping);
+
+    assert.equal(fetchCount, 1);
+    assert.deepEqual(features.map(f => f.geocodeStatus), ['Success', 'Success', 'Address not in offline lookup table']);
+    assert.equal(features[0].latitude, 40.5142);
+    assert.equal(features[0].geocodeProvider, 'offline');
+    assert.equal(features[1].geocodeMatchedAddress, 'Pontiac, IL 61764'); // Punctuation is ignored
+    assert.equal(features[2].latitude, null);
+});
+
+test('a lookup table that fails to load is fetched once and fails every row', async () => {
+    lookupResponse = () => ({ ok: false, status: 404, json: async () => null });
+    const service = createOfflineService();
+
+    const features = await service.geocodeBatch([...rows, ...rows], columnMapping);
+    const again = await service.geocodeBatch(rows, columnMapping);
+
+    assert.equal(fetchCount, 1);
+    [...features, ...again].forEach(feature => {
+        assert.equal(feature.geocodeStatus, 'Could not load offline lookup table (HTTP 404)');
+    });
+});
+
+test('a table set directly replaces a failed load', async () => {
+    lookupResponse = () => { throw new Error('Failed to fetch'); };
+    const service = createOfflineService();
+    const provider = service.getProvider('offline');
+
+    const failed = await service.geocodeBatch(rows.slice(0, 1), columnMapping);
+    assert.equal(failed[0].geocodeStatus, 'Failed to fetch');
+
+    provider.setLookupTable({ '2140 W College Ave, Normal, 61761': { latitude: 40.5, longitude: -89 } });
+    const features = await service.geocodeBatch(rows.slice(0, 1), columnMapping);
+    assert.equal(features[0].geocodeStatus, 'Success');
+    assert.equal(features[0].longitude, -89);
+    assert.equal(fetchCount, 1);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const scripts = loadScripts([
+    'config.js', 'utils.js', 'state-manager.js', 'spatial-index.js', 'geometry-ops.js', 'layer-manager.js'
+]);
+const GeometryOps = scripts.get('GeometryOps');
+const Utils = scripts.get('Utils');
+const LayerManager = scripts.get('LayerManager');
+
+// Map manager that accepts every call (layers are only checked in state here)
+const mapManager = new Proxy({}, { get: () => () => '#3388ff' });
+
+const square = (x, y, size = 1) => [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]];
+const squareWkt = (x, y, size = 1) => GeometryOps.toWkt([square(x, y, size)]);
+const area = polygons => turf.area(turf.multiPolygon(polygons));
+
+test('union of adjacent squares is one polygon', () => {
+    const merged = Utils.getPolygonCoordinates(GeometryOps.union([[square(0, 0)], [square(1, 0)]]));
+    assert.equal(merged.length, 1);
+    const expected = area([square(0, 0)]) + area([square(1, 0)]);
+    assert.ok(Math.abs(area(merged) - expected) / expected < 0.01);
+});
+
+test('union of separate squares keeps both parts', () => {
+    const merged = Utils.getPolygonCoordinates(GeometryOps.union([[square(0, 0)], [square(5, 5)]]));
+    assert.equal(merged.length, 2);
+});
+
+test('toWkt writes POLYGON for one part and MULTIPOLYGON for several', () => {
+    assert.match(GeometryOps.toWkt([square(0, 0)]), /^POLYGON /);
+    assert.match(GeometryOps.toWkt([square(0, 0), square(5, 5)]), /^MULTIPOLYGON /);
+});
+
+test('buffer of a point is a circle of the given radius', () => {
+    const polygons = GeometryOps.buffer({ type: 'Point', coordinates: [-90, 40] }, 1, 'kilometers');
+    assert.equal(polygons.length, 1);
+    const expected = Math.PI * 1000 * 1000;
+    assert.ok(Math.abs(area(polygons) - expected) / expected < 0.02);
+});
+
+test('splitByLine cuts a square into two halves', () => {
+    const halves = GeometryOps.splitByLine([square(0, 0)], [[0.5, -1], [0.5, 2]]);
+    assert.equal(halves.length, 2);
+    const [a, b] = halves.map(area);
+    assert.ok(Math.abs(a - b) / (a + b) < 0.01);
+});
+
+test('splitByLine returns null for a line that does not cross the polygon', () => {
+    assert.equal(GeometryOps.splitByLine([square(0, 0)], [[2, 2], [3, 3]]), null);
+    assert.equal(GeometryOps.splitByLine([square(0, 0)], [[-1, 2], [2, 2]]), null);
+});
+
+test('splitByLine returns null for a line that only enters the polygon', () => {
+    assert.equal(GeometryOps.splitByLine([square(0, 0)], [[0.5, -1], [0.5, 0.5]]), null);
+    assert.equal(GeometryOps.splitByLine([square(0, 0)], [[0.25, 0.5], [0.75, 0.5]]), null);
+});
+
+test('splitByLine follows a bent line across the polygon', () => {
+    const parts = GeometryOps.splitByLine([square(0, 0)], [[-0.5, 0.25], [0.5, 0.25], [0.5, 1.5]]);
+    assert.equal(parts.length, 2);
+    const areas = parts.map(area).sort((a, b) => a - b);
+    const total = area([square(0, 0)]);
+    assert.ok(Math.abs(areas[0] / total - 0.375) < 0.01); // The part above and left of the bend
+});
+
+test('splitByLine returns null for a line without direction', () => {
+    assert.equal(GeometryOps.splitByLine([square(0, 0)], [[0.5, 0.5], [0.5, 0.5]]), null);
+});
+
+test('split and merge round trip through the layer manager', () => {
+    const layerManager = new LayerManager(mapManager);
+    const layerId = layerManager.createLayer('Territories', [
+        { id: 'north', name: 'North', Quota: 100, wkt: squareWkt(0, 0) }
+    ], 'polygon');
+
+    const plan = layerManager.planSplitFeature(layerId, 'north', [[0.25, -1], [0.25, 2]], {
+        attributeMode: 'proportional',
+        numericColumns: ['Quota']
+    });
+    assert.ok(plan);
+    assert.equal(plan.parts[0].id, 'north');
+    assert.equal(plan.parts[0].Quota + plan.parts[1].Quota, 100);
+    assert.ok(plan.parts[0].Quota > plan.parts[1].Quota);
+
+    layerManager.applySplitFeature(plan);
+    assert.equal(layerManager.getLayer(layerId).features.length, 2);
+
+    const merge = layerManager.planMergeFeatures(layerId, plan.parts.map(part => part.id), { sumColumns: ['Quota'] });
+    assert.equal(merge.partCount, 1);
+    assert.equal(merge.feature.Quota, 100);
+
+    layerManager.applyMergeFeatures(merge);
+    const features = layerManager.getLayer(layerId).features;
+    assert.deepEqual(features.map(f => f.id), ['north']);
+    assert.ok(Math.abs(area(Utils.getPolygonCoordinates(Utils.getFeatureGeometry(features[0]))) - area([square(0, 0)])) < 1);
+});
+
+test('merge leaves out saved measurement lines', () => {
+    const layerManager = new LayerManager(mapManager);
+    const layerId = layerManager.createLayer('Territories', [
+        { id: 'a', name: 'A', wkt: squareWkt(0, 0) },
+        { id: 'b', name: 'B', wkt: squareWkt(1, 0) },
+        { id: 'route', name: 'Route', measurementType: 'distance', wkt: 'LINESTRING (0 0, 2 1)' }
+    ], 'polygon');
+
+    assert.equal(Utils.isPolygonFeature({ wkt: 'LINESTRING (0 0, 2 1)' }), false);
+    assert.equal(Utils.isPolygonFeature({ latitude: 1, longitude: 1 }), false);
+
+    const plan = layerManager.planMergeFeatures(layerId, ['a', 'b', 'route']);
+    assert.deepEqual(plan.featureIds, ['a', 'b']);
+    assert.equal(layerManager.planMergeFeatures(layerId, ['a', 'route']), null);
+});
+
+test('saved measurement circles are left out of dissolve and the location filter', async () => {
+    const layerManager = new LayerManager(mapManager);
+    const radius = { id: 'radius', name: '5 mi radius', Region: 'East', source: 'measurement', measurementType: 'radius', wkt: squareWkt(5, 5) };
+    const territoryLayerId = layerManager.createLayer('Territories', [
+        { id: 'a', Region: 'East', wkt: squareWkt(0, 0) },
+        { id: 'b', Region: 'East', wkt: squareWkt(1, 0) },
+        radius
+    ], 'polygon');
+    const accountLayerId = layerManager.createLayer('Accounts', [
+        { id: 'inside', latitude: 0.5, longitude: 0.5 },
+        { id: 'in-circle', latitude: 5.5, longitude: 5.5 }
+    ], 'point');
+
+    const result = await layerManager.dissolveLayer(territoryLayerId, 'Region');
+    assert.equal(result.features.length, 1);
+    assert.equal(result.features[0].featureCount, 2);
+    assert.equal(result.features[0].sourceIds, 'a, b');
+
+    layerManager.applyFilter(accountLayerId, null, null, territoryLayerId);
+    assert.deepEqual(layerManager.getFilteredFeatures(accountLayerId).map(f => f.id), ['inside']);
+});
@@ -0,0 +1,89 @@
+/**
+ * Test helper: loads browser scripts from js/ into one shared global scope,
+ * the way index.html does, with the CDN libraries they expect as globals.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+/**
+ * In-memory localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Event bus that records what was emitted (ui-components.js needs a DOM)
+ */
+function createEventBus() {
+    const listeners = new Map();
+    return {
+        emitted: [],
+        on(event, callback) {
+            if (!listeners.has(event)) listeners.set(event, []);
+            listeners.get(event).push(callback);
+        },
+        off(event, callback) {
+            listeners.set(event, (listeners.get(event) || []).filter(cb => cb !== callback));
+        },
+        emit(event, data) {
+            this.emitted.push({ event, data });
+            (listeners.get(event) || []).forEach(callback => callback(data));
+        }
+    };
+}
+
+/**
+ * Load scripts into the global scope of this test process
+ * node --test runs every test file in its own process, so files don't share globals.
+ * @param {Array} files - File names in js/, in index.html order
+ * @param {Object} globals - Extra globals (e.g. fetch)
+ * @returns {Object} { get(name), context } - get reads a top-level class, const or function
+ */
+function loadScripts(files, globals = {}) {
+    Object.assign(globalThis, {
+        localStorage: new MemoryStorage(),
+        eventBus: createEventBus(),
+        turf: require('@turf/turf'),
+        Papa: require('papaparse'),
+        wellknown: require('wellknown'),
+        ...globals
+    });
+    globalThis.window = globalThis;
+    // No page lifecycle here (e.g. beforeunload)
+    globalThis.addEventListener = () => {};
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+        vm.runInThisContext(source, { filename: file });
+    });
+
+    return {
+        context: globalThis,
+        get: name => vm.runInThisContext(name)
+    };
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(['shapefile-parser.js']);
+const ShapefileParser = scripts.get('ShapefileParser');
+const parser = new ShapefileParser();
+
+/**
+ * Build a one-field DBF file holding a single character record
+ * @param {Array<number>} valueBytes - Encoded field value
+ * @returns {ArrayBuffer} DBF contents
+ */
+function buildDBF(valueBytes) {
+    const fieldLength = 10;
+    const headerLength = 32 + 32 + 1;
+    const recordLength = 1 + fieldLength;
+    const bytes = new Uint8Array(headerLength + recordLength + 1);
+    const view = new DataView(bytes.buffer);
+
+    bytes[0] = 0x03;
+    view.setUint32(4, 1, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    bytes.set([...'NAME'].map(char => char.charCodeAt(0)), 32);
+    bytes[32 + 11] = 'C'.charCodeAt(0);
+    bytes[32 + 16] = fieldLength;
+    bytes[64] = 0x0D;
+
+    bytes.fill(0x20, headerLength, headerLength + recordLength);
+    bytes.set(valueBytes, headerLength + 1);
+    bytes[headerLength + recordLength] = 0x1A;
+    return bytes.buffer;
+}
+
+test('DBF text without a .cpg is read as Windows-1252', () => {
+    const records = parser.parseDBF(buildDBF([0x43, 0x61, 0x66, 0xE9])); // "Café" in Latin-1
+    assert.deepEqual(records, [{ NAME: 'Café' }]);
+});
+
+test('the .cpg encoding is used when given', () => {
+    const records = parser.parseDBF(buildDBF([0x43, 0x61, 0x66, 0xC3, 0xA9]), 'UTF-8');
+    assert.deepEqual(records, [{ NAME: 'Café' }]);
+});
+
+test('unknown .cpg encodings fall back to Windows-1252', () => {
+    const records = parser.parseDBF(buildDBF([0x43, 0x61, 0x66, 0xE9]), 'not-an-encoding');
+    assert.deepEqual(records, [{ NAME: 'Café' }]);
+});
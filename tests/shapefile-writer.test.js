@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+/**
+ * Records the files written to the archive
+ */
+class RecordingZip {
+    constructor() {
+        this.files = {};
+    }
+
+    file(name, content) {
+        this.files[name] = content;
+    }
+
+    async generateAsync() {
+        return this;
+    }
+}
+
+const scripts = loadScripts(['config.js', 'utils.js', 'shapefile-writer.js'], { JSZip: RecordingZip });
+const ShapefileWriter = scripts.get('ShapefileWriter');
+const writer = new ShapefileWriter();
+
+const square = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] };
+const route = { type: 'LineString', coordinates: [[0, 0], [2, 1], [3, 3]] };
+
+test('lines are written as PolyLine records', () => {
+    const { shp, shx } = writer.writeSHP([{ geometry: route }], 'PolyLine');
+    const view = new DataView(shp);
+
+    assert.equal(view.getInt32(32, true), 3); // File shape type
+    assert.equal(view.getInt32(108, true), 3); // Record shape type
+    assert.equal(view.getInt32(108 + 36, true), 1); // Parts
+    assert.equal(view.getInt32(108 + 40, true), 3); // Points
+    assert.equal(view.getFloat64(108 + 48 + 16, true), 2); // Second point x
+    assert.equal(shp.byteLength, 100 + 8 + 44 + 4 + 3 * 16);
+    assert.equal(shx.byteLength, 108);
+});
+
+test('a polygon layer with saved measurement lines exports both shapes', async () => {
+    const zip = await writer.writeZip([{
+        name: 'Territories',
+        features: [
+            { geometry: square, properties: { name: 'North' } },
+            { geometry: route, properties: { name: 'Route', distanceMiles: 2.5 } }
+        ]
+    }]);
+
+    const names = Object.keys(zip.files).filter(name => name.endsWith('.shp')).sort();
+    assert.deepEqual(names, ['Territories_lines.shp', 'Territories_polygons.shp']);
+    assert.equal(new DataView(zip.files['Territories_lines.shp']).getInt32(32, true), 3);
+    assert.equal(new DataView(zip.files['Territories_polygons.shp']).getInt32(32, true), 5);
+});
+
+test('a single shape type keeps the layer name', async () => {
+    const zip = await writer.writeZip([{ name: 'Routes', features: [{ geometry: route, properties: {} }] }]);
+    assert.ok(zip.files['Routes.shp']);
+});
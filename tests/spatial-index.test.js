@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(['config.js', 'utils.js', 'spatial-index.js']);
+const SpatialGeometry = scripts.get('SpatialGeometry');
+const PolygonIndex = scripts.get('PolygonIndex');
+const PointIndex = scripts.get('PointIndex');
+const spatialIndex = scripts.get('spatialIndex');
+
+// 10 x 10 grid of unit squares with a point in the middle of each
+const squares = [];
+const points = [];
+for (let x = 0; x < 10; x++) {
+    for (let y = 0; y < 10; y++) {
+        squares.push({ id: `sq_${x}_${y}`, wkt: `POLYGON((${x} ${y},${x + 1} ${y},${x + 1} ${y + 1},${x} ${y + 1},${x} ${y}))` });
+        points.push({ id: `pt_${x}_${y}`, latitude: y + 0.5, longitude: x + 0.5 });
+    }
+}
+
+test('point in polygon respects holes', () => {
+    const rings = [
+        [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+        [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]
+    ];
+    assert.equal(SpatialGeometry.pointInPolygon(0.5, 0.5, rings), true);
+    assert.equal(SpatialGeometry.pointInPolygon(2, 2, rings), false);
+    assert.equal(SpatialGeometry.pointInPolygon(5, 5, rings), false);
+});
+
+test('polygon index finds the one square containing a point', () => {
+    const index = PolygonIndex.fromFeatures(squares, 4);
+    const found = index.search(3.5, 7.5);
+    assert.deepEqual(found.map(entry => entry.feature.id), ['sq_7_3']);
+    assert.equal(index.search(20, 20).length, 0);
+});
+
+test('polygon index bounding-box search matches a linear scan', () => {
+    const index = PolygonIndex.fromFeatures(squares, 4);
+    const bbox = [2.5, 2.5, 5.5, 4.5];
+    const expected = squares
+        .filter(feature => {
+            const bounds = SpatialGeometry.getBounds(SpatialGeometry.getPolygons(SpatialGeometry.getGeometry(feature)));
+            return bounds[0] <= bbox[2] && bounds[2] >= bbox[0] && bounds[1] <= bbox[3] && bounds[3] >= bbox[1];
+        })
+        .map(feature => feature.id)
+        .sort();
+    assert.deepEqual(index.searchBounds(bbox).map(entry => entry.feature.id).sort(), expected);
+});
+
+test('point index radius search returns nearest first', () => {
+    const index = PointIndex.fromFeatures(points, 4);
+    const found = index.searchRadius(0.5, 0.5, 120);
+    assert.equal(found[0].feature.id, 'pt_0_0');
+    assert.ok(found.every((entry, i) => i === 0 || entry.distance >= found[i - 1].distance));
+    assert.ok(found.some(entry => entry.feature.id === 'pt_1_0'));
+    assert.ok(!found.some(entry => entry.feature.id === 'pt_5_5'));
+});
+
+test('point index skips features without coordinates', () => {
+    const index = PointIndex.fromFeatures([...points, { id: 'blank', latitude: '', longitude: '' }]);
+    assert.equal(index.entries.length, points.length);
+});
+
+test('cached index is rebuilt after a feature event', () => {
+    const layer = { id: 'layer_1', features: squares.slice(0, 2) };
+    const first = spatialIndex.getPolygonIndex(layer);
+    assert.equal(spatialIndex.getPolygonIndex(layer), first);
+
+    scripts.context.eventBus.emit('feature.updated', { layerId: 'layer_1' });
+    assert.notEqual(spatialIndex.getPolygonIndex(layer), first);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const scripts = loadScripts(['config.js', 'utils.js', 'spatial-index.js', 'geometry-ops.js', 'topology-checker.js']);
+const TopologyChecker = scripts.get('TopologyChecker');
+
+const squareWkt = (x, y, size) => `POLYGON((${x} ${y},${x + size} ${y},${x + size} ${y + size},${x} ${y + size},${x} ${y}))`;
+
+/**
+ * Layer manager with fixed layers and no groups
+ */
+function createLayerManager(layers) {
+    return {
+        getLayerGroup: () => null,
+        getLayer: layerId => layers.find(layer => layer.id === layerId) || null,
+        getAllLayers: () => layers
+    };
+}
+
+// Four 0.1 degree territories in a ring around an uncovered middle; east overlaps north
+const territories = {
+    id: 'territories',
+    name: 'Territories',
+    type: 'polygon',
+    features: [
+        { id: 'south', name: 'South', wkt: 'POLYGON((0 0,0.3 0,0.3 0.1,0 0.1,0 0))' },
+        { id: 'north', name: 'North', wkt: 'POLYGON((0 0.2,0.3 0.2,0.3 0.3,0 0.3,0 0.2))' },
+        { id: 'west', name: 'West', wkt: 'POLYGON((0 0.1,0.1 0.1,0.1 0.2,0 0.2,0 0.1))' },
+        { id: 'east', name: 'East', wkt: 'POLYGON((0.2 0.1,0.3 0.1,0.3 0.25,0.2 0.25,0.2 0.1))' }
+    ]
+};
+const accounts = {
+    id: 'accounts',
+    name: 'Accounts',
+    type: 'point',
+    features: [
+        { id: 'in-gap', name: 'Gap Co', latitude: 0.15, longitude: 0.15 },
+        { id: 'in-overlap', name: 'Overlap Co', latitude: 0.225, longitude: 0.25 },
+        { id: 'elsewhere', name: 'Elsewhere Co', latitude: 0.05, longitude: 0.05 }
+    ]
+};
+
+test('finds the overlap and the enclosed gap with the accounts inside them', async () => {
+    const checker = new TopologyChecker(createLayerManager([territories, accounts]), null);
+    const result = await checker.run('territories');
+
+    assert.equal(result.territoryCount, 4);
+    assert.equal(result.clipErrors, 0);
+
+    assert.equal(result.overlaps.length, 1);
+    const overlap = result.overlaps[0];
+    assert.deepEqual(overlap.territories.map(t => t.featureId).sort(), ['east', 'north']);
+    assert.deepEqual(overlap.accounts.map(a => a.feature.id), ['in-overlap']);
+
+    assert.equal(result.gaps.length, 1);
+    assert.deepEqual(result.gaps[0].accounts.map(a => a.feature.id), ['in-gap']);
+});
+
+test('gaps are measured against a boundary layer when one is given', async () => {
+    const boundary = {
+        id: 'boundary',
+        name: 'Region',
+        type: 'polygon',
+        features: [{ id: 'region', wkt: squareWkt(0, 0, 0.4) }]
+    };
+    const checker = new TopologyChecker(createLayerManager([territories, accounts, boundary]), null);
+    const result = await checker.run('territories', 'boundary');
+
+    // The middle hole and the strip between the territories and the boundary edge
+    assert.equal(result.gaps.length, 2);
+    assert.ok(result.gaps[0].area > result.gaps[1].area);
+});
+
+test('saved measurement circles are not territories', async () => {
+    const withCircle = {
+        ...territories,
+        id: 'with-circle',
+        features: [
+            ...territories.features,
+            { id: 'radius', name: '5 mi radius', source: 'measurement', measurementType: 'radius', wkt: squareWkt(0.05, 0.05, 0.2) }
+        ]
+    };
+    const checker = new TopologyChecker(createLayerManager([withCircle, accounts]), null);
+    const result = await checker.run('with-circle');
+
+    assert.equal(result.territoryCount, 4);
+    assert.equal(result.overlaps.length, 1);
+    assert.equal(result.gaps.length, 1);
+});